@@ -2,10 +2,16 @@
 
 /**
  * Tutify Add Feedback API
- * Allows students to rate and provide feedback for completed sessions
+ * Allows students to rate and review a completed session, once per session.
+ * The tutor's rating and review count are recomputed from all their reviews.
+ *
+ * Besides the overall rating, the student may rate each of REVIEW_CRITERIA
+ * (clarity, patience, punctuality) from 1 to 5 under 'criteria'. Errors name
+ * the offending form field in 'field'.
  */
 
 require_once 'db.php';
+require_once 'mailer.php';
 
 // Only accept POST requests
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
@@ -16,23 +22,54 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
 $data = getJsonInput();
 
 // Validate required fields
-if (empty($data->session_id) || empty($data->student_id) || empty($data->rating)) {
-    sendError('Session ID, student ID, and rating are required');
+if (empty($data->session_id)) {
+    sendError('Session ID is required');
+}
+if (empty($data->rating)) {
+    sendError('Please choose an overall rating', 400, ['field' => 'reviewRating']);
 }
 
 // Connect to database
 $conn = getDbConnection();
 
+$auth = requireAuth($conn, 'student');
+$studentId = $auth['id'];
+
 // Sanitize input
 $sessionId = intval($data->session_id);
-$studentId = intval($data->student_id);
 $rating = intval($data->rating);
-$comment = !empty($data->comment) ? sanitize($conn, $data->comment) : '';
+$comment = !empty($data->comment) ? cleanRichText($data->comment) : '';
 
 // Validate rating (1-5)
-if ($rating < 1 || $rating > 5) {
+if (!is_numeric($data->rating) || $rating < 1 || $rating > 5) {
+    $conn->close();
+    sendError('Rating must be between 1 and 5', 400, ['field' => 'reviewRating']);
+}
+
+// Each criterion is optional, but must be 1-5 when given
+$criteria = [];
+foreach (REVIEW_CRITERIA as $criterion) {
+    $value = isset($data->criteria->$criterion) ? $data->criteria->$criterion : null;
+    if ($value === null || $value === '') {
+        $criteria[$criterion] = null;
+        continue;
+    }
+    if (!is_numeric($value) || intval($value) < 1 || intval($value) > 5) {
+        $conn->close();
+        sendError('Rate ' . $criterion . ' from 1 to 5, or leave it blank', 400, ['field' => 'review' . ucfirst($criterion)]);
+    }
+    $criteria[$criterion] = intval($value);
+}
+
+// Validate comment length
+$commentLength = mb_strlen($comment);
+if ($commentLength > 0 && $commentLength < REVIEW_COMMENT_MIN) {
+    $conn->close();
+    sendError('Your comment must be at least ' . REVIEW_COMMENT_MIN . ' characters, or leave it empty', 400, ['field' => 'reviewComment']);
+}
+if ($commentLength > REVIEW_COMMENT_MAX) {
     $conn->close();
-    sendError('Rating must be between 1 and 5');
+    sendError('Your comment must be at most ' . REVIEW_COMMENT_MAX . ' characters', 400, ['field' => 'reviewComment']);
 }
 
 // Verify session exists and belongs to student
@@ -51,9 +88,9 @@ $session = $result->fetch_assoc();
 $stmt->close();
 
 // Verify student authorization
-if ($session['student_id'] != $studentId) {
+if (intval($session['student_id']) !== $studentId) {
     $conn->close();
-    sendError('Unauthorized. You can only rate your own sessions.');
+    sendError('Unauthorized. You can only rate your own sessions.', 403);
 }
 
 // Check if session is completed
@@ -62,45 +99,41 @@ if ($session['status'] !== 'completed') {
     sendError('Can only provide feedback for completed sessions');
 }
 
-// Check if feedback already exists
-$stmt = $conn->prepare("SELECT id FROM feedback WHERE session_id = ? AND student_id = ?");
-$stmt->bind_param("ii", $sessionId, $studentId);
+// Only one review per session
+$stmt = $conn->prepare("SELECT id FROM feedback WHERE session_id = ?");
+$stmt->bind_param("i", $sessionId);
 $stmt->execute();
 $result = $stmt->get_result();
 
 if ($result->num_rows > 0) {
     $stmt->close();
     $conn->close();
-    sendError('Feedback already submitted for this session');
+    sendError('You have already reviewed this session', 409);
 }
 $stmt->close();
 
 // Insert feedback
 $tutorId = $session['tutor_id'];
-$stmt = $conn->prepare("INSERT INTO feedback (session_id, student_id, tutor_id, rating, comment) VALUES (?, ?, ?, ?, ?)");
-$stmt->bind_param("iiiis", $sessionId, $studentId, $tutorId, $rating, $comment);
-
-if (!$stmt->execute()) {
+try {
+    $stmt = $conn->prepare("INSERT INTO feedback (session_id, student_id, tutor_id, rating, clarity_rating, patience_rating, punctuality_rating, comment) VALUES (?, ?, ?, ?, ?, ?, ?, ?)");
+    $stmt->bind_param("iiiiiiis", $sessionId, $studentId, $tutorId, $rating, $criteria['clarity'], $criteria['patience'], $criteria['punctuality'], $comment);
+    $stmt->execute();
+    $feedbackId = $stmt->insert_id;
     $stmt->close();
+} catch (mysqli_sql_exception $e) {
     $conn->close();
+    // Another tab got there first (uniq_session)
+    if ($e->getCode() === 1062) {
+        sendError('You have already reviewed this session', 409);
+    }
     sendError('Failed to submit feedback. Please try again.');
 }
 
-$feedbackId = $stmt->insert_id;
-$stmt->close();
+$tutorRating = refreshTutorRating($conn, $tutorId);
 
-// Update tutor's average rating
-$stmt = $conn->prepare("SELECT AVG(rating) as avg_rating FROM feedback WHERE tutor_id = ?");
-$stmt->bind_param("i", $tutorId);
-$stmt->execute();
-$result = $stmt->get_result();
-$avgRating = $result->fetch_assoc()['avg_rating'];
-$stmt->close();
-
-$stmt = $conn->prepare("UPDATE tutor_profiles SET rating = ? WHERE user_id = ?");
-$stmt->bind_param("di", $avgRating, $tutorId);
-$stmt->execute();
-$stmt->close();
+$session = getSessionById($conn, $sessionId);
+createNotification($conn, $session['tutor_id'], 'session_reviewed', "{$session['student_name']} rated your {$session['subject']} session {$rating}/5", $comment !== '' ? $comment : null, ['session_id' => $sessionId], $studentId);
+emailFeedbackReceived($conn, $session, $rating, $comment);
 
 $conn->close();
 
@@ -111,7 +144,10 @@ sendSuccess([
         'id' => $feedbackId,
         'session_id' => $sessionId,
         'rating' => $rating,
+        'criteria' => $criteria,
         'comment' => $comment
     ],
-    'tutor_new_rating' => round($avgRating, 2)
+    'session' => $session,
+    'tutor_new_rating' => $tutorRating['rating'],
+    'tutor_review_count' => $tutorRating['review_count']
 ], 201);
@@ -0,0 +1,83 @@
+<?php
+
+/**
+ * Tutify Add Tutor Feedback API
+ * Lets a tutor send a student feedback on a completed session; the student
+ * is notified. Each session gets feedback once.
+ */
+
+require_once 'db.php';
+require_once 'mailer.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+// Validate required fields
+if (empty($data->session_id) || empty($data->rating) || empty($data->notes) || trim($data->notes) === '') {
+    sendError('Session ID, rating and notes are required');
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn, 'tutor');
+$tutorId = $auth['id'];
+
+// Sanitize input
+$sessionId = intval($data->session_id);
+$rating = intval($data->rating);
+$strengths = !empty($data->strengths) ? cleanRichText($data->strengths) : null;
+$improvements = !empty($data->improvements) ? cleanRichText($data->improvements) : null;
+$notes = cleanRichText($data->notes);
+
+// Validate rating (1-5)
+if ($rating < 1 || $rating > 5) {
+    $conn->close();
+    sendError('Rating must be between 1 and 5');
+}
+
+// Verify session exists and was taught by this tutor
+$session = getSessionById($conn, $sessionId);
+
+if ($session === null) {
+    $conn->close();
+    sendError('Session not found', 404);
+}
+
+if ($session['tutor_id'] !== $tutorId) {
+    $conn->close();
+    sendError('Unauthorized. You can only give feedback on your own sessions.', 403);
+}
+
+if ($session['status'] !== 'completed') {
+    $conn->close();
+    sendError('Can only give feedback on completed sessions');
+}
+
+if ($session['tutor_feedback'] !== null) {
+    $conn->close();
+    sendError('Feedback already sent for this session', 409);
+}
+
+$stmt = $conn->prepare("INSERT INTO tutor_feedback (session_id, tutor_id, student_id, rating, strengths, improvements, notes) VALUES (?, ?, ?, ?, ?, ?, ?)");
+$stmt->bind_param("iiiisss", $sessionId, $tutorId, $session['student_id'], $rating, $strengths, $improvements, $notes);
+$stmt->execute();
+$stmt->close();
+
+$session = getSessionById($conn, $sessionId);
+
+notifySessionEvent($conn, $session, 'feedback', $tutorId, 1, $notes);
+emailSessionEvent($conn, $session, 'feedback', $tutorId, 1, $notes);
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => 'Feedback sent',
+    'session' => $session
+], 201);
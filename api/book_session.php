@@ -3,9 +3,29 @@
 /**
  * Tutify Book Session API
  * Creates a new tutoring session booking
+ *
+ * Student requests start as 'pending'; sessions scheduled by the tutor are
+ * 'confirmed' straight away. Clients may send a client_ref so that a booking
+ * replayed from an offline queue is not created twice.
+ *
+ * The logged-in user is always one side of the booking: students send
+ * tutor_id, tutors send student_id. date and time are in the tutor's time
+ * zone, like the availability slots they are picked from. Student requests must fall inside the
+ * tutor's availability (see get_availability.php), and no booking may overlap
+ * another pending or confirmed session of either participant.
+ *
+ * An optional recurrence {frequency: weekly|biweekly, count | until} books a
+ * series of sessions at the same time of day, sharing one series_id.
+ *
+ * attachment_ids may list files from upload_attachment.php to go with the
+ * message; for a series they are attached to its first session.
+ *
+ * Each session keeps the tutor's hourly rate and cancellation policy as they
+ * are when it is booked.
  */
 
 require_once 'db.php';
+require_once 'mailer.php';
 
 // Only accept POST requests
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
@@ -16,25 +36,38 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
 $data = getJsonInput();
 
 // Validate required fields
-if (
-    empty($data->student_id) || empty($data->tutor_id) || empty($data->subject) ||
-    empty($data->date) || empty($data->time) || empty($data->duration)
-) {
-    sendError('Student ID, tutor ID, subject, date, time, and duration are required');
+if (empty($data->subject) || empty($data->date) || empty($data->time) || empty($data->duration)) {
+    sendError('Subject, date, time, and duration are required');
 }
 
 // Connect to database
 $conn = getDbConnection();
 
+$auth = requireAuth($conn);
+$bookedBy = $auth['role'];
+
+if ($bookedBy === 'student') {
+    $studentId = $auth['id'];
+    $tutorId = !empty($data->tutor_id) ? intval($data->tutor_id) : 0;
+} else {
+    $tutorId = $auth['id'];
+    $studentId = !empty($data->student_id) ? intval($data->student_id) : 0;
+}
+
+if ($studentId === 0 || $tutorId === 0) {
+    $conn->close();
+    sendError($bookedBy === 'student' ? 'Tutor ID is required' : 'Student ID is required');
+}
+
 // Sanitize input
-$studentId = intval($data->student_id);
-$tutorId = intval($data->tutor_id);
 $subject = sanitize($conn, $data->subject);
 $topic = !empty($data->topic) ? sanitize($conn, $data->topic) : '';
 $sessionDate = sanitize($conn, $data->date);
 $sessionTime = sanitize($conn, $data->time);
 $duration = sanitize($conn, $data->duration);
-$message = !empty($data->message) ? sanitize($conn, $data->message) : '';
+$message = !empty($data->message) ? cleanRichText($data->message) : '';
+$level = !empty($data->level) ? sanitize($conn, $data->level) : null;
+$clientRef = !empty($data->client_ref) ? sanitize($conn, $data->client_ref) : null;
 
 // Validate date format (YYYY-MM-DD)
 if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $sessionDate)) {
@@ -48,6 +81,29 @@ if (!preg_match('/^\d{2}:\d{2}$/', $sessionTime)) {
     sendError('Invalid time format. Use HH:MM');
 }
 
+// A replayed offline booking returns the session created the first time
+if ($clientRef !== null) {
+    $stmt = $conn->prepare("SELECT id FROM sessions WHERE client_ref = ? AND student_id = ? AND tutor_id = ?");
+    $stmt->bind_param("sii", $clientRef, $studentId, $tutorId);
+    $stmt->execute();
+    $existing = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+
+    if ($existing) {
+        $session = getSessionById($conn, $existing['id']);
+        $sessions = $session['series_id'] !== null ? getSeriesSessions($conn, $session['series_id']) : [$session];
+        $sessions = attachFiles($conn, $sessions, 'session_id');
+        $conn->close();
+        sendSuccess([
+            'message' => 'Session booking already exists',
+            'session' => $sessions[0],
+            'sessions' => $sessions
+        ]);
+    }
+}
+
+$attachmentIds = requireOwnAttachments($conn, $data, $auth['id']);
+
 // Verify student exists
 $stmt = $conn->prepare("SELECT id FROM users WHERE id = ? AND role = 'student'");
 $stmt->bind_param("i", $studentId);
@@ -61,8 +117,8 @@ if ($result->num_rows === 0) {
 }
 $stmt->close();
 
-// Verify tutor exists
-$stmt = $conn->prepare("SELECT id FROM users WHERE id = ? AND role = 'tutor'");
+// Verify tutor exists and snapshot their current hourly rate and cancellation policy
+$stmt = $conn->prepare("SELECT u.id, u.timezone, tp.hourly_rate, tp.cancellation_notice_hours, tp.late_cancellation FROM users u LEFT JOIN tutor_profiles tp ON tp.user_id = u.id WHERE u.id = ? AND u.role = 'tutor'");
 $stmt->bind_param("i", $tutorId);
 $stmt->execute();
 $result = $stmt->get_result();
@@ -72,47 +128,133 @@ if ($result->num_rows === 0) {
     $conn->close();
     sendError('Tutor not found');
 }
+$tutor = $result->fetch_assoc();
+$rate = $tutor['hourly_rate'] !== null ? floatval($tutor['hourly_rate']) : null;
+$noticeHours = $tutor['cancellation_notice_hours'] !== null ? intval($tutor['cancellation_notice_hours']) : DEFAULT_CANCELLATION_NOTICE_HOURS;
+$lateCancellation = $tutor['late_cancellation'] ?? 'keep';
+$tutorTimezone = $tutor['timezone'] ?: APP_TIMEZONE;
 $stmt->close();
 
-// Check for conflicting sessions (same tutor, same date/time)
-$stmt = $conn->prepare("SELECT id FROM sessions WHERE tutor_id = ? AND session_date = ? AND session_time = ? AND status IN ('pending', 'confirmed')");
-$stmt->bind_param("iss", $tutorId, $sessionDate, $sessionTime);
-$stmt->execute();
-$result = $stmt->get_result();
-
-if ($result->num_rows > 0) {
-    $stmt->close();
+// Validate duration
+$minutes = parseDurationMinutes($duration);
+if ($minutes <= 0) {
     $conn->close();
-    sendError('Tutor already has a session at this time. Please choose a different time.');
+    sendError('Invalid duration. Use e.g. "1 hour" or "90 minutes"');
 }
-$stmt->close();
 
-// Insert new session
-$stmt = $conn->prepare("INSERT INTO sessions (student_id, tutor_id, subject, topic, session_date, session_time, duration, student_message, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending')");
-$stmt->bind_param("iissssss", $studentId, $tutorId, $subject, $topic, $sessionDate, $sessionTime, $duration, $message);
+// A repeating booking creates one session per date, linked by a shared series_id
+$dates = [$sessionDate];
+$seriesId = null;
+
+if (!empty($data->recurrence)) {
+    $frequency = $data->recurrence->frequency ?? '';
+    $count = isset($data->recurrence->count) ? intval($data->recurrence->count) : null;
+    $until = !empty($data->recurrence->until) ? $data->recurrence->until : null;
+
+    if (!isset(SERIES_FREQUENCIES[$frequency])) {
+        $conn->close();
+        sendError('Repeat must be weekly or biweekly');
+    }
+
+    if ($count === null && $until === null) {
+        $conn->close();
+        sendError('Choose how many sessions to book or the date to repeat until');
+    }
+
+    if ($count !== null && ($count < 2 || $count > MAX_SERIES_OCCURRENCES)) {
+        $conn->close();
+        sendError('A series must have between 2 and ' . MAX_SERIES_OCCURRENCES . ' sessions');
+    }
 
-if (!$stmt->execute()) {
+    if ($until !== null && !preg_match('/^\d{4}-\d{2}-\d{2}$/', $until)) {
+        $conn->close();
+        sendError('Invalid end date format. Use YYYY-MM-DD');
+    }
+
+    $dates = expandRecurrence($sessionDate, $frequency, $count, $until);
+
+    if (count($dates) < 2) {
+        $conn->close();
+        sendError('The end date leaves only one session. Pick a later date or book a single session.');
+    }
+
+    $seriesId = bin2hex(random_bytes(16));
+}
+
+// Every session must be free; for a series the message names the clashing date
+$availability = $bookedBy === 'student' ? getTutorAvailability($conn, $tutorId) : null;
+
+foreach ($dates as $date) {
+    $prefix = count($dates) > 1 ? 'Session on ' . date('D, M j', strtotime($date)) . ': ' : '';
+
+    // Students can only book open slots; tutors may schedule outside their own hours
+    if ($availability !== null) {
+        if (zonedTimestamp($date, $sessionTime, $tutorTimezone) < time()) {
+            $conn->close();
+            sendError($prefix . 'Please choose a time in the future.', 409);
+        }
+
+        $unavailable = checkAvailability($availability, $date, $sessionTime, $minutes);
+        if ($unavailable !== null) {
+            $conn->close();
+            sendError($prefix . $unavailable, 409);
+        }
+    }
+
+    // Neither the tutor nor the student may have another session overlapping this one
+    $conflict = findSessionConflict($conn, $tutorId, $studentId, $date, $sessionTime, $minutes);
+    if ($conflict !== null) {
+        $conn->close();
+        sendError($prefix . describeSessionConflict($conflict, $bookedBy), 409, [
+            'conflict' => $conflict['who'],
+            'conflict_date' => $date,
+            'suggestion' => $conflict['suggestion']
+        ]);
+    }
+}
+
+// Sessions scheduled by the tutor need no further confirmation
+$status = $bookedBy === 'tutor' ? 'confirmed' : 'pending';
+
+// Insert the session(s); a series is created all at once or not at all
+$sessionIds = [];
+$conn->begin_transaction();
+
+try {
+    $stmt = $conn->prepare("INSERT INTO sessions (student_id, tutor_id, subject, topic, session_date, session_time, starts_at, duration, level, rate, cancellation_notice_hours, late_cancellation, student_message, status, booked_by, client_ref, series_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
+
+    foreach ($dates as $i => $date) {
+        // Later sessions of a series get "<client_ref>-2", "-3", ... (the client mirrors this)
+        $ref = ($clientRef !== null && $i > 0) ? "{$clientRef}-" . ($i + 1) : $clientRef;
+        // A series keeps the tutor's wall-clock time across daylight saving changes
+        $startsAt = gmdate('Y-m-d H:i:s', zonedTimestamp($date, $sessionTime, $tutorTimezone));
+        $stmt->bind_param("iisssssssdissssss", $studentId, $tutorId, $subject, $topic, $date, $sessionTime, $startsAt, $duration, $level, $rate, $noticeHours, $lateCancellation, $message, $status, $bookedBy, $ref, $seriesId);
+        $stmt->execute();
+        $sessionIds[] = $stmt->insert_id;
+    }
     $stmt->close();
+
+    linkAttachments($conn, $attachmentIds, 'session_id', $sessionIds[0]);
+
+    $conn->commit();
+} catch (mysqli_sql_exception $e) {
+    $conn->rollback();
     $conn->close();
     sendError('Failed to create booking. Please try again.');
 }
 
-$sessionId = $stmt->insert_id;
-$stmt->close();
+$sessions = attachFiles($conn, array_map(function ($id) use ($conn) {
+    return getSessionById($conn, $id);
+}, $sessionIds), 'session_id');
+
+notifySessionEvent($conn, $sessions[0], 'booked', $auth['id'], count($sessions), $message);
+emailSessionEvent($conn, $sessions[0], 'booked', $auth['id'], count($sessions), $message);
+
 $conn->close();
 
 // Send success response
 sendSuccess([
-    'message' => 'Session booking created successfully',
-    'session' => [
-        'id' => $sessionId,
-        'student_id' => $studentId,
-        'tutor_id' => $tutorId,
-        'subject' => $subject,
-        'topic' => $topic,
-        'date' => $sessionDate,
-        'time' => $sessionTime,
-        'duration' => $duration,
-        'status' => 'pending'
-    ]
+    'message' => count($sessions) > 1 ? count($sessions) . ' sessions booked' : 'Session booking created successfully',
+    'session' => $sessions[0],
+    'sessions' => $sessions
 ], 201);
@@ -0,0 +1,78 @@
+<?php
+
+/**
+ * Tutify Calendar Feed
+ * Serves a user's sessions as an iCalendar feed that calendar apps subscribe to
+ *
+ * GET ?token= (from calendar_token.php). Calendar apps cannot send a login
+ * token, so the secret feed token is the only credential.
+ *
+ * Lists confirmed and completed sessions from the last FEED_HISTORY_DAYS
+ * onwards. Confirmed sessions that were later cancelled stay in the feed with
+ * STATUS:CANCELLED, so subscribed calendars drop the event.
+ */
+
+require_once 'ical.php';
+
+define('FEED_HISTORY_DAYS', 90);
+
+// Only accept GET requests
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+$token = $_GET['token'] ?? '';
+
+if (!preg_match('/^[a-f0-9]{64}$/', $token)) {
+    sendError('Calendar feed not found', 404);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$stmt = $conn->prepare("SELECT u.id, u.name, u.role FROM calendar_feeds f INNER JOIN users u ON u.id = f.user_id WHERE f.token = ?");
+$stmt->bind_param("s", $token);
+$stmt->execute();
+$user = $stmt->get_result()->fetch_assoc();
+$stmt->close();
+
+if (!$user) {
+    $conn->close();
+    sendError('Calendar feed not found', 404);
+}
+
+$userId = intval($user['id']);
+$column = $user['role'] === 'tutor' ? 's.tutor_id' : 's.student_id';
+$fromDate = date('Y-m-d', strtotime('-' . FEED_HISTORY_DAYS . ' days'));
+
+// A cancelled session is only listed if it had been confirmed (tutor bookings
+// start out confirmed); cancelled requests never reached anyone's calendar
+$stmt = $conn->prepare(SESSION_SELECT . "
+    WHERE {$column} = ?
+      AND s.session_date >= ?
+      AND (s.status IN ('confirmed', 'completed', 'no_show')
+           OR (s.status = 'cancelled' AND (s.booked_by = 'tutor' OR EXISTS (
+               SELECT 1 FROM session_status_history h
+               WHERE h.session_id = s.id AND h.to_status = 'confirmed'))))
+    ORDER BY s.starts_at ASC");
+$stmt->bind_param("is", $userId, $fromDate);
+$stmt->execute();
+$result = $stmt->get_result();
+
+$sessions = [];
+while ($row = $result->fetch_assoc()) {
+    $sessions[] = formatSession($row);
+}
+$stmt->close();
+
+$conn->close();
+
+$events = array_map(function ($session) use ($user) {
+    return buildSessionEvent($session, $user['role'], $session['calendar_sequence']);
+}, $sessions);
+
+header('Content-Type: text/calendar; charset=utf-8');
+header('Content-Disposition: inline; filename="tutify.ics"');
+header('Cache-Control: private, max-age=900');
+echo buildCalendar($events, "Tutify – {$user['name']}");
+exit();
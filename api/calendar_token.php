@@ -0,0 +1,50 @@
+<?php
+
+/**
+ * Tutify Calendar Token API
+ * Returns the logged-in user's calendar feed URL (see calendar_feed.php)
+ *
+ * GET returns the current URL, creating the feed on first use. POST replaces
+ * the token, so anyone holding the old URL can no longer read the feed.
+ */
+
+require_once 'ical.php';
+
+// Only accept GET and POST requests
+if (!in_array($_SERVER['REQUEST_METHOD'], ['GET', 'POST'])) {
+    sendError('Method not allowed', 405);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+
+$stmt = $conn->prepare("SELECT token FROM calendar_feeds WHERE user_id = ?");
+$stmt->bind_param("i", $userId);
+$stmt->execute();
+$feed = $stmt->get_result()->fetch_assoc();
+$stmt->close();
+
+$token = $feed ? $feed['token'] : null;
+
+if ($token === null || $_SERVER['REQUEST_METHOD'] === 'POST') {
+    // The token is the only credential a calendar app sends, so it is long and random
+    $token = generateToken(32);
+    $stmt = $conn->prepare("INSERT INTO calendar_feeds (user_id, token) VALUES (?, ?) ON DUPLICATE KEY UPDATE token = VALUES(token), created_at = NOW()");
+    $stmt->bind_param("is", $userId, $token);
+    $stmt->execute();
+    $stmt->close();
+}
+
+$conn->close();
+
+$feedUrl = getCalendarFeedUrl($token);
+
+// Send success response
+sendSuccess([
+    'message' => $_SERVER['REQUEST_METHOD'] === 'POST' ? 'Calendar link reset' : 'Calendar link ready',
+    'feed_url' => $feedUrl,
+    'webcal_url' => preg_replace('#^https?://#', 'webcal://', $feedUrl)
+]);
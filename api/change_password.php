@@ -0,0 +1,79 @@
+<?php
+
+/**
+ * Tutify Change Password API
+ * Changes the logged-in user's password
+ *
+ * The new password must score at least 'medium' in getPasswordStrength().
+ * Every other login token of the user is revoked; the one used for this
+ * request stays valid. Errors name the offending form field in 'field'.
+ */
+
+require_once 'db.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+// Validate required fields
+if (empty($data->current_password)) {
+    sendError('Current password is required', 400, ['field' => 'currentPassword']);
+}
+
+if (empty($data->new_password)) {
+    sendError('New password is required', 400, ['field' => 'newPassword']);
+}
+
+// Enforce the same strength rules as the client
+$strength = getPasswordStrength($data->new_password);
+if ($strength['level'] === 'weak') {
+    sendError($strength['message'], 400, ['field' => 'newPassword']);
+}
+
+if ($data->new_password === $data->current_password) {
+    sendError('New password must be different from the current password', 400, ['field' => 'newPassword']);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+
+// Verify current password
+$stmt = $conn->prepare("SELECT password FROM users WHERE id = ?");
+$stmt->bind_param("i", $userId);
+$stmt->execute();
+$user = $stmt->get_result()->fetch_assoc();
+$stmt->close();
+
+if (!$user || !verifyPassword($data->current_password, $user['password'])) {
+    $conn->close();
+    sendError('Current password is incorrect', 400, ['field' => 'currentPassword']);
+}
+
+// Store the new hash
+$passwordHash = hashPassword($data->new_password);
+$stmt = $conn->prepare("UPDATE users SET password = ? WHERE id = ?");
+$stmt->bind_param("si", $passwordHash, $userId);
+
+if (!$stmt->execute()) {
+    $stmt->close();
+    $conn->close();
+    sendError('Failed to change password. Please try again.');
+}
+$stmt->close();
+
+// Log out every other device
+revokeUserAuthSessions($conn, $userId, $auth['session_id']);
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => 'Password changed successfully'
+]);
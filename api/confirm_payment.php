@@ -0,0 +1,81 @@
+<?php
+
+/**
+ * Tutify Confirm Payment API
+ * Finishes a payment that needed the cardholder to confirm it with their
+ * bank (status 'requires_action' from pay_session.php)
+ *
+ * POST { payment_id, result }. With the fake driver, result is what the
+ * cardholder chose on the test bank page: 'approve' or 'fail'.
+ */
+
+require_once 'payments.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+// Validate required fields
+if (empty($data->payment_id) || empty($data->result)) {
+    sendError('Payment ID and result are required');
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn, 'student');
+$studentId = $auth['id'];
+
+$paymentId = intval($data->payment_id);
+$row = getPaymentById($conn, $paymentId);
+
+if ($row === null || intval($row['student_id']) !== $studentId) {
+    $conn->close();
+    sendError('Payment not found', 404);
+}
+
+// Already finished, replaced, or abandoned because the session was cancelled
+if ($row['status'] !== 'requires_action') {
+    $session = getSessionById($conn, intval($row['session_id']));
+    $conn->close();
+    sendError('This payment is no longer waiting for confirmation', 409, ['session' => $session]);
+}
+
+$result = callPaymentDriver('confirm', [$row, (string)$data->result]);
+if (!in_array($result['status'], ['succeeded', 'failed'])) {
+    $result = ['status' => 'failed', 'reference' => null, 'message' => $result['message'] ?? 'The payment could not be confirmed.'];
+}
+
+// The session may have been cancelled (abandoning the payment) while the bank was checking
+if (!applyPaymentResult($conn, $paymentId, $result)) {
+    // The bank took the money for a payment nobody is waiting on; give it straight back
+    if ($result['status'] === 'succeeded') {
+        callPaymentDriver('refund', [['reference' => $result['reference'] ?? $row['reference']] + $row, floatval($row['amount'])]);
+    }
+    $session = getSessionById($conn, intval($row['session_id']));
+    $conn->close();
+    sendError('This payment is no longer waiting for confirmation', 409, ['session' => $session]);
+}
+
+$payment = formatPayment(getPaymentById($conn, $paymentId));
+$session = getSessionById($conn, intval($row['session_id']));
+
+if ($result['status'] === 'failed') {
+    $conn->close();
+    sendError($result['message'], 402, ['payment' => $payment]);
+}
+
+announcePayment($conn, $session);
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => 'Payment received',
+    'payment' => $payment,
+    'session' => $session
+]);
@@ -15,133 +15,2156 @@ define('DB_USER', 'root');
 define('DB_PASS', '');
 define('DB_NAME', 'tutify');
 
-// Set response headers
-header('Content-Type: application/json');
-header('Access-Control-Allow-Origin: *');
-header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
-header('Access-Control-Allow-Headers: Content-Type, Authorization');
-
-// Handle preflight OPTIONS request
-if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
-    http_response_code(200);
+// Auth token configuration
+// Set TUTIFY_AUTH_SECRET in the server environment for production
+define('AUTH_SECRET', getenv('TUTIFY_AUTH_SECRET') ?: 'tutify-dev-secret-change-me');
+define('AUTH_TOKEN_TTL', 7 * 24 * 60 * 60); // 7 days
+
+// Public site URL, used for links in emails (never taken from the Host header)
+define('APP_URL', rtrim(getenv('TUTIFY_APP_URL') ?: 'http://localhost', '/'));
+
+// Writable directory outside the web root (mail sink, uploads)
+define('STORAGE_DIR', rtrim(getenv('TUTIFY_STORAGE_DIR') ?: sys_get_temp_dir() . '/tutify', '/'));
+
+// Time zone assumed for users who have not picked one (IANA name, e.g. "Europe/Berlin")
+define('APP_TIMEZONE', getenv('TUTIFY_TIMEZONE') ?: 'UTC');
+
+// The server works in UTC; users' local times are converted at the edges
+date_default_timezone_set('UTC');
+
+// Command-line scripts (see cron/) share the helpers but are not HTTP requests
+if (PHP_SAPI !== 'cli') {
+    // Set response headers
+    header('Content-Type: application/json');
+    header('Access-Control-Allow-Origin: *');
+    header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
+    header('Access-Control-Allow-Headers: Content-Type, Authorization');
+
+    // Handle preflight OPTIONS request
+    if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+        http_response_code(200);
+        exit();
+    }
+}
+
+/**
+ * Create database connection
+ * @return mysqli Database connection object
+ */
+function getDbConnection()
+{
+    $conn = new mysqli(DB_HOST, DB_USER, DB_PASS, DB_NAME);
+
+    // Check connection
+    if ($conn->connect_error) {
+        sendError('Database connection failed: ' . $conn->connect_error, 500);
+    }
+
+    // Set charset to utf8mb4 for full unicode support
+    $conn->set_charset('utf8mb4');
+
+    // NOW() and TIMESTAMP columns in UTC, matching PHP's date()
+    $conn->query("SET time_zone = '+00:00'");
+
+    return $conn;
+}
+
+/**
+ * Send JSON success response
+ * @param mixed $data - Data to send
+ * @param int $code - HTTP status code
+ */
+function sendSuccess($data, $code = 200)
+{
+    http_response_code($code);
+    echo json_encode([
+        'success' => true,
+        'data' => $data
+    ]);
+    exit();
+}
+
+/**
+ * Send JSON error response
+ * @param string $message - Error message
+ * @param int $code - HTTP status code
+ * @param array $extra - Extra fields for the response (e.g. 'field' => 'newPassword')
+ */
+function sendError($message, $code = 400, $extra = [])
+{
+    http_response_code($code);
+    echo json_encode(array_merge([
+        'success' => false,
+        'message' => $message
+    ], $extra));
     exit();
 }
 
 /**
- * Create database connection
- * @return mysqli Database connection object
+ * Get JSON input from request body
+ * @return object Decoded JSON object
+ */
+function getJsonInput()
+{
+    $input = file_get_contents('php://input');
+    $data = json_decode($input);
+
+    if (json_last_error() !== JSON_ERROR_NONE) {
+        sendError('Invalid JSON input', 400);
+    }
+
+    return $data;
+}
+
+/**
+ * Sanitize string input
+ * @param mysqli $conn - Database connection
+ * @param string $input - Input to sanitize
+ * @return string Sanitized input
+ */
+function sanitize($conn, $input)
+{
+    return $conn->real_escape_string(trim($input));
+}
+
+/**
+ * Clean formatted text (Markdown with TeX math) for storage
+ *
+ * Unlike sanitize() this leaves backslashes, quotes and line breaks alone.
+ * The text is only ever bound to prepared statements, and escaping it would
+ * store \frac as \\frac and each line break as a literal \n.
+ * @param string $input - Text as typed
+ * @return string Trimmed text with \n line endings
+ */
+function cleanRichText($input)
+{
+    return trim(str_replace(["\r\n", "\r"], "\n", (string) $input));
+}
+
+/**
+ * Validate email format
+ * @param string $email - Email to validate
+ * @return bool True if valid
+ */
+function isValidEmail($email)
+{
+    return filter_var($email, FILTER_VALIDATE_EMAIL) !== false;
+}
+
+/**
+ * Hash password securely
+ * @param string $password - Plain password
+ * @return string Hashed password
+ */
+function hashPassword($password)
+{
+    return password_hash($password, PASSWORD_DEFAULT);
+}
+
+/**
+ * Verify password against hash
+ * @param string $password - Plain password
+ * @param string $hash - Hashed password
+ * @return bool True if password matches
+ */
+function verifyPassword($password, $hash)
+{
+    return password_verify($password, $hash);
+}
+
+/**
+ * Score password strength (mirrors validatePassword() in js/app.js; both
+ * count characters, not bytes)
+ * @param string $password - Plain password
+ * @return array Strength with level ('weak', 'medium', 'strong') and message
+ */
+function getPasswordStrength($password)
+{
+    $length = mb_strlen($password, 'UTF-8');
+    if ($length < 6) {
+        return ['level' => 'weak', 'message' => 'Password must be at least 6 characters'];
+    }
+
+    $strength = count(array_filter([
+        preg_match('/[A-Z]/', $password),
+        preg_match('/[a-z]/', $password),
+        preg_match('/\d/', $password),
+        preg_match('/[!@#$%^&*(),.?":{}|<>]/', $password)
+    ]));
+
+    if ($strength === 4 && $length >= 8) {
+        return ['level' => 'strong', 'message' => 'Strong password'];
+    } elseif ($strength >= 2) {
+        return ['level' => 'medium', 'message' => 'Medium strength password'];
+    }
+
+    return ['level' => 'weak', 'message' => 'Weak password. Add uppercase, numbers, or special characters'];
+}
+
+/**
+ * Generate random token
+ * @param int $length - Token length
+ * @return string Random token
+ */
+function generateToken($length = 32)
+{
+    return bin2hex(random_bytes($length));
+}
+
+/**
+ * Encode binary data as URL-safe base64 without padding
+ * @param string $data - Raw data
+ * @return string Encoded data
+ */
+function base64UrlEncode($data)
+{
+    return rtrim(strtr(base64_encode($data), '+/', '-_'), '=');
+}
+
+/**
+ * Decode URL-safe base64 data
+ * @param string $data - Encoded data
+ * @return string|false Raw data or false if invalid
+ */
+function base64UrlDecode($data)
+{
+    return base64_decode(strtr($data, '-_', '+/'), true);
+}
+
+/**
+ * Issue a signed login token and record it in auth_sessions
+ * Token format: base64url(payload) . '.' . base64url(HMAC-SHA256 signature)
+ * @param mysqli $conn - Database connection
+ * @param array $user - User row (id, role)
+ * @return array Token and its expiry time
+ */
+function issueAuthToken($conn, $user)
+{
+    $sessionId = generateToken(16);
+    $expiresAt = time() + AUTH_TOKEN_TTL;
+    $expiresAtSql = date('Y-m-d H:i:s', $expiresAt);
+    $userId = intval($user['id']);
+
+    $stmt = $conn->prepare("INSERT INTO auth_sessions (id, user_id, expires_at) VALUES (?, ?, ?)");
+    $stmt->bind_param("sis", $sessionId, $userId, $expiresAtSql);
+    $stmt->execute();
+    $stmt->close();
+
+    $payload = base64UrlEncode(json_encode([
+        'sid' => $sessionId,
+        'uid' => $userId,
+        'role' => $user['role'],
+        'exp' => $expiresAt
+    ]));
+    $signature = base64UrlEncode(hash_hmac('sha256', $payload, AUTH_SECRET, true));
+
+    return [
+        'token' => $payload . '.' . $signature,
+        'expires_at' => date('c', $expiresAt)
+    ];
+}
+
+/**
+ * Read the bearer token sent in the Authorization header
+ * @return string|null Token or null if missing
+ */
+function getBearerToken()
+{
+    $header = $_SERVER['HTTP_AUTHORIZATION'] ?? $_SERVER['REDIRECT_HTTP_AUTHORIZATION'] ?? '';
+
+    // Some Apache setups strip the header from $_SERVER
+    if ($header === '' && function_exists('getallheaders')) {
+        foreach (getallheaders() as $name => $value) {
+            if (strcasecmp($name, 'Authorization') === 0) {
+                $header = $value;
+                break;
+            }
+        }
+    }
+
+    if (preg_match('/^Bearer\s+(\S+)$/i', trim($header), $matches)) {
+        return $matches[1];
+    }
+
+    return null;
+}
+
+/**
+ * Verify a login token's signature, expiry and revocation state
+ * @param mysqli $conn - Database connection
+ * @param string $token - Token from the client
+ * @return array|null Authenticated user (id, role, session_id) or null
+ */
+function verifyAuthToken($conn, $token)
+{
+    $parts = explode('.', $token);
+    if (count($parts) !== 2) {
+        return null;
+    }
+
+    [$payload, $signature] = $parts;
+    $expected = base64UrlEncode(hash_hmac('sha256', $payload, AUTH_SECRET, true));
+    if (!hash_equals($expected, $signature)) {
+        return null;
+    }
+
+    $claims = json_decode(base64UrlDecode($payload), true);
+    if (!is_array($claims) || empty($claims['sid']) || empty($claims['exp']) || $claims['exp'] < time()) {
+        return null;
+    }
+
+    // The token must still be live on the server (not logged out or revoked).
+    // The role comes from the users table so a stale token cannot keep an old role.
+    $sessionId = (string)$claims['sid'];
+    $stmt = $conn->prepare("SELECT a.user_id, u.role FROM auth_sessions a INNER JOIN users u ON u.id = a.user_id WHERE a.id = ? AND a.revoked_at IS NULL AND a.expires_at > NOW()");
+    $stmt->bind_param("s", $sessionId);
+    $stmt->execute();
+    $row = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+
+    if (!$row || intval($row['user_id']) !== intval($claims['uid'])) {
+        return null;
+    }
+
+    return [
+        'id' => intval($row['user_id']),
+        'role' => $row['role'],
+        'session_id' => $sessionId
+    ];
+}
+
+/**
+ * Require a valid login token, optionally for a specific role
+ * Sends 401 (not logged in) or 403 (wrong role) and exits on failure.
+ * @param mysqli $conn - Database connection
+ * @param string|null $role - Required role ('student' or 'tutor')
+ * @return array Authenticated user (id, role, session_id)
+ */
+function requireAuth($conn, $role = null)
+{
+    $token = getBearerToken();
+    $auth = $token !== null ? verifyAuthToken($conn, $token) : null;
+
+    if ($auth === null) {
+        $conn->close();
+        sendError('Your session has expired. Please log in again.', 401);
+    }
+
+    if ($role !== null && $auth['role'] !== $role) {
+        $conn->close();
+        sendError("Only {$role}s can do this", 403);
+    }
+
+    return $auth;
+}
+
+/**
+ * Revoke a login token so it can no longer be used
+ * @param mysqli $conn - Database connection
+ * @param string $sessionId - auth_sessions ID
+ */
+function revokeAuthSession($conn, $sessionId)
+{
+    $stmt = $conn->prepare("UPDATE auth_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL");
+    $stmt->bind_param("s", $sessionId);
+    $stmt->execute();
+    $stmt->close();
+}
+
+/**
+ * Revoke every active login token of a user
+ * @param mysqli $conn - Database connection
+ * @param int $userId - User ID
+ * @param string|null $exceptSessionId - auth_sessions ID to keep (the caller's own)
+ */
+function revokeUserAuthSessions($conn, $userId, $exceptSessionId = null)
+{
+    $keep = $exceptSessionId ?? '';
+    $stmt = $conn->prepare("UPDATE auth_sessions SET revoked_at = NOW() WHERE user_id = ? AND id <> ? AND revoked_at IS NULL");
+    $stmt->bind_param("is", $userId, $keep);
+    $stmt->execute();
+    $stmt->close();
+}
+
+/**
+ * Load a user's public profile, including tutor details for tutors
+ * @param mysqli $conn - Database connection
+ * @param int $userId - User ID
+ * @return array|null User data or null if not found
+ */
+function getUserProfile($conn, $userId)
+{
+    $stmt = $conn->prepare("SELECT id, name, email, role, phone, timezone FROM users WHERE id = ?");
+    $stmt->bind_param("i", $userId);
+    $stmt->execute();
+    $user = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+
+    if (!$user) {
+        return null;
+    }
+
+    $user['id'] = intval($user['id']);
+    $user['timezone'] = $user['timezone'] ?: APP_TIMEZONE;
+
+    // If user is a tutor, get tutor profile
+    if ($user['role'] === 'tutor') {
+        $stmt = $conn->prepare("SELECT subjects, bio, experience, hourly_rate, rating, review_count, total_sessions, cancellation_notice_hours, late_cancellation FROM tutor_profiles WHERE user_id = ?");
+        $stmt->bind_param("i", $userId);
+        $stmt->execute();
+        $tutorResult = $stmt->get_result();
+
+        if ($tutorResult->num_rows > 0) {
+            $tutorProfile = $tutorResult->fetch_assoc();
+            $user['subjects'] = explode(',', $tutorProfile['subjects']);
+            $user['bio'] = $tutorProfile['bio'];
+            $user['experience'] = intval($tutorProfile['experience']);
+            $user['hourly_rate'] = floatval($tutorProfile['hourly_rate']);
+            $user['rating'] = floatval($tutorProfile['rating']);
+            $user['review_count'] = intval($tutorProfile['review_count']);
+            $user['total_sessions'] = intval($tutorProfile['total_sessions']);
+            $user['cancellation_notice_hours'] = intval($tutorProfile['cancellation_notice_hours']);
+            $user['late_cancellation'] = $tutorProfile['late_cancellation'];
+        }
+        $stmt->close();
+    }
+
+    return $user;
+}
+
+/**
+ * Check that a string is an IANA time zone name such as "Europe/Berlin"
+ * @param mixed $timezone - Value to check
+ * @return bool True if PHP knows the zone
+ */
+function isValidTimezone($timezone)
+{
+    return is_string($timezone) && in_array($timezone, DateTimeZone::listIdentifiers(), true);
+}
+
+/**
+ * Notification toggles a user can switch off, all on by default
+ * - email_notifications: booking emails (requested, accepted, declined, completed)
+ * - sms_notifications: SMS session reminders
+ * - reminder_notifications: email session reminders
+ * - feedback_notifications: emails about feedback on a session
+ */
+define('NOTIFICATION_PREFERENCES', [
+    'email_notifications',
+    'sms_notifications',
+    'reminder_notifications',
+    'feedback_notifications'
+]);
+
+/**
+ * Get a user's notification preferences
+ * @param mysqli $conn - Database connection
+ * @param int $userId - User ID
+ * @return array Map of NOTIFICATION_PREFERENCES keys to booleans
+ */
+function getUserPreferences($conn, $userId)
+{
+    $stmt = $conn->prepare("SELECT " . implode(', ', NOTIFICATION_PREFERENCES) . " FROM user_preferences WHERE user_id = ?");
+    $stmt->bind_param("i", $userId);
+    $stmt->execute();
+    $row = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+
+    $preferences = [];
+    foreach (NOTIFICATION_PREFERENCES as $key) {
+        $preferences[$key] = $row ? (bool)$row[$key] : true;
+    }
+
+    return $preferences;
+}
+
+/**
+ * Get a user's time zone
+ * @param mysqli $conn - Database connection
+ * @param int $userId - User ID
+ * @return string IANA time zone (APP_TIMEZONE if the user has not set one)
+ */
+function getUserTimezone($conn, $userId)
+{
+    $stmt = $conn->prepare("SELECT timezone FROM users WHERE id = ?");
+    $stmt->bind_param("i", $userId);
+    $stmt->execute();
+    $row = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+
+    return ($row && $row['timezone']) ? $row['timezone'] : APP_TIMEZONE;
+}
+
+/**
+ * Convert a wall-clock date and time in a time zone to a Unix timestamp
+ * @param string $date - Date (YYYY-MM-DD)
+ * @param string $time - Time (HH:MM)
+ * @param string $timezone - IANA time zone the date and time are in
+ * @return int Unix timestamp
+ */
+function zonedTimestamp($date, $time, $timezone)
+{
+    return (new DateTime("{$date} {$time}", new DateTimeZone($timezone)))->getTimestamp();
+}
+
+/**
+ * Format a Unix timestamp as an ISO 8601 UTC date-time for clients
+ * @param int $timestamp - Unix timestamp
+ * @return string Date-time such as 2026-10-19T14:30:00Z
+ */
+function formatUtc($timestamp)
+{
+    return gmdate('Y-m-d\TH:i:s\Z', $timestamp);
+}
+
+/**
+ * Columns selected for a session, joined with both participants' names
+ * and time zones, the tutor's feedback, the student's review and the latest
+ * payment that did not fail, if any. session_date and session_time are the
+ * tutor's wall-clock time; starts_at is the same moment in UTC.
+ */
+define('SESSION_SELECT', "SELECT 
+    s.id,
+    s.student_id,
+    st.name AS student_name,
+    st.email AS student_email,
+    st.timezone AS student_timezone,
+    s.tutor_id,
+    tu.name AS tutor_name,
+    tu.timezone AS tutor_timezone,
+    s.subject,
+    s.topic,
+    s.session_date,
+    s.session_time,
+    s.starts_at,
+    s.duration,
+    s.level,
+    s.rate,
+    s.status,
+    s.booked_by,
+    s.client_ref,
+    s.series_id,
+    s.rejection_reason,
+    s.cancellation_notice_hours,
+    s.late_cancellation,
+    s.cancelled_late,
+    s.status_changed_by,
+    s.status_changed_at,
+    s.student_message,
+    s.progress,
+    s.tutor_notes,
+    s.created_at,
+    s.updated_at,
+    (SELECT COUNT(*) FROM session_status_history h WHERE h.session_id = s.id) AS revisions,
+    tf.rating AS feedback_rating,
+    tf.strengths AS feedback_strengths,
+    tf.improvements AS feedback_improvements,
+    tf.notes AS feedback_notes,
+    tf.created_at AS feedback_created_at,
+    f.id AS review_id,
+    f.rating AS review_rating,
+    f.clarity_rating AS review_clarity_rating,
+    f.patience_rating AS review_patience_rating,
+    f.punctuality_rating AS review_punctuality_rating,
+    f.comment AS review_comment,
+    f.created_at AS review_created_at,
+    p.id AS payment_id,
+    p.amount AS payment_amount,
+    p.currency AS payment_currency,
+    p.status AS payment_status,
+    p.card_brand AS payment_card_brand,
+    p.card_last4 AS payment_card_last4,
+    p.receipt_number AS payment_receipt_number,
+    p.refunded_amount AS payment_refunded_amount,
+    p.paid_at AS payment_paid_at,
+    p.refunded_at AS payment_refunded_at,
+    p.refund_due_at AS payment_refund_due_at
+FROM sessions s
+INNER JOIN users st ON st.id = s.student_id
+INNER JOIN users tu ON tu.id = s.tutor_id
+LEFT JOIN tutor_feedback tf ON tf.session_id = s.id
+LEFT JOIN feedback f ON f.session_id = s.id
+LEFT JOIN payments p ON p.id = (SELECT MAX(id) FROM payments WHERE session_id = s.id AND status <> 'failed')");
+
+/**
+ * The iCalendar UID of a session's event. Downloaded .ics files and the
+ * subscription feed share it, so calendar apps update one event.
+ * @param int $sessionId - Session ID
+ * @return string UID
+ */
+function sessionEventUid($sessionId)
+{
+    $host = parse_url(APP_URL, PHP_URL_HOST) ?: 'tutify.local';
+    return 'session-' . intval($sessionId) . '@' . $host;
+}
+
+/**
+ * Convert a SESSION_SELECT row into the session shape sent to clients
+ * @param array $row - Database row
+ * @return array Session data
+ */
+function formatSession($row)
+{
+    return [
+        'id' => intval($row['id']),
+        'student_id' => intval($row['student_id']),
+        'student_name' => $row['student_name'],
+        'student_email' => $row['student_email'],
+        'student_timezone' => $row['student_timezone'] ?: APP_TIMEZONE,
+        'tutor_id' => intval($row['tutor_id']),
+        'tutor_name' => $row['tutor_name'],
+        'tutor_timezone' => $row['tutor_timezone'] ?: APP_TIMEZONE,
+        'subject' => $row['subject'],
+        'topic' => $row['topic'],
+        'date' => $row['session_date'],
+        'time' => substr($row['session_time'], 0, 5),
+        'starts_at' => formatUtc(strtotime($row['starts_at'])),
+        'duration' => $row['duration'],
+        'level' => $row['level'],
+        'rate' => $row['rate'] !== null ? floatval($row['rate']) : null,
+        'price' => sessionPrice($row['rate'], $row['duration']),
+        'status' => $row['status'],
+        'booked_by' => $row['booked_by'],
+        'client_ref' => $row['client_ref'],
+        'series_id' => $row['series_id'],
+        'calendar_uid' => sessionEventUid($row['id']),
+        // Every status change or reschedule adds a history row, so its count serves as the event's SEQUENCE
+        'calendar_sequence' => intval($row['revisions']),
+        'rejection_reason' => $row['rejection_reason'],
+        'cancellation_policy' => [
+            'notice_hours' => intval($row['cancellation_notice_hours']),
+            'late_cancellation' => $row['late_cancellation']
+        ],
+        'cancelled_late' => (bool)$row['cancelled_late'],
+        'status_changed_by' => $row['status_changed_by'] !== null ? intval($row['status_changed_by']) : null,
+        'status_changed_at' => $row['status_changed_at'],
+        'message' => $row['student_message'],
+        'progress' => intval($row['progress']),
+        'tutor_notes' => $row['tutor_notes'],
+        'tutor_feedback' => $row['feedback_rating'] !== null ? [
+            'rating' => intval($row['feedback_rating']),
+            'strengths' => $row['feedback_strengths'],
+            'improvements' => $row['feedback_improvements'],
+            'notes' => $row['feedback_notes'],
+            'created_at' => $row['feedback_created_at']
+        ] : null,
+        'review' => $row['review_id'] !== null ? [
+            'id' => intval($row['review_id']),
+            'rating' => intval($row['review_rating']),
+            'criteria' => formatReviewCriteria($row, 'review_'),
+            'comment' => $row['review_comment'],
+            'created_at' => $row['review_created_at']
+        ] : null,
+        'payment' => $row['payment_id'] !== null ? formatPayment($row, 'payment_') : null,
+        'created_at' => $row['created_at'],
+        'updated_at' => $row['updated_at']
+    ];
+}
+
+/**
+ * Fetch a single session by ID
+ * @param mysqli $conn - Database connection
+ * @param int $sessionId - Session ID
+ * @return array|null Formatted session or null if not found
+ */
+function getSessionById($conn, $sessionId)
+{
+    $stmt = $conn->prepare(SESSION_SELECT . " WHERE s.id = ?");
+    $stmt->bind_param("i", $sessionId);
+    $stmt->execute();
+    $row = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+
+    return $row ? formatSession($row) : null;
+}
+
+/**
+ * Allowed session status transitions: current status => [next status => roles allowed].
+ * A no-show can only be marked once the session has started.
+ */
+define('SESSION_TRANSITIONS', [
+    'pending' => [
+        'confirmed' => ['tutor'],
+        'rejected' => ['tutor'],
+        'cancelled' => ['student', 'tutor']
+    ],
+    'confirmed' => [
+        'completed' => ['tutor'],
+        'cancelled' => ['student', 'tutor'],
+        'no_show' => ['tutor']
+    ]
+]);
+
+/**
+ * Cancellation policy a tutor sets in their settings, and every session
+ * keeps from when it was booked: how many hours' notice a student must give
+ * to cancel a confirmed session, and what happens when they give less.
+ * 'keep' lets them cancel but keeps any prepayment, 'refund' refunds it
+ * anyway, and 'block' only lets the tutor cancel.
+ */
+define('DEFAULT_CANCELLATION_NOTICE_HOURS', 24);
+define('MAX_CANCELLATION_NOTICE_HOURS', 168);
+define('LATE_CANCELLATION_OPTIONS', ['keep', 'refund', 'block']);
+
+/**
+ * Whether a student cancelling this session now would be a late cancellation:
+ * it was confirmed and starts in less than its notice period
+ * @param array $session - Formatted session
+ * @param string $actorRole - 'student' or 'tutor'
+ * @param int|null $now - Unix timestamp to judge the notice from (default now)
+ * @return bool True if late
+ */
+function isLateCancellation($session, $actorRole, $now = null)
+{
+    if ($actorRole !== 'student' || $session['status'] !== 'confirmed') {
+        return false;
+    }
+    $hoursLeft = (strtotime($session['starts_at']) - ($now ?? time())) / 3600;
+    return $hoursLeft < $session['cancellation_policy']['notice_hours'];
+}
+
+/**
+ * Why a transition is refused for this session right now, beyond what
+ * SESSION_TRANSITIONS allows, or null if it may go ahead
+ * @param array $session - Formatted session
+ * @param string $toStatus - Requested status
+ * @param string $actorRole - 'student' or 'tutor'
+ * @return string|null Message for the user
+ */
+function transitionBlockedReason($session, $toStatus, $actorRole)
+{
+    if ($toStatus === 'no_show' && strtotime($session['starts_at']) > time()) {
+        return 'A no-show can only be marked once the session has started';
+    }
+    if ($toStatus === 'cancelled' && $session['cancellation_policy']['late_cancellation'] === 'block' && isLateCancellation($session, $actorRole)) {
+        $hours = $session['cancellation_policy']['notice_hours'];
+        return "This session starts in less than {$hours} hours, so your tutor's policy does not allow cancelling it any more. Message your tutor or propose a new time instead.";
+    }
+    return null;
+}
+
+/**
+ * Move a session to a new status, enforcing SESSION_TRANSITIONS
+ *
+ * The update only applies if the session is still in the status it was read
+ * in, so a stale client cannot overwrite a transition made elsewhere.
+ *
+ * @param mysqli $conn - Database connection
+ * @param array $session - Session as returned by getSessionById()
+ * @param string $toStatus - Requested status
+ * @param int $actorId - User making the change
+ * @param string $actorRole - 'student' or 'tutor'
+ * @param string|null $reason - Reason (required when rejecting)
+ * @return array Updated session
+ */
+function transitionSession($conn, $session, $toStatus, $actorId, $actorRole, $reason = null)
+{
+    $fromStatus = $session['status'];
+    $allowed = SESSION_TRANSITIONS[$fromStatus] ?? [];
+
+    if (!isset($allowed[$toStatus])) {
+        sendError("Cannot change a {$fromStatus} session to {$toStatus}", 409);
+    }
+
+    if (!in_array($actorRole, $allowed[$toStatus])) {
+        sendError("Only the {$allowed[$toStatus][0]} can mark this session as {$toStatus}", 403);
+    }
+
+    if ($toStatus === 'rejected' && empty($reason)) {
+        sendError('A reason is required to reject a booking');
+    }
+
+    $blocked = transitionBlockedReason($session, $toStatus, $actorRole);
+    if ($blocked !== null) {
+        sendError($blocked, 409);
+    }
+
+    $rejectionReason = $toStatus === 'rejected' ? $reason : null;
+    $cancelledLate = $toStatus === 'cancelled' && isLateCancellation($session, $actorRole) ? 1 : 0;
+
+    $stmt = $conn->prepare("UPDATE sessions SET status = ?, rejection_reason = COALESCE(?, rejection_reason), cancelled_late = ?, status_changed_by = ?, status_changed_at = NOW() WHERE id = ? AND status = ?");
+    $stmt->bind_param("ssiiis", $toStatus, $rejectionReason, $cancelledLate, $actorId, $session['id'], $fromStatus);
+    $stmt->execute();
+    $changed = $stmt->affected_rows;
+    $stmt->close();
+
+    if ($changed === 0) {
+        sendError('This session was updated elsewhere. Please refresh and try again.', 409);
+    }
+
+    $stmt = $conn->prepare("INSERT INTO session_status_history (session_id, from_status, to_status, changed_by, reason) VALUES (?, ?, ?, ?, ?)");
+    $stmt->bind_param("issis", $session['id'], $fromStatus, $toStatus, $actorId, $reason);
+    $stmt->execute();
+    $stmt->close();
+
+    // An open reschedule proposal is moot once the status changes
+    $stmt = $conn->prepare("UPDATE reschedule_proposals SET status = 'withdrawn', responded_by = ?, responded_at = NOW() WHERE session_id = ? AND status = 'open'");
+    $stmt->bind_param("ii", $actorId, $session['id']);
+    $stmt->execute();
+    $stmt->close();
+
+    // Completed sessions count towards the tutor's total and go in their earnings ledger
+    $updated = getSessionById($conn, $session['id']);
+    if ($toStatus === 'completed') {
+        $stmt = $conn->prepare("UPDATE tutor_profiles SET total_sessions = total_sessions + 1 WHERE user_id = ?");
+        $stmt->bind_param("i", $session['tutor_id']);
+        $stmt->execute();
+        $stmt->close();
+
+        recordEarning($conn, $updated);
+    }
+
+    return $updated;
+}
+
+/**
+ * Get the status history of a session, oldest first
+ * @param mysqli $conn - Database connection
+ * @param int $sessionId - Session ID
+ * @return array History entries
+ */
+function getSessionHistory($conn, $sessionId)
+{
+    $stmt = $conn->prepare("SELECT h.from_status, h.to_status, h.changed_by, u.name AS changed_by_name, h.reason, h.created_at FROM session_status_history h INNER JOIN users u ON u.id = h.changed_by WHERE h.session_id = ? ORDER BY h.id ASC");
+    $stmt->bind_param("i", $sessionId);
+    $stmt->execute();
+    $result = $stmt->get_result();
+
+    $history = [];
+    while ($row = $result->fetch_assoc()) {
+        $row['changed_by'] = intval($row['changed_by']);
+        $history[] = $row;
+    }
+    $stmt->close();
+
+    return $history;
+}
+
+/**
+ * Repeat intervals for a session series, in days
+ */
+define('SERIES_FREQUENCIES', [
+    'weekly' => 7,
+    'biweekly' => 14
+]);
+
+// Longest series that can be booked at once (about six months of weekly sessions)
+define('MAX_SERIES_OCCURRENCES', 26);
+
+/**
+ * List the dates of a repeating booking, starting with the first session
+ * @param string $date - First session date (YYYY-MM-DD)
+ * @param string $frequency - 'weekly' or 'biweekly'
+ * @param int|null $count - Number of sessions, or null to repeat until $until
+ * @param string|null $until - Last possible date (YYYY-MM-DD)
+ * @return array Dates (YYYY-MM-DD), at most MAX_SERIES_OCCURRENCES
+ */
+function expandRecurrence($date, $frequency, $count = null, $until = null)
+{
+    $step = SERIES_FREQUENCIES[$frequency];
+    $limit = $count !== null ? min($count, MAX_SERIES_OCCURRENCES) : MAX_SERIES_OCCURRENCES;
+
+    $dates = [];
+    for ($i = 0; $i < $limit; $i++) {
+        $next = date('Y-m-d', strtotime("{$date} +" . ($i * $step) . " days"));
+        if ($until !== null && $next > $until) {
+            break;
+        }
+        $dates[] = $next;
+    }
+
+    return $dates;
+}
+
+/**
+ * Fetch the sessions of a series, oldest first
+ * @param mysqli $conn - Database connection
+ * @param string $seriesId - Series ID
+ * @param string|null $fromDate - Only sessions on or after this date (YYYY-MM-DD)
+ * @return array Formatted sessions
+ */
+function getSeriesSessions($conn, $seriesId, $fromDate = null)
+{
+    $from = $fromDate ?? '0000-00-00';
+
+    $stmt = $conn->prepare(SESSION_SELECT . " WHERE s.series_id = ? AND s.session_date >= ? ORDER BY s.session_date ASC, s.session_time ASC");
+    $stmt->bind_param("ss", $seriesId, $from);
+    $stmt->execute();
+    $result = $stmt->get_result();
+
+    $sessions = [];
+    while ($row = $result->fetch_assoc()) {
+        $sessions[] = formatSession($row);
+    }
+    $stmt->close();
+
+    return $sessions;
+}
+
+/**
+ * Move a session to a new date and time, recording the move in its status history
+ * @param mysqli $conn - Database connection
+ * @param array $session - Session as returned by getSessionById()
+ * @param string $date - New date (YYYY-MM-DD, tutor's time zone)
+ * @param string $time - New start time (HH:MM, tutor's time zone)
+ * @param string $toStatus - Status after the move
+ * @param int $actorId - User making the change
+ * @return array Updated session
+ */
+function rescheduleSession($conn, $session, $date, $time, $toStatus, $actorId)
+{
+    $fromStatus = $session['status'];
+    $reason = "Rescheduled from {$session['date']} {$session['time']} to {$date} {$time}";
+    $startsAt = gmdate('Y-m-d H:i:s', zonedTimestamp($date, $time, $session['tutor_timezone']));
+
+    $stmt = $conn->prepare("UPDATE sessions SET session_date = ?, session_time = ?, starts_at = ?, status = ?, status_changed_by = ?, status_changed_at = NOW() WHERE id = ? AND status = ?");
+    $stmt->bind_param("ssssiis", $date, $time, $startsAt, $toStatus, $actorId, $session['id'], $fromStatus);
+    $stmt->execute();
+    $changed = $stmt->affected_rows;
+    $stmt->close();
+
+    if ($changed === 0) {
+        sendError('This session was updated elsewhere. Please refresh and try again.', 409);
+    }
+
+    $stmt = $conn->prepare("INSERT INTO session_status_history (session_id, from_status, to_status, changed_by, reason) VALUES (?, ?, ?, ?, ?)");
+    $stmt->bind_param("issis", $session['id'], $fromStatus, $toStatus, $actorId, $reason);
+    $stmt->execute();
+    $stmt->close();
+
+    return getSessionById($conn, $session['id']);
+}
+
+/**
+ * Work out where a session goes when it is rescheduled
+ *
+ * With scope 'series' the later pending or confirmed sessions of its series
+ * move too, by the same number of days and to the same time.
+ *
+ * @param mysqli $conn - Database connection
+ * @param array $session - Session being moved
+ * @param string $date - Its new date (YYYY-MM-DD)
+ * @param string $time - New start time (HH:MM)
+ * @param string $scope - 'single' or 'series'
+ * @return array Moves [session, date, time]
+ */
+function planSessionMoves($conn, $session, $date, $time, $scope)
+{
+    if ($scope === 'single' || $session['series_id'] === null) {
+        return [['session' => $session, 'date' => $date, 'time' => $time]];
+    }
+
+    $shiftDays = intval(round((strtotime($date) - strtotime($session['date'])) / 86400));
+
+    $moves = [];
+    foreach (getSeriesSessions($conn, $session['series_id'], $session['date']) as $target) {
+        if (!in_array($target['status'], ['pending', 'confirmed'])) {
+            continue;
+        }
+        $moves[] = [
+            'session' => $target,
+            'date' => date('Y-m-d', strtotime($target['date'] . sprintf(' %+d days', $shiftDays))),
+            'time' => $time
+        ];
+    }
+
+    return $moves;
+}
+
+/**
+ * Check that every planned move lands on a free slot in the future
+ * (sends a 409 error naming the first problem otherwise)
+ * @param mysqli $conn - Database connection
+ * @param array $moves - Result of planSessionMoves()
+ * @param string $actorRole - 'student' or 'tutor', for the conflict message
+ * @param bool $checkHours - Also require the tutor's availability (times picked by the student)
+ */
+function checkSessionMoves($conn, $moves, $actorRole, $checkHours)
+{
+    $first = $moves[0]['session'];
+    $availability = $checkHours ? getTutorAvailability($conn, $first['tutor_id']) : null;
+
+    // The moved sessions' old slots do not count as taken
+    $movingIds = array_map(function ($move) {
+        return $move['session']['id'];
+    }, $moves);
+
+    foreach ($moves as $move) {
+        $minutes = parseDurationMinutes($move['session']['duration']);
+        $prefix = count($moves) > 1 ? 'Session on ' . date('D, M j', strtotime($move['date'])) . ': ' : '';
+
+        if (zonedTimestamp($move['date'], $move['time'], $first['tutor_timezone']) < time()) {
+            $conn->close();
+            sendError($prefix . 'Please choose a time in the future.', 409);
+        }
+
+        if ($availability !== null) {
+            $unavailable = checkAvailability($availability, $move['date'], $move['time'], $minutes);
+            if ($unavailable !== null) {
+                $conn->close();
+                sendError($prefix . $unavailable, 409);
+            }
+        }
+
+        $conflict = findSessionConflict($conn, $first['tutor_id'], $first['student_id'], $move['date'], $move['time'], $minutes, $movingIds);
+        if ($conflict !== null) {
+            $conn->close();
+            sendError($prefix . describeSessionConflict($conflict, $actorRole), 409, [
+                'conflict' => $conflict['who'],
+                'conflict_date' => $move['date'],
+                'suggestion' => $conflict['suggestion']
+            ]);
+        }
+    }
+}
+
+/**
+ * Columns selected for a reschedule proposal, with the proposer's name and role
+ * (proposed_date and proposed_time are in the tutor's time zone, like sessions)
+ */
+define('PROPOSAL_SELECT', "SELECT 
+    rp.id,
+    rp.session_id,
+    rp.proposed_by,
+    u.name AS proposed_by_name,
+    u.role AS proposed_by_role,
+    rp.proposed_date,
+    rp.proposed_time,
+    rp.scope,
+    rp.message,
+    rp.status,
+    rp.responded_by,
+    rp.response_message,
+    rp.responded_at,
+    rp.created_at,
+    tu.timezone AS tutor_timezone
+FROM reschedule_proposals rp
+INNER JOIN users u ON u.id = rp.proposed_by
+INNER JOIN sessions s ON s.id = rp.session_id
+INNER JOIN users tu ON tu.id = s.tutor_id");
+
+/**
+ * Convert a PROPOSAL_SELECT row into the proposal shape sent to clients
+ * @param array $row - Database row
+ * @return array Proposal data
+ */
+function formatProposal($row)
+{
+    return [
+        'id' => intval($row['id']),
+        'session_id' => intval($row['session_id']),
+        'proposed_by' => intval($row['proposed_by']),
+        'proposed_by_name' => $row['proposed_by_name'],
+        'proposed_by_role' => $row['proposed_by_role'],
+        'date' => $row['proposed_date'],
+        'time' => substr($row['proposed_time'], 0, 5),
+        'starts_at' => formatUtc(zonedTimestamp($row['proposed_date'], substr($row['proposed_time'], 0, 5), $row['tutor_timezone'] ?: APP_TIMEZONE)),
+        'scope' => $row['scope'],
+        'message' => $row['message'],
+        'status' => $row['status'],
+        'responded_by' => $row['responded_by'] !== null ? intval($row['responded_by']) : null,
+        'response_message' => $row['response_message'],
+        'responded_at' => $row['responded_at'],
+        'created_at' => $row['created_at']
+    ];
+}
+
+/**
+ * Fetch a single reschedule proposal by ID
+ * @param mysqli $conn - Database connection
+ * @param int $proposalId - Proposal ID
+ * @return array|null Formatted proposal or null if not found
+ */
+function getProposalById($conn, $proposalId)
+{
+    $stmt = $conn->prepare(PROPOSAL_SELECT . " WHERE rp.id = ?");
+    $stmt->bind_param("i", $proposalId);
+    $stmt->execute();
+    $row = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+
+    return $row ? formatProposal($row) : null;
+}
+
+/**
+ * Add each session's reschedule proposals, oldest first, as 'proposals'
+ * @param mysqli $conn - Database connection
+ * @param array $sessions - Formatted sessions
+ * @return array The same sessions with their negotiation history
+ */
+function attachProposals($conn, $sessions)
+{
+    if (empty($sessions)) {
+        return $sessions;
+    }
+
+    $ids = array_column($sessions, 'id');
+    $placeholders = implode(', ', array_fill(0, count($ids), '?'));
+
+    $stmt = $conn->prepare(PROPOSAL_SELECT . " WHERE rp.session_id IN ({$placeholders}) ORDER BY rp.id ASC");
+    $stmt->bind_param(str_repeat('i', count($ids)), ...$ids);
+    $stmt->execute();
+    $result = $stmt->get_result();
+
+    $bySession = [];
+    while ($row = $result->fetch_assoc()) {
+        $bySession[intval($row['session_id'])][] = formatProposal($row);
+    }
+    $stmt->close();
+
+    foreach ($sessions as $i => $session) {
+        $sessions[$i]['proposals'] = $bySession[$session['id']] ?? [];
+    }
+
+    return $sessions;
+}
+
+/**
+ * Columns selected for a progress update, joined with both participants' names
+ */
+define('PROGRESS_SELECT', "SELECT 
+    pu.id,
+    pu.tutor_id,
+    tu.name AS tutor_name,
+    pu.student_id,
+    st.name AS student_name,
+    pu.subject,
+    pu.progress,
+    pu.notes,
+    pu.session_id,
+    pu.created_at
+FROM progress_updates pu
+INNER JOIN users tu ON tu.id = pu.tutor_id
+INNER JOIN users st ON st.id = pu.student_id");
+
+/**
+ * Convert a PROGRESS_SELECT row into the shape sent to clients
+ * @param array $row - Database row
+ * @return array Progress update data
+ */
+function formatProgressUpdate($row)
+{
+    return [
+        'id' => intval($row['id']),
+        'tutor_id' => intval($row['tutor_id']),
+        'tutor_name' => $row['tutor_name'],
+        'student_id' => intval($row['student_id']),
+        'student_name' => $row['student_name'],
+        'subject' => $row['subject'],
+        'progress' => intval($row['progress']),
+        'notes' => $row['notes'],
+        'session_id' => $row['session_id'] !== null ? intval($row['session_id']) : null,
+        'created_at' => $row['created_at']
+    ];
+}
+
+/**
+ * Parts of a session a student can rate separately from the overall rating.
+ * Each is optional and stored in the feedback table's <criterion>_rating column.
+ */
+define('REVIEW_CRITERIA', ['clarity', 'patience', 'punctuality']);
+
+// Review comments are optional, but one that is given must be this long
+define('REVIEW_COMMENT_MIN', 10);
+define('REVIEW_COMMENT_MAX', 1000);
+
+/**
+ * Columns selected for a review, with the reviewer's name and the session's subject
+ */
+define('REVIEW_SELECT', "SELECT 
+    f.id,
+    f.session_id,
+    f.tutor_id,
+    f.rating,
+    f.clarity_rating,
+    f.patience_rating,
+    f.punctuality_rating,
+    f.comment,
+    f.created_at,
+    st.name AS student_name,
+    s.subject
+FROM feedback f
+INNER JOIN users st ON st.id = f.student_id
+INNER JOIN sessions s ON s.id = f.session_id");
+
+/**
+ * Convert a REVIEW_SELECT row into the public shape of a review. Reviews are
+ * shown to anyone browsing tutors, so the student appears by first name and
+ * last initial only.
+ * @param array $row - Database row
+ * @return array Review data
+ */
+function formatReview($row)
+{
+    $names = preg_split('/\s+/', trim($row['student_name']));
+    $reviewer = $names[0] . (count($names) > 1 ? ' ' . mb_substr(end($names), 0, 1) . '.' : '');
+
+    return [
+        'id' => intval($row['id']),
+        'session_id' => intval($row['session_id']),
+        'rating' => intval($row['rating']),
+        'criteria' => formatReviewCriteria($row),
+        'comment' => $row['comment'],
+        'subject' => $row['subject'],
+        'reviewer' => $reviewer,
+        'created_at' => $row['created_at']
+    ];
+}
+
+/**
+ * Pick the per-criterion ratings out of a row, keyed by criterion
+ * @param array $row - Database row
+ * @param string $prefix - Column prefix (e.g. 'review_' in SESSION_SELECT)
+ * @return array Criterion => rating (1-5), or null where the student skipped it
+ */
+function formatReviewCriteria($row, $prefix = '')
+{
+    $criteria = [];
+    foreach (REVIEW_CRITERIA as $criterion) {
+        $value = $row[$prefix . $criterion . '_rating'];
+        $criteria[$criterion] = $value !== null ? intval($value) : null;
+    }
+    return $criteria;
+}
+
+/**
+ * Recompute a tutor's rating and review count from their reviews and store
+ * them on the profile, where the tutor search filters and sorts by them
+ * @param mysqli $conn - Database connection
+ * @param int $tutorId - Tutor's user ID
+ * @return array ['rating' => float, 'review_count' => int]
+ */
+function refreshTutorRating($conn, $tutorId)
+{
+    $stmt = $conn->prepare("SELECT COUNT(*) AS review_count, COALESCE(AVG(rating), 0) AS rating FROM feedback WHERE tutor_id = ?");
+    $stmt->bind_param("i", $tutorId);
+    $stmt->execute();
+    $row = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+
+    $rating = round(floatval($row['rating']), 2);
+    $reviewCount = intval($row['review_count']);
+
+    $stmt = $conn->prepare("UPDATE tutor_profiles SET rating = ?, review_count = ? WHERE user_id = ?");
+    $stmt->bind_param("dii", $rating, $reviewCount, $tutorId);
+    $stmt->execute();
+    $stmt->close();
+
+    return ['rating' => $rating, 'review_count' => $reviewCount];
+}
+
+/**
+ * Count a tutor's reviews by number of stars
+ * @param mysqli $conn - Database connection
+ * @param int $tutorId - Tutor's user ID
+ * @return array Star rating (5 down to 1) => number of reviews
+ */
+function getRatingHistogram($conn, $tutorId)
+{
+    $histogram = [5 => 0, 4 => 0, 3 => 0, 2 => 0, 1 => 0];
+
+    $stmt = $conn->prepare("SELECT rating, COUNT(*) AS reviews FROM feedback WHERE tutor_id = ? GROUP BY rating");
+    $stmt->bind_param("i", $tutorId);
+    $stmt->execute();
+    $result = $stmt->get_result();
+    while ($row = $result->fetch_assoc()) {
+        $histogram[intval($row['rating'])] = intval($row['reviews']);
+    }
+    $stmt->close();
+
+    return $histogram;
+}
+
+/**
+ * What a session costs: its hourly rate times its length
+ * @param float|string|null $rate - Hourly rate stored on the session (null if the tutor had none)
+ * @param string $duration - Duration as entered, e.g. "1.5 hours"
+ * @return float Price, rounded to cents
+ */
+function sessionPrice($rate, $duration)
+{
+    return round(floatval($rate) * parseDurationMinutes($duration) / 60, 2);
+}
+
+/**
+ * Convert a payments row into the public shape of a payment. Card details
+ * are limited to the brand and last four digits, which is all that is stored.
+ * @param array $row - Database row
+ * @param string $prefix - Column prefix (e.g. 'payment_' in SESSION_SELECT)
+ * @return array Payment data
+ */
+function formatPayment($row, $prefix = '')
+{
+    return [
+        'id' => intval($row[$prefix . 'id']),
+        'amount' => floatval($row[$prefix . 'amount']),
+        'currency' => $row[$prefix . 'currency'],
+        'status' => $row[$prefix . 'status'],
+        'card_brand' => $row[$prefix . 'card_brand'],
+        'card_last4' => $row[$prefix . 'card_last4'],
+        'receipt_number' => $row[$prefix . 'receipt_number'],
+        'refunded_amount' => $row[$prefix . 'refunded_amount'] !== null ? floatval($row[$prefix . 'refunded_amount']) : null,
+        'paid_at' => $row[$prefix . 'paid_at'] !== null ? formatUtc(strtotime($row[$prefix . 'paid_at'])) : null,
+        'refunded_at' => $row[$prefix . 'refunded_at'] !== null ? formatUtc(strtotime($row[$prefix . 'refunded_at'])) : null,
+        // Owed back, but the driver turned the refund down; cron/retry_refunds.php tries again
+        'refund_pending' => $row[$prefix . 'refund_due_at'] !== null
+    ];
+}
+
+/**
+ * Record what a tutor earned for a completed session. The amount is the
+ * hourly rate stored on the session when it was booked times its length, so
+ * changing the rate later never alters past earnings. A session is recorded
+ * once; calling this again does nothing.
+ * @param mysqli $conn - Database connection
+ * @param array $session - Formatted completed session
+ */
+function recordEarning($conn, $session)
+{
+    $rate = $session['rate'] ?? 0.0;
+    $minutes = parseDurationMinutes($session['duration']);
+    $amount = $session['price'];
+    $sessionAt = gmdate('Y-m-d H:i:s', strtotime($session['starts_at']));
+
+    $stmt = $conn->prepare("INSERT IGNORE INTO earnings (session_id, tutor_id, student_id, rate, minutes, amount, session_at) VALUES (?, ?, ?, ?, ?, ?, ?)");
+    $stmt->bind_param("iiidids", $session['id'], $session['tutor_id'], $session['student_id'], $rate, $minutes, $amount, $sessionAt);
+    $stmt->execute();
+    $stmt->close();
+}
+
+/**
+ * Add any of a tutor's completed sessions that are missing from the ledger,
+ * such as those completed before it existed
+ * @param mysqli $conn - Database connection
+ * @param int $tutorId - Tutor's user ID
+ */
+function recordMissingEarnings($conn, $tutorId)
+{
+    $stmt = $conn->prepare(SESSION_SELECT . " WHERE s.tutor_id = ? AND s.status = 'completed' AND NOT EXISTS (SELECT 1 FROM earnings e WHERE e.session_id = s.id)");
+    $stmt->bind_param("i", $tutorId);
+    $stmt->execute();
+    $result = $stmt->get_result();
+    $sessions = [];
+    while ($row = $result->fetch_assoc()) {
+        $sessions[] = formatSession($row);
+    }
+    $stmt->close();
+
+    foreach ($sessions as $session) {
+        recordEarning($conn, $session);
+    }
+}
+
+/**
+ * Total a tutor's earnings for sessions held from $from up to (not including) $to
+ * @param mysqli $conn - Database connection
+ * @param int $tutorId - Tutor's user ID
+ * @param string|null $from - Start (UTC, 'Y-m-d H:i:s'), or null for all time
+ * @param string|null $to - End (UTC), or null for no end
+ * @return array ['sessions' => int, 'minutes' => int, 'amount' => float]
+ */
+function sumEarnings($conn, $tutorId, $from = null, $to = null)
+{
+    $from = $from ?? '1000-01-01 00:00:00';
+    $to = $to ?? '9999-12-31 23:59:59';
+
+    $stmt = $conn->prepare("SELECT COUNT(*) AS sessions, COALESCE(SUM(minutes), 0) AS minutes, COALESCE(SUM(amount), 0) AS amount FROM earnings WHERE tutor_id = ? AND session_at >= ? AND session_at < ?");
+    $stmt->bind_param("iss", $tutorId, $from, $to);
+    $stmt->execute();
+    $row = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+
+    return [
+        'sessions' => intval($row['sessions']),
+        'minutes' => intval($row['minutes']),
+        'amount' => round(floatval($row['amount']), 2)
+    ];
+}
+
+/**
+ * Columns selected for an earnings ledger entry, with the session it pays for
+ */
+define('EARNING_SELECT', "SELECT 
+    e.id,
+    e.session_id,
+    e.rate,
+    e.minutes,
+    e.amount,
+    e.session_at,
+    s.subject,
+    s.topic,
+    s.session_date,
+    s.session_time,
+    s.duration,
+    st.name AS student_name
+FROM earnings e
+INNER JOIN sessions s ON s.id = e.session_id
+INNER JOIN users st ON st.id = e.student_id");
+
+/**
+ * Convert an EARNING_SELECT row into the public shape of a ledger entry.
+ * date and time are the tutor's wall-clock time, as on the session.
+ * @param array $row - Database row
+ * @return array Entry data
+ */
+function formatEarning($row)
+{
+    return [
+        'id' => intval($row['id']),
+        'session_id' => intval($row['session_id']),
+        'student_name' => $row['student_name'],
+        'subject' => $row['subject'],
+        'topic' => $row['topic'],
+        'date' => $row['session_date'],
+        'time' => substr($row['session_time'], 0, 5),
+        'starts_at' => formatUtc(strtotime($row['session_at'])),
+        'duration' => $row['duration'],
+        'minutes' => intval($row['minutes']),
+        'rate' => floatval($row['rate']),
+        'amount' => floatval($row['amount'])
+    ];
+}
+
+/**
+ * Columns selected for a doubt, joined with both participants' names.
+ * question is the thread's first message.
+ */
+define('DOUBT_SELECT', "SELECT 
+    d.id,
+    d.student_id,
+    st.name AS student_name,
+    d.tutor_id,
+    tu.name AS tutor_name,
+    d.subject,
+    (SELECT dm.body FROM doubt_messages dm WHERE dm.doubt_id = d.id ORDER BY dm.id ASC LIMIT 1) AS question,
+    d.urgency,
+    d.status,
+    d.last_message_at,
+    d.resolved_at,
+    d.created_at
+FROM doubts d
+INNER JOIN users st ON st.id = d.student_id
+INNER JOIN users tu ON tu.id = d.tutor_id");
+
+/**
+ * Convert a DOUBT_SELECT row into the shape sent to clients
+ * @param array $row - Database row
+ * @return array Doubt data
+ */
+function formatDoubt($row)
+{
+    return [
+        'id' => intval($row['id']),
+        'student_id' => intval($row['student_id']),
+        'student_name' => $row['student_name'],
+        'tutor_id' => intval($row['tutor_id']),
+        'tutor_name' => $row['tutor_name'],
+        'subject' => $row['subject'],
+        'question' => $row['question'],
+        'urgency' => $row['urgency'],
+        'status' => $row['status'],
+        'last_message_at' => $row['last_message_at'],
+        'resolved_at' => $row['resolved_at'],
+        'created_at' => $row['created_at']
+    ];
+}
+
+/**
+ * Fetch a single doubt by ID, with its messages
+ * @param mysqli $conn - Database connection
+ * @param int $doubtId - Doubt ID
+ * @return array|null Formatted doubt or null if not found
+ */
+function getDoubtById($conn, $doubtId)
+{
+    $stmt = $conn->prepare(DOUBT_SELECT . " WHERE d.id = ?");
+    $stmt->bind_param("i", $doubtId);
+    $stmt->execute();
+    $row = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+
+    return $row ? attachDoubtMessages($conn, [formatDoubt($row)])[0] : null;
+}
+
+// Authors can edit a message for this many minutes after posting it
+define('DOUBT_EDIT_MINUTES', 15);
+
+/**
+ * Columns selected for a doubt message, joined with its author
+ */
+define('DOUBT_MESSAGE_SELECT', "SELECT 
+    dm.id,
+    dm.doubt_id,
+    dm.author_id,
+    u.name AS author_name,
+    u.role AS author_role,
+    dm.body,
+    dm.edited_at,
+    dm.created_at
+FROM doubt_messages dm
+INNER JOIN users u ON u.id = dm.author_id");
+
+/**
+ * Convert a DOUBT_MESSAGE_SELECT row into the shape sent to clients
+ * @param array $row - Database row
+ * @return array Message data; editable_until is when the edit window closes (UTC)
+ */
+function formatDoubtMessage($row)
+{
+    return [
+        'id' => intval($row['id']),
+        'doubt_id' => intval($row['doubt_id']),
+        'author_id' => intval($row['author_id']),
+        'author_name' => $row['author_name'],
+        'author_role' => $row['author_role'],
+        'body' => $row['body'],
+        'edited_at' => $row['edited_at'],
+        'editable_until' => formatUtc(strtotime($row['created_at']) + DOUBT_EDIT_MINUTES * 60),
+        'created_at' => $row['created_at']
+    ];
+}
+
+/**
+ * Fetch a single doubt message by ID
+ * @param mysqli $conn - Database connection
+ * @param int $messageId - Message ID
+ * @return array|null Formatted message or null if not found
+ */
+function getDoubtMessageById($conn, $messageId)
+{
+    $stmt = $conn->prepare(DOUBT_MESSAGE_SELECT . " WHERE dm.id = ?");
+    $stmt->bind_param("i", $messageId);
+    $stmt->execute();
+    $row = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+
+    return $row ? formatDoubtMessage($row) : null;
+}
+
+/**
+ * Add each doubt's messages, oldest first and with their attachments, under 'messages'
+ * @param mysqli $conn - Database connection
+ * @param array $doubts - Formatted doubts
+ * @return array The doubts with messages attached
+ */
+function attachDoubtMessages($conn, $doubts)
+{
+    if (empty($doubts)) {
+        return $doubts;
+    }
+
+    $ids = array_column($doubts, 'id');
+    $placeholders = implode(', ', array_fill(0, count($ids), '?'));
+
+    $stmt = $conn->prepare(DOUBT_MESSAGE_SELECT . " WHERE dm.doubt_id IN ({$placeholders}) ORDER BY dm.id ASC");
+    $stmt->bind_param(str_repeat('i', count($ids)), ...$ids);
+    $stmt->execute();
+    $result = $stmt->get_result();
+
+    $messages = [];
+    while ($row = $result->fetch_assoc()) {
+        $messages[] = formatDoubtMessage($row);
+    }
+    $stmt->close();
+
+    $byDoubt = [];
+    foreach (attachFiles($conn, $messages, 'doubt_message_id') as $message) {
+        $byDoubt[$message['doubt_id']][] = $message;
+    }
+
+    foreach ($doubts as $i => $doubt) {
+        $doubts[$i]['messages'] = $byDoubt[$doubt['id']] ?? [];
+    }
+
+    return $doubts;
+}
+
+/**
+ * Post a message to a doubt and move it to the status that follows
+ * @param mysqli $conn - Database connection
+ * @param int $doubtId - Doubt ID
+ * @param int $authorId - Student or tutor writing it
+ * @param string $body - Message text
+ * @param string $status - 'open' after the student writes, 'answered' after the tutor
+ * @return int Message ID
+ */
+function addDoubtMessage($conn, $doubtId, $authorId, $body, $status)
+{
+    $stmt = $conn->prepare("INSERT INTO doubt_messages (doubt_id, author_id, body) VALUES (?, ?, ?)");
+    $stmt->bind_param("iis", $doubtId, $authorId, $body);
+    $stmt->execute();
+    $messageId = $stmt->insert_id;
+    $stmt->close();
+
+    $stmt = $conn->prepare("UPDATE doubts SET status = ?, last_message_at = NOW(), resolved_at = NULL WHERE id = ?");
+    $stmt->bind_param("si", $status, $doubtId);
+    $stmt->execute();
+    $stmt->close();
+
+    return $messageId;
+}
+
+// Open slots start on the half hour; conflicts suggest a slot up to two weeks ahead
+define('SLOT_STEP_MINUTES', 30);
+define('SLOT_SEARCH_DAYS', 14);
+
+/**
+ * Weekly hours used for tutors who have not set their own availability
+ * (Monday to Saturday, 09:00 to 18:00; day 0 = Sunday as in JavaScript)
+ */
+define('DEFAULT_AVAILABILITY', [
+    ['day' => 1, 'start' => '09:00', 'end' => '18:00'],
+    ['day' => 2, 'start' => '09:00', 'end' => '18:00'],
+    ['day' => 3, 'start' => '09:00', 'end' => '18:00'],
+    ['day' => 4, 'start' => '09:00', 'end' => '18:00'],
+    ['day' => 5, 'start' => '09:00', 'end' => '18:00'],
+    ['day' => 6, 'start' => '09:00', 'end' => '18:00']
+]);
+
+/**
+ * Convert a duration string such as "1.5 hours" or "45 minutes" to minutes
+ * (mirrors parseDurationHours() in js/app.js)
+ * @param string $duration - Duration as entered at booking time
+ * @return int Minutes (0 if unparseable)
+ */
+function parseDurationMinutes($duration)
+{
+    preg_match_all('/(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|m|mins?|minutes?)?\b/i', (string)$duration, $matches, PREG_SET_ORDER);
+
+    $minutes = 0;
+    foreach ($matches as $match) {
+        $unit = strtolower($match[2] ?? '');
+        $minutes += ($unit !== '' && $unit[0] === 'm') ? floatval($match[1]) : floatval($match[1]) * 60;
+    }
+
+    return intval(round($minutes));
+}
+
+/**
+ * Convert 'HH:MM' (or 'HH:MM:SS') to minutes since midnight
+ * @param string $time - Time of day
+ * @return int Minutes
+ */
+function timeToMinutes($time)
+{
+    [$hours, $minutes] = array_map('intval', explode(':', $time));
+    return $hours * 60 + $minutes;
+}
+
+/**
+ * Load a tutor's weekly windows and upcoming blackout dates
+ * @param mysqli $conn - Database connection
+ * @param int $tutorId - Tutor user ID
+ * @return array windows, blackouts, is_default (true when the tutor has set none)
+ *               and timezone, the zone the windows and dates are in
+ */
+function getTutorAvailability($conn, $tutorId)
+{
+    $stmt = $conn->prepare("SELECT day_of_week, start_time, end_time FROM tutor_availability WHERE tutor_id = ? ORDER BY day_of_week, start_time");
+    $stmt->bind_param("i", $tutorId);
+    $stmt->execute();
+    $result = $stmt->get_result();
+
+    $windows = [];
+    while ($row = $result->fetch_assoc()) {
+        $windows[] = [
+            'day' => intval($row['day_of_week']),
+            'start' => substr($row['start_time'], 0, 5),
+            'end' => substr($row['end_time'], 0, 5)
+        ];
+    }
+    $stmt->close();
+
+    $stmt = $conn->prepare("SELECT blackout_date, reason FROM tutor_blackouts WHERE tutor_id = ? AND blackout_date >= CURDATE() ORDER BY blackout_date");
+    $stmt->bind_param("i", $tutorId);
+    $stmt->execute();
+    $result = $stmt->get_result();
+
+    $blackouts = [];
+    while ($row = $result->fetch_assoc()) {
+        $blackouts[] = ['date' => $row['blackout_date'], 'reason' => $row['reason']];
+    }
+    $stmt->close();
+
+    $isDefault = empty($windows);
+
+    return [
+        'windows' => $isDefault ? DEFAULT_AVAILABILITY : $windows,
+        'blackouts' => $blackouts,
+        'is_default' => $isDefault,
+        'timezone' => getUserTimezone($conn, $tutorId)
+    ];
+}
+
+/**
+ * Check that a session fits entirely inside one of the tutor's windows
+ * @param array $availability - Result of getTutorAvailability()
+ * @param string $date - Session date (YYYY-MM-DD)
+ * @param string $time - Start time (HH:MM)
+ * @param int $minutes - Session length in minutes
+ * @return string|null Why the time is unavailable, or null if it is open
+ */
+function checkAvailability($availability, $date, $time, $minutes)
+{
+    foreach ($availability['blackouts'] as $blackout) {
+        if ($blackout['date'] === $date) {
+            return 'The tutor is not available on this date.';
+        }
+    }
+
+    $day = intval(date('w', strtotime($date)));
+    $start = timeToMinutes($time);
+    $end = $start + $minutes;
+
+    foreach ($availability['windows'] as $window) {
+        if ($window['day'] === $day && $start >= timeToMinutes($window['start']) && $end <= timeToMinutes($window['end'])) {
+            return null;
+        }
+    }
+
+    return 'This time is outside the tutor\'s availability. Please pick one of the open slots.';
+}
+
+/**
+ * Get the pending and confirmed sessions of a tutor or student that touch a date range
+ * @param mysqli $conn - Database connection
+ * @param string $column - 'tutor_id' or 'student_id'
+ * @param int $userId - User ID
+ * @param string $fromDate - First date (YYYY-MM-DD)
+ * @param string $toDate - Last date (YYYY-MM-DD)
+ * @param array $excludeSessionIds - Sessions to leave out (e.g. the ones being moved)
+ * @return array Intervals [id, start, end] as Unix timestamps, ordered by start
+ */
+function getBusyIntervals($conn, $column, $userId, $fromDate, $toDate, $excludeSessionIds = [])
+{
+    if (!in_array($column, ['tutor_id', 'student_id'], true)) {
+        throw new InvalidArgumentException("Unknown column {$column}");
+    }
+
+    // Widen by a day each side: the dates are local to someone, starts_at is UTC,
+    // and sessions running past midnight still count
+    $from = date('Y-m-d 00:00:00', strtotime("{$fromDate} -1 day"));
+    $to = date('Y-m-d 23:59:59', strtotime("{$toDate} +1 day"));
+
+    $stmt = $conn->prepare("SELECT id, starts_at, duration FROM sessions WHERE {$column} = ? AND status IN ('pending', 'confirmed') AND starts_at BETWEEN ? AND ? ORDER BY starts_at");
+    $stmt->bind_param("iss", $userId, $from, $to);
+    $stmt->execute();
+    $result = $stmt->get_result();
+
+    $intervals = [];
+    while ($row = $result->fetch_assoc()) {
+        if (in_array(intval($row['id']), $excludeSessionIds, true)) {
+            continue;
+        }
+
+        $start = strtotime($row['starts_at']);
+        $intervals[] = [
+            'id' => intval($row['id']),
+            'start' => $start,
+            'end' => $start + parseDurationMinutes($row['duration']) * 60
+        ];
+    }
+    $stmt->close();
+
+    return $intervals;
+}
+
+/**
+ * Find a busy interval that overlaps [start, end)
+ * @param array $intervals - Result of getBusyIntervals()
+ * @param int $start - Unix timestamp
+ * @param int $end - Unix timestamp
+ * @return array|null The first overlapping interval
+ */
+function findOverlap($intervals, $start, $end)
+{
+    foreach ($intervals as $interval) {
+        if ($start < $interval['end'] && $end > $interval['start']) {
+            return $interval;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check a proposed session against both participants' other sessions
+ * @param mysqli $conn - Database connection
+ * @param int $tutorId - Tutor user ID
+ * @param int $studentId - Student user ID
+ * @param string $date - Session date (YYYY-MM-DD, tutor's time zone)
+ * @param string $time - Start time (HH:MM, tutor's time zone)
+ * @param int $minutes - Session length in minutes
+ * @param array $excludeSessionIds - Sessions to leave out (e.g. the ones being moved)
+ * @return array|null ['who' => 'tutor'|'student', 'suggestion' => ['date', 'time', 'starts_at', 'timezone']|null], or null when free
+ */
+function findSessionConflict($conn, $tutorId, $studentId, $date, $time, $minutes, $excludeSessionIds = [])
+{
+    $availability = getTutorAvailability($conn, $tutorId);
+    $start = zonedTimestamp($date, $time, $availability['timezone']);
+    $end = $start + $minutes * 60;
+
+    // Load enough of the calendar to suggest a free slot too
+    $until = date('Y-m-d', strtotime("{$date} +" . SLOT_SEARCH_DAYS . " days"));
+    $tutorBusy = getBusyIntervals($conn, 'tutor_id', $tutorId, $date, $until, $excludeSessionIds);
+    $studentBusy = getBusyIntervals($conn, 'student_id', $studentId, $date, $until, $excludeSessionIds);
+
+    if (findOverlap($tutorBusy, $start, $end) !== null) {
+        $who = 'tutor';
+    } elseif (findOverlap($studentBusy, $start, $end) !== null) {
+        $who = 'student';
+    } else {
+        return null;
+    }
+
+    return [
+        'who' => $who,
+        'suggestion' => findNextFreeSlot($availability, array_merge($tutorBusy, $studentBusy), $date, $time, $minutes)
+    ];
+}
+
+/**
+ * Find the first open start time after a given one, inside the tutor's
+ * windows and clear of every busy interval
+ * @param array $availability - Result of getTutorAvailability()
+ * @param array $busy - Busy intervals (see getBusyIntervals())
+ * @param string $date - Date to start searching from (YYYY-MM-DD, tutor's time zone)
+ * @param string $time - Search strictly after this time (HH:MM, tutor's time zone)
+ * @param int $minutes - Session length in minutes
+ * @return array|null ['date', 'time', 'starts_at', 'timezone'] or null when nothing is free within SLOT_SEARCH_DAYS
+ */
+function findNextFreeSlot($availability, $busy, $date, $time, $minutes)
+{
+    $timezone = $availability['timezone'];
+    $after = max(zonedTimestamp($date, $time, $timezone), time());
+
+    for ($i = 0; $i <= SLOT_SEARCH_DAYS; $i++) {
+        $day = date('Y-m-d', strtotime("{$date} +{$i} days"));
+        $weekday = intval(date('w', strtotime($day)));
+
+        if (in_array($day, array_column($availability['blackouts'], 'date'), true)) {
+            continue;
+        }
+
+        foreach ($availability['windows'] as $window) {
+            if ($window['day'] !== $weekday) {
+                continue;
+            }
+
+            $windowEnd = timeToMinutes($window['end']);
+            for ($slot = timeToMinutes($window['start']); $slot + $minutes <= $windowEnd; $slot += SLOT_STEP_MINUTES) {
+                $slotTime = sprintf('%02d:%02d', intdiv($slot, 60), $slot % 60);
+                $start = zonedTimestamp($day, $slotTime, $timezone);
+                if ($start > $after && findOverlap($busy, $start, $start + $minutes * 60) === null) {
+                    return ['date' => $day, 'time' => $slotTime, 'starts_at' => formatUtc($start), 'timezone' => $timezone];
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Describe a booking conflict for the person making the booking
+ * @param array $conflict - Result of findSessionConflict()
+ * @param string $bookedBy - 'student' or 'tutor'
+ * @return string Message suggesting the next free slot
  */
-function getDbConnection()
+function describeSessionConflict($conflict, $bookedBy)
 {
-    $conn = new mysqli(DB_HOST, DB_USER, DB_PASS, DB_NAME);
+    if ($conflict['who'] === $bookedBy) {
+        $message = 'You already have a session at this time.';
+    } else {
+        $message = $conflict['who'] === 'tutor'
+            ? 'The tutor already has a session at this time.'
+            : 'The student already has a session at this time.';
+    }
 
-    // Check connection
-    if ($conn->connect_error) {
-        sendError('Database connection failed: ' . $conn->connect_error, 500);
+    if ($conflict['suggestion'] !== null) {
+        $suggestion = $conflict['suggestion'];
+        $when = strtotime("{$suggestion['date']} {$suggestion['time']}");
+        // Slots are in the tutor's time zone; say so to students
+        $zone = $bookedBy === 'student' ? " ({$suggestion['timezone']} time)" : '';
+        $message .= ' The next free slot is ' . date('D, M j \a\t g:i A', $when) . $zone . '.';
+    } else {
+        $message .= ' Please choose a different time.';
     }
 
-    // Set charset to utf8mb4 for full unicode support
-    $conn->set_charset('utf8mb4');
+    return $message;
+}
 
-    return $conn;
+// Uploadable attachment types (as sniffed from the file contents) and their extensions
+define('ATTACHMENT_TYPES', [
+    'image/jpeg' => 'jpg',
+    'image/png' => 'png',
+    'image/gif' => 'gif',
+    'image/webp' => 'webp',
+    'application/pdf' => 'pdf'
+]);
+define('MAX_ATTACHMENT_BYTES', 5 * 1024 * 1024);
+define('MAX_ATTACHMENTS', 5); // per booking request or doubt message
+// Uploads not yet sent with anything: at most this many per user, and
+// cron/clean_attachments.php deletes them once they are this old
+define('MAX_UNATTACHED_UPLOADS', 10);
+define('UNATTACHED_UPLOAD_HOURS', 24);
+
+/**
+ * Convert an attachments row into the shape sent to clients
+ * @param array $row - Database row
+ * @return array Attachment data (the file itself comes from get_attachment.php)
+ */
+function formatAttachment($row)
+{
+    return [
+        'id' => intval($row['id']),
+        'name' => $row['original_name'],
+        'mime_type' => $row['mime_type'],
+        'size' => intval($row['size_bytes']),
+        'is_image' => strpos($row['mime_type'], 'image/') === 0,
+        'created_at' => $row['created_at']
+    ];
 }
 
 /**
- * Send JSON success response
- * @param mixed $data - Data to send
- * @param int $code - HTTP status code
+ * Where an attachment's file is kept
+ * @param string $storageKey - attachments.storage_key
+ * @return string Absolute path under STORAGE_DIR
  */
-function sendSuccess($data, $code = 200)
+function getAttachmentPath($storageKey)
 {
-    http_response_code($code);
-    echo json_encode([
-        'success' => true,
-        'data' => $data
-    ]);
-    exit();
+    return STORAGE_DIR . '/attachments/' . $storageKey;
 }
 
 /**
- * Send JSON error response
- * @param string $message - Error message
- * @param int $code - HTTP status code
+ * Read and check the attachment_ids sent with a booking request or message
+ *
+ * Each must be an upload of this user's that is not attached to anything
+ * yet. Ends the request with an error otherwise.
+ *
+ * @param mysqli $conn - Database connection
+ * @param object $data - Request body
+ * @param int $userId - Logged-in user
+ * @return int[] Attachment IDs, possibly empty
  */
-function sendError($message, $code = 400)
+function requireOwnAttachments($conn, $data, $userId)
 {
-    http_response_code($code);
-    echo json_encode([
-        'success' => false,
-        'message' => $message
-    ]);
-    exit();
+    if (empty($data->attachment_ids)) {
+        return [];
+    }
+
+    if (!is_array($data->attachment_ids)) {
+        $conn->close();
+        sendError('attachment_ids must be a list');
+    }
+
+    $ids = array_values(array_unique(array_map('intval', $data->attachment_ids)));
+
+    if (count($ids) > MAX_ATTACHMENTS) {
+        $conn->close();
+        sendError('You can attach up to ' . MAX_ATTACHMENTS . ' files');
+    }
+
+    $placeholders = implode(', ', array_fill(0, count($ids), '?'));
+    $stmt = $conn->prepare("SELECT COUNT(*) AS found FROM attachments WHERE uploader_id = ? AND session_id IS NULL AND doubt_message_id IS NULL AND id IN ({$placeholders})");
+    $stmt->bind_param('i' . str_repeat('i', count($ids)), $userId, ...$ids);
+    $stmt->execute();
+    $found = intval($stmt->get_result()->fetch_assoc()['found']);
+    $stmt->close();
+
+    if ($found !== count($ids)) {
+        $conn->close();
+        sendError('An attachment was not found or is already in use. Please upload it again.', 400, ['field' => 'attachments']);
+    }
+
+    return $ids;
 }
 
 /**
- * Get JSON input from request body
- * @return object Decoded JSON object
+ * Attach uploads (checked with requireOwnAttachments()) to a session or doubt message
+ * @param mysqli $conn - Database connection
+ * @param int[] $ids - Attachment IDs
+ * @param string $column - 'session_id' or 'doubt_message_id'
+ * @param int $targetId - The session or message
  */
-function getJsonInput()
+function linkAttachments($conn, $ids, $column, $targetId)
 {
-    $input = file_get_contents('php://input');
-    $data = json_decode($input);
+    if (empty($ids)) {
+        return;
+    }
 
-    if (json_last_error() !== JSON_ERROR_NONE) {
-        sendError('Invalid JSON input', 400);
+    $placeholders = implode(', ', array_fill(0, count($ids), '?'));
+    $stmt = $conn->prepare("UPDATE attachments SET {$column} = ? WHERE id IN ({$placeholders})");
+    $stmt->bind_param('i' . str_repeat('i', count($ids)), $targetId, ...$ids);
+    $stmt->execute();
+    $stmt->close();
+}
+
+/**
+ * Add each item's attachments, oldest first, under 'attachments'
+ * @param mysqli $conn - Database connection
+ * @param array $items - Formatted sessions or doubt messages
+ * @param string $column - 'session_id' or 'doubt_message_id'
+ * @return array The items with attachments
+ */
+function attachFiles($conn, $items, $column)
+{
+    if (empty($items)) {
+        return $items;
     }
 
-    return $data;
+    $ids = array_column($items, 'id');
+    $placeholders = implode(', ', array_fill(0, count($ids), '?'));
+
+    $stmt = $conn->prepare("SELECT id, {$column} AS owner_id, original_name, mime_type, size_bytes, created_at FROM attachments WHERE {$column} IN ({$placeholders}) ORDER BY id ASC");
+    $stmt->bind_param(str_repeat('i', count($ids)), ...$ids);
+    $stmt->execute();
+    $result = $stmt->get_result();
+
+    $byOwner = [];
+    while ($row = $result->fetch_assoc()) {
+        $byOwner[intval($row['owner_id'])][] = formatAttachment($row);
+    }
+    $stmt->close();
+
+    foreach ($items as $i => $item) {
+        $items[$i]['attachments'] = $byOwner[$item['id']] ?? [];
+    }
+
+    return $items;
 }
 
 /**
- * Sanitize string input
+ * Add a notification to a user's inbox
  * @param mysqli $conn - Database connection
- * @param string $input - Input to sanitize
- * @return string Sanitized input
+ * @param int $userId - Recipient
+ * @param string $type - Event, e.g. 'session_confirmed' or 'doubt_replied'
+ * @param string $title - One-line summary
+ * @param string|null $body - More detail
+ * @param array $links - What it is about: ['session_id' => id] and/or ['doubt_id' => id]
+ * @param int|null $actorId - User whose action caused it
+ * @return int Notification ID
  */
-function sanitize($conn, $input)
+function createNotification($conn, $userId, $type, $title, $body = null, $links = [], $actorId = null)
 {
-    return $conn->real_escape_string(trim($input));
+    $sessionId = $links['session_id'] ?? null;
+    $doubtId = $links['doubt_id'] ?? null;
+
+    $stmt = $conn->prepare("INSERT INTO notifications (user_id, actor_id, type, title, body, session_id, doubt_id) VALUES (?, ?, ?, ?, ?, ?, ?)");
+    $stmt->bind_param("iisssii", $userId, $actorId, $type, $title, $body, $sessionId, $doubtId);
+    $stmt->execute();
+    $notificationId = $stmt->insert_id;
+    $stmt->close();
+
+    return $notificationId;
 }
 
 /**
- * Validate email format
- * @param string $email - Email to validate
- * @return bool True if valid
+ * Convert a notifications row into the shape sent to clients
+ * @param array $row - Database row (joined with the actor's name)
+ * @return array Notification data
  */
-function isValidEmail($email)
+function formatNotification($row)
 {
-    return filter_var($email, FILTER_VALIDATE_EMAIL) !== false;
+    return [
+        'id' => intval($row['id']),
+        'type' => $row['type'],
+        'title' => $row['title'],
+        'body' => $row['body'],
+        'actor_id' => $row['actor_id'] !== null ? intval($row['actor_id']) : null,
+        'actor_name' => $row['actor_name'],
+        'session_id' => $row['session_id'] !== null ? intval($row['session_id']) : null,
+        'doubt_id' => $row['doubt_id'] !== null ? intval($row['doubt_id']) : null,
+        'read' => $row['read_at'] !== null,
+        'read_at' => $row['read_at'],
+        'created_at' => $row['created_at']
+    ];
 }
 
 /**
- * Hash password securely
- * @param string $password - Plain password
- * @return string Hashed password
+ * Count a user's unread notifications
+ * @param mysqli $conn - Database connection
+ * @param int $userId - User ID
+ * @return int Unread count
  */
-function hashPassword($password)
+function countUnreadNotifications($conn, $userId)
 {
-    return password_hash($password, PASSWORD_DEFAULT);
+    $stmt = $conn->prepare("SELECT COUNT(*) AS unread FROM notifications WHERE user_id = ? AND read_at IS NULL");
+    $stmt->bind_param("i", $userId);
+    $stmt->execute();
+    $unread = intval($stmt->get_result()->fetch_assoc()['unread']);
+    $stmt->close();
+
+    return $unread;
 }
 
 /**
- * Verify password against hash
- * @param string $password - Plain password
- * @param string $hash - Hashed password
- * @return bool True if password matches
+ * Session start as the recipient reads it, e.g. "Mon, Oct 19 at 2:30 PM"
+ * @param array $session - Formatted session
+ * @param string $timezone - Recipient's time zone
+ * @return string Date and time
  */
-function verifyPassword($password, $hash)
+function describeSessionTime($session, $timezone)
 {
-    return password_verify($password, $hash);
+    $start = new DateTime($session['starts_at']);
+    $start->setTimezone(new DateTimeZone($timezone));
+    return $start->format('D, M j \a\t g:i A');
 }
 
 /**
- * Generate random token
- * @param int $length - Token length
- * @return string Random token
+ * Tell the other participant about a change to a session (or a series of them)
+ *
+ * Events: 'booked', the statuses from SESSION_TRANSITIONS ('confirmed',
+ * 'rejected', 'cancelled', 'completed', 'no_show'), 'moved', 'proposed',
+ * 'proposal_accepted', 'proposal_declined', 'proposal_withdrawn' and 'feedback'.
+ *
+ * @param mysqli $conn - Database connection
+ * @param array $session - Formatted session (the first one, for a series); for
+ *   'proposed', with starts_at set to the proposed time
+ * @param string $event - What happened
+ * @param int $actorId - User who did it; the other participant is notified
+ * @param int $count - Number of sessions affected
+ * @param string|null $detail - Reason or message to pass on
+ * @return int Notification ID
  */
-function generateToken($length = 32)
+function notifySessionEvent($conn, $session, $event, $actorId, $count = 1, $detail = null)
 {
-    return bin2hex(random_bytes($length));
+    $actorIsStudent = $session['student_id'] === $actorId;
+    $recipientId = $actorIsStudent ? $session['tutor_id'] : $session['student_id'];
+    $actor = $actorIsStudent ? $session['student_name'] : $session['tutor_name'];
+    $timezone = $actorIsStudent ? $session['tutor_timezone'] : $session['student_timezone'];
+
+    $what = $count > 1 ? "{$count} {$session['subject']} sessions" : "your {$session['subject']} session";
+    $titles = [
+        'booked' => $actorIsStudent
+            ? ($count > 1 ? "{$actor} requested {$count} {$session['subject']} sessions" : "{$actor} requested a {$session['subject']} session")
+            : ($count > 1 ? "{$actor} scheduled {$count} {$session['subject']} sessions with you" : "{$actor} scheduled a {$session['subject']} session with you"),
+        'confirmed' => "{$actor} accepted {$what}",
+        'rejected' => "{$actor} declined {$what}",
+        'cancelled' => $session['cancelled_late']
+            ? "{$actor} cancelled {$what} with less than {$session['cancellation_policy']['notice_hours']} hours' notice"
+            : "{$actor} cancelled {$what}",
+        'completed' => "{$actor} marked {$what} as complete",
+        'no_show' => "{$actor} marked you as a no-show for {$what}",
+        'moved' => "{$actor} moved {$what}",
+        'proposed' => "{$actor} proposed a new time for {$what}",
+        'proposal_accepted' => "{$actor} accepted your new time for {$what}",
+        'proposal_declined' => "{$actor} declined your new time for {$what}",
+        'proposal_withdrawn' => "{$actor} withdrew their proposed time for {$what}",
+        'feedback' => "{$actor} sent you feedback on your {$session['subject']} session"
+    ];
+
+    $when = describeSessionTime($session, $timezone);
+    if ($event === 'proposed') {
+        $body = "New time: {$when}";
+    } else {
+        $body = $count > 1 ? "Starting {$when}" : $when;
+    }
+    if ($detail !== null && $detail !== '') {
+        $body .= $event === 'rejected' ? ". Reason: {$detail}" : ". “{$detail}”";
+    }
+
+    return createNotification($conn, $recipientId, "session_{$event}", $titles[$event], $body, ['session_id' => $session['id']], $actorId);
 }
 
 /**
@@ -159,6 +2182,7 @@ function initializeDatabase()
         password VARCHAR(255) NOT NULL,
         role ENUM('student', 'tutor') NOT NULL,
         phone VARCHAR(20),
+        timezone VARCHAR(64) NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         INDEX idx_email (email),
         INDEX idx_role (role)
@@ -166,6 +2190,34 @@ function initializeDatabase()
 
     $conn->query($sql);
 
+    // Auth sessions table
+    $sql = "CREATE TABLE IF NOT EXISTS auth_sessions (
+        id CHAR(32) PRIMARY KEY,
+        user_id INT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
+    // Password resets table
+    $sql = "CREATE TABLE IF NOT EXISTS password_resets (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_token_hash (token_hash),
+        INDEX idx_user_id (user_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
     // Tutor profiles table
     $sql = "CREATE TABLE IF NOT EXISTS tutor_profiles (
         id INT AUTO_INCREMENT PRIMARY KEY,
@@ -175,13 +2227,42 @@ function initializeDatabase()
         experience INT DEFAULT 0,
         hourly_rate DECIMAL(10, 2),
         rating DECIMAL(3, 2) DEFAULT 0.00,
+        review_count INT DEFAULT 0,
         total_sessions INT DEFAULT 0,
+        availability ENUM('Available', 'Busy') DEFAULT 'Available',
+        cancellation_notice_hours SMALLINT UNSIGNED NOT NULL DEFAULT 24,
+        late_cancellation ENUM('keep', 'refund', 'block') NOT NULL DEFAULT 'keep',
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
         INDEX idx_user_id (user_id)
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
 
     $conn->query($sql);
 
+    // Tutor availability table
+    $sql = "CREATE TABLE IF NOT EXISTS tutor_availability (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        tutor_id INT NOT NULL,
+        day_of_week TINYINT NOT NULL CHECK (day_of_week >= 0 AND day_of_week <= 6),
+        start_time TIME NOT NULL,
+        end_time TIME NOT NULL,
+        FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_tutor_day (tutor_id, day_of_week)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
+    // Tutor blackout dates table
+    $sql = "CREATE TABLE IF NOT EXISTS tutor_blackouts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        tutor_id INT NOT NULL,
+        blackout_date DATE NOT NULL,
+        reason VARCHAR(200),
+        FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_tutor_date (tutor_id, blackout_date)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
     // Sessions table
     $sql = "CREATE TABLE IF NOT EXISTS sessions (
         id INT AUTO_INCREMENT PRIMARY KEY,
@@ -191,39 +2272,301 @@ function initializeDatabase()
         topic VARCHAR(200),
         session_date DATE,
         session_time TIME,
+        starts_at DATETIME NOT NULL,
         duration VARCHAR(20),
-        status ENUM('pending', 'confirmed', 'completed', 'rejected') DEFAULT 'pending',
+        level VARCHAR(20),
+        rate DECIMAL(10, 2),
+        status ENUM('pending', 'confirmed', 'completed', 'rejected', 'cancelled', 'no_show') DEFAULT 'pending',
+        booked_by ENUM('student', 'tutor') DEFAULT 'student',
+        client_ref VARCHAR(64),
+        series_id CHAR(32) NULL,
+        rejection_reason TEXT,
+        cancellation_notice_hours SMALLINT UNSIGNED NOT NULL DEFAULT 24,
+        late_cancellation ENUM('keep', 'refund', 'block') NOT NULL DEFAULT 'keep',
+        cancelled_late TINYINT(1) NOT NULL DEFAULT 0,
+        status_changed_by INT,
+        status_changed_at TIMESTAMP NULL,
         student_message TEXT,
         tutor_notes TEXT,
         progress INT DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
         FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_client_ref (client_ref),
         INDEX idx_student (student_id),
         INDEX idx_tutor (tutor_id),
+        INDEX idx_status (status),
+        INDEX idx_series (series_id),
+        INDEX idx_starts_at (starts_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
+    // Session status history table
+    $sql = "CREATE TABLE IF NOT EXISTS session_status_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id INT NOT NULL,
+        from_status VARCHAR(20) NOT NULL,
+        to_status VARCHAR(20) NOT NULL,
+        changed_by INT NOT NULL,
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_session (session_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
+    // Reschedule proposals table
+    $sql = "CREATE TABLE IF NOT EXISTS reschedule_proposals (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id INT NOT NULL,
+        proposed_by INT NOT NULL,
+        proposed_date DATE NOT NULL,
+        proposed_time TIME NOT NULL,
+        scope ENUM('single', 'series') DEFAULT 'single',
+        message TEXT,
+        status ENUM('open', 'accepted', 'declined', 'countered', 'withdrawn') DEFAULT 'open',
+        responded_by INT NULL,
+        response_message TEXT,
+        responded_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (proposed_by) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_session (session_id),
         INDEX idx_status (status)
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
 
     $conn->query($sql);
 
-    // Feedback table
+    // Calendar feeds table
+    $sql = "CREATE TABLE IF NOT EXISTS calendar_feeds (
+        user_id INT PRIMARY KEY,
+        token CHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_token (token)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
+    // Progress updates table
+    $sql = "CREATE TABLE IF NOT EXISTS progress_updates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        tutor_id INT NOT NULL,
+        student_id INT NOT NULL,
+        subject VARCHAR(100) NOT NULL,
+        progress INT NOT NULL CHECK (progress >= 0 AND progress <= 100),
+        notes TEXT,
+        session_id INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL,
+        INDEX idx_tutor_student (tutor_id, student_id, subject),
+        INDEX idx_student (student_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
+    // Feedback table (a student's review of a session; one per session)
     $sql = "CREATE TABLE IF NOT EXISTS feedback (
         id INT AUTO_INCREMENT PRIMARY KEY,
         session_id INT NOT NULL,
         student_id INT NOT NULL,
         tutor_id INT NOT NULL,
         rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
+        clarity_rating TINYINT NULL CHECK (clarity_rating BETWEEN 1 AND 5),
+        patience_rating TINYINT NULL CHECK (patience_rating BETWEEN 1 AND 5),
+        punctuality_rating TINYINT NULL CHECK (punctuality_rating BETWEEN 1 AND 5),
         comment TEXT,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
         FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
         FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
-        INDEX idx_session (session_id),
+        UNIQUE KEY uniq_session (session_id),
+        INDEX idx_tutor (tutor_id, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
+    // Tutor feedback table
+    $sql = "CREATE TABLE IF NOT EXISTS tutor_feedback (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id INT NOT NULL,
+        tutor_id INT NOT NULL,
+        student_id INT NOT NULL,
+        rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
+        strengths TEXT,
+        improvements TEXT,
+        notes TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_session (session_id),
+        INDEX idx_student (student_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
+    // Earnings table
+    $sql = "CREATE TABLE IF NOT EXISTS earnings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id INT NOT NULL,
+        tutor_id INT NOT NULL,
+        student_id INT NOT NULL,
+        rate DECIMAL(10,2) NOT NULL,
+        minutes INT NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        session_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_session (session_id),
+        INDEX idx_tutor_time (tutor_id, session_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
+    // Payments table
+    $sql = "CREATE TABLE IF NOT EXISTS payments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id INT NOT NULL,
+        student_id INT NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        currency CHAR(3) NOT NULL DEFAULT 'USD',
+        status ENUM('requires_action','succeeded','failed','refunded') NOT NULL,
+        driver VARCHAR(20) NOT NULL,
+        reference VARCHAR(64),
+        card_brand VARCHAR(20),
+        card_last4 CHAR(4),
+        failure_reason VARCHAR(255),
+        receipt_number VARCHAR(32),
+        paid_at TIMESTAMP NULL,
+        refunded_amount DECIMAL(10,2) NULL,
+        refund_reference VARCHAR(64),
+        refunded_at TIMESTAMP NULL,
+        refund_due_at TIMESTAMP NULL,
+        refund_attempts TINYINT UNSIGNED NOT NULL DEFAULT 0,
+        refund_failure_reason VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_receipt (receipt_number),
+        INDEX idx_session (session_id, status),
+        INDEX idx_refund_due (refund_due_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
+    // Doubts table
+    $sql = "CREATE TABLE IF NOT EXISTS doubts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        student_id INT NOT NULL,
+        tutor_id INT NOT NULL,
+        subject VARCHAR(100) NOT NULL,
+        urgency ENUM('Normal', 'High', 'Urgent') DEFAULT 'Normal',
+        status ENUM('open', 'answered', 'resolved') DEFAULT 'open',
+        last_message_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_student (student_id),
         INDEX idx_tutor (tutor_id)
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
 
     $conn->query($sql);
 
+    // Doubt messages table
+    $sql = "CREATE TABLE IF NOT EXISTS doubt_messages (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        doubt_id INT NOT NULL,
+        author_id INT NOT NULL,
+        body TEXT NOT NULL,
+        edited_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (doubt_id) REFERENCES doubts(id) ON DELETE CASCADE,
+        FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_doubt (doubt_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
+    // Attachments table
+    $sql = "CREATE TABLE IF NOT EXISTS attachments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        uploader_id INT NOT NULL,
+        session_id INT NULL,
+        doubt_message_id INT NULL,
+        original_name VARCHAR(255) NOT NULL,
+        mime_type VARCHAR(100) NOT NULL,
+        size_bytes INT NOT NULL,
+        storage_key VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (uploader_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (doubt_message_id) REFERENCES doubt_messages(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_storage_key (storage_key),
+        INDEX idx_uploader (uploader_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
+    // Notifications table
+    $sql = "CREATE TABLE IF NOT EXISTS notifications (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        actor_id INT NULL,
+        type VARCHAR(40) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        body TEXT,
+        session_id INT NULL,
+        doubt_id INT NULL,
+        read_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (doubt_id) REFERENCES doubts(id) ON DELETE CASCADE,
+        INDEX idx_user_unread (user_id, read_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
+    // User preferences table
+    $sql = "CREATE TABLE IF NOT EXISTS user_preferences (
+        user_id INT PRIMARY KEY,
+        email_notifications TINYINT(1) NOT NULL DEFAULT 1,
+        sms_notifications TINYINT(1) NOT NULL DEFAULT 1,
+        reminder_notifications TINYINT(1) NOT NULL DEFAULT 1,
+        feedback_notifications TINYINT(1) NOT NULL DEFAULT 1,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
+    // Session reminders table
+    $sql = "CREATE TABLE IF NOT EXISTS session_reminders (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id INT NOT NULL,
+        user_id INT NOT NULL,
+        kind VARCHAR(10) NOT NULL,
+        starts_at DATETIME NOT NULL,
+        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_reminder (session_id, user_id, kind, starts_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4";
+
+    $conn->query($sql);
+
     $conn->close();
 }
 
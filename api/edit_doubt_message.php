@@ -0,0 +1,65 @@
+<?php
+
+/**
+ * Tutify Edit Doubt Message API
+ * Lets the author of a doubt message correct it within DOUBT_EDIT_MINUTES
+ * of posting it
+ */
+
+require_once 'db.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+// Validate required fields
+if (empty($data->message_id) || empty($data->body) || trim($data->body) === '') {
+    sendError('Message ID and text are required');
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+
+// Sanitize input
+$messageId = intval($data->message_id);
+$body = cleanRichText($data->body);
+
+// Verify message exists and was written by this user
+$message = getDoubtMessageById($conn, $messageId);
+
+if ($message === null) {
+    $conn->close();
+    sendError('Message not found', 404);
+}
+
+if ($message['author_id'] !== $userId) {
+    $conn->close();
+    sendError('Unauthorized. You can only edit your own messages.', 403);
+}
+
+if (time() > strtotime($message['editable_until'])) {
+    $conn->close();
+    sendError('Messages can only be edited for ' . DOUBT_EDIT_MINUTES . ' minutes after they are sent', 409);
+}
+
+$stmt = $conn->prepare("UPDATE doubt_messages SET body = ?, edited_at = NOW() WHERE id = ?");
+$stmt->bind_param("si", $body, $messageId);
+$stmt->execute();
+$stmt->close();
+
+$doubt = getDoubtById($conn, $message['doubt_id']);
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => 'Message updated',
+    'doubt' => $doubt
+]);
@@ -0,0 +1,79 @@
+<?php
+
+/**
+ * Tutify Get Attachment API
+ * Sends an attachment's file to its uploader or to the other participant
+ * of the booking or doubt it is attached to
+ *
+ * GET ?id=<attachment id>, with the usual Authorization header. The file is
+ * served with the type sniffed at upload, and sandboxed so a PDF opened
+ * directly cannot run scripts on this site.
+ */
+
+require_once 'db.php';
+
+// Only accept GET requests
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+$attachmentId = isset($_GET['id']) ? intval($_GET['id']) : 0;
+
+if ($attachmentId <= 0) {
+    sendError('Attachment ID is required');
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+
+// The participants are whoever is on the session, or on the message's doubt
+$stmt = $conn->prepare("SELECT 
+    a.original_name,
+    a.mime_type,
+    a.storage_key,
+    a.uploader_id,
+    COALESCE(s.student_id, d.student_id) AS student_id,
+    COALESCE(s.tutor_id, d.tutor_id) AS tutor_id
+FROM attachments a
+LEFT JOIN sessions s ON s.id = a.session_id
+LEFT JOIN doubt_messages dm ON dm.id = a.doubt_message_id
+LEFT JOIN doubts d ON d.id = dm.doubt_id
+WHERE a.id = ?");
+$stmt->bind_param("i", $attachmentId);
+$stmt->execute();
+$attachment = $stmt->get_result()->fetch_assoc();
+$stmt->close();
+
+$conn->close();
+
+$allowed = $attachment !== null && in_array($userId, array_map('intval', [
+    $attachment['uploader_id'],
+    $attachment['student_id'],
+    $attachment['tutor_id']
+]), true);
+
+// Someone else's attachment looks the same as a missing one
+if (!$allowed) {
+    sendError('Attachment not found', 404);
+}
+
+$path = getAttachmentPath($attachment['storage_key']);
+
+if (!is_file($path)) {
+    error_log("Tutify attachments: file missing for attachment {$attachmentId}");
+    sendError('Attachment not found', 404);
+}
+
+$fallbackName = preg_replace('/[^A-Za-z0-9._-]/', '_', $attachment['original_name']);
+
+header('Content-Type: ' . $attachment['mime_type']);
+header('Content-Length: ' . filesize($path));
+header("Content-Disposition: inline; filename=\"{$fallbackName}\"; filename*=UTF-8''" . rawurlencode($attachment['original_name']));
+header('X-Content-Type-Options: nosniff');
+header('Content-Security-Policy: sandbox');
+header('Cache-Control: private, max-age=86400');
+
+readfile($path);
@@ -0,0 +1,84 @@
+<?php
+
+/**
+ * Tutify Get Availability API
+ * Returns a tutor's weekly availability windows, blackout dates and the
+ * times already taken by pending or confirmed sessions
+ *
+ * Tutors may omit tutor_id to get their own. 'booked' covers ?from= to ?to=
+ * (default: today and the next 60 days) and does not say who booked.
+ * Windows, dates and times are all in the tutor's 'timezone'.
+ */
+
+require_once 'db.php';
+
+// Only accept GET requests
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+
+if (!empty($_GET['tutor_id'])) {
+    $tutorId = intval($_GET['tutor_id']);
+} elseif ($auth['role'] === 'tutor') {
+    $tutorId = $auth['id'];
+} else {
+    $conn->close();
+    sendError('Tutor ID is required');
+}
+
+$from = $_GET['from'] ?? date('Y-m-d');
+$to = $_GET['to'] ?? date('Y-m-d', strtotime('+60 days'));
+
+// Validate date format (YYYY-MM-DD)
+if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $from) || !preg_match('/^\d{4}-\d{2}-\d{2}$/', $to)) {
+    $conn->close();
+    sendError('Invalid date format. Use YYYY-MM-DD');
+}
+
+// Verify tutor exists
+$stmt = $conn->prepare("SELECT id FROM users WHERE id = ? AND role = 'tutor'");
+$stmt->bind_param("i", $tutorId);
+$stmt->execute();
+$result = $stmt->get_result();
+
+if ($result->num_rows === 0) {
+    $stmt->close();
+    $conn->close();
+    sendError('Tutor not found', 404);
+}
+$stmt->close();
+
+$availability = getTutorAvailability($conn, $tutorId);
+
+// Times already taken
+$stmt = $conn->prepare("SELECT session_date, session_time, duration FROM sessions WHERE tutor_id = ? AND status IN ('pending', 'confirmed') AND session_date BETWEEN ? AND ? ORDER BY session_date, session_time");
+$stmt->bind_param("iss", $tutorId, $from, $to);
+$stmt->execute();
+$result = $stmt->get_result();
+
+$booked = [];
+while ($row = $result->fetch_assoc()) {
+    $booked[] = [
+        'date' => $row['session_date'],
+        'time' => substr($row['session_time'], 0, 5),
+        'minutes' => parseDurationMinutes($row['duration'])
+    ];
+}
+$stmt->close();
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'tutor_id' => $tutorId,
+    'windows' => $availability['windows'],
+    'blackouts' => $availability['blackouts'],
+    'is_default' => $availability['is_default'],
+    'timezone' => $availability['timezone'],
+    'booked' => $booked
+]);
@@ -0,0 +1,67 @@
+<?php
+
+/**
+ * Tutify Get Available Students API
+ * Returns the newest students the logged-in tutor is not teaching yet, for
+ * the "Students Looking for a Tutor" panel. subject and level come from the
+ * student's most recent booking request, when there is one.
+ */
+
+require_once 'db.php';
+
+// Only accept GET requests
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn, 'tutor');
+$tutorId = $auth['id'];
+
+// At most 24 students (default 6)
+$limit = !empty($_GET['limit']) ? intval($_GET['limit']) : 6;
+$limit = max(1, min($limit, 24));
+
+// Leave out anyone who already has an open or finished session with this tutor
+$sql = "SELECT
+    u.id,
+    u.name,
+    u.created_at,
+    (SELECT s.subject FROM sessions s WHERE s.student_id = u.id
+        ORDER BY s.created_at DESC, s.id DESC LIMIT 1) AS subject,
+    (SELECT s.level FROM sessions s WHERE s.student_id = u.id
+        ORDER BY s.created_at DESC, s.id DESC LIMIT 1) AS level
+FROM users u
+WHERE u.role = 'student'
+AND NOT EXISTS (
+    SELECT 1 FROM sessions s
+    WHERE s.student_id = u.id AND s.tutor_id = ? AND s.status IN ('pending', 'confirmed', 'completed')
+)
+ORDER BY u.created_at DESC, u.id DESC
+LIMIT ?";
+
+$stmt = $conn->prepare($sql);
+$stmt->bind_param("ii", $tutorId, $limit);
+$stmt->execute();
+$result = $stmt->get_result();
+
+$students = [];
+while ($row = $result->fetch_assoc()) {
+    $students[] = [
+        'id' => intval($row['id']),
+        'name' => $row['name'],
+        'subject' => $row['subject'],
+        'level' => $row['level'],
+        'joined_at' => $row['created_at']
+    ];
+}
+
+$stmt->close();
+$conn->close();
+
+sendSuccess([
+    'students' => $students,
+    'count' => count($students)
+]);
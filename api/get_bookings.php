@@ -0,0 +1,53 @@
+<?php
+
+/**
+ * Tutify Get Bookings API
+ * Returns every session of the logged-in student or tutor
+ */
+
+require_once 'db.php';
+
+// Only accept GET requests
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+// Students see the sessions they booked, tutors the sessions booked with them
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+
+if ($auth['role'] === 'student') {
+    $sql = SESSION_SELECT . " WHERE s.student_id = ?";
+} else {
+    $sql = SESSION_SELECT . " WHERE s.tutor_id = ?";
+}
+
+$sql .= " ORDER BY s.starts_at ASC";
+
+$stmt = $conn->prepare($sql);
+$stmt->bind_param("i", $userId);
+$stmt->execute();
+$result = $stmt->get_result();
+
+$sessions = [];
+
+while ($row = $result->fetch_assoc()) {
+    $sessions[] = formatSession($row);
+}
+
+$stmt->close();
+
+// Include each session's reschedule negotiation
+$sessions = attachProposals($conn, $sessions);
+$sessions = attachFiles($conn, $sessions, 'session_id');
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'sessions' => $sessions,
+    'count' => count($sessions)
+]);
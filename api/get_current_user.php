@@ -0,0 +1,33 @@
+<?php
+
+/**
+ * Tutify Current User API
+ * Returns the user that owns the login token sent with the request
+ *
+ * Pages call this on load so that access decisions are made by the server,
+ * not by whatever happens to be stored in the browser.
+ */
+
+require_once 'db.php';
+
+// Only accept GET requests
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$user = getUserProfile($conn, $auth['id']);
+
+$conn->close();
+
+if ($user === null) {
+    sendError('User not found', 404);
+}
+
+// Send success response
+sendSuccess([
+    'user' => $user
+]);
@@ -0,0 +1,41 @@
+<?php
+
+/**
+ * Tutify Get Doubts API
+ * Returns the doubts the logged-in student has asked, or the logged-in
+ * tutor has been asked, with their messages; most recently active first
+ */
+
+require_once 'db.php';
+
+// Only accept GET requests
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$column = $auth['role'] === 'tutor' ? 'tutor_id' : 'student_id';
+
+$stmt = $conn->prepare(DOUBT_SELECT . " WHERE d.{$column} = ? ORDER BY d.last_message_at DESC, d.id DESC");
+$stmt->bind_param("i", $auth['id']);
+$stmt->execute();
+$result = $stmt->get_result();
+
+$doubts = [];
+while ($row = $result->fetch_assoc()) {
+    $doubts[] = formatDoubt($row);
+}
+$stmt->close();
+
+$doubts = attachDoubtMessages($conn, $doubts);
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'doubts' => $doubts,
+    'count' => count($doubts)
+]);
@@ -0,0 +1,136 @@
+<?php
+
+/**
+ * Tutify Get Earnings API
+ * Returns the logged-in tutor's earnings: totals for this week, this month
+ * and all time, and the ledger entries for a date range.
+ *
+ * Query parameters: from and to (YYYY-MM-DD in the tutor's time zone, both
+ * included; default the 1st of this month to today) and format ('json', the
+ * default, or 'csv' for a downloadable statement). Weeks start on Monday.
+ *
+ * Each entry is fixed when its session is completed (see recordEarning()),
+ * so a later change of hourly rate only affects sessions booked after it.
+ */
+
+require_once 'db.php';
+
+// Only accept GET requests
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+$format = $_GET['format'] ?? 'json';
+if (!in_array($format, ['json', 'csv'])) {
+    sendError('Format must be json or csv');
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn, 'tutor');
+$tutorId = $auth['id'];
+
+$timezone = new DateTimeZone(getUserTimezone($conn, $tutorId));
+$today = new DateTime('today', $timezone);
+
+$from = $_GET['from'] ?? $today->format('Y-m-01');
+$to = $_GET['to'] ?? $today->format('Y-m-d');
+
+// Validate dates (YYYY-MM-DD, and a real day)
+$isDate = function ($value) {
+    return preg_match('/^(\d{4})-(\d{2})-(\d{2})$/', $value, $parts) === 1 && checkdate(intval($parts[2]), intval($parts[3]), intval($parts[1]));
+};
+if (!$isDate($from)) {
+    $conn->close();
+    sendError('Invalid start date. Use YYYY-MM-DD', 400, ['field' => 'earningsFrom']);
+}
+if (!$isDate($to)) {
+    $conn->close();
+    sendError('Invalid end date. Use YYYY-MM-DD', 400, ['field' => 'earningsTo']);
+}
+if ($from > $to) {
+    $conn->close();
+    sendError('The end date must be on or after the start date', 400, ['field' => 'earningsTo']);
+}
+
+recordMissingEarnings($conn, $tutorId);
+
+// Day boundaries are midnight in the tutor's time zone; the ledger is in UTC
+$utc = function (DateTime $local) {
+    return gmdate('Y-m-d H:i:s', $local->getTimestamp());
+};
+$weekStart = (clone $today)->modify('-' . ($today->format('N') - 1) . ' days');
+$monthStart = new DateTime($today->format('Y-m-01'), $timezone);
+$rangeStart = new DateTime($from, $timezone);
+$rangeEnd = (new DateTime($to, $timezone))->modify('+1 day');
+
+$summary = [
+    'week' => sumEarnings($conn, $tutorId, $utc($weekStart)),
+    'month' => sumEarnings($conn, $tutorId, $utc($monthStart)),
+    'all_time' => sumEarnings($conn, $tutorId)
+];
+
+$rangeFrom = $utc($rangeStart);
+$rangeTo = $utc($rangeEnd);
+$stmt = $conn->prepare(EARNING_SELECT . " WHERE e.tutor_id = ? AND e.session_at >= ? AND e.session_at < ? ORDER BY e.session_at ASC, e.id ASC");
+$stmt->bind_param("iss", $tutorId, $rangeFrom, $rangeTo);
+$stmt->execute();
+$result = $stmt->get_result();
+
+$entries = [];
+while ($row = $result->fetch_assoc()) {
+    $entries[] = formatEarning($row);
+}
+$stmt->close();
+
+$conn->close();
+
+$rangeTotal = [
+    'sessions' => count($entries),
+    'minutes' => array_sum(array_column($entries, 'minutes')),
+    'amount' => round(array_sum(array_column($entries, 'amount')), 2)
+];
+
+if ($format === 'csv') {
+    // Keep spreadsheet apps from reading names or subjects as formulas
+    $cell = function ($value) {
+        $value = (string)$value;
+        return preg_match('/^[=+\-@\t\r]/', $value) ? "'" . $value : $value;
+    };
+
+    header('Content-Type: text/csv; charset=utf-8');
+    header("Content-Disposition: attachment; filename=\"tutify-earnings-{$from}-to-{$to}.csv\"");
+    header('Cache-Control: private, no-store');
+
+    $out = fopen('php://output', 'w');
+    $writeRow = function ($fields) use ($out) {
+        fputcsv($out, $fields, ',', '"', '');
+    };
+    $writeRow(['Date', 'Time', 'Student', 'Subject', 'Topic', 'Duration (minutes)', 'Hourly rate', 'Amount']);
+    foreach ($entries as $entry) {
+        $writeRow([
+            $entry['date'],
+            $entry['time'],
+            $cell($entry['student_name']),
+            $cell($entry['subject']),
+            $cell($entry['topic'] ?? ''),
+            $entry['minutes'],
+            number_format($entry['rate'], 2, '.', ''),
+            number_format($entry['amount'], 2, '.', '')
+        ]);
+    }
+    $writeRow(['Total', '', '', '', '', $rangeTotal['minutes'], '', number_format($rangeTotal['amount'], 2, '.', '')]);
+    fclose($out);
+    exit();
+}
+
+// Send success response
+sendSuccess([
+    'timezone' => $timezone->getName(),
+    'summary' => $summary,
+    'from' => $from,
+    'to' => $to,
+    'entries' => $entries,
+    'total' => $rangeTotal
+]);
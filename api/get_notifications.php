@@ -0,0 +1,73 @@
+<?php
+
+/**
+ * Tutify Get Notifications API
+ * Returns the logged-in user's notifications, newest first, and how many are unread
+ *
+ * Pages of ?limit= (default 20, at most 50); pass ?before= with the last ID
+ * seen to get the next page. ?unread=1 lists unread notifications only.
+ */
+
+require_once 'db.php';
+
+// Only accept GET requests
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+$limit = isset($_GET['limit']) ? max(1, min(50, intval($_GET['limit']))) : 20;
+$before = !empty($_GET['before']) ? intval($_GET['before']) : null;
+$unreadOnly = !empty($_GET['unread']);
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+
+$sql = "SELECT n.id, n.type, n.title, n.body, n.actor_id, a.name AS actor_name, n.session_id, n.doubt_id, n.read_at, n.created_at
+    FROM notifications n
+    LEFT JOIN users a ON a.id = n.actor_id
+    WHERE n.user_id = ?";
+$params = [$userId];
+$types = "i";
+
+if ($before !== null) {
+    $sql .= " AND n.id < ?";
+    $params[] = $before;
+    $types .= "i";
+}
+
+if ($unreadOnly) {
+    $sql .= " AND n.read_at IS NULL";
+}
+
+// One extra row tells whether there is another page
+$sql .= " ORDER BY n.id DESC LIMIT ?";
+$params[] = $limit + 1;
+$types .= "i";
+
+$stmt = $conn->prepare($sql);
+$stmt->bind_param($types, ...$params);
+$stmt->execute();
+$result = $stmt->get_result();
+
+$notifications = [];
+while ($row = $result->fetch_assoc()) {
+    $notifications[] = formatNotification($row);
+}
+$stmt->close();
+
+$hasMore = count($notifications) > $limit;
+$notifications = array_slice($notifications, 0, $limit);
+
+$unreadCount = countUnreadNotifications($conn, $userId);
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'notifications' => $notifications,
+    'unread_count' => $unreadCount,
+    'has_more' => $hasMore
+]);
@@ -0,0 +1,26 @@
+<?php
+
+/**
+ * Tutify Get Preferences API
+ * Returns the logged-in user's notification preferences
+ */
+
+require_once 'db.php';
+
+// Only accept GET requests
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$preferences = getUserPreferences($conn, $auth['id']);
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'preferences' => $preferences
+]);
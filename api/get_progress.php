@@ -0,0 +1,111 @@
+<?php
+
+/**
+ * Tutify Get Progress API
+ * Returns progress tracked for the logged-in tutor's students, or for the
+ * logged-in student
+ *
+ * 'students' has one row per student, tutor and subject: the latest progress,
+ * when it was last updated and how many sessions were completed.
+ * 'history' lists every update, oldest first. Tutors get it for one student
+ * by passing ?student_id= (and optionally &subject=); students always get
+ * their own.
+ */
+
+require_once 'db.php';
+
+// Only accept GET requests
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+$column = $auth['role'] === 'tutor' ? 'tutor_id' : 'student_id';
+
+// Everyone the user has taught or been taught by, plus anything already tracked
+$sql = "SELECT 
+    p.student_id,
+    st.name AS student_name,
+    st.email AS student_email,
+    p.tutor_id,
+    tu.name AS tutor_name,
+    p.subject,
+    (SELECT pu.progress FROM progress_updates pu
+        WHERE pu.tutor_id = p.tutor_id AND pu.student_id = p.student_id AND pu.subject = p.subject
+        ORDER BY pu.created_at DESC, pu.id DESC LIMIT 1) AS progress,
+    (SELECT MAX(pu.created_at) FROM progress_updates pu
+        WHERE pu.tutor_id = p.tutor_id AND pu.student_id = p.student_id AND pu.subject = p.subject) AS last_update,
+    (SELECT COUNT(*) FROM sessions s
+        WHERE s.tutor_id = p.tutor_id AND s.student_id = p.student_id AND s.subject = p.subject AND s.status = 'completed') AS sessions
+FROM (
+    SELECT DISTINCT student_id, tutor_id, subject FROM sessions WHERE {$column} = ? AND status IN ('confirmed', 'completed')
+    UNION
+    SELECT DISTINCT student_id, tutor_id, subject FROM progress_updates WHERE {$column} = ?
+) p
+INNER JOIN users st ON st.id = p.student_id
+INNER JOIN users tu ON tu.id = p.tutor_id
+ORDER BY last_update IS NULL, last_update DESC, st.name ASC";
+
+$stmt = $conn->prepare($sql);
+$stmt->bind_param("ii", $userId, $userId);
+$stmt->execute();
+$result = $stmt->get_result();
+
+$students = [];
+while ($row = $result->fetch_assoc()) {
+    $students[] = [
+        'student_id' => intval($row['student_id']),
+        'student_name' => $row['student_name'],
+        'student_email' => $row['student_email'],
+        'tutor_id' => intval($row['tutor_id']),
+        'tutor_name' => $row['tutor_name'],
+        'subject' => $row['subject'],
+        'progress' => $row['progress'] !== null ? intval($row['progress']) : null,
+        'last_update' => $row['last_update'],
+        'sessions' => intval($row['sessions'])
+    ];
+}
+$stmt->close();
+
+// Update history
+$history = [];
+$historySql = PROGRESS_SELECT . " WHERE pu.{$column} = ?";
+$params = [$userId];
+$types = "i";
+
+if ($auth['role'] === 'tutor') {
+    $historySql .= " AND pu.student_id = ?";
+    $params[] = !empty($_GET['student_id']) ? intval($_GET['student_id']) : 0;
+    $types .= "i";
+}
+
+if (!empty($_GET['subject'])) {
+    $historySql .= " AND pu.subject = ?";
+    $params[] = trim((string) $_GET['subject']);
+    $types .= "s";
+}
+
+if ($auth['role'] === 'student' || !empty($_GET['student_id'])) {
+    $stmt = $conn->prepare($historySql . " ORDER BY pu.created_at ASC, pu.id ASC");
+    $stmt->bind_param($types, ...$params);
+    $stmt->execute();
+    $result = $stmt->get_result();
+
+    while ($row = $result->fetch_assoc()) {
+        $history[] = formatProgressUpdate($row);
+    }
+    $stmt->close();
+}
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'students' => $students,
+    'history' => $history,
+    'count' => count($students)
+]);
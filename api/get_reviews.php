@@ -0,0 +1,84 @@
+<?php
+
+/**
+ * Tutify Get Reviews API
+ * Returns a tutor's reviews, newest first by default, with their rating,
+ * review count and how many reviews gave each number of stars.
+ *
+ * Query parameters: tutor_id (required), sort (newest, highest or lowest),
+ * page (1-based) and limit (default 5, at most 20).
+ */
+
+require_once 'db.php';
+
+define('REVIEW_SORTS', [
+    'newest' => 'f.created_at DESC, f.id DESC',
+    'highest' => 'f.rating DESC, f.created_at DESC, f.id DESC',
+    'lowest' => 'f.rating ASC, f.created_at DESC, f.id DESC'
+]);
+
+// Only accept GET requests
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+if (empty($_GET['tutor_id'])) {
+    sendError('Tutor ID is required');
+}
+
+$sort = !empty($_GET['sort']) ? $_GET['sort'] : 'newest';
+if (!isset(REVIEW_SORTS[$sort])) {
+    sendError('Sort must be newest, highest or lowest');
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$tutorId = intval($_GET['tutor_id']);
+
+$stmt = $conn->prepare("SELECT rating, review_count FROM tutor_profiles WHERE user_id = ?");
+$stmt->bind_param("i", $tutorId);
+$stmt->execute();
+$profile = $stmt->get_result()->fetch_assoc();
+$stmt->close();
+
+if (!$profile) {
+    $conn->close();
+    sendError('Tutor not found', 404);
+}
+
+// Paginate results (page is 1-based, limit is capped at 20)
+$limit = !empty($_GET['limit']) ? intval($_GET['limit']) : 5;
+$limit = max(1, min($limit, 20));
+$page = !empty($_GET['page']) ? max(1, intval($_GET['page'])) : 1;
+$offset = ($page - 1) * $limit;
+
+$stmt = $conn->prepare(REVIEW_SELECT . " WHERE f.tutor_id = ? ORDER BY " . REVIEW_SORTS[$sort] . " LIMIT ? OFFSET ?");
+$stmt->bind_param("iii", $tutorId, $limit, $offset);
+$stmt->execute();
+$result = $stmt->get_result();
+
+$reviews = [];
+while ($row = $result->fetch_assoc()) {
+    $reviews[] = formatReview($row);
+}
+$stmt->close();
+
+$histogram = getRatingHistogram($conn, $tutorId);
+$total = array_sum($histogram);
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'tutor_id' => $tutorId,
+    'rating' => floatval($profile['rating']),
+    'review_count' => intval($profile['review_count']),
+    'histogram' => $histogram,
+    'reviews' => $reviews,
+    'sort' => $sort,
+    'total' => $total,
+    'page' => $page,
+    'limit' => $limit,
+    'has_more' => $offset + count($reviews) < $total
+]);
@@ -2,7 +2,8 @@
 
 /**
  * Tutify Get Tutors API
- * Returns list of tutors with optional filtering
+ * Returns a paginated list of tutors with optional filtering. rating and
+ * review_count are kept up to date from students' reviews (add_feedback.php).
  */
 
 require_once 'db.php';
@@ -16,18 +17,24 @@ if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
 $conn = getDbConnection();
 
 // Build query with optional filters
-$sql = "SELECT 
+$select = "SELECT 
     u.id, 
     u.name, 
     u.email, 
     u.phone,
+    u.timezone,
     tp.subjects,
     tp.bio,
     tp.experience,
     tp.hourly_rate,
     tp.rating,
-    tp.total_sessions
-FROM users u
+    tp.review_count,
+    tp.total_sessions,
+    tp.availability,
+    tp.cancellation_notice_hours,
+    tp.late_cancellation";
+
+$from = " FROM users u
 INNER JOIN tutor_profiles tp ON u.id = tp.user_id
 WHERE u.role = 'tutor'";
 
@@ -37,23 +44,43 @@ $types = "";
 // Filter by subject
 if (!empty($_GET['subject'])) {
     $subject = sanitize($conn, $_GET['subject']);
-    $sql .= " AND tp.subjects LIKE ?";
+    $from .= " AND tp.subjects LIKE ?";
     $params[] = "%{$subject}%";
     $types .= "s";
 }
 
+// Filter by tutor name
+if (!empty($_GET['search'])) {
+    $search = sanitize($conn, $_GET['search']);
+    $from .= " AND u.name LIKE ?";
+    $params[] = "%{$search}%";
+    $types .= "s";
+}
+
 // Filter by minimum rating
 if (!empty($_GET['min_rating'])) {
     $minRating = floatval($_GET['min_rating']);
-    $sql .= " AND tp.rating >= ?";
+    $from .= " AND tp.rating >= ?";
     $params[] = $minRating;
     $types .= "d";
 }
 
+// Filter by availability
+if (!empty($_GET['availability'])) {
+    $availability = ucfirst(strtolower($_GET['availability']));
+    if (!in_array($availability, ['Available', 'Busy'])) {
+        $conn->close();
+        sendError('Availability must be either Available or Busy');
+    }
+    $from .= " AND tp.availability = ?";
+    $params[] = $availability;
+    $types .= "s";
+}
+
 // Filter by minimum experience
 if (!empty($_GET['min_experience'])) {
     $minExperience = intval($_GET['min_experience']);
-    $sql .= " AND tp.experience >= ?";
+    $from .= " AND tp.experience >= ?";
     $params[] = $minExperience;
     $types .= "i";
 }
@@ -61,31 +88,46 @@ if (!empty($_GET['min_experience'])) {
 // Filter by maximum hourly rate
 if (!empty($_GET['max_rate'])) {
     $maxRate = floatval($_GET['max_rate']);
-    $sql .= " AND tp.hourly_rate <= ?";
+    $from .= " AND tp.hourly_rate <= ?";
     $params[] = $maxRate;
     $types .= "d";
 }
 
-// Sort by rating (default) or experience
+// Count all matching tutors so the client can paginate
+$stmt = $conn->prepare("SELECT COUNT(*) AS total" . $from);
+
+if (!empty($params)) {
+    $stmt->bind_param($types, ...$params);
+}
+
+$stmt->execute();
+$total = intval($stmt->get_result()->fetch_assoc()['total']);
+$stmt->close();
+
+$sql = $select . $from;
+
+// Sort by rating (default), experience, sessions taught or number of reviews
 $sortBy = !empty($_GET['sort']) ? $_GET['sort'] : 'rating';
-if (in_array($sortBy, ['rating', 'experience', 'total_sessions'])) {
-    $sql .= " ORDER BY tp.{$sortBy} DESC";
+if (in_array($sortBy, ['rating', 'experience', 'total_sessions', 'review_count'])) {
+    $sql .= " ORDER BY tp.{$sortBy} DESC, u.id ASC";
 } else {
-    $sql .= " ORDER BY tp.rating DESC";
+    $sql .= " ORDER BY tp.rating DESC, u.id ASC";
 }
 
-// Limit results
-$limit = !empty($_GET['limit']) ? intval($_GET['limit']) : 50;
-$sql .= " LIMIT ?";
+// Paginate results (page is 1-based, limit is capped at 50)
+$limit = !empty($_GET['limit']) ? intval($_GET['limit']) : 12;
+$limit = max(1, min($limit, 50));
+$page = !empty($_GET['page']) ? max(1, intval($_GET['page'])) : 1;
+$offset = ($page - 1) * $limit;
+
+$sql .= " LIMIT ? OFFSET ?";
 $params[] = $limit;
-$types .= "i";
+$params[] = $offset;
+$types .= "ii";
 
 // Prepare and execute statement
 $stmt = $conn->prepare($sql);
-
-if (!empty($params)) {
-    $stmt->bind_param($types, ...$params);
-}
+$stmt->bind_param($types, ...$params);
 
 $stmt->execute();
 $result = $stmt->get_result();
@@ -94,13 +136,16 @@ $tutors = [];
 
 while ($row = $result->fetch_assoc()) {
     // Convert subjects string to array
-    $row['subjects'] = !empty($row['subjects']) ? explode(',', $row['subjects']) : [];
+    $row['subjects'] = !empty($row['subjects']) ? array_map('trim', explode(',', $row['subjects'])) : [];
 
     // Convert numeric values
     $row['experience'] = intval($row['experience']);
     $row['hourly_rate'] = floatval($row['hourly_rate']);
     $row['rating'] = floatval($row['rating']);
+    $row['review_count'] = intval($row['review_count']);
     $row['total_sessions'] = intval($row['total_sessions']);
+    $row['cancellation_notice_hours'] = intval($row['cancellation_notice_hours']);
+    $row['timezone'] = $row['timezone'] ?: APP_TIMEZONE;
 
     $tutors[] = $row;
 }
@@ -111,5 +156,9 @@ $conn->close();
 // Send success response
 sendSuccess([
     'tutors' => $tutors,
-    'count' => count($tutors)
+    'count' => count($tutors),
+    'total' => $total,
+    'page' => $page,
+    'limit' => $limit,
+    'has_more' => $offset + count($tutors) < $total
 ]);
@@ -0,0 +1,134 @@
+<?php
+
+/**
+ * Tutify iCalendar
+ * Renders sessions as RFC 5545 events for calendar apps
+ *
+ * Events are written in UTC (from the session's starts_at) so every calendar
+ * app places them correctly without needing a VTIMEZONE definition.
+ */
+
+require_once 'db.php';
+
+/**
+ * Escape a value for use in an iCalendar TEXT property
+ * @param string|null $text - Raw text
+ * @return string Escaped text
+ */
+function icalEscape($text)
+{
+    $text = str_replace(["\r\n", "\r"], "\n", (string)$text);
+    return str_replace(['\\', ';', ',', "\n"], ['\\\\', '\\;', '\\,', '\\n'], $text);
+}
+
+/**
+ * Fold a content line to at most 75 octets, without splitting a UTF-8 character
+ * @param string $line - Unfolded content line
+ * @return string Folded line(s), CRLF-terminated
+ */
+function icalFoldLine($line)
+{
+    $folded = '';
+    $limit = 75;
+
+    while (strlen($line) > $limit) {
+        $cut = $limit;
+        // Back up to the start of a multi-byte character
+        while ($cut > 0 && (ord($line[$cut]) & 0xC0) === 0x80) {
+            $cut--;
+        }
+        $folded .= substr($line, 0, $cut) . "\r\n ";
+        $line = substr($line, $cut);
+        // Continuation lines lose one octet to the leading space
+        $limit = 74;
+    }
+
+    return $folded . $line . "\r\n";
+}
+
+/**
+ * Format a Unix timestamp as an iCalendar UTC date-time
+ * @param int $timestamp - Unix timestamp
+ * @return string Date-time such as 20261019T143000Z
+ */
+function icalUtcDateTime($timestamp)
+{
+    return gmdate('Ymd\THis\Z', $timestamp);
+}
+
+/**
+ * Build a VEVENT for a session as seen by one of its participants
+ * Cancelled sessions keep their UID with STATUS:CANCELLED so subscribed
+ * calendars remove the event they already have.
+ * @param array $session - Formatted session
+ * @param string $viewerRole - 'student' or 'tutor'
+ * @param int $sequence - Revision number; must grow whenever the session changes
+ * @return string VEVENT lines
+ */
+function buildSessionEvent($session, $viewerRole, $sequence = 0)
+{
+    $minutes = parseDurationMinutes($session['duration']) ?: 60;
+    $other = $viewerRole === 'student' ? "with {$session['tutor_name']}" : "with {$session['student_name']}";
+    $summary = "{$session['subject']} session {$other}";
+
+    $description = [];
+    if (!empty($session['topic'])) {
+        $description[] = "Topic: {$session['topic']}";
+    }
+    $description[] = "Duration: {$session['duration']}";
+    if (!empty($session['message'])) {
+        $description[] = "Message: {$session['message']}";
+    }
+
+    $start = strtotime($session['starts_at']);
+    $stamp = $session['updated_at'] ?? $session['created_at'];
+
+    $lines = [
+        'BEGIN:VEVENT',
+        'UID:' . sessionEventUid($session['id']),
+        'SEQUENCE:' . intval($sequence),
+        'DTSTAMP:' . icalUtcDateTime($stamp ? strtotime($stamp) : time()),
+        'DTSTART:' . icalUtcDateTime($start),
+        'DTEND:' . icalUtcDateTime($start + $minutes * 60),
+        'SUMMARY:' . icalEscape($summary),
+        'DESCRIPTION:' . icalEscape(implode("\n", $description)),
+        'STATUS:' . ($session['status'] === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'),
+        'END:VEVENT'
+    ];
+
+    return implode('', array_map('icalFoldLine', $lines));
+}
+
+/**
+ * Wrap events in a VCALENDAR
+ * @param string[] $events - VEVENT blocks from buildSessionEvent()
+ * @param string $name - Calendar name shown by calendar apps
+ * @return string Complete iCalendar document
+ */
+function buildCalendar($events, $name)
+{
+    $header = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Tutify//Sessions//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:' . icalEscape($name),
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H'
+    ];
+
+    return implode('', array_map('icalFoldLine', $header))
+        . implode('', $events)
+        . icalFoldLine('END:VCALENDAR');
+}
+
+/**
+ * Public URL of a calendar feed
+ * @param string $token - calendar_feeds token
+ * @return string Feed URL
+ */
+function getCalendarFeedUrl($token)
+{
+    return APP_URL . '/api/calendar_feed.php?token=' . urlencode($token);
+}
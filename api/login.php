@@ -3,6 +3,9 @@
 /**
  * Tutify Login API
  * Handles user authentication
+ *
+ * Returns a signed, expiring token that the client sends back as
+ * "Authorization: Bearer <token>" on every authenticated request.
  */
 
 require_once 'db.php';
@@ -62,32 +65,18 @@ if (!verifyPassword($data->password, $user['password'])) {
     sendError('Invalid email or password');
 }
 
-// Remove password from response
-unset($user['password']);
-
-// If user is a tutor, get tutor profile
-if ($user['role'] === 'tutor') {
-    $stmt = $conn->prepare("SELECT subjects, bio, experience, hourly_rate, rating, total_sessions FROM tutor_profiles WHERE user_id = ?");
-    $stmt->bind_param("i", $user['id']);
-    $stmt->execute();
-    $tutorResult = $stmt->get_result();
-
-    if ($tutorResult->num_rows > 0) {
-        $tutorProfile = $tutorResult->fetch_assoc();
-        $user['subjects'] = explode(',', $tutorProfile['subjects']);
-        $user['bio'] = $tutorProfile['bio'];
-        $user['experience'] = intval($tutorProfile['experience']);
-        $user['hourly_rate'] = floatval($tutorProfile['hourly_rate']);
-        $user['rating'] = floatval($tutorProfile['rating']);
-        $user['total_sessions'] = intval($tutorProfile['total_sessions']);
-    }
-}
-
 $stmt->close();
+
+// Load the user's profile (tutor details included) and issue a login token
+$profile = getUserProfile($conn, $user['id']);
+$auth = issueAuthToken($conn, $user);
+
 $conn->close();
 
 // Send success response with user data
 sendSuccess([
     'message' => 'Login successful',
-    'user' => $user
+    'user' => $profile,
+    'token' => $auth['token'],
+    'expires_at' => $auth['expires_at']
 ]);
@@ -0,0 +1,26 @@
+<?php
+
+/**
+ * Tutify Logout API
+ * Revokes the login token sent with the request
+ */
+
+require_once 'db.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+revokeAuthSession($conn, $auth['session_id']);
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => 'Logged out successfully'
+]);
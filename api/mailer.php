@@ -0,0 +1,370 @@
+<?php
+
+/**
+ * Tutify Mailer
+ * Sends outgoing email through a configurable transport
+ *
+ * Transports (set TUTIFY_MAIL_TRANSPORT):
+ * - file (default): writes each message to STORAGE_DIR/mail as a .eml file,
+ *   so emails can be read locally without a mail server
+ * - log: writes each message to the PHP error log
+ * - mail: hands the message to PHP's mail()
+ * - smtp: speaks plain SMTP to TUTIFY_SMTP_HOST:TUTIFY_SMTP_PORT, meant for a
+ *   local sink such as Mailpit or MailHog (no TLS or authentication)
+ *
+ * Notification emails are rendered from MAIL_TEMPLATES and only sent when
+ * the recipient's matching preference is switched on.
+ */
+
+require_once 'db.php';
+
+define('MAIL_TRANSPORT', getenv('TUTIFY_MAIL_TRANSPORT') ?: 'file');
+define('MAIL_FROM', getenv('TUTIFY_MAIL_FROM') ?: 'Tutify <no-reply@tutify.local>');
+define('SMTP_HOST', getenv('TUTIFY_SMTP_HOST') ?: '127.0.0.1');
+define('SMTP_PORT', intval(getenv('TUTIFY_SMTP_PORT') ?: 1025));
+define('SMTP_TIMEOUT', 5); // seconds
+
+/**
+ * Send a plain-text email
+ * @param string $to - Recipient address
+ * @param string $subject - Subject line
+ * @param string $body - Plain-text body
+ * @return bool True if the transport accepted the message
+ */
+function sendMail($to, $subject, $body)
+{
+    // Reject header injection through the address or subject
+    if (!isValidEmail($to) || preg_match('/[\r\n]/', $subject)) {
+        return false;
+    }
+
+    $message = [
+        'to' => $to,
+        'from' => MAIL_FROM,
+        'subject' => $subject,
+        'body' => $body,
+        'date' => date('r')
+    ];
+
+    switch (MAIL_TRANSPORT) {
+        case 'mail':
+            return mailTransportPhp($message);
+        case 'log':
+            return mailTransportLog($message);
+        case 'smtp':
+            return mailTransportSmtp($message);
+        default:
+            return mailTransportFile($message);
+    }
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word if it is not plain ASCII
+ * @param string $text - Header value
+ * @return string Header value safe to send
+ */
+function encodeMailHeader($text)
+{
+    if (!preg_match('/[^\x20-\x7E]/', $text)) {
+        return $text;
+    }
+    return '=?UTF-8?B?' . base64_encode($text) . '?=';
+}
+
+/**
+ * Render a message in RFC 822 form
+ * @param array $message - Message fields
+ * @return string Raw message
+ */
+function formatMailMessage($message)
+{
+    return "Date: {$message['date']}\r\n"
+        . "From: {$message['from']}\r\n"
+        . "To: {$message['to']}\r\n"
+        . "Subject: " . encodeMailHeader($message['subject']) . "\r\n"
+        . "Content-Type: text/plain; charset=UTF-8\r\n"
+        . "\r\n"
+        . $message['body'] . "\r\n";
+}
+
+/**
+ * File transport: one .eml file per message
+ * @param array $message - Message fields
+ * @return bool True if written
+ */
+function mailTransportFile($message)
+{
+    $dir = STORAGE_DIR . '/mail';
+    if (!is_dir($dir) && !mkdir($dir, 0770, true)) {
+        error_log("Tutify mailer: cannot create {$dir}");
+        return false;
+    }
+
+    $file = $dir . '/' . date('Ymd-His') . '-' . generateToken(4) . '.eml';
+    return file_put_contents($file, formatMailMessage($message)) !== false;
+}
+
+/**
+ * Log transport: message goes to the PHP error log
+ * @param array $message - Message fields
+ * @return bool Always true
+ */
+function mailTransportLog($message)
+{
+    error_log("Tutify mailer:\n" . formatMailMessage($message));
+    return true;
+}
+
+/**
+ * PHP mail() transport
+ * @param array $message - Message fields
+ * @return bool True if mail() accepted the message
+ */
+function mailTransportPhp($message)
+{
+    $headers = "From: {$message['from']}\r\nContent-Type: text/plain; charset=UTF-8";
+    return mail($message['to'], encodeMailHeader($message['subject']), $message['body'], $headers);
+}
+
+/**
+ * SMTP transport: delivers to a local SMTP server or sink
+ * @param array $message - Message fields
+ * @return bool True if the server accepted the message
+ */
+function mailTransportSmtp($message)
+{
+    $socket = @fsockopen(SMTP_HOST, SMTP_PORT, $errno, $errstr, SMTP_TIMEOUT);
+    if (!$socket) {
+        error_log("Tutify mailer: cannot connect to " . SMTP_HOST . ':' . SMTP_PORT . " ({$errstr})");
+        return false;
+    }
+    stream_set_timeout($socket, SMTP_TIMEOUT);
+
+    // The envelope sender is the bare address inside "Name <address>"
+    $from = preg_match('/<([^>]+)>/', $message['from'], $match) ? $match[1] : $message['from'];
+    $host = parse_url(APP_URL, PHP_URL_HOST) ?: 'localhost';
+
+    // Lines starting with a dot are doubled so they cannot end the DATA block
+    $data = preg_replace('/^\./m', '..', str_replace(["\r\n", "\n"], ["\n", "\r\n"], formatMailMessage($message)));
+
+    $steps = [
+        [null, 220],
+        ["EHLO {$host}", 250],
+        ["MAIL FROM:<{$from}>", 250],
+        ["RCPT TO:<{$message['to']}>", 250],
+        ['DATA', 354],
+        [$data . '.', 250]
+    ];
+
+    $sent = true;
+    foreach ($steps as [$command, $expected]) {
+        if ($command !== null) {
+            fwrite($socket, $command . "\r\n");
+        }
+        $reply = readSmtpReply($socket);
+        if (intval(substr($reply, 0, 3)) !== $expected) {
+            error_log("Tutify mailer: SMTP server replied " . trim($reply));
+            $sent = false;
+            break;
+        }
+    }
+
+    fwrite($socket, "QUIT\r\n");
+    fclose($socket);
+
+    return $sent;
+}
+
+/**
+ * Read one (possibly multi-line) SMTP reply
+ * @param resource $socket - Open SMTP connection
+ * @return string Reply text; its last line starts with the status code
+ */
+function readSmtpReply($socket)
+{
+    $line = '';
+    // Continuation lines have a dash after the code, e.g. "250-SIZE"
+    while (($line = fgets($socket, 515)) !== false) {
+        if (strlen($line) < 4 || $line[3] !== '-') {
+            break;
+        }
+    }
+    return (string)$line;
+}
+
+/**
+ * Notification email templates
+ * Each names the preference that must be on for it to be sent. {name} is
+ * the recipient; other placeholders are filled in by the caller.
+ */
+define('MAIL_TEMPLATES', [
+    'booking_requested' => [
+        'preference' => 'email_notifications',
+        'subject' => 'New booking request from {actor}',
+        'body' => "Hi {name},\n\n{actor} requested {what}.{detail}\n\nAccept or decline from your dashboard:\n{link}"
+    ],
+    'booking_accepted' => [
+        'preference' => 'email_notifications',
+        'subject' => '{actor} accepted your {subject} session',
+        'body' => "Hi {name},\n\nGood news: {actor} accepted {what}.{detail}\n\nSee your upcoming sessions:\n{link}"
+    ],
+    'booking_rejected' => [
+        'preference' => 'email_notifications',
+        'subject' => '{actor} declined your {subject} session',
+        'body' => "Hi {name},\n\n{actor} declined {what}.{detail}\n\nYou can pick another time or another tutor from your dashboard:\n{link}"
+    ],
+    'session_completed' => [
+        'preference' => 'email_notifications',
+        'subject' => 'Your {subject} session with {actor} is complete',
+        'body' => "Hi {name},\n\n{actor} marked {what} as complete.{detail}\n\nHow did it go? Rate the session from your dashboard:\n{link}"
+    ],
+    'feedback_received' => [
+        'preference' => 'feedback_notifications',
+        'subject' => '{actor} rated your {subject} session {rating}/5',
+        'body' => "Hi {name},\n\n{actor} left feedback on {what}.\n\nRating: {stars}{detail}\n\nSee all your feedback:\n{link}"
+    ],
+    'session_reminder' => [
+        'preference' => 'reminder_notifications',
+        'subject' => 'Reminder: {subject} with {actor} {in}',
+        'body' => "Hi {name},\n\nA reminder that {what} with {actor} starts {in}.\n\nSee the details on your dashboard:\n{link}"
+    ],
+    'tutor_feedback' => [
+        'preference' => 'feedback_notifications',
+        'subject' => '{actor} sent feedback on your {subject} session',
+        'body' => "Hi {name},\n\n{actor} shared feedback on {what}.{detail}\n\nRead it in full from your dashboard:\n{link}"
+    ],
+    'payment_receipt' => [
+        'preference' => 'email_notifications',
+        'subject' => 'Receipt {receipt}: {amount} for your {subject} session',
+        'body' => "Hi {name},\n\nThank you for your payment of {amount} for {what} with {actor}.\n\nReceipt: {receipt}\nPaid with: {card}\n\nSee your bookings and receipts:\n{link}"
+    ],
+    'payment_refunded' => [
+        'preference' => 'email_notifications',
+        'subject' => 'Refund of {amount} for your {subject} session',
+        'body' => "Hi {name},\n\nWe refunded {amount} for {what} with {actor} to your {card}. It can take a few days to show on your statement.\n\nReceipt: {receipt}\n\nSee your bookings:\n{link}"
+    ]
+]);
+
+/**
+ * Fill in a notification email template
+ * @param string $template - MAIL_TEMPLATES key
+ * @param array $vars - Placeholder values, without braces
+ * @return array ['subject' => ..., 'body' => ...]
+ */
+function renderMailTemplate($template, $vars)
+{
+    $replacements = [];
+    foreach ($vars as $key => $value) {
+        $replacements['{' . $key . '}'] = (string)$value;
+    }
+
+    return [
+        'subject' => strtr(MAIL_TEMPLATES[$template]['subject'], $replacements),
+        'body' => strtr(MAIL_TEMPLATES[$template]['body'], $replacements) . "\n\n— The Tutify Team"
+    ];
+}
+
+/**
+ * Email a user from a template, unless they switched its preference off
+ * @param mysqli $conn - Database connection
+ * @param int $userId - Recipient
+ * @param string $template - MAIL_TEMPLATES key
+ * @param array $vars - Placeholder values; {name} is added automatically
+ * @return bool True if the email was sent
+ */
+function sendTemplatedMail($conn, $userId, $template, $vars)
+{
+    $preferences = getUserPreferences($conn, $userId);
+    if (!$preferences[MAIL_TEMPLATES[$template]['preference']]) {
+        return false;
+    }
+
+    $user = getUserProfile($conn, $userId);
+    if ($user === null) {
+        return false;
+    }
+
+    $mail = renderMailTemplate($template, ['name' => $user['name']] + $vars);
+    if (!sendMail($user['email'], $mail['subject'], $mail['body'])) {
+        error_log("Tutify mailer: {$template} email to user {$userId} could not be sent");
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Placeholders describing a session to one of its participants
+ * @param array $session - Formatted session (the first one, for a series)
+ * @param bool $toStudent - Whether the recipient is the student
+ * @param int $count - Number of sessions affected
+ * @return array actor, subject, what and link
+ */
+function sessionMailVars($session, $toStudent, $count = 1)
+{
+    $timezone = $toStudent ? $session['student_timezone'] : $session['tutor_timezone'];
+    $when = describeSessionTime($session, $timezone) . " ({$timezone})";
+
+    return [
+        'actor' => $toStudent ? $session['tutor_name'] : $session['student_name'],
+        'subject' => $session['subject'],
+        'what' => $count > 1
+            ? "{$count} {$session['subject']} sessions starting {$when}"
+            : "the {$session['subject']} session on {$when}",
+        'link' => APP_URL . ($toStudent ? '/student/dashboard.html' : '/tutor/dashboard.html')
+    ];
+}
+
+/**
+ * Email the other participant about a session change, where it has a template
+ *
+ * Covers a student's booking request (to the tutor) and the tutor accepting,
+ * declining or completing sessions or sending feedback (to the student).
+ * Other events only appear in the in-app inbox.
+ *
+ * @param mysqli $conn - Database connection
+ * @param array $session - Formatted session (the first one, for a series)
+ * @param string $event - Same events as notifySessionEvent()
+ * @param int $actorId - User who did it
+ * @param int $count - Number of sessions affected
+ * @param string|null $detail - Reason or message to pass on
+ * @return bool True if an email was sent
+ */
+function emailSessionEvent($conn, $session, $event, $actorId, $count = 1, $detail = null)
+{
+    $toStudent = $session['tutor_id'] === $actorId;
+    $templates = $toStudent
+        ? ['confirmed' => 'booking_accepted', 'rejected' => 'booking_rejected', 'completed' => 'session_completed', 'feedback' => 'tutor_feedback']
+        : ['booked' => 'booking_requested'];
+
+    if (!isset($templates[$event])) {
+        return false;
+    }
+
+    $labels = ['booked' => 'Their message', 'rejected' => 'Reason', 'feedback' => 'Notes'];
+    $vars = sessionMailVars($session, $toStudent, $count);
+    $vars['detail'] = ($detail !== null && $detail !== '')
+        ? "\n\n" . ($labels[$event] ?? 'Message') . ": {$detail}"
+        : '';
+
+    $recipientId = $toStudent ? $session['student_id'] : $session['tutor_id'];
+    return sendTemplatedMail($conn, $recipientId, $templates[$event], $vars);
+}
+
+/**
+ * Email a tutor about a student's rating of a session
+ * @param mysqli $conn - Database connection
+ * @param array $session - Formatted session
+ * @param int $rating - Stars, 1-5
+ * @param string $comment - Student's comment, may be empty
+ * @return bool True if an email was sent
+ */
+function emailFeedbackReceived($conn, $session, $rating, $comment)
+{
+    $vars = sessionMailVars($session, false);
+    $vars['rating'] = $rating;
+    $vars['stars'] = str_repeat('★', $rating) . str_repeat('☆', 5 - $rating);
+    $vars['detail'] = $comment !== '' ? "\n\n“{$comment}”" : '';
+
+    return sendTemplatedMail($conn, $session['tutor_id'], 'feedback_received', $vars);
+}
@@ -0,0 +1,54 @@
+<?php
+
+/**
+ * Tutify Mark Notifications Read API
+ * Marks some of the logged-in user's notifications as read ({ ids: [...] }),
+ * or all of them ({ all: true })
+ */
+
+require_once 'db.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+$markAll = !empty($data->all);
+$ids = isset($data->ids) && is_array($data->ids) ? array_values(array_unique(array_map('intval', $data->ids))) : [];
+
+if (!$markAll && empty($ids)) {
+    sendError('Notification IDs or all are required');
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+
+if ($markAll) {
+    $stmt = $conn->prepare("UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL");
+    $stmt->bind_param("i", $userId);
+} else {
+    // Other users' notifications are silently left alone
+    $placeholders = implode(', ', array_fill(0, count($ids), '?'));
+    $stmt = $conn->prepare("UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL AND id IN ({$placeholders})");
+    $stmt->bind_param('i' . str_repeat('i', count($ids)), $userId, ...$ids);
+}
+$stmt->execute();
+$marked = $stmt->affected_rows;
+$stmt->close();
+
+$unreadCount = countUnreadNotifications($conn, $userId);
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => $marked === 1 ? '1 notification marked as read' : "{$marked} notifications marked as read",
+    'marked' => $marked,
+    'unread_count' => $unreadCount
+]);
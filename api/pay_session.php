@@ -0,0 +1,130 @@
+<?php
+
+/**
+ * Tutify Pay Session API
+ * Lets a student pay for an upcoming session in advance
+ *
+ * POST { session_id, card: { number, expiry ('MM/YY'), cvc } }. The amount
+ * is the session's price: the hourly rate stored when it was booked times
+ * its length. When the bank wants the cardholder to confirm, the payment
+ * comes back as 'requires_action' (202); finish it with confirm_payment.php.
+ * A declined card answers 402 with the bank's reason. Errors name the
+ * offending form field in 'field'.
+ */
+
+require_once 'payments.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+// Validate required fields
+if (empty($data->session_id)) {
+    sendError('Session ID is required');
+}
+if (empty($data->card) || !is_object($data->card)) {
+    sendError('Please enter your card details', 400, ['field' => 'cardNumber']);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn, 'student');
+$studentId = $auth['id'];
+
+$sessionId = intval($data->session_id);
+
+// Hold the session row until the payment is recorded, so a second request
+// for it (another tab, a retry) waits here and then sees this payment
+$conn->begin_transaction();
+$stmt = $conn->prepare("SELECT id FROM sessions WHERE id = ? FOR UPDATE");
+$stmt->bind_param("i", $sessionId);
+$stmt->execute();
+$stmt->close();
+
+$session = getSessionById($conn, $sessionId);
+
+if ($session === null) {
+    $conn->rollback();
+    $conn->close();
+    sendError('Session not found', 404);
+}
+
+if ($session['student_id'] !== $studentId) {
+    $conn->rollback();
+    $conn->close();
+    sendError('Unauthorized. You can only pay for your own sessions.', 403);
+}
+
+if (!in_array($session['status'], ['pending', 'confirmed']) || strtotime($session['starts_at']) <= time()) {
+    $conn->rollback();
+    $conn->close();
+    sendError('Only upcoming sessions can be paid for', 409);
+}
+
+if ($session['payment'] !== null && in_array($session['payment']['status'], ['succeeded', 'refunded'])) {
+    $conn->rollback();
+    $conn->close();
+    sendError('This session has already been paid for', 409);
+}
+
+$amount = $session['price'];
+if ($amount <= 0) {
+    $conn->rollback();
+    $conn->close();
+    sendError('This tutor has not set an hourly rate, so there is nothing to pay');
+}
+
+$result = callPaymentDriver('charge', [$amount, PAYMENT_CURRENCY, $data->card]);
+
+// Card details the driver would not even try
+if ($result['status'] === 'invalid') {
+    $conn->rollback();
+    $conn->close();
+    sendError($result['message'], 400, ['field' => $result['field']]);
+}
+
+// A new attempt replaces one still waiting for the bank
+$replaced = 'Replaced by a new payment attempt';
+$stmt = $conn->prepare("UPDATE payments SET status = 'failed', failure_reason = ? WHERE session_id = ? AND status = 'requires_action'");
+$stmt->bind_param("si", $replaced, $sessionId);
+$stmt->execute();
+$stmt->close();
+
+$driver = PAYMENT_DRIVER;
+$currency = PAYMENT_CURRENCY;
+$status = $result['status'];
+$stmt = $conn->prepare("INSERT INTO payments (session_id, student_id, amount, currency, status, driver, reference, card_brand, card_last4) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)");
+$stmt->bind_param("iidssssss", $sessionId, $studentId, $amount, $currency, $status, $driver, $result['reference'], $result['card_brand'], $result['card_last4']);
+$stmt->execute();
+$paymentId = $stmt->insert_id;
+$stmt->close();
+
+applyPaymentResult($conn, $paymentId, $result, $status);
+
+$conn->commit();
+
+$payment = formatPayment(getPaymentById($conn, $paymentId));
+$session = getSessionById($conn, $sessionId);
+
+if ($status === 'failed') {
+    $conn->close();
+    sendError($result['message'], 402, ['field' => $result['field'] ?? 'cardNumber', 'payment' => $payment]);
+}
+
+if ($status === 'succeeded') {
+    announcePayment($conn, $session);
+}
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => $status === 'succeeded' ? 'Payment received' : 'Your bank needs to confirm this payment',
+    'payment' => $payment,
+    'session' => $session
+], $status === 'succeeded' ? 201 : 202);
@@ -0,0 +1,395 @@
+<?php
+
+/**
+ * Tutify Payments
+ * Takes payment for sessions through a configurable driver
+ *
+ * Drivers (set TUTIFY_PAYMENT_DRIVER):
+ * - fake (default): a local stand-in for a card processor that never moves
+ *   money. The card number picks the outcome (FAKE_GATEWAY_CARDS); any other
+ *   valid number is approved.
+ *
+ * Each driver in PAYMENT_DRIVERS provides three functions:
+ * - charge($amount, $currency, $card): takes a payment
+ * - confirm($payment, $result): finishes a payment that needed the
+ *   cardholder to authenticate with their bank (3-D Secure)
+ * - refund($payment, $amount): gives money back
+ * charge and confirm return ['status' => 'succeeded' | 'requires_action' |
+ * 'failed' | 'invalid', 'reference', 'message', 'field', 'card_brand',
+ * 'card_last4']; refund returns ['status' => 'succeeded' | 'failed',
+ * 'reference', 'message']. 'invalid' means the card details were rejected
+ * before any attempt, so nothing is recorded.
+ *
+ * Students get their money back when the tutor declines or cancels, or when
+ * they cancel themselves with the notice the session's cancellation policy
+ * asks for (see isLateCancellation()). A refund the driver turns down stays
+ * due (refund_due_at) and cron/retry_refunds.php tries it again.
+ */
+
+require_once 'db.php';
+require_once 'mailer.php';
+
+define('PAYMENT_DRIVER', getenv('TUTIFY_PAYMENT_DRIVER') ?: 'fake');
+define('PAYMENT_CURRENCY', 'USD');
+
+define('PAYMENT_DRIVERS', [
+    'fake' => [
+        'charge' => 'fakeGatewayCharge',
+        'confirm' => 'fakeGatewayConfirm',
+        'refund' => 'fakeGatewayRefund'
+    ]
+]);
+
+// Test cards for the fake driver: number => outcome
+define('FAKE_GATEWAY_CARDS', [
+    '4242424242424242' => 'approve',
+    '4000000000000002' => 'decline',
+    '4000000000009995' => 'insufficient_funds',
+    '4000000000003220' => 'challenge'
+]);
+
+/**
+ * Call the configured driver
+ * @param string $action - 'charge', 'confirm' or 'refund'
+ * @param array $args - Arguments for the driver function
+ * @return array Driver result
+ */
+function callPaymentDriver($action, $args)
+{
+    $driver = PAYMENT_DRIVERS[PAYMENT_DRIVER] ?? null;
+    if ($driver === null) {
+        error_log('Tutify payments: unknown driver ' . PAYMENT_DRIVER);
+        return ['status' => 'failed', 'reference' => null, 'message' => 'Payments are not available right now.'];
+    }
+    return call_user_func_array($driver[$action], $args);
+}
+
+/**
+ * Fetch a payment by ID
+ * @param mysqli $conn - Database connection
+ * @param int $paymentId - Payment ID
+ * @return array|null payments row, or null if not found
+ */
+function getPaymentById($conn, $paymentId)
+{
+    $stmt = $conn->prepare("SELECT * FROM payments WHERE id = ?");
+    $stmt->bind_param("i", $paymentId);
+    $stmt->execute();
+    $row = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+
+    return $row ?: null;
+}
+
+/**
+ * Store the outcome of a charge or confirmation on a payment. A successful
+ * payment gets its receipt number and paid_at time. Only a payment still in
+ * $fromStatus is touched, so a confirmation cannot revive a payment that was
+ * abandoned in the meantime.
+ * @param mysqli $conn - Database connection
+ * @param int $paymentId - Payment ID
+ * @param array $result - Driver result
+ * @param string $fromStatus - Status the payment must still have
+ * @return bool False if the payment had already moved on
+ */
+function applyPaymentResult($conn, $paymentId, $result, $fromStatus = 'requires_action')
+{
+    $status = $result['status'];
+    $reference = $result['reference'] ?? null;
+    $failure = $status === 'failed' ? ($result['message'] ?? 'The payment failed') : null;
+    $receipt = $status === 'succeeded' ? 'TUT-' . gmdate('Ymd') . '-' . str_pad($paymentId, 6, '0', STR_PAD_LEFT) : null;
+
+    $stmt = $conn->prepare("UPDATE payments SET status = ?, reference = COALESCE(?, reference), failure_reason = ?, receipt_number = ?, paid_at = IF(? = 'succeeded', NOW(), NULL) WHERE id = ? AND status = ?");
+    $stmt->bind_param("sssssis", $status, $reference, $failure, $receipt, $status, $paymentId, $fromStatus);
+    $stmt->execute();
+    $applied = $stmt->affected_rows > 0;
+    $stmt->close();
+
+    return $applied;
+}
+
+/**
+ * Give back a session's payment when it is declined or cancelled, if the
+ * refund policy allows it. A payment still waiting for the bank is
+ * abandoned instead.
+ * @param mysqli $conn - Database connection
+ * @param array $session - Formatted session, already in its new status
+ * @param string $actorRole - 'student' or 'tutor'
+ * @return array|null ['status' => 'refunded' | 'kept' | 'abandoned' | 'failed', 'amount' => float], or null if nothing was paid
+ */
+function refundSessionPayment($conn, $session, $actorRole)
+{
+    $payment = $session['payment'];
+    if ($payment === null || !in_array($payment['status'], ['succeeded', 'requires_action'])) {
+        return null;
+    }
+
+    if ($payment['status'] === 'requires_action') {
+        $reason = 'The session was cancelled before the payment was finished';
+        $stmt = $conn->prepare("UPDATE payments SET status = 'failed', failure_reason = ? WHERE id = ? AND status = 'requires_action'");
+        $stmt->bind_param("si", $reason, $payment['id']);
+        $stmt->execute();
+        $stmt->close();
+        return ['status' => 'abandoned', 'amount' => 0.0];
+    }
+
+    if (!isRefundDue($session, $actorRole)) {
+        return ['status' => 'kept', 'amount' => 0.0];
+    }
+
+    if (!issueRefund($conn, $session)) {
+        return ['status' => 'failed', 'amount' => 0.0];
+    }
+
+    // A student who cancelled knows already; the email is enough
+    announceRefund($conn, getSessionById($conn, $session['id']), $actorRole === 'tutor', $session['tutor_id']);
+
+    return ['status' => 'refunded', 'amount' => $payment['amount']];
+}
+
+/**
+ * Ask the driver to give a session's payment back and record the outcome.
+ * A refund the driver turns down is marked as due, for
+ * cron/retry_refunds.php to try again; the first time, the student and the
+ * tutor are told it is delayed.
+ * @param mysqli $conn - Database connection
+ * @param array $session - Formatted session with its succeeded payment
+ * @return bool True if the payment was refunded
+ */
+function issueRefund($conn, $session)
+{
+    $payment = $session['payment'];
+    $row = getPaymentById($conn, $payment['id']);
+    $result = callPaymentDriver('refund', [$row, $payment['amount']]);
+
+    if ($result['status'] !== 'succeeded') {
+        $reason = substr($result['message'] ?? 'unknown error', 0, 255);
+        error_log("Tutify payments: refund of payment {$payment['id']} failed: {$reason}");
+
+        $stmt = $conn->prepare("UPDATE payments SET refund_due_at = COALESCE(refund_due_at, NOW()), refund_attempts = LEAST(refund_attempts + 1, 255), refund_failure_reason = ? WHERE id = ? AND status = 'succeeded'");
+        $stmt->bind_param("si", $reason, $payment['id']);
+        $stmt->execute();
+        $stmt->close();
+
+        if ($row['refund_due_at'] === null) {
+            $amount = formatPaymentAmount($payment['amount'], $payment['currency']);
+            createNotification($conn, $session['student_id'], 'payment_refund_delayed', "Your refund for the {$session['subject']} session is delayed", "We could not refund {$amount} to your {$payment['card_brand']} card ending {$payment['card_last4']} yet. We will keep trying and let you know when it goes through.", ['session_id' => $session['id']]);
+            createNotification($conn, $session['tutor_id'], 'payment_refund_delayed', "{$session['student_name']}'s refund for the {$session['subject']} session is delayed", "The refund of {$amount} could not be made yet. It is retried automatically; {$session['student_name']} has been told.", ['session_id' => $session['id']]);
+        }
+        return false;
+    }
+
+    $stmt = $conn->prepare("UPDATE payments SET status = 'refunded', refunded_amount = amount, refund_reference = ?, refunded_at = NOW(), refund_due_at = NULL, refund_failure_reason = NULL WHERE id = ? AND status = 'succeeded'");
+    $stmt->bind_param("si", $result['reference'], $payment['id']);
+    $stmt->execute();
+    $stmt->close();
+
+    return true;
+}
+
+/**
+ * Email the student that their payment was refunded and, if asked, put it in
+ * their inbox too
+ * @param mysqli $conn - Database connection
+ * @param array $session - Formatted session with its refunded payment
+ * @param bool $notify - Also add an inbox notification
+ * @param int|null $actorId - Who caused the refund, if anyone
+ */
+function announceRefund($conn, $session, $notify, $actorId = null)
+{
+    $payment = $session['payment'];
+    if ($notify) {
+        createNotification($conn, $session['student_id'], 'payment_refunded', "Your payment for the {$session['subject']} session was refunded", formatPaymentAmount($payment['amount'], $payment['currency']) . ' will be back on your ' . $payment['card_brand'] . ' card ending ' . $payment['card_last4'], ['session_id' => $session['id']], $actorId);
+    }
+    emailPaymentRefunded($conn, $session);
+}
+
+/**
+ * Whether cancelling or declining a session gives the student their money
+ * back: always, unless the student cancelled late and the session's policy
+ * keeps the payment for late cancellations
+ * @param array $session - Formatted session, already in its new status
+ * @param string $actorRole - 'student' or 'tutor'
+ * @return bool True if a refund is due
+ */
+function isRefundDue($session, $actorRole)
+{
+    if ($actorRole === 'tutor' || !$session['cancelled_late']) {
+        return true;
+    }
+    return $session['cancellation_policy']['late_cancellation'] === 'refund';
+}
+
+/**
+ * Format an amount with its currency for messages
+ * @param float $amount - Amount
+ * @param string $currency - ISO currency code
+ * @return string e.g. "$40.00"
+ */
+function formatPaymentAmount($amount, $currency = PAYMENT_CURRENCY)
+{
+    $symbol = $currency === 'USD' ? '$' : "{$currency} ";
+    return $symbol . number_format($amount, 2);
+}
+
+/**
+ * Tell the tutor a session was paid for and email the student their receipt
+ * @param mysqli $conn - Database connection
+ * @param array $session - Formatted session with its successful payment
+ */
+function announcePayment($conn, $session)
+{
+    $payment = $session['payment'];
+    $body = formatPaymentAmount($payment['amount'], $payment['currency']) . ' for ' . describeSessionTime($session, $session['tutor_timezone']);
+    createNotification($conn, $session['tutor_id'], 'payment_received', "{$session['student_name']} paid for their {$session['subject']} session", $body, ['session_id' => $session['id']], $session['student_id']);
+    emailPaymentReceipt($conn, $session);
+}
+
+/**
+ * Email the student a receipt for a session they paid for
+ * @param mysqli $conn - Database connection
+ * @param array $session - Formatted session with its payment
+ * @return bool True if an email was sent
+ */
+function emailPaymentReceipt($conn, $session)
+{
+    $payment = $session['payment'];
+    $vars = sessionMailVars($session, true);
+    $vars['amount'] = formatPaymentAmount($payment['amount'], $payment['currency']);
+    $vars['receipt'] = $payment['receipt_number'];
+    $vars['card'] = "{$payment['card_brand']} ending {$payment['card_last4']}";
+
+    return sendTemplatedMail($conn, $session['student_id'], 'payment_receipt', $vars);
+}
+
+/**
+ * Email the student that a session's payment was refunded
+ * @param mysqli $conn - Database connection
+ * @param array $session - Formatted session with its refunded payment
+ * @return bool True if an email was sent
+ */
+function emailPaymentRefunded($conn, $session)
+{
+    $payment = $session['payment'];
+    $vars = sessionMailVars($session, true);
+    $vars['amount'] = formatPaymentAmount($payment['refunded_amount'], $payment['currency']);
+    $vars['receipt'] = $payment['receipt_number'];
+    $vars['card'] = "{$payment['card_brand']} ending {$payment['card_last4']}";
+
+    return sendTemplatedMail($conn, $session['student_id'], 'payment_refunded', $vars);
+}
+
+// ── Fake gateway ───────────────────────────────────────────────────────
+
+/**
+ * Check a card number with the Luhn algorithm
+ * @param string $number - Digits only
+ * @return bool True if the check digit is right
+ */
+function luhnValid($number)
+{
+    $sum = 0;
+    $double = false;
+    for ($i = strlen($number) - 1; $i >= 0; $i--) {
+        $digit = intval($number[$i]);
+        if ($double) {
+            $digit *= 2;
+            if ($digit > 9) {
+                $digit -= 9;
+            }
+        }
+        $sum += $digit;
+        $double = !$double;
+    }
+    return $sum % 10 === 0;
+}
+
+/**
+ * Name the card network from the number's prefix
+ * @param string $number - Digits only
+ * @return string Brand
+ */
+function cardBrand($number)
+{
+    if (preg_match('/^4/', $number)) {
+        return 'Visa';
+    }
+    if (preg_match('/^(5[1-5]|2[2-7])/', $number)) {
+        return 'Mastercard';
+    }
+    if (preg_match('/^3[47]/', $number)) {
+        return 'Amex';
+    }
+    return 'Card';
+}
+
+/**
+ * Fake driver: charge a card
+ * @param float $amount - Amount to charge
+ * @param string $currency - ISO currency code
+ * @param object $card - { number, expiry ('MM/YY'), cvc }
+ * @return array Driver result
+ */
+function fakeGatewayCharge($amount, $currency, $card)
+{
+    $number = preg_replace('/[\s-]/', '', (string)($card->number ?? ''));
+    if (!preg_match('/^\d{12,19}$/', $number) || !luhnValid($number)) {
+        return ['status' => 'invalid', 'message' => 'Please enter a valid card number', 'field' => 'cardNumber'];
+    }
+
+    if (!preg_match('/^(\d{2})\s*\/\s*(\d{2})$/', (string)($card->expiry ?? ''), $parts) || intval($parts[1]) < 1 || intval($parts[1]) > 12) {
+        return ['status' => 'invalid', 'message' => 'Enter the expiry date as MM/YY', 'field' => 'cardExpiry'];
+    }
+    // Cards are valid to the end of their expiry month
+    if (gmmktime(0, 0, 0, intval($parts[1]) + 1, 1, 2000 + intval($parts[2])) <= time()) {
+        return ['status' => 'invalid', 'message' => 'This card has expired', 'field' => 'cardExpiry'];
+    }
+
+    if (!preg_match('/^\d{3,4}$/', (string)($card->cvc ?? ''))) {
+        return ['status' => 'invalid', 'message' => 'Enter the 3 or 4 digit security code', 'field' => 'cardCvc'];
+    }
+
+    $result = [
+        'reference' => 'fake_ch_' . generateToken(12),
+        'card_brand' => cardBrand($number),
+        'card_last4' => substr($number, -4),
+        'message' => null
+    ];
+
+    switch (FAKE_GATEWAY_CARDS[$number] ?? 'approve') {
+        case 'decline':
+            return ['status' => 'failed', 'message' => 'Your card was declined.', 'field' => 'cardNumber'] + $result;
+        case 'insufficient_funds':
+            return ['status' => 'failed', 'message' => 'Your card has insufficient funds.', 'field' => 'cardNumber'] + $result;
+        case 'challenge':
+            return ['status' => 'requires_action'] + $result;
+        default:
+            return ['status' => 'succeeded'] + $result;
+    }
+}
+
+/**
+ * Fake driver: finish a challenged payment. The test bank page lets the
+ * cardholder pass or fail the check, and that choice is the result.
+ * @param array $payment - payments row
+ * @param string $result - 'approve' or 'fail'
+ * @return array Driver result
+ */
+function fakeGatewayConfirm($payment, $result)
+{
+    if ($result === 'approve') {
+        return ['status' => 'succeeded', 'reference' => $payment['reference'], 'message' => null];
+    }
+    return ['status' => 'failed', 'reference' => $payment['reference'], 'message' => 'Your bank could not confirm this payment.'];
+}
+
+/**
+ * Fake driver: refund a payment
+ * @param array $payment - payments row
+ * @param float $amount - Amount to give back
+ * @return array Driver result
+ */
+function fakeGatewayRefund($payment, $amount)
+{
+    return ['status' => 'succeeded', 'reference' => 'fake_re_' . generateToken(12), 'message' => null];
+}
@@ -0,0 +1,116 @@
+<?php
+
+/**
+ * Tutify Propose Reschedule API
+ * Suggests a new date and time for a pending or confirmed session
+ *
+ * The other participant accepts or declines it via respond_reschedule.php.
+ * Proposing while the other side's proposal is open counters it; proposing
+ * again while your own is open replaces it. Scope 'series' proposes the same
+ * move for this and every later session of the series. Dates and times are
+ * in the tutor's time zone.
+ */
+
+require_once 'db.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+// Validate required fields
+if (empty($data->session_id) || empty($data->date) || empty($data->time)) {
+    sendError('Session ID, date, and time are required');
+}
+
+$sessionId = intval($data->session_id);
+$newDate = $data->date;
+$newTime = $data->time;
+$scope = $data->scope ?? 'single';
+
+// Validate date format (YYYY-MM-DD)
+if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $newDate)) {
+    sendError('Invalid date format. Use YYYY-MM-DD');
+}
+
+// Validate time format (HH:MM)
+if (!preg_match('/^\d{2}:\d{2}$/', $newTime)) {
+    sendError('Invalid time format. Use HH:MM');
+}
+
+if (!in_array($scope, ['single', 'series'])) {
+    sendError('Scope must be single or series');
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+
+$message = !empty($data->message) ? cleanRichText($data->message) : null;
+
+// Verify session exists
+$session = getSessionById($conn, $sessionId);
+
+if ($session === null) {
+    $conn->close();
+    sendError('Session not found', 404);
+}
+
+// Only the two participants may propose a new time
+if ($session['student_id'] === $userId) {
+    $role = 'student';
+} elseif ($session['tutor_id'] === $userId) {
+    $role = 'tutor';
+} else {
+    $conn->close();
+    sendError('Unauthorized. You can only update your own sessions.', 403);
+}
+
+if (!in_array($session['status'], ['pending', 'confirmed'])) {
+    $conn->close();
+    sendError("A {$session['status']} session cannot be rescheduled", 409);
+}
+
+if ($scope === 'series' && $session['series_id'] === null) {
+    $conn->close();
+    sendError('This session is not part of a series');
+}
+
+// The proposed time must be free now; it is checked again when accepted
+$moves = planSessionMoves($conn, $session, $newDate, $newTime, $scope);
+checkSessionMoves($conn, $moves, $role, $role === 'student');
+
+$conn->begin_transaction();
+
+// Close the open proposal, if any: countered by the other side, or replaced by its author
+$stmt = $conn->prepare("UPDATE reschedule_proposals SET status = IF(proposed_by = ?, 'withdrawn', 'countered'), responded_by = ?, responded_at = NOW() WHERE session_id = ? AND status = 'open'");
+$stmt->bind_param("iii", $userId, $userId, $sessionId);
+$stmt->execute();
+$stmt->close();
+
+$stmt = $conn->prepare("INSERT INTO reschedule_proposals (session_id, proposed_by, proposed_date, proposed_time, scope, message) VALUES (?, ?, ?, ?, ?, ?)");
+$stmt->bind_param("iissss", $sessionId, $userId, $newDate, $newTime, $scope, $message);
+$stmt->execute();
+$proposalId = $stmt->insert_id;
+$stmt->close();
+
+$conn->commit();
+
+$proposal = getProposalById($conn, $proposalId);
+$session = attachProposals($conn, [$session])[0];
+
+notifySessionEvent($conn, ['starts_at' => $proposal['starts_at']] + $session, 'proposed', $userId, count($moves), $message);
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => 'New time proposed',
+    'proposal' => $proposal,
+    'session' => $session
+], 201);
@@ -53,6 +53,9 @@ $email = sanitize($conn, $data->email);
 $role = sanitize($conn, $data->role);
 $phone = !empty($data->phone) ? sanitize($conn, $data->phone) : null;
 
+// The browser's time zone; an unknown one falls back to the site default
+$timezone = isValidTimezone($data->timezone ?? null) ? $data->timezone : APP_TIMEZONE;
+
 // Check if email already exists
 $stmt = $conn->prepare("SELECT id FROM users WHERE email = ?");
 $stmt->bind_param("s", $email);
@@ -70,8 +73,8 @@ $stmt->close();
 $passwordHash = hashPassword($data->password);
 
 // Insert new user
-$stmt = $conn->prepare("INSERT INTO users (name, email, password, role, phone) VALUES (?, ?, ?, ?, ?)");
-$stmt->bind_param("sssss", $name, $email, $passwordHash, $role, $phone);
+$stmt = $conn->prepare("INSERT INTO users (name, email, password, role, phone, timezone) VALUES (?, ?, ?, ?, ?, ?)");
+$stmt->bind_param("ssssss", $name, $email, $passwordHash, $role, $phone, $timezone);
 
 if (!$stmt->execute()) {
     $stmt->close();
@@ -100,6 +103,9 @@ if ($role === 'tutor') {
     $stmt->close();
 }
 
+// Log the new user straight in
+$auth = issueAuthToken($conn, ['id' => $userId, 'role' => $role]);
+
 $conn->close();
 
 // Send success response
@@ -110,6 +116,9 @@ sendSuccess([
         'name' => $name,
         'email' => $email,
         'role' => $role,
-        'phone' => $phone
-    ]
+        'phone' => $phone,
+        'timezone' => $timezone
+    ],
+    'token' => $auth['token'],
+    'expires_at' => $auth['expires_at']
 ], 201);
@@ -0,0 +1,91 @@
+<?php
+
+/**
+ * Tutify Reply to Doubt API
+ * Adds a message to a doubt's thread; the other participant is notified
+ *
+ * A tutor's message marks the doubt answered. A student's follow-up marks it
+ * open again, which reopens it if it was answered or resolved. Tutors cannot
+ * write in a resolved doubt until the student reopens it. A message may be
+ * just attachments (attachment_ids from upload_attachment.php) with no text.
+ */
+
+require_once 'db.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+// Validate required fields
+if (empty($data->doubt_id)) {
+    sendError('Doubt ID is required');
+}
+
+if (trim($data->message ?? '') === '' && empty($data->attachment_ids)) {
+    sendError('Write a message or attach a file');
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+
+// Sanitize input
+$doubtId = intval($data->doubt_id);
+$message = cleanRichText($data->message ?? '');
+$attachmentIds = requireOwnAttachments($conn, $data, $userId);
+
+// Verify doubt exists and the user is part of it
+$doubt = getDoubtById($conn, $doubtId);
+
+if ($doubt === null) {
+    $conn->close();
+    sendError('Doubt not found', 404);
+}
+
+if ($doubt['student_id'] === $userId) {
+    $role = 'student';
+} elseif ($doubt['tutor_id'] === $userId) {
+    $role = 'tutor';
+} else {
+    $conn->close();
+    sendError('Unauthorized. You can only reply to your own doubts.', 403);
+}
+
+if ($role === 'tutor' && $doubt['status'] === 'resolved') {
+    $conn->close();
+    sendError('This doubt was resolved. The student can reopen it with a follow-up.', 409);
+}
+
+$previousStatus = $doubt['status'];
+
+$conn->begin_transaction();
+$messageId = addDoubtMessage($conn, $doubtId, $userId, $message, $role === 'tutor' ? 'answered' : 'open');
+linkAttachments($conn, $attachmentIds, 'doubt_message_id', $messageId);
+$conn->commit();
+
+$doubt = getDoubtById($conn, $doubtId);
+
+// The notification shows the text, or what was attached
+$preview = $message !== '' ? $message : '📎 ' . (count($attachmentIds) === 1 ? '1 attachment' : count($attachmentIds) . ' attachments');
+
+if ($role === 'tutor') {
+    createNotification($conn, $doubt['student_id'], 'doubt_replied', "{$doubt['tutor_name']} replied to your {$doubt['subject']} question", $preview, ['doubt_id' => $doubtId], $userId);
+} elseif ($previousStatus === 'open') {
+    createNotification($conn, $doubt['tutor_id'], 'doubt_followup', "{$doubt['student_name']} added to their {$doubt['subject']} question", $preview, ['doubt_id' => $doubtId], $userId);
+} else {
+    createNotification($conn, $doubt['tutor_id'], 'doubt_reopened', "{$doubt['student_name']} reopened their {$doubt['subject']} question", $preview, ['doubt_id' => $doubtId], $userId);
+}
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => 'Reply sent',
+    'doubt' => $doubt
+], 201);
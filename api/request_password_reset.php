@@ -0,0 +1,76 @@
+<?php
+
+/**
+ * Tutify Request Password Reset API
+ * Emails a one-time password reset link
+ *
+ * The response is the same whether or not the email is registered, so the
+ * endpoint cannot be used to find out who has an account. Only a hash of the
+ * token is stored; the link expires after PASSWORD_RESET_TTL seconds.
+ */
+
+require_once 'db.php';
+require_once 'mailer.php';
+
+define('PASSWORD_RESET_TTL', 60 * 60); // 1 hour
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+// Validate email
+if (empty($data->email) || !isValidEmail($data->email)) {
+    sendError('Please enter a valid email address', 400, ['field' => 'email']);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$email = sanitize($conn, $data->email);
+
+$stmt = $conn->prepare("SELECT id, name, email FROM users WHERE email = ?");
+$stmt->bind_param("s", $email);
+$stmt->execute();
+$user = $stmt->get_result()->fetch_assoc();
+$stmt->close();
+
+if ($user) {
+    $userId = intval($user['id']);
+
+    // Only the newest link works
+    $stmt = $conn->prepare("UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL");
+    $stmt->bind_param("i", $userId);
+    $stmt->execute();
+    $stmt->close();
+
+    $token = generateToken(32);
+    $tokenHash = hash('sha256', $token);
+    $expiresAt = date('Y-m-d H:i:s', time() + PASSWORD_RESET_TTL);
+
+    $stmt = $conn->prepare("INSERT INTO password_resets (user_id, token_hash, expires_at) VALUES (?, ?, ?)");
+    $stmt->bind_param("iss", $userId, $tokenHash, $expiresAt);
+    $stmt->execute();
+    $stmt->close();
+
+    $link = APP_URL . '/reset-password.html?token=' . $token;
+    $body = "Hi {$user['name']},\n\n"
+        . "We received a request to reset your Tutify password. Open the link below to choose a new one:\n\n"
+        . "{$link}\n\n"
+        . "The link expires in 1 hour and can only be used once. If you didn't ask for this, you can ignore this email.\n\n"
+        . "— The Tutify Team";
+
+    if (!sendMail($user['email'], 'Reset your Tutify password', $body)) {
+        error_log("Password reset email to user {$userId} could not be sent");
+    }
+}
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => 'If that email is registered, a reset link is on its way.'
+]);
@@ -0,0 +1,112 @@
+<?php
+
+/**
+ * Tutify Reschedule Session API
+ * Lets whoever requested a still-pending session change its date and time
+ *
+ * With scope 'series' this session and every later pending session of its
+ * series move by the same number of days, to the new time. Dates and times
+ * are in the tutor's time zone.
+ * A student's new times must fall inside the tutor's availability, and no
+ * moved session may overlap another session of either participant.
+ *
+ * Other changes need the other side's agreement and go through
+ * propose_reschedule.php instead.
+ */
+
+require_once 'db.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+// Validate required fields
+if (empty($data->session_id) || empty($data->date) || empty($data->time)) {
+    sendError('Session ID, date, and time are required');
+}
+
+$sessionId = intval($data->session_id);
+$newDate = $data->date;
+$newTime = $data->time;
+$scope = $data->scope ?? 'single';
+
+// Validate date format (YYYY-MM-DD)
+if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $newDate)) {
+    sendError('Invalid date format. Use YYYY-MM-DD');
+}
+
+// Validate time format (HH:MM)
+if (!preg_match('/^\d{2}:\d{2}$/', $newTime)) {
+    sendError('Invalid time format. Use HH:MM');
+}
+
+if (!in_array($scope, ['single', 'series'])) {
+    sendError('Scope must be single or series');
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+
+// Verify session exists
+$session = getSessionById($conn, $sessionId);
+
+if ($session === null) {
+    $conn->close();
+    sendError('Session not found', 404);
+}
+
+// Only the two participants may move a session
+if ($session['student_id'] === $userId) {
+    $role = 'student';
+} elseif ($session['tutor_id'] === $userId) {
+    $role = 'tutor';
+} else {
+    $conn->close();
+    sendError('Unauthorized. You can only update your own sessions.', 403);
+}
+
+if ($session['status'] !== 'pending' || $session['booked_by'] !== $role) {
+    $conn->close();
+    sendError('Only your own pending requests can be moved directly. Propose a new time instead.', 409);
+}
+
+if ($scope === 'series' && $session['series_id'] === null) {
+    $conn->close();
+    sendError('This session is not part of a series');
+}
+
+// Confirmed sessions of the series were agreed on and stay where they are
+$moves = array_values(array_filter(planSessionMoves($conn, $session, $newDate, $newTime, $scope), function ($move) {
+    return $move['session']['status'] === 'pending';
+}));
+checkSessionMoves($conn, $moves, $role, $role === 'student');
+
+// Move them all or none; the sessions keep their status
+$updatedSessions = [];
+$conn->begin_transaction();
+foreach ($moves as $move) {
+    $updatedSessions[] = rescheduleSession($conn, $move['session'], $move['date'], $move['time'], $move['session']['status'], $userId);
+}
+$conn->commit();
+
+$updatedSession = getSessionById($conn, $sessionId);
+
+notifySessionEvent($conn, $updatedSessions[0], 'moved', $userId, count($updatedSessions));
+
+$conn->close();
+
+$count = count($updatedSessions);
+
+// Send success response
+sendSuccess([
+    'message' => $count > 1 ? "{$count} sessions rescheduled" : 'Session rescheduled',
+    'session' => $updatedSession,
+    'sessions' => $updatedSessions
+]);
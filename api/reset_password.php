@@ -0,0 +1,86 @@
+<?php
+
+/**
+ * Tutify Reset Password API
+ * Sets a new password using a token from request_password_reset.php
+ *
+ * Each token works once. A successful reset logs the user out everywhere.
+ */
+
+require_once 'db.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+// Validate required fields
+if (empty($data->token) || !is_string($data->token)) {
+    sendError('This reset link is invalid. Please request a new one.');
+}
+
+if (empty($data->new_password)) {
+    sendError('New password is required', 400, ['field' => 'password']);
+}
+
+// Enforce the same strength rules as the client
+$strength = getPasswordStrength($data->new_password);
+if ($strength['level'] === 'weak') {
+    sendError($strength['message'], 400, ['field' => 'password']);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$tokenHash = hash('sha256', $data->token);
+
+$stmt = $conn->prepare("SELECT id, user_id FROM password_resets WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()");
+$stmt->bind_param("s", $tokenHash);
+$stmt->execute();
+$reset = $stmt->get_result()->fetch_assoc();
+$stmt->close();
+
+if (!$reset) {
+    $conn->close();
+    sendError('This reset link has expired or was already used. Please request a new one.', 410);
+}
+
+$resetId = intval($reset['id']);
+$userId = intval($reset['user_id']);
+
+// Claim the token first so two concurrent requests cannot both use it
+$stmt = $conn->prepare("UPDATE password_resets SET used_at = NOW() WHERE id = ? AND used_at IS NULL");
+$stmt->bind_param("i", $resetId);
+$stmt->execute();
+$claimed = $stmt->affected_rows === 1;
+$stmt->close();
+
+if (!$claimed) {
+    $conn->close();
+    sendError('This reset link has expired or was already used. Please request a new one.', 410);
+}
+
+// Store the new hash
+$passwordHash = hashPassword($data->new_password);
+$stmt = $conn->prepare("UPDATE users SET password = ? WHERE id = ?");
+$stmt->bind_param("si", $passwordHash, $userId);
+
+if (!$stmt->execute()) {
+    $stmt->close();
+    $conn->close();
+    sendError('Failed to reset password. Please try again.');
+}
+$stmt->close();
+
+// Whoever had the old password is logged out
+revokeUserAuthSessions($conn, $userId);
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => 'Password reset successfully. You can now log in.'
+]);
@@ -0,0 +1,129 @@
+<?php
+
+/**
+ * Tutify Respond to Reschedule API
+ * Accepts or declines a proposed new time, or withdraws your own proposal
+ *
+ * Accepting moves the session (or, for scope 'series', it and the later
+ * sessions of its series) to the proposed time and marks it confirmed,
+ * since both sides have now agreed on it.
+ */
+
+require_once 'db.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+// Validate required fields
+if (empty($data->proposal_id) || empty($data->action)) {
+    sendError('Proposal ID and action are required');
+}
+
+$proposalId = intval($data->proposal_id);
+$action = $data->action;
+
+if (!in_array($action, ['accept', 'decline', 'withdraw'])) {
+    sendError('Action must be accept, decline, or withdraw');
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+
+$responseMessage = !empty($data->message) ? cleanRichText($data->message) : null;
+
+// Verify proposal and session exist
+$proposal = getProposalById($conn, $proposalId);
+$session = $proposal !== null ? getSessionById($conn, $proposal['session_id']) : null;
+
+if ($session === null) {
+    $conn->close();
+    sendError('Proposal not found', 404);
+}
+
+// Only the two participants may respond
+if ($session['student_id'] === $userId) {
+    $role = 'student';
+} elseif ($session['tutor_id'] === $userId) {
+    $role = 'tutor';
+} else {
+    $conn->close();
+    sendError('Unauthorized. You can only update your own sessions.', 403);
+}
+
+if ($proposal['status'] !== 'open') {
+    $conn->close();
+    sendError("This proposal was already {$proposal['status']}", 409);
+}
+
+// The author can only withdraw; the other side accepts or declines
+$isAuthor = $proposal['proposed_by'] === $userId;
+if ($isAuthor !== ($action === 'withdraw')) {
+    $conn->close();
+    sendError($isAuthor ? 'You cannot answer your own proposal' : 'Only the person who proposed a time can withdraw it', 403);
+}
+
+if ($action === 'accept' && !in_array($session['status'], ['pending', 'confirmed'])) {
+    $conn->close();
+    sendError("A {$session['status']} session cannot be rescheduled", 409);
+}
+
+$statuses = ['accept' => 'accepted', 'decline' => 'declined', 'withdraw' => 'withdrawn'];
+$newStatus = $statuses[$action];
+
+// Check the slot is still free before moving anything
+$moves = [];
+if ($action === 'accept') {
+    $moves = planSessionMoves($conn, $session, $proposal['date'], $proposal['time'], $proposal['scope']);
+    checkSessionMoves($conn, $moves, $role, false);
+}
+
+$conn->begin_transaction();
+
+$stmt = $conn->prepare("UPDATE reschedule_proposals SET status = ?, responded_by = ?, response_message = ?, responded_at = NOW() WHERE id = ? AND status = 'open'");
+$stmt->bind_param("sisi", $newStatus, $userId, $responseMessage, $proposalId);
+$stmt->execute();
+$changed = $stmt->affected_rows;
+$stmt->close();
+
+if ($changed === 0) {
+    $conn->rollback();
+    $conn->close();
+    sendError('This proposal was updated elsewhere. Please refresh and try again.', 409);
+}
+
+$updatedSessions = [];
+foreach ($moves as $move) {
+    $updatedSessions[] = rescheduleSession($conn, $move['session'], $move['date'], $move['time'], 'confirmed', $userId);
+}
+
+$conn->commit();
+
+$proposal = getProposalById($conn, $proposalId);
+$session = attachProposals($conn, [getSessionById($conn, $session['id'])])[0];
+$updatedSessions = attachProposals($conn, $updatedSessions);
+
+notifySessionEvent($conn, $session, "proposal_{$newStatus}", $userId, max(count($updatedSessions), 1), $responseMessage);
+
+$conn->close();
+
+$messages = [
+    'accept' => count($updatedSessions) > 1 ? count($updatedSessions) . ' sessions rescheduled' : 'Session rescheduled',
+    'decline' => 'Proposal declined',
+    'withdraw' => 'Proposal withdrawn'
+];
+
+// Send success response
+sendSuccess([
+    'message' => $messages[$action],
+    'proposal' => $proposal,
+    'session' => $session,
+    'sessions' => $action === 'accept' ? $updatedSessions : [$session]
+]);
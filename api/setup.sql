@@ -12,11 +12,36 @@ CREATE TABLE IF NOT EXISTS users (
   password VARCHAR(255) NOT NULL,
   role ENUM('student','tutor') NOT NULL,
   phone VARCHAR(20),
+  timezone VARCHAR(64) NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   INDEX idx_email (email),
   INDEX idx_role (role)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
+-- Auth sessions table (one row per issued login token, used for revocation)
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id CHAR(32) PRIMARY KEY,
+  user_id INT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_user_id (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Password resets table (only a SHA-256 hash of each emailed token is stored)
+CREATE TABLE IF NOT EXISTS password_resets (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_token_hash (token_hash),
+  INDEX idx_user_id (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
 -- Tutor profiles table
 CREATE TABLE IF NOT EXISTS tutor_profiles (
   id INT AUTO_INCREMENT PRIMARY KEY,
@@ -26,12 +51,37 @@ CREATE TABLE IF NOT EXISTS tutor_profiles (
   experience INT DEFAULT 0,
   hourly_rate DECIMAL(10,2),
   rating DECIMAL(3,2) DEFAULT 0.00,
+  review_count INT DEFAULT 0,
   total_sessions INT DEFAULT 0,
+  availability ENUM('Available','Busy') DEFAULT 'Available',
+  cancellation_notice_hours SMALLINT UNSIGNED NOT NULL DEFAULT 24,
+  late_cancellation ENUM('keep','refund','block') NOT NULL DEFAULT 'keep',
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
   INDEX idx_user_id (user_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
--- Sessions table
+-- Tutor availability table (recurring weekly windows; day 0 = Sunday)
+CREATE TABLE IF NOT EXISTS tutor_availability (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tutor_id INT NOT NULL,
+  day_of_week TINYINT NOT NULL CHECK (day_of_week >= 0 AND day_of_week <= 6),
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_tutor_day (tutor_id, day_of_week)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Tutor blackout dates (whole days off)
+CREATE TABLE IF NOT EXISTS tutor_blackouts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tutor_id INT NOT NULL,
+  blackout_date DATE NOT NULL,
+  reason VARCHAR(200),
+  FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_tutor_date (tutor_id, blackout_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Sessions table (session_date/session_time in the tutor's time zone, starts_at in UTC)
 CREATE TABLE IF NOT EXISTS sessions (
   id INT AUTO_INCREMENT PRIMARY KEY,
   student_id INT NOT NULL,
@@ -40,31 +90,267 @@ CREATE TABLE IF NOT EXISTS sessions (
   topic VARCHAR(200),
   session_date DATE,
   session_time TIME,
+  starts_at DATETIME NOT NULL,
   duration VARCHAR(20),
-  status ENUM('pending','confirmed','completed','rejected') DEFAULT 'pending',
+  level VARCHAR(20),
+  rate DECIMAL(10,2),
+  status ENUM('pending','confirmed','completed','rejected','cancelled','no_show') DEFAULT 'pending',
+  booked_by ENUM('student','tutor') DEFAULT 'student',
+  client_ref VARCHAR(64),
+  series_id CHAR(32) NULL,
+  rejection_reason TEXT,
+  cancellation_notice_hours SMALLINT UNSIGNED NOT NULL DEFAULT 24,
+  late_cancellation ENUM('keep','refund','block') NOT NULL DEFAULT 'keep',
+  cancelled_late TINYINT(1) NOT NULL DEFAULT 0,
+  status_changed_by INT,
+  status_changed_at TIMESTAMP NULL,
   student_message TEXT,
   tutor_notes TEXT,
   progress INT DEFAULT 0,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
   FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_client_ref (client_ref),
   INDEX idx_student (student_id),
   INDEX idx_tutor (tutor_id),
+  INDEX idx_status (status),
+  INDEX idx_series (series_id),
+  INDEX idx_starts_at (starts_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Session status history (one row per accepted transition)
+CREATE TABLE IF NOT EXISTS session_status_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  from_status VARCHAR(20) NOT NULL,
+  to_status VARCHAR(20) NOT NULL,
+  changed_by INT NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_session (session_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Reschedule proposals (a new time suggested by one participant for the other to accept or decline)
+CREATE TABLE IF NOT EXISTS reschedule_proposals (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  proposed_by INT NOT NULL,
+  proposed_date DATE NOT NULL,
+  proposed_time TIME NOT NULL,
+  scope ENUM('single','series') DEFAULT 'single',
+  message TEXT,
+  status ENUM('open','accepted','declined','countered','withdrawn') DEFAULT 'open',
+  responded_by INT NULL,
+  response_message TEXT,
+  responded_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (proposed_by) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_session (session_id),
   INDEX idx_status (status)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
--- Feedback table
+-- Calendar feeds table (secret token for each user's subscribable .ics feed)
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  user_id INT PRIMARY KEY,
+  token CHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_token (token)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Progress updates table (one timestamped record per tutor update)
+CREATE TABLE IF NOT EXISTS progress_updates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  tutor_id INT NOT NULL,
+  student_id INT NOT NULL,
+  subject VARCHAR(100) NOT NULL,
+  progress INT NOT NULL CHECK (progress >= 0 AND progress <= 100),
+  notes TEXT,
+  session_id INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL,
+  INDEX idx_tutor_student (tutor_id, student_id, subject),
+  INDEX idx_student (student_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Feedback table (a student's review of a session; one per session)
 CREATE TABLE IF NOT EXISTS feedback (
   id INT AUTO_INCREMENT PRIMARY KEY,
   session_id INT NOT NULL,
   student_id INT NOT NULL,
   tutor_id INT NOT NULL,
   rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
+  clarity_rating TINYINT NULL CHECK (clarity_rating BETWEEN 1 AND 5),
+  patience_rating TINYINT NULL CHECK (patience_rating BETWEEN 1 AND 5),
+  punctuality_rating TINYINT NULL CHECK (punctuality_rating BETWEEN 1 AND 5),
   comment TEXT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
   FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
   FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
-  INDEX idx_session (session_id),
+  UNIQUE KEY uniq_session (session_id),
+  INDEX idx_tutor (tutor_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Tutor feedback table (a tutor's notes to the student after a completed session)
+CREATE TABLE IF NOT EXISTS tutor_feedback (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  tutor_id INT NOT NULL,
+  student_id INT NOT NULL,
+  rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
+  strengths TEXT,
+  improvements TEXT,
+  notes TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_session (session_id),
+  INDEX idx_student (student_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Earnings table (a tutor's ledger: one row per completed session, with the rate and length it was paid at)
+CREATE TABLE IF NOT EXISTS earnings (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  tutor_id INT NOT NULL,
+  student_id INT NOT NULL,
+  rate DECIMAL(10,2) NOT NULL,
+  minutes INT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  session_at DATETIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_session (session_id),
+  INDEX idx_tutor_time (tutor_id, session_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Payments table (one row per attempt to pay for a session; only the card's brand and last four digits are kept)
+CREATE TABLE IF NOT EXISTS payments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  student_id INT NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  currency CHAR(3) NOT NULL DEFAULT 'USD',
+  status ENUM('requires_action','succeeded','failed','refunded') NOT NULL,
+  driver VARCHAR(20) NOT NULL,
+  reference VARCHAR(64),
+  card_brand VARCHAR(20),
+  card_last4 CHAR(4),
+  failure_reason VARCHAR(255),
+  receipt_number VARCHAR(32),
+  paid_at TIMESTAMP NULL,
+  refunded_amount DECIMAL(10,2) NULL,
+  refund_reference VARCHAR(64),
+  refunded_at TIMESTAMP NULL,
+  refund_due_at TIMESTAMP NULL,
+  refund_attempts TINYINT UNSIGNED NOT NULL DEFAULT 0,
+  refund_failure_reason VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_receipt (receipt_number),
+  INDEX idx_session (session_id, status),
+  INDEX idx_refund_due (refund_due_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Doubts table (a student's question to a tutor; the conversation itself is in doubt_messages)
+CREATE TABLE IF NOT EXISTS doubts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  student_id INT NOT NULL,
+  tutor_id INT NOT NULL,
+  subject VARCHAR(100) NOT NULL,
+  urgency ENUM('Normal','High','Urgent') DEFAULT 'Normal',
+  status ENUM('open','answered','resolved') DEFAULT 'open',
+  last_message_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_student (student_id),
   INDEX idx_tutor (tutor_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Doubt messages table (the question, then every reply and follow-up, oldest first)
+CREATE TABLE IF NOT EXISTS doubt_messages (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  doubt_id INT NOT NULL,
+  author_id INT NOT NULL,
+  body TEXT NOT NULL,
+  edited_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (doubt_id) REFERENCES doubts(id) ON DELETE CASCADE,
+  FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_doubt (doubt_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Attachments table (files live in STORAGE_DIR/attachments; a new upload belongs to nothing until it is sent with a booking or message)
+CREATE TABLE IF NOT EXISTS attachments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  uploader_id INT NOT NULL,
+  session_id INT NULL,
+  doubt_message_id INT NULL,
+  original_name VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size_bytes INT NOT NULL,
+  storage_key VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (uploader_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (doubt_message_id) REFERENCES doubt_messages(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_storage_key (storage_key),
+  INDEX idx_uploader (uploader_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Notifications table (in-app inbox; read_at stays NULL until the user opens or dismisses it)
+CREATE TABLE IF NOT EXISTS notifications (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  actor_id INT NULL,
+  type VARCHAR(40) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  body TEXT,
+  session_id INT NULL,
+  doubt_id INT NULL,
+  read_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (doubt_id) REFERENCES doubts(id) ON DELETE CASCADE,
+  INDEX idx_user_unread (user_id, read_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- User preferences table (one row per user once they save; missing rows mean every toggle is on)
+CREATE TABLE IF NOT EXISTS user_preferences (
+  user_id INT PRIMARY KEY,
+  email_notifications TINYINT(1) NOT NULL DEFAULT 1,
+  sms_notifications TINYINT(1) NOT NULL DEFAULT 1,
+  reminder_notifications TINYINT(1) NOT NULL DEFAULT 1,
+  feedback_notifications TINYINT(1) NOT NULL DEFAULT 1,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Session reminders table (one row per reminder sent; starts_at is part of the key so a moved session is reminded again)
+CREATE TABLE IF NOT EXISTS session_reminders (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  user_id INT NOT NULL,
+  kind VARCHAR(10) NOT NULL,
+  starts_at DATETIME NOT NULL,
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_reminder (session_id, user_id, kind, starts_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,81 @@
+<?php
+
+/**
+ * Tutify Submit Doubt API
+ * Lets a student ask a tutor a question; the tutor is notified
+ *
+ * The question becomes the first message of the doubt's thread, which both
+ * sides continue with reply_doubt.php. attachment_ids may list files from
+ * upload_attachment.php, such as a photo of the student's working.
+ */
+
+require_once 'db.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+// Validate required fields
+if (empty($data->tutor_id) || empty($data->subject) || empty($data->question) || trim($data->question) === '') {
+    sendError('Tutor, subject and question are required');
+}
+
+$urgency = $data->urgency ?? 'Normal';
+if (!in_array($urgency, ['Normal', 'High', 'Urgent'])) {
+    sendError('Urgency must be Normal, High, or Urgent');
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn, 'student');
+$studentId = $auth['id'];
+
+// Sanitize input
+$tutorId = intval($data->tutor_id);
+$subject = sanitize($conn, $data->subject);
+$question = cleanRichText($data->question);
+$attachmentIds = requireOwnAttachments($conn, $data, $studentId);
+
+// Verify tutor exists
+$stmt = $conn->prepare("SELECT id FROM users WHERE id = ? AND role = 'tutor'");
+$stmt->bind_param("i", $tutorId);
+$stmt->execute();
+$result = $stmt->get_result();
+
+if ($result->num_rows === 0) {
+    $stmt->close();
+    $conn->close();
+    sendError('Tutor not found', 404);
+}
+$stmt->close();
+
+$conn->begin_transaction();
+
+$stmt = $conn->prepare("INSERT INTO doubts (student_id, tutor_id, subject, urgency) VALUES (?, ?, ?, ?)");
+$stmt->bind_param("iiss", $studentId, $tutorId, $subject, $urgency);
+$stmt->execute();
+$doubtId = $stmt->insert_id;
+$stmt->close();
+
+$messageId = addDoubtMessage($conn, $doubtId, $studentId, $question, 'open');
+linkAttachments($conn, $attachmentIds, 'doubt_message_id', $messageId);
+
+$conn->commit();
+
+$doubt = getDoubtById($conn, $doubtId);
+
+$priority = $urgency !== 'Normal' ? " ({$urgency} priority)" : '';
+createNotification($conn, $tutorId, 'doubt_asked', "{$doubt['student_name']} asked a {$subject} question{$priority}", $doubt['question'], ['doubt_id' => $doubtId], $studentId);
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => 'Doubt submitted',
+    'doubt' => $doubt
+], 201);
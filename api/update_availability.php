@@ -0,0 +1,124 @@
+<?php
+
+/**
+ * Tutify Update Availability API
+ * Replaces the logged-in tutor's weekly windows and blackout dates
+ *
+ * Body: { windows: [{ day: 0-6, start: 'HH:MM', end: 'HH:MM' }],
+ *         blackouts: [{ date: 'YYYY-MM-DD', reason: '' }] }
+ * Day 0 is Sunday. Windows on the same day may not overlap. Sending no
+ * windows puts the tutor back on DEFAULT_AVAILABILITY.
+ */
+
+require_once 'db.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+$windows = isset($data->windows) && is_array($data->windows) ? $data->windows : [];
+$blackouts = isset($data->blackouts) && is_array($data->blackouts) ? $data->blackouts : [];
+
+// Validate windows
+$byDay = [];
+foreach ($windows as $window) {
+    $day = isset($window->day) ? intval($window->day) : -1;
+    $start = $window->start ?? '';
+    $end = $window->end ?? '';
+
+    if ($day < 0 || $day > 6) {
+        sendError('Each window needs a day between 0 (Sunday) and 6 (Saturday)');
+    }
+
+    if (!preg_match('/^([01]\d|2[0-3]):[0-5]\d$/', $start) || !preg_match('/^([01]\d|2[0-3]):[0-5]\d$/', $end)) {
+        sendError('Invalid time format. Use HH:MM');
+    }
+
+    if (timeToMinutes($start) >= timeToMinutes($end)) {
+        sendError("A window must end after it starts ({$start}–{$end})");
+    }
+
+    $byDay[$day][] = ['start' => $start, 'end' => $end];
+}
+
+foreach ($byDay as $day => $dayWindows) {
+    usort($dayWindows, function ($a, $b) {
+        return strcmp($a['start'], $b['start']);
+    });
+
+    for ($i = 1; $i < count($dayWindows); $i++) {
+        if (timeToMinutes($dayWindows[$i]['start']) < timeToMinutes($dayWindows[$i - 1]['end'])) {
+            sendError('Availability windows on the same day cannot overlap');
+        }
+    }
+}
+
+// Validate blackout dates
+foreach ($blackouts as $blackout) {
+    $date = $blackout->date ?? '';
+    if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $date) || !strtotime($date)) {
+        sendError('Invalid blackout date. Use YYYY-MM-DD');
+    }
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn, 'tutor');
+$tutorId = $auth['id'];
+
+// Replace everything in one go so a failed save leaves the old schedule intact
+$conn->begin_transaction();
+
+try {
+    $stmt = $conn->prepare("DELETE FROM tutor_availability WHERE tutor_id = ?");
+    $stmt->bind_param("i", $tutorId);
+    $stmt->execute();
+    $stmt->close();
+
+    $stmt = $conn->prepare("DELETE FROM tutor_blackouts WHERE tutor_id = ?");
+    $stmt->bind_param("i", $tutorId);
+    $stmt->execute();
+    $stmt->close();
+
+    $stmt = $conn->prepare("INSERT INTO tutor_availability (tutor_id, day_of_week, start_time, end_time) VALUES (?, ?, ?, ?)");
+    foreach ($byDay as $day => $dayWindows) {
+        foreach ($dayWindows as $window) {
+            $stmt->bind_param("iiss", $tutorId, $day, $window['start'], $window['end']);
+            $stmt->execute();
+        }
+    }
+    $stmt->close();
+
+    // INSERT IGNORE drops a date listed twice
+    $stmt = $conn->prepare("INSERT IGNORE INTO tutor_blackouts (tutor_id, blackout_date, reason) VALUES (?, ?, ?)");
+    foreach ($blackouts as $blackout) {
+        $date = $blackout->date;
+        $reason = !empty($blackout->reason) ? mb_substr(trim($blackout->reason), 0, 200) : null;
+        $stmt->bind_param("iss", $tutorId, $date, $reason);
+        $stmt->execute();
+    }
+    $stmt->close();
+
+    $conn->commit();
+} catch (mysqli_sql_exception $e) {
+    $conn->rollback();
+    $conn->close();
+    sendError('Failed to save availability. Please try again.', 500);
+}
+
+$availability = getTutorAvailability($conn, $tutorId);
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => 'Availability saved',
+    'windows' => $availability['windows'],
+    'blackouts' => $availability['blackouts'],
+    'is_default' => $availability['is_default']
+]);
@@ -0,0 +1,83 @@
+<?php
+
+/**
+ * Tutify Update Doubt Status API
+ * Lets a student mark their doubt resolved, or reopen an answered or
+ * resolved doubt; the tutor is notified
+ */
+
+require_once 'db.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+// Validate required fields
+if (empty($data->doubt_id) || empty($data->action)) {
+    sendError('Doubt ID and action are required');
+}
+
+$doubtId = intval($data->doubt_id);
+$action = $data->action;
+
+if (!in_array($action, ['resolve', 'reopen'])) {
+    sendError('Action must be resolve or reopen');
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn, 'student');
+$studentId = $auth['id'];
+
+// Verify doubt exists and belongs to student
+$doubt = getDoubtById($conn, $doubtId);
+
+if ($doubt === null) {
+    $conn->close();
+    sendError('Doubt not found', 404);
+}
+
+if ($doubt['student_id'] !== $studentId) {
+    $conn->close();
+    sendError('Unauthorized. You can only update your own doubts.', 403);
+}
+
+if ($action === 'resolve' && $doubt['status'] === 'resolved') {
+    $conn->close();
+    sendError('This doubt is already resolved', 409);
+}
+
+if ($action === 'reopen' && $doubt['status'] === 'open') {
+    $conn->close();
+    sendError('This doubt is already open', 409);
+}
+
+if ($action === 'resolve') {
+    $stmt = $conn->prepare("UPDATE doubts SET status = 'resolved', resolved_at = NOW() WHERE id = ?");
+} else {
+    $stmt = $conn->prepare("UPDATE doubts SET status = 'open', resolved_at = NULL WHERE id = ?");
+}
+$stmt->bind_param("i", $doubtId);
+$stmt->execute();
+$stmt->close();
+
+$doubt = getDoubtById($conn, $doubtId);
+
+if ($action === 'resolve') {
+    createNotification($conn, $doubt['tutor_id'], 'doubt_resolved', "{$doubt['student_name']} marked their {$doubt['subject']} question as resolved", $doubt['question'], ['doubt_id' => $doubtId], $studentId);
+} else {
+    createNotification($conn, $doubt['tutor_id'], 'doubt_reopened', "{$doubt['student_name']} reopened their {$doubt['subject']} question", $doubt['question'], ['doubt_id' => $doubtId], $studentId);
+}
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => $action === 'resolve' ? 'Doubt resolved' : 'Doubt reopened',
+    'doubt' => $doubt
+]);
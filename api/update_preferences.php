@@ -0,0 +1,62 @@
+<?php
+
+/**
+ * Tutify Update Preferences API
+ * Saves the logged-in user's notification preferences
+ *
+ * Send any of the NOTIFICATION_PREFERENCES keys as true or false; keys that
+ * are left out keep their current value.
+ */
+
+require_once 'db.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+$changes = [];
+foreach (NOTIFICATION_PREFERENCES as $key) {
+    if (!isset($data->$key)) {
+        continue;
+    }
+    if (!is_bool($data->$key)) {
+        sendError('Preferences must be true or false', 400, ['field' => $key]);
+    }
+    $changes[$key] = $data->$key;
+}
+
+if (empty($changes)) {
+    sendError('No preferences to update');
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+
+$preferences = array_merge(getUserPreferences($conn, $userId), $changes);
+$values = array_map('intval', array_values($preferences));
+
+$columns = implode(', ', NOTIFICATION_PREFERENCES);
+$placeholders = implode(', ', array_fill(0, count($values), '?'));
+$updates = implode(', ', array_map(function ($key) {
+    return "{$key} = VALUES({$key})";
+}, NOTIFICATION_PREFERENCES));
+
+$stmt = $conn->prepare("INSERT INTO user_preferences (user_id, {$columns}) VALUES (?, {$placeholders}) ON DUPLICATE KEY UPDATE {$updates}");
+$stmt->bind_param('i' . str_repeat('i', count($values)), $userId, ...$values);
+$stmt->execute();
+$stmt->close();
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => 'Preferences saved',
+    'preferences' => $preferences
+]);
@@ -0,0 +1,143 @@
+<?php
+
+/**
+ * Tutify Update Profile API
+ * Saves the logged-in user's name, phone and time zone, plus bio, subjects,
+ * hourly rate and cancellation policy for tutors
+ *
+ * Fields that are left out keep their current value. When a tutor changes
+ * time zone their sessions keep their moment in time (starts_at); the stored
+ * wall-clock date and time are rewritten in the new zone. A new cancellation
+ * policy, like a new rate, only applies to sessions booked after it.
+ */
+
+require_once 'db.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+if (isset($data->name) && trim($data->name) === '') {
+    sendError('Name cannot be empty', 400, ['field' => 'name']);
+}
+
+if (isset($data->timezone) && !isValidTimezone($data->timezone)) {
+    sendError('Unknown time zone. Pick one from the list.', 400, ['field' => 'timezone']);
+}
+
+if (isset($data->hourly_rate) && (!is_numeric($data->hourly_rate) || floatval($data->hourly_rate) < 0)) {
+    sendError('Hourly rate must be a positive number', 400, ['field' => 'hourly_rate']);
+}
+
+if (isset($data->cancellation_notice_hours) && (filter_var($data->cancellation_notice_hours, FILTER_VALIDATE_INT) === false
+    || $data->cancellation_notice_hours < 0 || $data->cancellation_notice_hours > MAX_CANCELLATION_NOTICE_HOURS)) {
+    sendError('Cancellation notice must be a whole number of hours from 0 to ' . MAX_CANCELLATION_NOTICE_HOURS, 400, ['field' => 'cancellation_notice_hours']);
+}
+
+if (isset($data->late_cancellation) && !in_array($data->late_cancellation, LATE_CANCELLATION_OPTIONS, true)) {
+    sendError('Late cancellations must be keep, refund or block', 400, ['field' => 'late_cancellation']);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+
+$current = getUserProfile($conn, $userId);
+
+if ($current === null) {
+    $conn->close();
+    sendError('User not found', 404);
+}
+
+// Bound below, so stored as typed (no SQL escaping)
+$name = isset($data->name) ? trim((string) $data->name) : $current['name'];
+$phone = isset($data->phone) ? trim((string) $data->phone) : $current['phone'];
+$timezone = $data->timezone ?? $current['timezone'];
+
+$conn->begin_transaction();
+
+$stmt = $conn->prepare("UPDATE users SET name = ?, phone = ?, timezone = ? WHERE id = ?");
+$stmt->bind_param("sssi", $name, $phone, $timezone, $userId);
+$stmt->execute();
+$stmt->close();
+
+if ($auth['role'] === 'tutor') {
+    if (isset($data->bio) || isset($data->subjects) || isset($data->hourly_rate)) {
+        $bio = isset($data->bio) ? cleanRichText($data->bio) : ($current['bio'] ?? '');
+        $subjectsList = isset($data->subjects)
+            ? array_filter(array_map('trim', is_array($data->subjects) ? $data->subjects : explode(',', $data->subjects)))
+            : ($current['subjects'] ?? []);
+        $subjects = implode(',', $subjectsList);
+        $hourlyRate = isset($data->hourly_rate) ? floatval($data->hourly_rate) : ($current['hourly_rate'] ?? 0);
+
+        $stmt = $conn->prepare("UPDATE tutor_profiles SET bio = ?, subjects = ?, hourly_rate = ? WHERE user_id = ?");
+        $stmt->bind_param("ssdi", $bio, $subjects, $hourlyRate, $userId);
+        $stmt->execute();
+        $stmt->close();
+    }
+
+    if (isset($data->cancellation_notice_hours) || isset($data->late_cancellation)) {
+        $noticeHours = isset($data->cancellation_notice_hours) ? intval($data->cancellation_notice_hours) : $current['cancellation_notice_hours'];
+        $lateCancellation = $data->late_cancellation ?? $current['late_cancellation'];
+
+        $stmt = $conn->prepare("UPDATE tutor_profiles SET cancellation_notice_hours = ?, late_cancellation = ? WHERE user_id = ?");
+        $stmt->bind_param("isi", $noticeHours, $lateCancellation, $userId);
+        $stmt->execute();
+        $stmt->close();
+    }
+
+    // Sessions store the tutor's wall-clock time; restate it in the new zone
+    if ($timezone !== $current['timezone']) {
+        $stmt = $conn->prepare("SELECT id, starts_at FROM sessions WHERE tutor_id = ?");
+        $stmt->bind_param("i", $userId);
+        $stmt->execute();
+        $sessions = $stmt->get_result()->fetch_all(MYSQLI_ASSOC);
+        $stmt->close();
+
+        $zone = new DateTimeZone($timezone);
+        $stmt = $conn->prepare("UPDATE sessions SET session_date = ?, session_time = ? WHERE id = ?");
+        foreach ($sessions as $session) {
+            $local = (new DateTime($session['starts_at'], new DateTimeZone('UTC')))->setTimezone($zone);
+            $date = $local->format('Y-m-d');
+            $time = $local->format('H:i');
+            $stmt->bind_param("ssi", $date, $time, $session['id']);
+            $stmt->execute();
+        }
+        $stmt->close();
+
+        // Open reschedule proposals are in the same wall-clock terms
+        $stmt = $conn->prepare("SELECT rp.id, rp.proposed_date, rp.proposed_time FROM reschedule_proposals rp INNER JOIN sessions s ON s.id = rp.session_id WHERE s.tutor_id = ? AND rp.status = 'open'");
+        $stmt->bind_param("i", $userId);
+        $stmt->execute();
+        $proposals = $stmt->get_result()->fetch_all(MYSQLI_ASSOC);
+        $stmt->close();
+
+        $stmt = $conn->prepare("UPDATE reschedule_proposals SET proposed_date = ?, proposed_time = ? WHERE id = ?");
+        foreach ($proposals as $proposal) {
+            $local = (new DateTime("{$proposal['proposed_date']} {$proposal['proposed_time']}", new DateTimeZone($current['timezone'])))->setTimezone($zone);
+            $date = $local->format('Y-m-d');
+            $time = $local->format('H:i');
+            $stmt->bind_param("ssi", $date, $time, $proposal['id']);
+            $stmt->execute();
+        }
+        $stmt->close();
+    }
+}
+
+$conn->commit();
+
+$user = getUserProfile($conn, $userId);
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => 'Profile updated',
+    'user' => $user
+]);
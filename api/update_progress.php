@@ -3,9 +3,15 @@
 /**
  * Tutify Update Progress API
  * Allows tutors to update student progress after sessions
+ *
+ * Every update is stored in progress_updates as a timestamped record for
+ * the student and subject. Send either a session_id (the student and subject
+ * are taken from the session) or a student_id and subject. Reaching 100 on
+ * a confirmed session completes it, with the same notification and email
+ * as completing it from the bookings list.
  */
 
-require_once 'db.php';
+require_once 'mailer.php';
 
 // Only accept POST requests
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
@@ -16,68 +22,102 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
 $data = getJsonInput();
 
 // Validate required fields
-if (empty($data->session_id) || !isset($data->progress)) {
-    sendError('Session ID and progress value are required');
+if (!isset($data->progress) || (empty($data->session_id) && (empty($data->student_id) || empty($data->subject)))) {
+    sendError('Progress value and either a session ID or a student ID and subject are required');
 }
 
 // Connect to database
 $conn = getDbConnection();
 
+$auth = requireAuth($conn, 'tutor');
+$tutorId = $auth['id'];
+
 // Sanitize input
-$sessionId = intval($data->session_id);
+$sessionId = !empty($data->session_id) ? intval($data->session_id) : null;
 $progress = intval($data->progress);
-$notes = !empty($data->notes) ? sanitize($conn, $data->notes) : null;
-$tutorId = !empty($data->tutor_id) ? intval($data->tutor_id) : null;
+$notes = !empty($data->notes) ? cleanRichText($data->notes) : null;
 
 // Validate progress range (0-100)
-if ($progress < 0 || $progress > 100) {
+if (!is_numeric($data->progress) || $progress < 0 || $progress > 100) {
     $conn->close();
-    sendError('Progress must be between 0 and 100');
+    sendError('Progress must be between 0 and 100', 400, ['field' => 'progressValue']);
 }
 
-// Verify session exists
-$stmt = $conn->prepare("SELECT id, tutor_id, status FROM sessions WHERE id = ?");
-$stmt->bind_param("i", $sessionId);
-$stmt->execute();
-$result = $stmt->get_result();
+$session = null;
+
+if ($sessionId !== null) {
+    // Verify session exists
+    $stmt = $conn->prepare("SELECT id, student_id, tutor_id, subject, status FROM sessions WHERE id = ?");
+    $stmt->bind_param("i", $sessionId);
+    $stmt->execute();
+    $result = $stmt->get_result();
+
+    if ($result->num_rows === 0) {
+        $stmt->close();
+        $conn->close();
+        sendError('Session not found', 404);
+    }
 
-if ($result->num_rows === 0) {
+    $session = $result->fetch_assoc();
     $stmt->close();
-    $conn->close();
-    sendError('Session not found');
-}
 
-$session = $result->fetch_assoc();
-$stmt->close();
+    // Verify tutor authorization
+    if (intval($session['tutor_id']) !== $tutorId) {
+        $conn->close();
+        sendError('Unauthorized. You can only update your own sessions.', 403);
+    }
+
+    $studentId = intval($session['student_id']);
+    $subject = $session['subject'];
+} else {
+    $studentId = intval($data->student_id);
+    // Bound as sent, so it matches the subject stored on the sessions
+    $subject = trim((string) $data->subject);
+
+    // Tutors can only track students they have actually taught
+    $stmt = $conn->prepare("SELECT id FROM sessions WHERE tutor_id = ? AND student_id = ? AND status IN ('confirmed', 'completed') LIMIT 1");
+    $stmt->bind_param("ii", $tutorId, $studentId);
+    $stmt->execute();
+    $taught = $stmt->get_result()->num_rows > 0;
+    $stmt->close();
 
-// Verify tutor authorization (if tutor_id provided)
-if ($tutorId !== null && $session['tutor_id'] != $tutorId) {
-    $conn->close();
-    sendError('Unauthorized. You can only update your own sessions.');
+    if (!$taught) {
+        $conn->close();
+        sendError('You can only track progress for students you have a session with.', 403);
+    }
 }
 
-// Update session progress
-$sql = "UPDATE sessions SET progress = ?";
-$params = [$progress];
-$types = "i";
+if ($session !== null) {
+    // Update session progress
+    $sql = "UPDATE sessions SET progress = ?";
+    $params = [$progress];
+    $types = "i";
 
-if ($notes !== null) {
-    $sql .= ", tutor_notes = ?";
-    $params[] = $notes;
-    $types .= "s";
-}
+    if ($notes !== null) {
+        $sql .= ", tutor_notes = ?";
+        $params[] = $notes;
+        $types .= "s";
+    }
 
-// If progress is 100 and status is confirmed, mark as completed
-if ($progress === 100 && $session['status'] === 'confirmed') {
-    $sql .= ", status = 'completed'";
-}
+    $sql .= " WHERE id = ?";
+    $params[] = $sessionId;
+    $types .= "i";
+
+    $stmt = $conn->prepare($sql);
+    $stmt->bind_param($types, ...$params);
 
-$sql .= " WHERE id = ?";
-$params[] = $sessionId;
-$types .= "i";
+    if (!$stmt->execute()) {
+        $stmt->close();
+        $conn->close();
+        sendError('Failed to update progress. Please try again.');
+    }
+
+    $stmt->close();
+}
 
-$stmt = $conn->prepare($sql);
-$stmt->bind_param($types, ...$params);
+// Record the update in the student's progress history
+$stmt = $conn->prepare("INSERT INTO progress_updates (tutor_id, student_id, subject, progress, notes, session_id) VALUES (?, ?, ?, ?, ?, ?)");
+$stmt->bind_param("iisisi", $tutorId, $studentId, $subject, $progress, $notes, $sessionId);
 
 if (!$stmt->execute()) {
     $stmt->close();
@@ -85,28 +125,30 @@ if (!$stmt->execute()) {
     sendError('Failed to update progress. Please try again.');
 }
 
+$updateId = $stmt->insert_id;
 $stmt->close();
 
-// Get updated session data
-$stmt = $conn->prepare("SELECT id, student_id, tutor_id, subject, progress, tutor_notes, status FROM sessions WHERE id = ?");
-$stmt->bind_param("i", $sessionId);
+// If progress is 100 and status is confirmed, mark as completed
+if ($session !== null && $progress === 100 && $session['status'] === 'confirmed') {
+    $completed = transitionSession($conn, getSessionById($conn, $sessionId), 'completed', $tutorId, 'tutor');
+    notifySessionEvent($conn, $completed, 'completed', $tutorId);
+    emailSessionEvent($conn, $completed, 'completed', $tutorId);
+}
+
+// Get the stored record
+$stmt = $conn->prepare(PROGRESS_SELECT . " WHERE pu.id = ?");
+$stmt->bind_param("i", $updateId);
 $stmt->execute();
-$result = $stmt->get_result();
-$updatedSession = $result->fetch_assoc();
+$update = formatProgressUpdate($stmt->get_result()->fetch_assoc());
 $stmt->close();
 
-// If session completed, increment tutor's total sessions
-if ($updatedSession['status'] === 'completed') {
-    $stmt = $conn->prepare("UPDATE tutor_profiles SET total_sessions = total_sessions + 1 WHERE user_id = ?");
-    $stmt->bind_param("i", $session['tutor_id']);
-    $stmt->execute();
-    $stmt->close();
-}
+$updatedSession = $session !== null ? getSessionById($conn, $sessionId) : null;
 
 $conn->close();
 
 // Send success response
 sendSuccess([
     'message' => 'Progress updated successfully',
+    'update' => $update,
     'session' => $updatedSession
 ]);
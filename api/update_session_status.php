@@ -0,0 +1,158 @@
+<?php
+
+/**
+ * Tutify Update Session Status API
+ * Accepts, rejects, completes or cancels a session booking, or marks the
+ * student as a no-show
+ *
+ * Only the transitions in SESSION_TRANSITIONS are allowed:
+ * pending -> confirmed/rejected/cancelled, confirmed -> completed/cancelled/no_show.
+ * A student cancelling a confirmed session with less notice than its
+ * cancellation policy asks for is a late cancellation, or is refused if the
+ * policy blocks late cancellations.
+ *
+ * With scope 'series' the change also applies to every upcoming session of
+ * the same series that allows it (e.g. accepting or cancelling a whole
+ * weekly booking). Sessions are completed or marked no-show one at a time.
+ *
+ * Declining or cancelling a prepaid session refunds it when the refund
+ * policy allows (see isRefundDue()); 'refunds' lists what happened to each
+ * payment.
+ */
+
+require_once 'payments.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Get JSON input
+$data = getJsonInput();
+
+// Validate required fields
+if (empty($data->session_id) || empty($data->status)) {
+    sendError('Session ID and status are required');
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+
+// Sanitize input
+$sessionId = intval($data->session_id);
+$status = sanitize($conn, $data->status);
+$reason = !empty($data->reason) ? cleanRichText($data->reason) : null;
+$scope = $data->scope ?? 'single';
+
+// Validate status value
+if (!in_array($status, ['confirmed', 'rejected', 'completed', 'cancelled', 'no_show'])) {
+    $conn->close();
+    sendError('Status must be confirmed, rejected, completed, cancelled, or no_show');
+}
+
+if (!in_array($scope, ['single', 'series'])) {
+    $conn->close();
+    sendError('Scope must be single or series');
+}
+
+if ($scope === 'series' && in_array($status, ['completed', 'no_show'])) {
+    $conn->close();
+    sendError($status === 'completed' ? 'Sessions are marked complete one at a time' : 'No-shows are marked one at a time');
+}
+
+// Verify session exists
+$session = getSessionById($conn, $sessionId);
+
+if ($session === null) {
+    $conn->close();
+    sendError('Session not found', 404);
+}
+
+// Only the two participants may change a session
+if ($session['student_id'] === $userId) {
+    $role = 'student';
+} elseif ($session['tutor_id'] === $userId) {
+    $role = 'tutor';
+} else {
+    $conn->close();
+    sendError('Unauthorized. You can only update your own sessions.', 403);
+}
+
+if ($scope === 'series' && $session['series_id'] === null) {
+    $conn->close();
+    sendError('This session is not part of a series');
+}
+
+$updatedSession = null;
+$updatedSessions = [];
+
+if ($scope === 'single') {
+    $updatedSession = transitionSession($conn, $session, $status, $userId, $role, $reason);
+    $updatedSessions[] = $updatedSession;
+} else {
+    // Upcoming sessions of the series that can make this transition; others
+    // (such as one too close to cancel under the tutor's policy) are left as they are
+    $targets = array_filter(getSeriesSessions($conn, $session['series_id'], date('Y-m-d')), function ($target) use ($status, $role) {
+        $allowed = SESSION_TRANSITIONS[$target['status']][$status] ?? [];
+        return in_array($role, $allowed) && transitionBlockedReason($target, $status, $role) === null;
+    });
+
+    if (empty($targets)) {
+        $conn->close();
+        sendError("No upcoming sessions in this series can be marked as {$status}", 409);
+    }
+
+    $conn->begin_transaction();
+    foreach ($targets as $target) {
+        $updated = transitionSession($conn, $target, $status, $userId, $role, $reason);
+        $updatedSessions[] = $updated;
+        if ($updated['id'] === $sessionId) {
+            $updatedSession = $updated;
+        }
+    }
+    $conn->commit();
+
+    // The chosen session may itself be past or already in another state
+    if ($updatedSession === null) {
+        $updatedSession = getSessionById($conn, $sessionId);
+    }
+}
+
+notifySessionEvent($conn, $updatedSessions[0], $status, $userId, count($updatedSessions), $reason);
+emailSessionEvent($conn, $updatedSessions[0], $status, $userId, count($updatedSessions), $reason);
+
+// Give prepaid sessions back their payment where the policy allows
+$refunds = [];
+if (in_array($status, ['rejected', 'cancelled'])) {
+    foreach ($updatedSessions as $i => $updated) {
+        $refund = refundSessionPayment($conn, $updated, $role);
+        if ($refund === null) {
+            continue;
+        }
+        $refunds[] = ['session_id' => $updated['id']] + $refund;
+        $updatedSessions[$i] = getSessionById($conn, $updated['id']);
+        if ($updated['id'] === $sessionId) {
+            $updatedSession = $updatedSessions[$i];
+        }
+    }
+}
+
+$history = getSessionHistory($conn, $sessionId);
+$updatedSession = attachProposals($conn, [$updatedSession])[0];
+$updatedSessions = attachProposals($conn, $updatedSessions);
+
+$conn->close();
+
+$count = count($updatedSessions);
+
+// Send success response
+sendSuccess([
+    'message' => $count > 1 ? "{$count} sessions marked as {$status}" : "Session marked as {$status}",
+    'session' => $updatedSession,
+    'sessions' => $updatedSessions,
+    'history' => $history,
+    'refunds' => $refunds
+]);
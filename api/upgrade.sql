@@ -0,0 +1,78 @@
+-- Tutify Database Upgrade
+-- Run this SQL file once on a database created with an older setup.sql to
+-- add the columns the API now expects, then run setup.sql again to create
+-- the tables added since. Existing rows are kept.
+
+USE tutify;
+
+-- Set this to the server's TUTIFY_TIMEZONE (UTC if unset): sessions booked
+-- before time zone support are in that zone. Named zones such as
+-- 'Europe/London' need MySQL's time zone tables (load them with
+-- mysql_tzinfo_to_sql); a fixed offset such as '+05:30' works without them.
+SET @app_timezone = 'UTC';
+
+-- Users table
+ALTER TABLE users
+  ADD COLUMN timezone VARCHAR(64) NULL AFTER phone;
+
+-- Tutor profiles table
+ALTER TABLE tutor_profiles
+  ADD COLUMN review_count INT DEFAULT 0 AFTER rating,
+  ADD COLUMN availability ENUM('Available','Busy') DEFAULT 'Available' AFTER total_sessions,
+  ADD COLUMN cancellation_notice_hours SMALLINT UNSIGNED NOT NULL DEFAULT 24 AFTER availability,
+  ADD COLUMN late_cancellation ENUM('keep','refund','block') NOT NULL DEFAULT 'keep' AFTER cancellation_notice_hours;
+
+-- Sessions table
+ALTER TABLE sessions
+  ADD COLUMN starts_at DATETIME NULL AFTER session_time,
+  ADD COLUMN level VARCHAR(20) AFTER duration,
+  ADD COLUMN rate DECIMAL(10,2) AFTER level,
+  MODIFY COLUMN status ENUM('pending','confirmed','completed','rejected','cancelled','no_show') DEFAULT 'pending',
+  ADD COLUMN booked_by ENUM('student','tutor') DEFAULT 'student' AFTER status,
+  ADD COLUMN client_ref VARCHAR(64) AFTER booked_by,
+  ADD COLUMN series_id CHAR(32) NULL AFTER client_ref,
+  ADD COLUMN rejection_reason TEXT AFTER series_id,
+  ADD COLUMN cancellation_notice_hours SMALLINT UNSIGNED NOT NULL DEFAULT 24 AFTER rejection_reason,
+  ADD COLUMN late_cancellation ENUM('keep','refund','block') NOT NULL DEFAULT 'keep' AFTER cancellation_notice_hours,
+  ADD COLUMN cancelled_late TINYINT(1) NOT NULL DEFAULT 0 AFTER late_cancellation,
+  ADD COLUMN status_changed_by INT AFTER cancelled_late,
+  ADD COLUMN status_changed_at TIMESTAMP NULL AFTER status_changed_by,
+  ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER created_at,
+  ADD UNIQUE KEY uniq_client_ref (client_ref),
+  ADD INDEX idx_series (series_id);
+
+-- Older sessions were charged at the tutor's current rate
+UPDATE sessions s
+INNER JOIN tutor_profiles tp ON tp.user_id = s.tutor_id
+SET s.rate = tp.hourly_rate
+WHERE s.rate IS NULL;
+
+-- starts_at is the session's date and time in its tutor's time zone, in UTC.
+-- Made NOT NULL only once filled in: with a strict sql_mode the last ALTER
+-- fails if a zone could not be converted, instead of storing zero dates.
+UPDATE sessions s
+INNER JOIN users tu ON tu.id = s.tutor_id
+SET s.starts_at = CONVERT_TZ(TIMESTAMP(s.session_date, s.session_time), COALESCE(tu.timezone, @app_timezone), '+00:00')
+WHERE s.starts_at IS NULL;
+
+ALTER TABLE sessions
+  MODIFY COLUMN starts_at DATETIME NOT NULL,
+  ADD INDEX idx_starts_at (starts_at);
+
+-- Feedback table: one review per session, keeping the latest if there are several
+DELETE older FROM feedback older
+INNER JOIN feedback newer ON newer.session_id = older.session_id AND newer.id > older.id;
+
+ALTER TABLE feedback
+  ADD COLUMN clarity_rating TINYINT NULL CHECK (clarity_rating BETWEEN 1 AND 5) AFTER rating,
+  ADD COLUMN patience_rating TINYINT NULL CHECK (patience_rating BETWEEN 1 AND 5) AFTER clarity_rating,
+  ADD COLUMN punctuality_rating TINYINT NULL CHECK (punctuality_rating BETWEEN 1 AND 5) AFTER patience_rating,
+  ADD UNIQUE KEY uniq_session (session_id),
+  DROP INDEX idx_session,
+  DROP INDEX idx_tutor,
+  ADD INDEX idx_tutor (tutor_id, created_at);
+
+-- Ratings are the average of each tutor's reviews (see refreshTutorRating())
+UPDATE tutor_profiles tp
+SET tp.review_count = (SELECT COUNT(*) FROM feedback f WHERE f.tutor_id = tp.user_id),
+    tp.rating = (SELECT ROUND(COALESCE(AVG(f.rating), 0), 2) FROM feedback f WHERE f.tutor_id = tp.user_id);
@@ -0,0 +1,113 @@
+<?php
+
+/**
+ * Tutify Upload Attachment API
+ * Stores an image or PDF to go with a booking request or doubt message
+ *
+ * Send the file as multipart/form-data in a field named "file". Its type is
+ * sniffed from the contents, not trusted from the name or the browser, and
+ * must be one of ATTACHMENT_TYPES. The upload is not attached to anything
+ * until its ID is sent in attachment_ids to book_session.php,
+ * submit_doubt.php or reply_doubt.php. A user can have at most
+ * MAX_UNATTACHED_UPLOADS such uploads waiting; cron/clean_attachments.php
+ * deletes any still waiting after UNATTACHED_UPLOAD_HOURS.
+ */
+
+require_once 'db.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+// Connect to database
+$conn = getDbConnection();
+
+$auth = requireAuth($conn);
+$userId = $auth['id'];
+
+$file = $_FILES['file'] ?? null;
+
+if ($file === null || is_array($file['error']) || $file['error'] === UPLOAD_ERR_NO_FILE) {
+    $conn->close();
+    sendError('Choose a file to upload', 400, ['field' => 'file']);
+}
+
+$maxMegabytes = MAX_ATTACHMENT_BYTES / (1024 * 1024);
+if (in_array($file['error'], [UPLOAD_ERR_INI_SIZE, UPLOAD_ERR_FORM_SIZE]) || $file['size'] > MAX_ATTACHMENT_BYTES) {
+    $conn->close();
+    sendError("Files can be at most {$maxMegabytes} MB", 413, ['field' => 'file']);
+}
+
+if ($file['error'] !== UPLOAD_ERR_OK || !is_uploaded_file($file['tmp_name'])) {
+    $conn->close();
+    sendError('The upload failed. Please try again.', 400, ['field' => 'file']);
+}
+
+// Uploads that were never sent with anything count against a small allowance
+$stmt = $conn->prepare("SELECT COUNT(*) AS waiting FROM attachments WHERE uploader_id = ? AND session_id IS NULL AND doubt_message_id IS NULL");
+$stmt->bind_param("i", $userId);
+$stmt->execute();
+$waiting = intval($stmt->get_result()->fetch_assoc()['waiting']);
+$stmt->close();
+
+if ($waiting >= MAX_UNATTACHED_UPLOADS) {
+    $conn->close();
+    sendError('You have too many files waiting to be sent. Send your message or request first, or try again tomorrow.', 429, ['field' => 'file']);
+}
+
+// Trust the bytes, not the file name or the browser's Content-Type
+$mimeType = (new finfo(FILEINFO_MIME_TYPE))->file($file['tmp_name']);
+
+if (!isset(ATTACHMENT_TYPES[$mimeType])) {
+    $conn->close();
+    sendError('Only JPEG, PNG, GIF or WebP images and PDF files can be attached', 415, ['field' => 'file']);
+}
+
+// Something that only starts like an image is not one
+if (strpos($mimeType, 'image/') === 0 && @getimagesize($file['tmp_name']) === false) {
+    $conn->close();
+    sendError('This image could not be read. It may be damaged.', 415, ['field' => 'file']);
+}
+
+// Keep the name for display only; files are stored under a random key
+$name = trim(preg_replace('/[\x00-\x1F\x7F]/', '', basename($file['name'])));
+if ($name === '') {
+    $name = 'attachment.' . ATTACHMENT_TYPES[$mimeType];
+}
+$name = mb_substr($name, 0, 255, 'UTF-8');
+
+$storageKey = generateToken(16) . '.' . ATTACHMENT_TYPES[$mimeType];
+$path = getAttachmentPath($storageKey);
+
+if (!is_dir(dirname($path)) && !mkdir(dirname($path), 0770, true)) {
+    error_log('Tutify attachments: cannot create ' . dirname($path));
+    $conn->close();
+    sendError('Attachments cannot be stored right now. Please try again later.', 500);
+}
+
+if (!move_uploaded_file($file['tmp_name'], $path)) {
+    $conn->close();
+    sendError('Attachments cannot be stored right now. Please try again later.', 500);
+}
+
+$size = filesize($path);
+$stmt = $conn->prepare("INSERT INTO attachments (uploader_id, original_name, mime_type, size_bytes, storage_key) VALUES (?, ?, ?, ?, ?)");
+$stmt->bind_param("issis", $userId, $name, $mimeType, $size, $storageKey);
+$stmt->execute();
+$attachmentId = $stmt->insert_id;
+$stmt->close();
+
+$stmt = $conn->prepare("SELECT id, original_name, mime_type, size_bytes, created_at FROM attachments WHERE id = ?");
+$stmt->bind_param("i", $attachmentId);
+$stmt->execute();
+$attachment = formatAttachment($stmt->get_result()->fetch_assoc());
+$stmt->close();
+
+$conn->close();
+
+// Send success response
+sendSuccess([
+    'message' => 'File uploaded',
+    'attachment' => $attachment
+], 201);
@@ -0,0 +1,70 @@
+<?php
+
+/**
+ * Tutify Attachment Cleanup
+ * Deletes uploads that were never sent with a booking request or doubt
+ * message, once they are UNATTACHED_UPLOAD_HOURS old, with their files
+ *
+ * Run it from cron every hour (see the README for a crontab line):
+ *   php /path/to/tutify/cron/clean_attachments.php
+ *
+ * Options:
+ *   --dry-run     List the uploads that would be deleted without deleting them
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit();
+}
+
+require_once __DIR__ . '/../api/db.php';
+
+$options = getopt('', ['dry-run']);
+$dryRun = isset($options['dry-run']);
+
+$conn = getDbConnection();
+
+$cutoff = date('Y-m-d H:i:s', time() - UNATTACHED_UPLOAD_HOURS * 3600);
+$stmt = $conn->prepare("SELECT id, uploader_id, original_name, size_bytes, storage_key, created_at FROM attachments WHERE session_id IS NULL AND doubt_message_id IS NULL AND created_at < ? ORDER BY id");
+$stmt->bind_param("s", $cutoff);
+$stmt->execute();
+$stale = $stmt->get_result()->fetch_all(MYSQLI_ASSOC);
+$stmt->close();
+
+$totals = ['deleted' => 0, 'bytes' => 0];
+
+echo ($dryRun ? 'Dry run at ' : 'Attachment cleanup at ') . gmdate('Y-m-d H:i') . ' UTC, uploads before ' . $cutoff . " UTC\n";
+
+$delete = $conn->prepare("DELETE FROM attachments WHERE id = ? AND session_id IS NULL AND doubt_message_id IS NULL");
+foreach ($stale as $row) {
+    if ($dryRun) {
+        $outcome = 'would delete';
+    } else {
+        // Only remove the file if the row was still unattached when deleted
+        $delete->bind_param("i", $row['id']);
+        $delete->execute();
+        if ($delete->affected_rows !== 1) {
+            continue;
+        }
+
+        $path = getAttachmentPath($row['storage_key']);
+        $outcome = !is_file($path) || unlink($path) ? 'deleted' : 'row deleted, file could not be removed';
+        if ($outcome !== 'deleted') {
+            error_log("Tutify attachments: cannot remove {$path}");
+        }
+    }
+
+    $totals['deleted']++;
+    $totals['bytes'] += intval($row['size_bytes']);
+    printf("  #%d %s (%s bytes, user #%d, uploaded %s): %s\n", $row['id'], $row['original_name'], $row['size_bytes'], $row['uploader_id'], $row['created_at'], $outcome);
+}
+$delete->close();
+
+$conn->close();
+
+printf(
+    "%d %s, %.1f MB\n",
+    $totals['deleted'],
+    $dryRun ? 'to delete' : 'deleted',
+    $totals['bytes'] / (1024 * 1024)
+);
@@ -0,0 +1,85 @@
+<?php
+
+/**
+ * Tutify Refund Retries
+ * Tries again every refund the payment driver turned down when a session
+ * was declined or cancelled (payments with refund_due_at set)
+ *
+ * Run it from cron every hour (see the README for a crontab line):
+ *   php /path/to/tutify/cron/retry_refunds.php
+ *
+ * Options:
+ *   --dry-run     List the refunds that are due without trying them
+ *
+ * A refund that goes through is announced to the student in their inbox and
+ * by email; one that fails again stays due for the next run.
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit();
+}
+
+require_once __DIR__ . '/../api/payments.php';
+
+$options = getopt('', ['dry-run']);
+$dryRun = isset($options['dry-run']);
+
+$conn = getDbConnection();
+
+$stmt = $conn->prepare("SELECT id, session_id, refund_attempts, refund_due_at FROM payments WHERE status = 'succeeded' AND refund_due_at IS NOT NULL ORDER BY refund_due_at");
+$stmt->execute();
+$due = $stmt->get_result()->fetch_all(MYSQLI_ASSOC);
+$stmt->close();
+
+$totals = ['refunded' => 0, 'failed' => 0];
+
+echo ($dryRun ? 'Dry run at ' : 'Refund retries at ') . gmdate('Y-m-d H:i') . ' UTC, ' . count($due) . " due\n";
+
+foreach ($due as $row) {
+    $session = getSessionById($conn, intval($row['session_id']));
+    $payment = $session['payment'];
+
+    // The session's latest payment is the one that is owed back
+    if ($payment === null || $payment['id'] !== intval($row['id'])) {
+        continue;
+    }
+
+    if ($dryRun) {
+        $outcome = "would retry (due since {$row['refund_due_at']} UTC, {$row['refund_attempts']} attempts)";
+        $totals['refunded']++;
+    } else {
+        // Hold the payment while retrying, so overlapping runs cannot refund it twice
+        $conn->begin_transaction();
+        $stmt = $conn->prepare("SELECT id FROM payments WHERE id = ? AND status = 'succeeded' AND refund_due_at IS NOT NULL FOR UPDATE");
+        $stmt->bind_param("i", $payment['id']);
+        $stmt->execute();
+        $stillDue = $stmt->get_result()->num_rows > 0;
+        $stmt->close();
+
+        $refunded = $stillDue && issueRefund($conn, $session);
+        $conn->commit();
+
+        if (!$stillDue) {
+            $outcome = 'already handled';
+        } elseif ($refunded) {
+            announceRefund($conn, getSessionById($conn, $session['id']), true);
+            $outcome = 'refunded';
+            $totals['refunded']++;
+        } else {
+            $outcome = 'failed again';
+            $totals['failed']++;
+        }
+    }
+
+    printf("  payment #%d, session #%d %s, %s to %s: %s\n", $row['id'], $session['id'], $session['subject'], formatPaymentAmount($payment['amount'], $payment['currency']), $session['student_name'], $outcome);
+}
+
+$conn->close();
+
+printf(
+    "%d %s, %d failed\n",
+    $totals['refunded'],
+    $dryRun ? 'to retry' : 'refunded',
+    $totals['failed']
+);
@@ -0,0 +1,144 @@
+<?php
+
+/**
+ * Tutify Session Reminders
+ * Reminds both participants of a confirmed session 24 hours and 1 hour
+ * before it starts, in their notification inbox and by email
+ *
+ * Run it from cron every few minutes (see the README for a crontab line):
+ *   php /path/to/tutify/cron/send_reminders.php
+ *
+ * Options:
+ *   --dry-run     List the reminders that are due without sending or recording them
+ *   --now=TIME    Act as if it were TIME (UTC), e.g. --now="2026-10-20 14:00"
+ *
+ * Each reminder is recorded in session_reminders before it goes out, so
+ * overlapping runs never send it twice; a session that is moved is reminded
+ * again for its new time. Users who switched off reminder_notifications get
+ * neither the notification nor the email.
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit();
+}
+
+require_once __DIR__ . '/../api/mailer.php';
+
+// Reminder => minutes before the start. Each one covers sessions starting
+// within its lead time but after the next shorter one, so a session booked
+// 30 minutes ahead only gets the 1 hour reminder.
+define('REMINDER_LEADS', [
+    '24h' => 24 * 60,
+    '1h' => 60
+]);
+
+/**
+ * Say how far away a start time is, e.g. "in 24 hours" or "in 45 minutes"
+ * @param int $minutes - Minutes until the start
+ * @return string Phrase
+ */
+function describeTimeUntil($minutes)
+{
+    if ($minutes < 90) {
+        return $minutes === 1 ? 'in 1 minute' : "in {$minutes} minutes";
+    }
+    $hours = intval(round($minutes / 60));
+    return "in {$hours} hours";
+}
+
+$options = getopt('', ['dry-run', 'now:']);
+$dryRun = isset($options['dry-run']);
+$now = isset($options['now']) ? strtotime($options['now']) : time();
+
+if ($now === false) {
+    fwrite(STDERR, "Invalid --now time: {$options['now']}\n");
+    exit(1);
+}
+
+$conn = getDbConnection();
+
+$kinds = array_keys(REMINDER_LEADS);
+$totals = ['sent' => 0, 'skipped' => 0];
+
+echo ($dryRun ? 'Dry run at ' : 'Reminders at ') . gmdate('Y-m-d H:i', $now) . " UTC\n";
+
+foreach ($kinds as $index => $kind) {
+    $shorterLead = isset($kinds[$index + 1]) ? REMINDER_LEADS[$kinds[$index + 1]] : 0;
+    $windowStart = date('Y-m-d H:i:s', $now + $shorterLead * 60);
+    $windowEnd = date('Y-m-d H:i:s', $now + REMINDER_LEADS[$kind] * 60);
+
+    $stmt = $conn->prepare(SESSION_SELECT . " WHERE s.status = 'confirmed' AND s.starts_at > ? AND s.starts_at <= ? ORDER BY s.starts_at");
+    $stmt->bind_param("ss", $windowStart, $windowEnd);
+    $stmt->execute();
+    $sessions = array_map('formatSession', $stmt->get_result()->fetch_all(MYSQLI_ASSOC));
+    $stmt->close();
+
+    foreach ($sessions as $session) {
+        $start = strtotime($session['starts_at']);
+        $startsAt = date('Y-m-d H:i:s', $start);
+        $in = describeTimeUntil(intval(round(($start - $now) / 60)));
+
+        $participants = [
+            'student' => [$session['student_id'], $session['student_name'], $session['tutor_name']],
+            'tutor' => [$session['tutor_id'], $session['tutor_name'], $session['student_name']]
+        ];
+
+        foreach ($participants as $role => [$userId, $name, $otherName]) {
+            $preferences = getUserPreferences($conn, $userId);
+
+            if (!$preferences['reminder_notifications']) {
+                $outcome = 'skipped, reminders switched off';
+                $totals['skipped']++;
+            } elseif ($dryRun) {
+                $stmt = $conn->prepare("SELECT id FROM session_reminders WHERE session_id = ? AND user_id = ? AND kind = ? AND starts_at = ?");
+                $stmt->bind_param("iiss", $session['id'], $userId, $kind, $startsAt);
+                $stmt->execute();
+                $alreadySent = $stmt->get_result()->num_rows > 0;
+                $stmt->close();
+
+                $outcome = $alreadySent ? 'already sent' : 'would send';
+                $totals[$alreadySent ? 'skipped' : 'sent']++;
+            } else {
+                // Claim the reminder first; a concurrent run that got there first wins
+                $stmt = $conn->prepare("INSERT IGNORE INTO session_reminders (session_id, user_id, kind, starts_at) VALUES (?, ?, ?, ?)");
+                $stmt->bind_param("iiss", $session['id'], $userId, $kind, $startsAt);
+                $stmt->execute();
+                $claimed = $stmt->affected_rows === 1;
+                $stmt->close();
+
+                if (!$claimed) {
+                    $outcome = 'already sent';
+                    $totals['skipped']++;
+                } else {
+                    $timezone = $role === 'student' ? $session['student_timezone'] : $session['tutor_timezone'];
+                    createNotification(
+                        $conn,
+                        $userId,
+                        'session_reminder',
+                        "Reminder: {$session['subject']} with {$otherName} {$in}",
+                        describeSessionTime($session, $timezone),
+                        ['session_id' => $session['id']]
+                    );
+
+                    $vars = sessionMailVars($session, $role === 'student') + ['in' => $in];
+                    $emailed = sendTemplatedMail($conn, $userId, 'session_reminder', $vars);
+
+                    $outcome = $emailed ? 'sent' : 'sent in-app, email failed';
+                    $totals['sent']++;
+                }
+            }
+
+            printf("  [%s] session #%d %s %s -> %s %s (#%d): %s\n", $kind, $session['id'], $session['subject'], $in, $role, $name, $userId, $outcome);
+        }
+    }
+}
+
+$conn->close();
+
+printf(
+    "%d %s, %d skipped\n",
+    $totals['sent'],
+    $dryRun ? 'to send' : 'sent',
+    $totals['skipped']
+);
@@ -7,13 +7,40 @@ const API_BASE_URL = '/api';
 
 // ===== Authentication Utilities =====
 
+// Signed login token issued by login.php / register.php. The server decides
+// who the user is from this token; the 'user' entry is only a display cache.
+const AUTH_TOKEN_KEY = 'tutify_token';
+
+/**
+ * Get the stored login token
+ * @returns {string|null} Token or null
+ */
+function getAuthToken() {
+    return localStorage.getItem(AUTH_TOKEN_KEY);
+}
+
+/**
+ * Read the claims (uid, role, exp) from a login token without verifying it
+ * @param {string} token - Login token
+ * @returns {Object|null} Token claims or null if malformed
+ */
+function decodeAuthToken(token) {
+    try {
+        const payload = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload));
+    } catch (e) {
+        return null;
+    }
+}
+
 /**
  * Check if user is authenticated
- * @returns {boolean} True if user is logged in
+ * @returns {boolean} True if a login token is stored and has not expired
  */
 function isAuthenticated() {
-    const user = localStorage.getItem('user');
-    return user !== null && user !== undefined;
+    const token = getAuthToken();
+    const claims = token ? decodeAuthToken(token) : null;
+    return claims !== null && claims.exp * 1000 > Date.now();
 }
 
 /**
@@ -38,26 +65,67 @@ function setCurrentUser(userData) {
     localStorage.setItem('user', JSON.stringify(userData));
 }
 
+/**
+ * Store the login token and user returned by login.php / register.php
+ * @param {Object} userData - User data object
+ * @param {string} token - Login token
+ */
+function setAuthSession(userData, token) {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+    setCurrentUser(userData);
+}
+
+/**
+ * Forget the login token and cached user
+ */
+function clearAuthSession() {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    localStorage.removeItem('user');
+}
+
 /**
  * Clear user session and redirect to home
  */
-function logout() {
+async function logout() {
     if (confirm('Are you sure you want to logout?')) {
-        localStorage.removeItem('user');
+        try {
+            // Revoke the token server-side so a copied token stops working too
+            await apiCall('logout.php', { method: 'POST' });
+        } catch (error) {
+            // Already expired or offline — the local copy is dropped either way
+        }
+        clearAuthSession();
         window.location.href = '../index.html';
     }
 }
 
 /**
- * Check user role and redirect if unauthorized
+ * Check user role with the server and redirect if unauthorized
+ * Offline, the claims in the stored token are used instead.
  * @param {string} requiredRole - Required role ('student' or 'tutor')
+ * @returns {Promise<Object|null>} Verified user, or null after redirecting
  */
-function requireRole(requiredRole) {
-    const user = getCurrentUser();
+async function requireRole(requiredRole) {
+    let user = null;
+    if (isAuthenticated()) {
+        try {
+            const response = await apiCall('get_current_user.php');
+            user = response.data.user;
+            setCurrentUser(user);
+        } catch (error) {
+            if (isOfflineError(error)) {
+                const claims = decodeAuthToken(getAuthToken());
+                const cached = getCurrentUser();
+                user = cached && cached.id === claims.uid ? { ...cached, role: claims.role } : null;
+            }
+        }
+    }
+
     if (!user || user.role !== requiredRole) {
-        alert('Access denied. Please login with appropriate credentials.');
-        window.location.href = '/login.html';
+        window.location.href = '../login.html';
+        return null;
     }
+    return user;
 }
 
 // ===== API Call Utilities =====
@@ -70,21 +138,40 @@ function requireRole(requiredRole) {
  */
 async function apiCall(endpoint, options = {}) {
     try {
-        const defaultOptions = {
-            headers: {
-                'Content-Type': 'application/json'
-            }
+        const token = getAuthToken();
+        // The browser sets the multipart boundary for FormData uploads itself
+        const headers = {
+            ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
+            ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+            ...options.headers
         };
 
         const response = await fetch(`${API_BASE_URL}/${endpoint}`, {
-            ...defaultOptions,
-            ...options
+            ...options,
+            headers
         });
 
-        const data = await response.json();
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (parseError) {
+            data = null;
+        }
+
+        // The token expired or was revoked (e.g. logged out elsewhere)
+        if (response.status === 401 && token) {
+            clearAuthSession();
+        }
 
-        if (!response.ok) {
-            throw new Error(data.message || 'API request failed');
+        if (!response.ok || !data) {
+            // status lets callers tell a server rejection from being offline
+            const apiError = new Error((data && data.message) || 'API request failed');
+            apiError.status = response.status;
+            // Form field the server blamed, for showFieldError()
+            apiError.field = (data && data.field) || null;
+            // Whole response body, for endpoint-specific details such as a suggested slot
+            apiError.data = data;
+            throw apiError;
         }
 
         return data;
@@ -141,6 +228,104 @@ async function bookSession(bookingData) {
     });
 }
 
+/**
+ * Move a session to a new status (confirmed, rejected, completed, cancelled, no_show)
+ * @param {number} sessionId - Session ID
+ * @param {string} status - Requested status
+ * @param {string} reason - Reason, required when rejecting
+ * @param {string} scope - 'single', or 'series' for every upcoming session of its series
+ * @returns {Promise<Object>} Updated session(s) and the session's status history
+ */
+async function updateSessionStatus(sessionId, status, reason = '', scope = 'single') {
+    return await apiCall('update_session_status.php', {
+        method: 'POST',
+        body: JSON.stringify({ session_id: sessionId, status, reason, scope })
+    });
+}
+
+/**
+ * Move a session to a new date and time
+ * @param {number} sessionId - Session ID
+ * @param {string} date - New date (YYYY-MM-DD)
+ * @param {string} time - New start time (HH:MM)
+ * @param {string} scope - 'single', or 'series' to move later sessions of its series too
+ * @returns {Promise<Object>} Updated session(s)
+ */
+async function rescheduleSession(sessionId, date, time, scope = 'single') {
+    return await apiCall('reschedule_session.php', {
+        method: 'POST',
+        body: JSON.stringify({ session_id: sessionId, date, time, scope })
+    });
+}
+
+/**
+ * Propose a new date and time for a session; the other participant answers it
+ * @param {number} sessionId - Session ID
+ * @param {string} date - Proposed date (YYYY-MM-DD)
+ * @param {string} time - Proposed start time (HH:MM)
+ * @param {string} scope - 'single', or 'series' to move later sessions of its series too
+ * @param {string} message - Optional note for the other side
+ * @returns {Promise<Object>} The proposal and the session with its negotiation history
+ */
+async function proposeReschedule(sessionId, date, time, scope = 'single', message = '') {
+    return await apiCall('propose_reschedule.php', {
+        method: 'POST',
+        body: JSON.stringify({ session_id: sessionId, date, time, scope, message })
+    });
+}
+
+/**
+ * Accept or decline a proposed time, or withdraw your own proposal
+ * @param {number} proposalId - Proposal ID
+ * @param {string} action - 'accept', 'decline' or 'withdraw'
+ * @param {string} message - Optional reply
+ * @returns {Promise<Object>} The proposal and the affected session(s)
+ */
+async function respondToProposal(proposalId, action, message = '') {
+    return await apiCall('respond_reschedule.php', {
+        method: 'POST',
+        body: JSON.stringify({ proposal_id: proposalId, action, message })
+    });
+}
+
+/**
+ * Change the logged-in user's password
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} Confirmation
+ */
+async function changeUserPassword(currentPassword, newPassword) {
+    return await apiCall('change_password.php', {
+        method: 'POST',
+        body: JSON.stringify({ current_password: currentPassword, new_password: newPassword })
+    });
+}
+
+/**
+ * Email a password reset link
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} Generic confirmation (same for unknown emails)
+ */
+async function requestPasswordReset(email) {
+    return await apiCall('request_password_reset.php', {
+        method: 'POST',
+        body: JSON.stringify({ email })
+    });
+}
+
+/**
+ * Set a new password using an emailed reset token
+ * @param {string} token - Token from the reset link
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} Confirmation
+ */
+async function resetPassword(token, newPassword) {
+    return await apiCall('reset_password.php', {
+        method: 'POST',
+        body: JSON.stringify({ token, new_password: newPassword })
+    });
+}
+
 /**
  * Update student progress
  * @param {Object} progressData - Progress update data
@@ -153,6 +338,90 @@ async function updateProgress(progressData) {
     });
 }
 
+/**
+ * Get a tutor's weekly availability, blackout dates and taken times
+ * @param {number|null} tutorId - Tutor ID (omit for the logged-in tutor)
+ * @param {Object} range - Optional from / to dates (YYYY-MM-DD) for taken times
+ * @returns {Promise<Object>} Availability data
+ */
+async function getAvailability(tutorId = null, range = {}) {
+    const params = { ...range };
+    if (tutorId) params.tutor_id = tutorId;
+    const queryString = new URLSearchParams(params).toString();
+    return await apiCall(`get_availability.php${queryString ? `?${queryString}` : ''}`);
+}
+
+/**
+ * Replace the logged-in tutor's weekly windows and blackout dates
+ * @param {Object} availability - { windows: [{ day, start, end }], blackouts: [{ date, reason }] }
+ * @returns {Promise<Object>} Saved availability
+ */
+async function updateAvailability(availability) {
+    return await apiCall('update_availability.php', {
+        method: 'POST',
+        body: JSON.stringify(availability)
+    });
+}
+
+/**
+ * Save the logged-in user's profile (name, phone, time zone; bio, subjects
+ * and hourly_rate for tutors). Fields left out keep their value.
+ * @param {Object} profile - Fields to change
+ * @returns {Promise<Object>} The updated user
+ */
+async function updateProfile(profile) {
+    return await apiCall('update_profile.php', {
+        method: 'POST',
+        body: JSON.stringify(profile)
+    });
+}
+
+/**
+ * Get the logged-in user's private calendar feed link, creating it on first use
+ * @returns {Promise<Object>} feed_url and webcal_url
+ */
+async function getCalendarFeed() {
+    return await apiCall('calendar_token.php');
+}
+
+/**
+ * Replace the calendar feed link; the old link stops working
+ * @returns {Promise<Object>} The new feed_url and webcal_url
+ */
+async function resetCalendarFeed() {
+    return await apiCall('calendar_token.php', { method: 'POST' });
+}
+
+/**
+ * Get the logged-in user's notification preferences
+ * @returns {Promise<Object>} preferences keyed like email_notifications
+ */
+async function getPreferences() {
+    return await apiCall('get_preferences.php');
+}
+
+/**
+ * Save notification preferences; keys left out keep their current value
+ * @param {Object} preferences - e.g. { email_notifications: false }
+ * @returns {Promise<Object>} The saved preferences
+ */
+async function updatePreferences(preferences) {
+    return await apiCall('update_preferences.php', {
+        method: 'POST',
+        body: JSON.stringify(preferences)
+    });
+}
+
+/**
+ * Get tracked progress for the logged-in tutor's students or the logged-in student
+ * @param {Object} params - Optional student_id / subject to include that history
+ * @returns {Promise<Object>} Per-student summary and update history
+ */
+async function getProgress(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return await apiCall(`get_progress.php${queryString ? `?${queryString}` : ''}`);
+}
+
 /**
  * Add feedback for a session
  * @param {Object} feedbackData - Feedback details
@@ -165,6 +434,213 @@ async function addFeedback(feedbackData) {
     });
 }
 
+/**
+ * Get the logged-in tutor's earnings totals and ledger entries
+ * @param {Object} params - Optional from / to dates (YYYY-MM-DD, in the tutor's time zone)
+ * @returns {Promise<Object>} summary (week, month, all_time), entries and their total
+ */
+async function getEarnings(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return await apiCall(`get_earnings.php${queryString ? `?${queryString}` : ''}`);
+}
+
+/**
+ * Get the newest students the logged-in tutor is not teaching yet
+ * @param {Object} params - Optional limit (default 6, at most 24)
+ * @returns {Promise<Object>} students (id, name, subject, level, joined_at)
+ */
+async function getAvailableStudents(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return await apiCall(`get_available_students.php${queryString ? `?${queryString}` : ''}`);
+}
+
+/**
+ * Download the logged-in tutor's earnings statement as CSV. It needs the
+ * login token, so it cannot be linked to directly.
+ * @param {Object} params - from / to dates (YYYY-MM-DD, in the tutor's time zone)
+ * @returns {Promise<Blob>} The CSV file
+ */
+async function fetchEarningsCsv(params) {
+    const token = getAuthToken();
+    const queryString = new URLSearchParams({ ...params, format: 'csv' }).toString();
+    const response = await fetch(`${API_BASE_URL}/get_earnings.php?${queryString}`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+    });
+    if (!response.ok) {
+        // Errors come back as JSON, like every other endpoint
+        const data = await response.json().catch(() => null);
+        const error = new Error((data && data.message) || 'The statement could not be downloaded');
+        error.status = response.status;
+        error.field = (data && data.field) || null;
+        throw error;
+    }
+    return await response.blob();
+}
+
+/**
+ * Get a tutor's reviews with their rating and star histogram
+ * @param {number} tutorId - Tutor's user ID
+ * @param {Object} [options] - { sort: 'newest' | 'highest' | 'lowest', page, limit }
+ * @returns {Promise<Object>} Reviews, histogram and pagination
+ */
+async function getReviews(tutorId, options = {}) {
+    const queryString = new URLSearchParams({ tutor_id: tutorId, ...options }).toString();
+    return await apiCall(`get_reviews.php?${queryString}`);
+}
+
+/**
+ * Send a student feedback on a completed session (tutors only)
+ * @param {Object} feedback - { session_id, rating, strengths, improvements, notes }
+ * @returns {Promise<Object>} The session with its tutor_feedback
+ */
+async function addTutorFeedback(feedback) {
+    return await apiCall('add_tutor_feedback.php', {
+        method: 'POST',
+        body: JSON.stringify(feedback)
+    });
+}
+
+/**
+ * Pay for an upcoming session in advance (students only)
+ * @param {number} sessionId - Session ID
+ * @param {Object} card - { number, expiry ('MM/YY'), cvc }
+ * @returns {Promise<Object>} The payment and the session; a payment with status
+ *   'requires_action' still has to be confirmed with confirmPayment()
+ */
+async function paySession(sessionId, card) {
+    return await apiCall('pay_session.php', {
+        method: 'POST',
+        body: JSON.stringify({ session_id: sessionId, card })
+    });
+}
+
+/**
+ * Finish a payment that the bank asked the cardholder to confirm
+ * @param {number} paymentId - Payment ID
+ * @param {string} result - What the cardholder chose on the test bank page: 'approve' or 'fail'
+ * @returns {Promise<Object>} The payment and the session
+ */
+async function confirmPayment(paymentId, result) {
+    return await apiCall('confirm_payment.php', {
+        method: 'POST',
+        body: JSON.stringify({ payment_id: paymentId, result })
+    });
+}
+
+/**
+ * Get the doubts the logged-in student asked, or the logged-in tutor was asked
+ * @returns {Promise<Object>} Doubts, newest first
+ */
+async function getDoubts() {
+    return await apiCall('get_doubts.php');
+}
+
+/**
+ * Ask a tutor a question (students only)
+ * @param {Object} doubt - { tutor_id, subject, question, urgency, attachment_ids }
+ * @returns {Promise<Object>} The new doubt
+ */
+async function askDoubt(doubt) {
+    return await apiCall('submit_doubt.php', {
+        method: 'POST',
+        body: JSON.stringify(doubt)
+    });
+}
+
+/**
+ * Add to a doubt's thread: the tutor's answer or the student's follow-up
+ * @param {number} doubtId - Doubt ID
+ * @param {string} message - Message text (may be empty when files are attached)
+ * @param {number[]} [attachmentIds] - Uploaded attachments to add to the message
+ * @returns {Promise<Object>} The doubt with all its messages
+ */
+async function sendDoubtMessage(doubtId, message, attachmentIds = []) {
+    return await apiCall('reply_doubt.php', {
+        method: 'POST',
+        body: JSON.stringify({ doubt_id: doubtId, message, attachment_ids: attachmentIds })
+    });
+}
+
+/**
+ * Correct one of your own doubt messages while its edit window is open
+ * @param {number} messageId - Message ID
+ * @param {string} body - New text
+ * @returns {Promise<Object>} The doubt with all its messages
+ */
+async function editDoubtMessage(messageId, body) {
+    return await apiCall('edit_doubt_message.php', {
+        method: 'POST',
+        body: JSON.stringify({ message_id: messageId, body })
+    });
+}
+
+/**
+ * Mark a doubt resolved or reopen it (students only)
+ * @param {number} doubtId - Doubt ID
+ * @param {string} action - 'resolve' or 'reopen'
+ * @returns {Promise<Object>} The updated doubt
+ */
+async function updateDoubtStatus(doubtId, action) {
+    return await apiCall('update_doubt_status.php', {
+        method: 'POST',
+        body: JSON.stringify({ doubt_id: doubtId, action })
+    });
+}
+
+/**
+ * Upload an image or PDF to send with a booking request or doubt message
+ * @param {File} file - File the user picked
+ * @returns {Promise<Object>} The stored attachment; send its id in attachment_ids
+ */
+async function uploadAttachment(file) {
+    const formData = new FormData();
+    formData.append('file', file);
+    return await apiCall('upload_attachment.php', {
+        method: 'POST',
+        body: formData
+    });
+}
+
+/**
+ * Download an attachment. It needs the login token, so it cannot be linked to directly.
+ * @param {number} attachmentId - Attachment ID
+ * @returns {Promise<Blob>} The file
+ */
+async function fetchAttachment(attachmentId) {
+    const token = getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/get_attachment.php?id=${encodeURIComponent(attachmentId)}`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+    });
+    if (!response.ok) {
+        const error = new Error(response.status === 404 ? 'This attachment is no longer available' : 'The attachment could not be loaded');
+        error.status = response.status;
+        throw error;
+    }
+    return await response.blob();
+}
+
+/**
+ * Get the logged-in user's notifications, newest first
+ * @param {Object} params - Optional limit, before (ID) and unread (1)
+ * @returns {Promise<Object>} Notifications, unread_count and has_more
+ */
+async function getNotifications(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return await apiCall(`get_notifications.php${queryString ? `?${queryString}` : ''}`);
+}
+
+/**
+ * Mark notifications as read
+ * @param {Array<number>|null} ids - Notification IDs, or null for all of them
+ * @returns {Promise<Object>} The remaining unread_count
+ */
+async function markNotificationsRead(ids = null) {
+    return await apiCall('mark_notifications_read.php', {
+        method: 'POST',
+        body: JSON.stringify(ids ? { ids } : { all: true })
+    });
+}
+
 // ===== UI Helper Functions =====
 
 /**
@@ -238,30 +714,129 @@ function formatTime12(time24) {
 
 /**
  * Format date to readable string
- * @param {string|Date} date - Date to format
+ * @param {string|Date} date - A 'YYYY-MM-DD' day, or a moment (Date or date-time string)
+ * @param {string} timeZone - Zone to show a moment in (default: the viewer's)
  * @returns {string} Formatted date string
  */
-function formatDate(date) {
-    const d = new Date(date);
-    return d.toLocaleDateString('en-US', {
-        weekday: 'short',
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric'
-    });
+function formatDate(date, timeZone = getViewerTimezone()) {
+    const options = { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' };
+    // A bare day is the same day everywhere; only moments are converted
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+    }
+    return parseServerDate(date).toLocaleDateString('en-US', { ...options, timeZone });
 }
 
 /**
  * Format time to readable string
- * @param {string} time - Time to format
+ * @param {string|Date} time - A wall-clock 'HH:MM', or a moment (Date or date-time string)
+ * @param {string} timeZone - Zone to show a moment in (default: the viewer's)
  * @returns {string} Formatted time string
  */
-function formatTime(time) {
-    const [hours, minutes] = time.split(':');
-    const h = parseInt(hours);
-    const ampm = h >= 12 ? 'PM' : 'AM';
-    const displayHour = h % 12 || 12;
-    return `${displayHour}:${minutes} ${ampm}`;
+function formatTime(time, timeZone = getViewerTimezone()) {
+    if (typeof time === 'string' && /^\d{1,2}:\d{2}(:\d{2})?$/.test(time)) {
+        const [hours, minutes] = time.split(':');
+        const h = parseInt(hours);
+        const ampm = h >= 12 ? 'PM' : 'AM';
+        const displayHour = h % 12 || 12;
+        return `${displayHour}:${minutes} ${ampm}`;
+    }
+    return parseServerDate(time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone });
+}
+
+// "Mon, Nov 2, 2026 at 2:30 PM" for a moment, in the viewer's time zone by default
+function formatMoment(moment, timeZone = getViewerTimezone()) {
+    return `${formatDate(moment, timeZone)} at ${formatTime(moment, timeZone)}`;
+}
+
+// Server timestamps ('YYYY-MM-DD HH:MM:SS') are UTC; anything else parses as usual
+function parseServerDate(value) {
+    if (value instanceof Date) return value;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(value)) {
+        return new Date(`${value.replace(' ', 'T')}Z`);
+    }
+    return new Date(value);
+}
+
+// ===== Time Zones =====
+// Users pick an IANA zone in their settings (defaulting to the browser's).
+// Sessions are stored as UTC moments (startsAt) plus the tutor's wall-clock
+// date and time, which is what availability slots are expressed in.
+
+function getBrowserTimezone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (e) {
+        return 'UTC';
+    }
+}
+
+// The logged-in user's time zone, else the browser's
+function getViewerTimezone() {
+    return getCurrentUser()?.timezone || getBrowserTimezone();
+}
+
+// Intl formatters are slow to create, and slot lists convert hundreds of times
+const zoneFormatters = {};
+
+/**
+ * Wall-clock date and time of a moment in a time zone
+ * @param {Date|number} moment - Moment to convert
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM', seconds }
+ */
+function toZonedParts(moment, timeZone) {
+    if (!zoneFormatters[timeZone]) {
+        zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
+    }
+    const parts = {};
+    zoneFormatters[timeZone].formatToParts(new Date(moment)).forEach(p => { parts[p.type] = p.value; });
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}`, seconds: Number(parts.second) };
+}
+
+// Offset of a time zone from UTC at a moment, in milliseconds
+function zoneOffset(moment, timeZone) {
+    const ms = Math.floor(new Date(moment).getTime() / 1000) * 1000;
+    const { date, time, seconds } = toZonedParts(ms, timeZone);
+    const [y, m, d] = date.split('-').map(Number);
+    const [h, min] = time.split(':').map(Number);
+    return Date.UTC(y, m - 1, d, h, min, seconds) - ms;
+}
+
+/**
+ * Find the moment a wall-clock date and time names in a time zone
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} time - Time (HH:MM)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} The moment
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+    const [y, m, d] = date.split('-').map(Number);
+    const [h, min] = time.split(':').map(Number);
+    const wall = Date.UTC(y, m - 1, d, h, min);
+    // Guess with the offset at the wall time itself, then correct once across DST changes
+    const before = zoneOffset(wall, timeZone);
+    const after = zoneOffset(wall - before, timeZone);
+    const moment = wall - after;
+    // A time skipped by a DST change moves forward, as PHP's DateTime does
+    return new Date(toZonedParts(moment, timeZone).time === time ? moment : wall - before);
+}
+
+// Short zone name at a moment, e.g. "PST" or "GMT+5:30"
+function formatZoneLabel(timeZone, moment = Date.now()) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+        .formatToParts(new Date(moment))
+        .find(p => p.type === 'timeZoneName');
+    return part ? part.value : timeZone;
+}
+
+// True when two zones show the same clock time at a moment
+function sameClock(moment, zoneA, zoneB) {
+    return zoneA === zoneB || zoneOffset(moment, zoneA) === zoneOffset(moment, zoneB);
 }
 
 /**
@@ -280,7 +855,9 @@ function isValidEmail(email) {
  * @returns {Object} Strength object with level and message
  */
 function validatePassword(password) {
-    if (password.length < 6) {
+    // Count characters as the server does, not UTF-16 units (an emoji is one)
+    const length = [...password].length;
+    if (length < 6) {
         return { level: 'weak', message: 'Password must be at least 6 characters' };
     }
 
@@ -291,7 +868,7 @@ function validatePassword(password) {
 
     const strength = [hasUpperCase, hasLowerCase, hasNumbers, hasSpecialChar].filter(Boolean).length;
 
-    if (strength === 4 && password.length >= 8) {
+    if (strength === 4 && length >= 8) {
         return { level: 'strong', message: 'Strong password' };
     } else if (strength >= 2) {
         return { level: 'medium', message: 'Medium strength password' };
@@ -330,13 +907,27 @@ function getInitials(name) {
     return (parts[0][0] + parts[parts.length - 1][0]).toUpperCase();
 }
 
+/**
+ * Escape a value for safe interpolation into HTML
+ * @param {*} value - Value to escape
+ * @returns {string} HTML-escaped string
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Calculate time ago from date
  * @param {string|Date} date - Date to calculate from
  * @returns {string} Time ago string (e.g., "2 hours ago")
  */
 function timeAgo(date) {
-    const seconds = Math.floor((new Date() - new Date(date)) / 1000);
+    const seconds = Math.floor((new Date() - parseServerDate(date)) / 1000);
 
     let interval = seconds / 31536000;
     if (interval > 1) return Math.floor(interval) + ' years ago';
@@ -476,6 +1067,13 @@ style.textContent = `
         font-size: 1.2em;
         color: var(--text-secondary-day);
     }
+
+    .tutor-grid .loading-spinner,
+    .tutor-grid .empty-state,
+    .student-list .loading-spinner,
+    .student-list .empty-state {
+        grid-column: 1 / -1;
+    }
     
     .error-message {
         color: var(--error-color);
@@ -490,8 +1088,11 @@ document.head.appendChild(style);
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         isAuthenticated,
+        getAuthToken,
         getCurrentUser,
         setCurrentUser,
+        setAuthSession,
+        clearAuthSession,
         logout,
         requireRole,
         apiCall,
@@ -499,17 +1100,48 @@ if (typeof module !== 'undefined' && module.exports) {
         registerUser,
         getTutors,
         bookSession,
+        updateSessionStatus,
+        rescheduleSession,
+        proposeReschedule,
+        respondToProposal,
+        changeUserPassword,
+        requestPasswordReset,
+        resetPassword,
         updateProgress,
+        getProgress,
+        getAvailableStudents,
+        getAvailability,
+        updateAvailability,
+        getCalendarFeed,
+        resetCalendarFeed,
+        getPreferences,
+        updatePreferences,
+        updateProfile,
         addFeedback,
+        getReviews,
+        addTutorFeedback,
+        getDoubts,
+        askDoubt,
+        sendDoubtMessage,
+        editDoubtMessage,
+        updateDoubtStatus,
+        getNotifications,
+        markNotificationsRead,
+        uploadAttachment,
+        fetchAttachment,
         showLoading,
         hideLoading,
         showToast,
         formatDate,
         formatTime,
+        formatMoment,
+        getViewerTimezone,
+        zonedTimeToUtc,
         isValidEmail,
         validatePassword,
         debounce,
         getInitials,
+        escapeHtml,
         timeAgo,
         showFieldError,
         clearFieldError,
@@ -521,12 +1153,9 @@ console.log('✅ Tutify app.js loaded successfully');
 
 // ===== STUDENT DASHBOARD FUNCTIONS =====
 
-function loadStudentDashboard() {
-    const userData = JSON.parse(localStorage.getItem('user') || '{}');
-    if (!userData.email || userData.role !== 'student') {
-        window.location.href = '../login.html';
-        return;
-    }
+async function loadStudentDashboard() {
+    const userData = await requireRole('student');
+    if (!userData) return;
 
     document.getElementById('userName').textContent = userData.name || userData.email || 'Student';
     document.getElementById('userAvatar').textContent = (userData.name || userData.email || 'S')[0].toUpperCase();
@@ -534,13 +1163,22 @@ function loadStudentDashboard() {
     if (roleEl) roleEl.textContent = userData.email || 'Student Account';
 
     loadDashboardData();
+    syncBookings();
+    initNotifications();
+    // Clear any browser-autofilled value before loading so the email never
+    // leaks into the search field and wipes out the tutor list.
+    const searchEl = document.getElementById('searchTutor');
+    if (searchEl) searchEl.value = '';
     loadTutors();
 }
 
 // ── Shared Global Booking Store ─────────────────────────────────────
-// All bookings (from students AND tutors) live in one global array so
-// both sides can read/update the same records.
+// The sessions table (via book_session.php / get_bookings.php) is the source
+// of truth. This array is an offline cache of it: bookings made without a
+// connection are queued under PENDING_BOOKINGS_KEY and replayed by
+// syncBookings() once the browser is back online.
 const GLOBAL_BOOKINGS_KEY = 'tutify_all_bookings';
+const PENDING_BOOKINGS_KEY = 'tutify_pending_bookings';
 
 function getGlobalBookings() {
     return JSON.parse(localStorage.getItem(GLOBAL_BOOKINGS_KEY) || '[]');
@@ -556,13 +1194,762 @@ function getTutorBookings(tutorName) {
     return getGlobalBookings().filter(b => b.tutorName === tutorName);
 }
 
-function loadDashboardData() {
-    const user = getCurrentUser();
-    if (!user) return;
-    const bookings = getStudentBookings(user.email);
-    const total = bookings.length;
-    const completed = bookings.filter(b => b.status === 'completed').length;
-    // count confirmed + pending as upcoming
+function getPendingBookingWrites() {
+    return JSON.parse(localStorage.getItem(PENDING_BOOKINGS_KEY) || '[]');
+}
+function savePendingBookingWrites(writes) {
+    localStorage.setItem(PENDING_BOOKINGS_KEY, JSON.stringify(writes));
+}
+
+/**
+ * Get bookings for the logged-in user from the server
+ * @returns {Promise<Object>} Sessions response
+ */
+async function getBookings() {
+    return await apiCall('get_bookings.php');
+}
+
+/**
+ * True when an API error means the server could not be reached at all
+ * @param {Error} error - Error thrown by apiCall
+ * @returns {boolean}
+ */
+function isOfflineError(error) {
+    return !navigator.onLine || error.status === undefined;
+}
+
+// Map a session from the API onto the booking shape used by the cards
+function normalizeBooking(session) {
+    const booking = {
+        id: session.id,
+        clientRef: session.client_ref || null,
+        seriesId: session.series_id || null,
+        calendarUid: session.calendar_uid || null,
+        calendarSequence: session.calendar_sequence || 0,
+        studentId: session.student_id,
+        studentName: session.student_name,
+        studentEmail: session.student_email,
+        tutorId: session.tutor_id,
+        tutorName: session.tutor_name,
+        tutorTimezone: session.tutor_timezone,
+        studentTimezone: session.student_timezone,
+        subject: session.subject,
+        topic: session.topic,
+        date: session.date,
+        time: formatTime12(session.time),
+        startsAt: session.starts_at,
+        duration: session.duration,
+        message: session.message,
+        rate: session.rate !== null && session.rate !== undefined ? `$${session.rate}` : '$40',
+        price: session.price ?? null,
+        payment: session.payment || null,
+        level: session.level,
+        status: session.status,
+        rejectionReason: session.rejection_reason || null,
+        cancellationPolicy: session.cancellation_policy || null,
+        cancelledLate: Boolean(session.cancelled_late),
+        bookedBy: session.booked_by,
+        rating: session.review ? session.review.rating : 0,
+        reviewCriteria: session.review?.criteria || null,
+        feedback: session.review?.comment || '',
+        tutorFeedback: session.tutor_feedback ? {
+            rating: session.tutor_feedback.rating,
+            strengths: session.tutor_feedback.strengths,
+            improvements: session.tutor_feedback.improvements,
+            notes: session.tutor_feedback.notes,
+            sentAt: session.tutor_feedback.created_at
+        } : null,
+        createdAt: session.created_at
+    };
+    // Not every endpoint returns the reschedule negotiation or attachments; keep the cached ones then
+    if (session.proposals) booking.proposals = session.proposals.map(normalizeProposal);
+    if (session.attachments) booking.attachments = session.attachments;
+    return booking;
+}
+
+function normalizeProposal(proposal) {
+    return {
+        id: proposal.id,
+        proposedBy: proposal.proposed_by,
+        proposedByName: proposal.proposed_by_name,
+        proposedByRole: proposal.proposed_by_role,
+        date: proposal.date,
+        time: proposal.time,
+        scope: proposal.scope,
+        message: proposal.message,
+        status: proposal.status,
+        responseMessage: proposal.response_message,
+        createdAt: proposal.created_at,
+        respondedAt: proposal.responded_at
+    };
+}
+
+// Bookings tab a booking is listed under: declined requests and no-shows go with the cancelled ones
+function bookingTab(booking) {
+    return ['rejected', 'no_show'].includes(booking.status) ? 'cancelled' : booking.status;
+}
+
+function isOwnBooking(booking, user) {
+    if (user.role === 'tutor') {
+        return booking.tutorId === user.id || booking.tutorName === (user.name || user.email);
+    }
+    return booking.studentId === user.id || booking.studentEmail === user.email;
+}
+
+// Insert or replace a cached booking. Fields the server does not track yet
+// (review, tutor feedback) are carried over from the cached copy.
+function upsertCachedBooking(booking, previousId = booking.id) {
+    const all = getGlobalBookings();
+    const idx = all.findIndex(b => b.id === previousId || b.id === booking.id);
+    if (idx !== -1) {
+        all[idx] = { ...all[idx], ...booking, syncState: booking.syncState, syncError: booking.syncError };
+    } else {
+        all.push(booking);
+    }
+    saveGlobalBookings(all);
+}
+
+// An unsent series is queued as one request, so dropping one of its
+// sessions drops them all
+function removeCachedBooking(id) {
+    const booking = getGlobalBookings().find(b => b.id === id);
+    const ref = booking?.syncState && booking.seriesId ? booking.seriesId : id;
+    saveGlobalBookings(getGlobalBookings().filter(b => b.id !== id && !(b.syncState && b.seriesId === ref)));
+    savePendingBookingWrites(getPendingBookingWrites().filter(w => w.clientRef !== ref));
+}
+
+// Cache every session a booking request created (one, or a whole series)
+function cacheBookedSessions(response) {
+    const sessions = response.data.sessions || [response.data.session];
+    sessions.forEach(session => upsertCachedBooking(normalizeBooking(session), session.client_ref));
+}
+
+// ── Recurring series ─────────────────────────────────────────────────
+// Mirrors SERIES_FREQUENCIES / expandRecurrence() in db.php
+const SERIES_FREQUENCIES = { weekly: 7, biweekly: 14 };
+const MAX_SERIES_OCCURRENCES = 26;
+
+/**
+ * List the dates of a repeating booking, starting with the first session
+ * @param {string} date - First session date (YYYY-MM-DD)
+ * @param {Object|null} recurrence - { frequency, count } or { frequency, until }
+ * @returns {Array<string>} Dates (YYYY-MM-DD)
+ */
+function expandRecurrence(date, recurrence) {
+    if (!recurrence) return [date];
+    const step = SERIES_FREQUENCIES[recurrence.frequency];
+    const limit = Math.min(recurrence.count || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+    const dates = [];
+    const day = parseLocalDate(date);
+    for (let i = 0; i < limit; i++) {
+        const next = localDateString(day);
+        if (recurrence.until && next > recurrence.until) break;
+        dates.push(next);
+        day.setDate(day.getDate() + step);
+    }
+    return dates;
+}
+
+// Cached drafts for a queued series; ids follow book_session.php's client_ref scheme
+function expandBookingDraft(draft, payload) {
+    return expandRecurrence(payload.date, payload.recurrence).map((date, i) => {
+        const id = i === 0 ? payload.client_ref : `${payload.client_ref}-${i + 1}`;
+        return {
+            ...draft,
+            date,
+            startsAt: zonedTimeToUtc(date, parseTime12(draft.time), draft.tutorTimezone || getViewerTimezone()).toISOString(),
+            id,
+            clientRef: id,
+            seriesId: payload.recurrence ? payload.client_ref : null,
+            syncState: 'queued'
+        };
+    });
+}
+
+// Read the Repeat fields of a booking modal ('modal' or 'tModal' prefix)
+function getRecurrenceInput(prefix) {
+    const frequency = document.getElementById(`${prefix}Repeat`)?.value;
+    if (!frequency) return null;
+    if (document.getElementById(`${prefix}RepeatEnd`).value === 'until') {
+        return { frequency, until: document.getElementById(`${prefix}RepeatUntil`).value };
+    }
+    return { frequency, count: parseInt(document.getElementById(`${prefix}RepeatCount`).value, 10) || 0 };
+}
+
+function toggleRepeatOptions(prefix) {
+    const repeats = !!document.getElementById(`${prefix}Repeat`).value;
+    const byDate = document.getElementById(`${prefix}RepeatEnd`).value === 'until';
+    document.getElementById(`${prefix}RepeatOptions`).style.display = repeats ? '' : 'none';
+    document.getElementById(`${prefix}RepeatCount`).style.display = byDate ? 'none' : '';
+    document.getElementById(`${prefix}RepeatUntil`).style.display = byDate ? '' : 'none';
+}
+
+function resetRepeatOptions(prefix) {
+    document.getElementById(`${prefix}Repeat`).value = '';
+    document.getElementById(`${prefix}RepeatEnd`).value = 'count';
+    document.getElementById(`${prefix}RepeatCount`).value = 4;
+    document.getElementById(`${prefix}RepeatUntil`).value = '';
+    toggleRepeatOptions(prefix);
+}
+
+/**
+ * Check the dates of a (possibly repeating) booking before submitting it
+ * @param {Array<string>} dates - Result of expandRecurrence()
+ * @param {Object|null} recurrence - Recurrence input
+ * @returns {string|null} Problem to show, or null when the dates are fine
+ */
+function validateRecurrenceDates(dates, recurrence) {
+    if (!recurrence) return null;
+    if (recurrence.count !== undefined && (recurrence.count < 2 || recurrence.count > MAX_SERIES_OCCURRENCES)) {
+        return `A series must have between 2 and ${MAX_SERIES_OCCURRENCES} sessions.`;
+    }
+    if (recurrence.until !== undefined && !recurrence.until) return 'Pick the date to repeat until.';
+    if (dates.length < 2) return 'The end date leaves only one session. Pick a later date or book a single session.';
+    return null;
+}
+
+// "Tue, Nov 10: " prefix naming one session of a series, as in the server's messages
+function seriesDatePrefix(dates, date) {
+    return dates.length > 1
+        ? `Session on ${parseLocalDate(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}: `
+        : '';
+}
+
+// "🔁 2 of 6" badge for sessions that belong to a series
+function renderSeriesBadge(booking) {
+    if (!booking.seriesId) return '';
+    const series = getGlobalBookings()
+        .filter(b => b.seriesId === booking.seriesId)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    const position = series.findIndex(b => b.id === booking.id) + 1;
+    return `<span class="series-badge" title="Repeating session">🔁 ${position} of ${series.length}</span>`;
+}
+
+let seriesScopeResolver = null;
+
+/**
+ * Ask whether a change applies to one session or its whole series
+ * @param {number|string} id - Booking ID
+ * @param {string} question - What is about to happen, e.g. 'Cancel this session?'
+ * @param {boolean} confirmSingle - Also confirm() when the booking is not part of a series
+ * @returns {Promise<string|null>} 'single', 'series', or null when the user backs out
+ */
+function chooseSeriesScope(id, question, confirmSingle = true) {
+    const booking = getGlobalBookings().find(b => b.id === id);
+    const modal = document.getElementById('seriesScopeModal');
+    if (!booking?.seriesId || booking.syncState || !modal) {
+        return Promise.resolve(!confirmSingle || confirm(question) ? 'single' : null);
+    }
+
+    document.getElementById('seriesScopeText').textContent = `${question} This session is part of a repeating series.`;
+    modal.style.display = 'flex';
+    return new Promise(resolve => {
+        seriesScopeResolver = resolve;
+    });
+}
+
+function resolveSeriesScope(scope) {
+    document.getElementById('seriesScopeModal').style.display = 'none';
+    if (seriesScopeResolver) seriesScopeResolver(scope);
+    seriesScopeResolver = null;
+}
+
+/**
+ * Send a new booking to the server, queueing it when offline
+ * @param {Object} payload - book_session.php request body
+ * @param {Object} draft - Booking as it should appear in the cache meanwhile
+ * @returns {Promise<string>} 'synced' or 'queued'; server rejections throw
+ */
+async function submitBooking(payload, draft) {
+    try {
+        cacheBookedSessions(await bookSession(payload));
+        return 'synced';
+    } catch (error) {
+        if (!isOfflineError(error)) throw error;
+        const writes = getPendingBookingWrites();
+        writes.push({ clientRef: payload.client_ref, payload, queuedAt: new Date().toISOString() });
+        savePendingBookingWrites(writes);
+        expandBookingDraft(draft, payload).forEach(booking => upsertCachedBooking(booking));
+        return 'queued';
+    }
+}
+
+// Replay queued bookings in order. A booking the server rejects stays in the
+// cache as a conflict so the user can see why and pick another slot.
+async function flushPendingBookings() {
+    const conflicts = [];
+    const writes = getPendingBookingWrites();
+
+    for (const write of writes) {
+        try {
+            cacheBookedSessions(await bookSession(write.payload));
+        } catch (error) {
+            // Still offline: keep this and the remaining writes for next time
+            if (isOfflineError(error)) break;
+            // A rejected series is rejected as a whole
+            const cached = getGlobalBookings().filter(b => b.id === write.clientRef || (b.syncState && b.seriesId === write.clientRef));
+            cached.forEach(b => upsertCachedBooking({ ...b, syncState: 'conflict', syncError: error.message }));
+            if (cached.length) conflicts.push({ ...cached[0], syncError: error.message });
+        }
+        savePendingBookingWrites(getPendingBookingWrites().filter(w => w.clientRef !== write.clientRef));
+    }
+
+    return conflicts;
+}
+
+// Replace the current user's cached bookings with the server's copy while
+// keeping anything that has not reached the server yet.
+async function refreshBookingsFromServer() {
+    const user = getCurrentUser();
+    if (!user) return;
+    const response = await getBookings();
+    const cached = getGlobalBookings();
+    const byId = new Map(cached.map(b => [b.id, b]));
+
+    const serverBookings = response.data.sessions.map(session => {
+        const booking = normalizeBooking(session);
+        const previous = byId.get(booking.id) || (booking.clientRef && byId.get(booking.clientRef));
+        return previous ? { ...previous, ...booking, syncState: undefined, syncError: undefined } : booking;
+    });
+    const serverIds = new Set(serverBookings.map(b => b.id));
+    const serverRefs = new Set(serverBookings.map(b => b.clientRef).filter(Boolean));
+
+    const kept = cached.filter(b => {
+        if (!isOwnBooking(b, user)) return true;
+        return b.syncState && !serverIds.has(b.id) && !serverRefs.has(b.id);
+    });
+    saveGlobalBookings(kept.concat(serverBookings));
+}
+
+let bookingSyncInFlight = null;
+
+/**
+ * Push queued bookings to the server, then refresh the cache from it
+ * @returns {Promise<Array>} Bookings the server rejected during this sync
+ */
+function syncBookings() {
+    if (bookingSyncInFlight) return bookingSyncInFlight;
+
+    bookingSyncInFlight = (async () => {
+        let conflicts = [];
+        try {
+            conflicts = await flushPendingBookings();
+            await refreshBookingsFromServer();
+        } catch (error) {
+            if (!isOfflineError(error)) console.error('Booking sync failed:', error);
+        }
+
+        if (conflicts.length === 1) {
+            const other = getCurrentUser()?.role === 'tutor' ? conflicts[0].studentName : conflicts[0].tutorName;
+            showToast(`⚠️ Your offline booking with ${other} could not be made: ${conflicts[0].syncError}`, 'warning');
+        } else if (conflicts.length > 1) {
+            showToast(`⚠️ ${conflicts.length} offline bookings could not be made. Check your bookings for details.`, 'warning');
+        }
+
+        refreshBookingViews();
+        return conflicts;
+    })().finally(() => {
+        bookingSyncInFlight = null;
+    });
+
+    return bookingSyncInFlight;
+}
+
+// Re-render whichever booking views are on screen after the cache changes
+let activeBookingTab = 'pending';
+function refreshBookingViews() {
+    const user = getCurrentUser();
+    if (!user) return;
+    if (user.role === 'student' && document.getElementById('sessionList')) {
+        renderStudentProgress();
+    } else if (user.role === 'student' && document.getElementById('totalSessions')) {
+        loadDashboardData();
+    } else if (user.role === 'tutor') {
+        renderMissedSessions(getTutorBookings(user.name || user.email));
+    }
+
+    const section = document.getElementById('bookings-section');
+    const list = document.getElementById('bookings-list');
+    const visible = list && (!section || section.style.display !== 'none');
+    if (!visible || activeBookingTab === 'doubts') return;
+
+    if (user.role === 'tutor') {
+        loadTutorBookingsByTab(activeBookingTab);
+    } else {
+        loadBookingsByTab(activeBookingTab);
+    }
+}
+
+// Small banner shown on bookings that only exist in this browser so far
+function renderSyncNotice(booking) {
+    if (booking.syncState === 'queued') {
+        return `<p class="sync-notice sync-queued">📴 Saved offline — will be sent when you're back online.</p>`;
+    }
+    if (booking.syncState === 'conflict') {
+        const retry = booking.bookedBy === 'student'
+            ? `<button class="btn-primary" onclick="rebookConflict('${booking.id}')">📅 Pick another time</button>`
+            : '';
+        return `
+            <div class="sync-notice sync-conflict">
+                <p>⚠️ Not booked: ${escapeHtml(booking.syncError || 'The server rejected this booking.')}</p>
+                <div class="booking-actions">
+                    ${retry}
+                    <button class="btn-danger" onclick="dismissBookingConflict('${booking.id}')">🗑️ Dismiss</button>
+                </div>
+            </div>`;
+    }
+    return '';
+}
+
+/**
+ * Ask the server to move a booking to a new status and cache the result
+ * @param {number} id - Booking (session) ID
+ * @param {string} status - Requested status
+ * @param {string} reason - Reason, required when rejecting
+ * @param {string} scope - 'single', or 'series' for every upcoming session of its series
+ * @returns {Promise<Object|null>} Updated booking with the refunds the change
+ *   made (see describeRefunds), or null if it was refused
+ */
+async function changeBookingStatus(id, status, reason = '', scope = 'single') {
+    try {
+        const response = await updateSessionStatus(id, status, reason, scope);
+        response.data.sessions.forEach(session => upsertCachedBooking(normalizeBooking(session)));
+        return { ...normalizeBooking(response.data.session), refunds: response.data.refunds || [] };
+    } catch (error) {
+        if (isOfflineError(error)) {
+            showToast('📴 You are offline. Booking changes need a connection.', 'error');
+        } else {
+            showToast(`❌ ${error.message}`, 'error');
+            // Our copy is probably stale (e.g. cancelled in another tab)
+            syncBookings();
+        }
+        return null;
+    }
+}
+
+function dismissBookingConflict(id) {
+    removeCachedBooking(id);
+    refreshBookingViews();
+}
+
+function rebookConflict(id) {
+    const booking = getGlobalBookings().find(b => b.id === id);
+    if (!booking) return;
+    removeCachedBooking(id);
+    refreshBookingViews();
+    bookSessionNow(booking.tutorId, booking.tutorName);
+    document.getElementById('modalTopic').value = booking.topic || '';
+    document.getElementById('modalMessage').value = booking.message || '';
+    updateMarkdownPreview(document.getElementById('modalMessage'));
+}
+
+// ── Rescheduling ────────────────────────────────────────────────────
+// A student can move their own pending request directly ('move'). Any other
+// change is proposed to the other side, who accepts or declines it
+// ('propose'). Students pick from the tutor's open slots; tutors may use any
+// half hour of the day.
+let rescheduleState = null;
+
+async function openRescheduleModal(id, mode = 'move') {
+    const booking = getGlobalBookings().find(b => b.id === id);
+    const modal = document.getElementById('rescheduleModal');
+    const user = getCurrentUser();
+    if (!booking || !modal || !user) return;
+
+    rescheduleState = { booking, mode, availability: null };
+    const proposing = mode === 'propose';
+    document.getElementById('rescheduleTitle').textContent = proposing ? '🕒 Propose a New Time' : '🔄 Reschedule Request';
+    document.getElementById('rescheduleSubmit').textContent = proposing ? '📨 Send Proposal' : '🔄 Reschedule';
+    document.getElementById('rescheduleMessageField').style.display = proposing ? '' : 'none';
+    document.getElementById('rescheduleMessage').value = '';
+    const today = localDateString();
+    document.getElementById('rescheduleCurrent').textContent =
+        `Currently ${formatSlot({ date: booking.date, time: parseTime12(booking.time), timeZone: booking.tutorTimezone })} · ${booking.duration}`;
+    document.getElementById('rescheduleDate').value = booking.date < today ? today : booking.date;
+    document.getElementById('rescheduleDate').min = today;
+    document.getElementById('rescheduleScope').style.display = booking.seriesId ? '' : 'none';
+    document.querySelector('input[name="rescheduleScope"][value="single"]').checked = true;
+    modal.style.display = 'flex';
+    renderRescheduleSlots();
+
+    // Dates and times are the tutor's, like the booking's own
+    let availability = { ...DAYTIME_AVAILABILITY, timezone: booking.tutorTimezone };
+    if (user.role === 'student') {
+        try {
+            const response = await getAvailability(booking.tutorId);
+            availability = response.data;
+            // The session's own slot frees up when it moves
+            availability.booked = availability.booked
+                .filter(b => !(b.date === booking.date && b.time === parseTime12(booking.time)));
+        } catch (error) {
+            availability = { ...DAYTIME_AVAILABILITY, timezone: booking.tutorTimezone, offline: true };
+        }
+    }
+
+    // Ignore the result if the modal was closed or opened for another booking meanwhile
+    if (rescheduleState?.booking !== booking) return;
+    rescheduleState.availability = availability;
+    renderRescheduleSlots();
+}
+
+function closeRescheduleModal() {
+    const modal = document.getElementById('rescheduleModal');
+    if (modal) modal.style.display = 'none';
+    rescheduleState = null;
+}
+
+function renderRescheduleSlots() {
+    const select = document.getElementById('rescheduleTime');
+    const hint = document.getElementById('rescheduleSlotHint');
+    if (!select || !rescheduleState) return;
+
+    const { booking, availability } = rescheduleState;
+    if (!availability) {
+        select.innerHTML = '<option value="">Loading open slots...</option>';
+        hint.textContent = '';
+        return;
+    }
+
+    const date = document.getElementById('rescheduleDate').value;
+    const minutes = Math.round(parseDurationHours(booking.duration) * 60);
+    const involves = b => b.id !== booking.id && (b.tutorId === booking.tutorId || b.studentId === booking.studentId);
+    const slots = date ? getOpenSlots(availability, date, minutes, getCachedBusyTimes(involves)) : [];
+    const previous = select.value || parseTime12(booking.time);
+
+    select.innerHTML = slots.length
+        ? slots.map(t => `<option value="${t}">${formatSlotOption(date, t, availability.timezone)}</option>`).join('')
+        : '<option value="">No open slots</option>';
+    if (slots.includes(previous)) select.value = previous;
+
+    const blackout = availability.blackouts.find(b => b.date === date);
+    if (availability.offline) {
+        hint.textContent = '📴 You\'re offline. Rescheduling needs a connection.';
+    } else if (blackout) {
+        hint.textContent = `🚫 The tutor is away on this date${blackout.reason ? ` (${blackout.reason})` : ''}. Please pick another day.`;
+    } else if (!slots.length) {
+        hint.textContent = 'No open slots on this day. Try another date.';
+    } else {
+        const whose = getCurrentUser()?.id === booking.tutorId ? 'your' : 'the tutor\'s';
+        hint.textContent = describeSlotZone(availability.timezone, whose).trim();
+    }
+}
+
+async function submitReschedule(event) {
+    event.preventDefault();
+    if (!rescheduleState) return;
+
+    const { booking, mode, availability } = rescheduleState;
+    const user = getCurrentUser();
+    const date = document.getElementById('rescheduleDate').value;
+    const time = document.getElementById('rescheduleTime').value;
+    const scope = document.querySelector('input[name="rescheduleScope"]:checked')?.value || 'single';
+    if (!time) {
+        showToast('❌ Please pick one of the open time slots.', 'error');
+        return;
+    }
+
+    const submitBtn = document.getElementById('rescheduleSubmit');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+        if (mode === 'propose') {
+            const message = document.getElementById('rescheduleMessage').value.trim();
+            const response = await proposeReschedule(booking.id, date, time, scope, message);
+            upsertCachedBooking(normalizeBooking(response.data.session));
+            closeRescheduleModal();
+            refreshBookingViews();
+            const other = user.role === 'tutor' ? booking.studentName : booking.tutorName;
+            showToast(`📨 New time sent to ${other}. The session stays as it is until they accept.`, 'success');
+        } else {
+            const response = await rescheduleSession(booking.id, date, time, scope);
+            response.data.sessions.forEach(session => upsertCachedBooking(normalizeBooking(session)));
+            closeRescheduleModal();
+            refreshBookingViews();
+            const moved = response.data.sessions.length;
+            showToast(`✅ ${moved > 1 ? `${moved} sessions moved` : `Request moved to ${formatSlot({ date, time, timeZone: availability?.timezone })}`}.`, 'success');
+        }
+    } catch (error) {
+        showToast(`❌ ${isOfflineError(error) ? 'You are offline. Rescheduling needs a connection.' : error.message}`, 'error');
+        const suggestion = error.data?.suggestion;
+        if (error.status === 409 && suggestion && (!error.data.conflict_date || error.data.conflict_date === date)) {
+            document.getElementById('rescheduleDate').value = suggestion.date;
+            renderRescheduleSlots();
+            const select = document.getElementById('rescheduleTime');
+            if ([...select.options].some(o => o.value === suggestion.time)) select.value = suggestion.time;
+        }
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
+
+const PROPOSAL_STATUS_LABELS = {
+    accepted: '✅ accepted',
+    declined: '🚫 declined',
+    countered: '🔁 countered',
+    withdrawn: '↩️ withdrawn'
+};
+
+// Reschedule negotiation on a booking card: the open proposal with its
+// actions, then the earlier proposals
+function renderProposals(booking) {
+    const user = getCurrentUser();
+    const proposals = booking.proposals || [];
+    if (!user || !proposals.length) return '';
+
+    const describe = p => `${p.proposedBy === user.id ? 'You' : escapeHtml(p.proposedByName)} proposed ${formatSlot({ ...p, timeZone: booking.tutorTimezone })}${p.scope === 'series' ? ' for this and later sessions' : ''}`;
+    const open = proposals.find(p => p.status === 'open');
+    const past = proposals.filter(p => p.status !== 'open').reverse();
+    let html = '';
+
+    if (open && (booking.status === 'pending' || booking.status === 'confirmed')) {
+        const actions = open.proposedBy === user.id
+            ? `<span class="proposal-waiting">⏳ Waiting for a reply</span>
+               <button class="btn-secondary" onclick="answerProposal(${booking.id}, ${open.id}, 'withdraw')">↩️ Withdraw</button>`
+            : `<button class="btn-primary" onclick="answerProposal(${booking.id}, ${open.id}, 'accept')">✅ Accept New Time</button>
+               <button class="btn-danger" onclick="answerProposal(${booking.id}, ${open.id}, 'decline')">🚫 Decline</button>
+               <button class="btn-secondary" onclick="openRescheduleModal(${booking.id}, 'propose')">🕒 Suggest Another</button>`;
+        html += `
+            <div class="proposal proposal-open">
+                <p>🕒 ${describe(open)}</p>
+                ${open.message ? `<p class="proposal-message">“${escapeHtml(open.message)}”</p>` : ''}
+                <div class="booking-actions">${actions}</div>
+            </div>`;
+    }
+
+    if (past.length) {
+        html += `
+            <details class="proposal-history">
+                <summary>Reschedule history (${past.length})</summary>
+                <ul>
+                    ${past.map(p => `<li>${describe(p)} — ${PROPOSAL_STATUS_LABELS[p.status] || p.status}${p.responseMessage ? `: “${escapeHtml(p.responseMessage)}”` : ''}</li>`).join('')}
+                </ul>
+            </details>`;
+    }
+    return html;
+}
+
+async function answerProposal(bookingId, proposalId, action) {
+    let message = '';
+    if (action === 'decline') {
+        message = prompt('Reason for declining (optional):');
+        if (message === null) return;
+    } else if (action === 'withdraw' && !confirm('Withdraw your proposed time?')) {
+        return;
+    }
+
+    try {
+        const response = await respondToProposal(proposalId, action, message.trim());
+        response.data.sessions.forEach(session => upsertCachedBooking(normalizeBooking(session)));
+        upsertCachedBooking(normalizeBooking(response.data.session));
+        refreshBookingViews();
+        const toasts = {
+            accept: ['✅ New time accepted. The session is confirmed.', 'success'],
+            decline: ['🚫 Proposal declined. The session keeps its current time.', 'info'],
+            withdraw: ['↩️ Proposal withdrawn.', 'info']
+        };
+        showToast(...toasts[action]);
+    } catch (error) {
+        if (isOfflineError(error)) {
+            showToast('📴 You are offline. Booking changes need a connection.', 'error');
+        } else {
+            showToast(`❌ ${error.message}`, 'error');
+            syncBookings();
+        }
+    }
+}
+
+// ── Calendar export ─────────────────────────────────────────────────
+// A single confirmed booking as an RFC 5545 event. Times are written in UTC
+// from the booking's start moment; the UID matches the one in the server's
+// calendar feed (calendar_feed.php) so both describe the same event.
+
+// Escape a value for an iCalendar TEXT property
+function icsEscape(text) {
+    return String(text ?? '').replace(/\r\n?/g, '\n').replace(/[\\;,]/g, c => `\\${c}`).replace(/\n/g, '\\n');
+}
+
+// Fold a content line to 75 octets, keeping multi-byte characters whole
+function icsFold(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let limit = 75;
+    for (const char of line) {
+        if (encoder.encode(current + char).length > limit) {
+            parts.push(current);
+            current = '';
+            limit = 74;
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// Date as an iCalendar UTC date-time, e.g. 20261019T143000Z
+function icsDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function buildBookingIcs(booking) {
+    const user = getCurrentUser();
+    const start = bookingStart(booking);
+    const end = new Date(start.getTime() + (Math.round(parseDurationHours(booking.duration) * 60) || 60) * 60000);
+    const other = user?.role === 'tutor' ? booking.studentName : booking.tutorName;
+    const description = [
+        booking.topic ? `Topic: ${booking.topic}` : '',
+        `Duration: ${booking.duration}`
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Tutify//Sessions//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        // Same UID as the server's feed (api/ical.php), so the two update one event
+        `UID:${booking.calendarUid || `session-${booking.id}@tutify.local`}`,
+        // Must match the feed's, or calendar apps ignore a re-download after a reschedule
+        `SEQUENCE:${booking.calendarSequence || 0}`,
+        `DTSTAMP:${icsDateTime(new Date())}`,
+        `DTSTART:${icsDateTime(start)}`,
+        `DTEND:${icsDateTime(end)}`,
+        `SUMMARY:${icsEscape(`${booking.subject} session with ${other}`)}`,
+        `DESCRIPTION:${icsEscape(description)}`,
+        'STATUS:CONFIRMED',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+function downloadBookingIcs(id) {
+    const booking = getGlobalBookings().find(b => b.id === id);
+    if (!booking) return;
+
+    const blob = new Blob([buildBookingIcs(booking)], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tutify-${booking.subject.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${booking.date}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking straight after click() can abort the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+window.addEventListener('online', () => {
+    if (getCurrentUser()) syncBookings();
+});
+
+function loadDashboardData() {
+    const user = getCurrentUser();
+    if (!user) return;
+    const bookings = getStudentBookings(user.email);
+    const total = bookings.length;
+    const completed = bookings.filter(b => b.status === 'completed').length;
+    // count confirmed + pending as upcoming
     const upcoming = bookings.filter(b => b.status === 'confirmed' || b.status === 'pending').length;
     const rated = bookings.filter(b => b.rating && b.rating > 0);
     const avg = rated.length
@@ -573,27 +1960,130 @@ function loadDashboardData() {
     setEl('completedSessions', completed);
     setEl('upcomingSessions', upcoming);
     setEl('avgRating', avg);
+    renderMissedSessions(bookings);
 }
 
-function loadTutors() {
-    const tutors = [
-        { id: 1, name: 'Dr. Sarah Johnson', subject: 'Mathematics', experience: '10 years', rating: 4.8, sessions: 150, availability: 'Available', rate: 50, description: 'Expert in Advanced Mathematics and Calculus' },
-        { id: 2, name: 'Prof. Michael Chen', subject: 'Physics', experience: '8 years', rating: 4.9, sessions: 120, availability: 'Available', rate: 55, description: 'Specialized in Quantum Physics and Mechanics' },
-        { id: 3, name: 'Ms. Emily Davis', subject: 'Chemistry', experience: '5 years', rating: 4.7, sessions: 90, availability: 'Busy', rate: 45, description: 'Organic Chemistry and Lab Techniques' },
-        { id: 4, name: 'Dr. Robert Brown', subject: 'Biology', experience: '12 years', rating: 4.9, sessions: 200, availability: 'Available', rate: 60, description: 'Molecular Biology and Genetics Expert' },
-        { id: 5, name: 'Ms. Lisa Anderson', subject: 'English', experience: '6 years', rating: 4.6, sessions: 85, availability: 'Available', rate: 40, description: 'Literature and Advanced Writing Skills' },
-        { id: 6, name: 'Mr. David Wilson', subject: 'Computer Science', experience: '7 years', rating: 4.8, sessions: 110, availability: 'Available', rate: 50, description: 'Programming and Data Structures' },
-        { id: 7, name: 'Dr. Priya Sharma', subject: 'Mathematics', experience: '9 years', rating: 4.7, sessions: 130, availability: 'Available', rate: 48, description: 'Algebra, Geometry and IB Math' },
-        { id: 8, name: 'Mr. Carlos Ruiz', subject: 'History', experience: '4 years', rating: 4.5, sessions: 60, availability: 'Busy', rate: 38, description: 'World History and AP History prep' },
-        { id: 9, name: 'Ms. Hannah Park', subject: 'Computer Science', experience: '5 years', rating: 4.8, sessions: 95, availability: 'Available', rate: 45, description: 'Python, Java and Web Development' }
-    ];
+// ── Tutor Directory ─────────────────────────────────────────────────
+// Tutors come from api/get_tutors.php. Subject, rating, availability and
+// name search are applied server-side; pages are appended to window.allTutors.
+const TUTORS_PAGE_SIZE = 12;
+let tutorDirectory = { page: 0, total: 0, hasMore: false };
+let tutorRequestSeq = 0;
+
+// Map a get_tutors.php row onto the shape the tutor cards expect
+function normalizeTutor(row) {
+    const subjects = Array.isArray(row.subjects) ? row.subjects.filter(Boolean) : [];
+    const years = parseInt(row.experience, 10) || 0;
+    return {
+        id: row.id,
+        name: row.name,
+        subject: subjects[0] || 'General',
+        subjects: subjects,
+        experience: `${years} year${years === 1 ? '' : 's'}`,
+        rating: Number(row.rating) || 0,
+        reviewCount: parseInt(row.review_count, 10) || 0,
+        sessions: parseInt(row.total_sessions, 10) || 0,
+        availability: row.availability || 'Available',
+        rate: Number(row.hourly_rate) || 0,
+        timezone: row.timezone || null,
+        cancellationPolicy: {
+            notice_hours: row.cancellation_notice_hours ?? DEFAULT_CANCELLATION_POLICY.notice_hours,
+            late_cancellation: row.late_cancellation || DEFAULT_CANCELLATION_POLICY.late_cancellation
+        },
+        description: row.bio || 'New tutor on Tutify'
+    };
+}
 
-    window.allTutors = tutors;
-    // Clear any browser-autofilled value before rendering so the email never
-    // leaks into the search field and wipes out the tutor list.
-    const searchEl = document.getElementById('searchTutor');
-    if (searchEl) searchEl.value = '';
-    filterTutors();
+function getTutorFilters() {
+    const filters = { limit: TUTORS_PAGE_SIZE };
+    const subject = document.getElementById('subjectFilter')?.value || '';
+    const minRating = document.getElementById('ratingFilter')?.value || '';
+    const availability = document.getElementById('availabilityFilter')?.value || '';
+    const search = (document.getElementById('searchTutor')?.value || '').trim();
+    if (subject) filters.subject = subject;
+    if (minRating) filters.min_rating = minRating;
+    if (availability) filters.availability = availability;
+    if (search) filters.search = search;
+    return filters;
+}
+
+/**
+ * Load a page of tutors from the server and render them into tutorGrid
+ * @param {boolean} append - Append the next page instead of starting over
+ * @returns {Promise<void>}
+ */
+async function loadTutors(append = false) {
+    const grid = document.getElementById('tutorGrid');
+    if (!grid) return;
+
+    const page = append ? tutorDirectory.page + 1 : 1;
+    const requestId = ++tutorRequestSeq;
+
+    if (append) {
+        setTutorPaginationLoading();
+    } else {
+        tutorDirectory = { page: 0, total: 0, hasMore: false };
+        showLoading('tutorGrid');
+        renderTutorPagination();
+    }
+
+    try {
+        const response = await getTutors({ ...getTutorFilters(), page });
+        // A newer filter change has already started another request
+        if (requestId !== tutorRequestSeq) return;
+
+        const tutors = (response.data.tutors || []).map(normalizeTutor);
+        window.allTutors = append ? (window.allTutors || []).concat(tutors) : tutors;
+        tutorDirectory = { page: response.data.page, total: response.data.total, hasMore: response.data.has_more };
+    } catch (error) {
+        if (requestId !== tutorRequestSeq) return;
+        if (append) {
+            // Keep the tutors already on screen and let the user try the next page again
+            renderTutorPagination();
+            showToast(`⚠️ Could not load more tutors: ${error.message}`, 'error');
+            return;
+        }
+        grid.innerHTML = `
+            <div class="empty-state" style="grid-column: 1/-1;">
+                <p style="color: var(--error-color);">⚠️ Could not load tutors: ${escapeHtml(error.message)}</p>
+                <button class="btn-primary" style="margin-top:10px;" onclick="loadTutors()">🔄 Retry</button>
+            </div>`;
+        renderTutorPagination();
+        updateFilterBadge(0, '');
+        return;
+    }
+
+    renderTutorResults();
+}
+
+function renderTutorResults() {
+    const filters = getTutorFilters();
+    const tutors = window.allTutors || [];
+
+    displayTutors(tutors);
+    renderTutorPagination();
+    updateFilterBadge(tutors.length, (filters.availability || '').toLowerCase(), tutorDirectory.total);
+
+    // Show suggestions only when there is typed text
+    if (filters.search) {
+        renderSuggestions(tutors.slice(0, 6));
+    } else {
+        const box = document.getElementById('tutorSuggestions');
+        if (box) box.style.display = 'none';
+    }
+}
+
+function renderTutorPagination() {
+    const el = document.getElementById('tutorPagination');
+    if (!el) return;
+    el.innerHTML = tutorDirectory.hasMore
+        ? `<button class="btn-primary" onclick="loadTutors(true)">⬇️ Load more tutors</button>`
+        : '';
+}
+
+function setTutorPaginationLoading() {
+    const el = document.getElementById('tutorPagination');
+    if (el) el.innerHTML = '<div class="loading-spinner">⏳ Loading more tutors...</div>';
 }
 
 function displayTutors(tutors) {
@@ -603,7 +2093,10 @@ function displayTutors(tutors) {
     grid.innerHTML = '';
 
     if (tutors.length === 0) {
-        grid.innerHTML = '<p style="text-align: center; color: var(--text-secondary-day); grid-column: 1/-1;">No tutors found matching your criteria.</p>';
+        const hasFilters = Object.keys(getTutorFilters()).length > 1;
+        grid.innerHTML = `<p style="text-align: center; color: var(--text-secondary-day); grid-column: 1/-1;">${hasFilters
+            ? 'No tutors found matching your criteria.'
+            : 'No tutors have joined Tutify yet. Check back soon!'}</p>`;
         return;
     }
 
@@ -618,65 +2111,49 @@ function displayTutors(tutors) {
         card.className = 'tutor-card';
         card.innerHTML = `
             <div class="tutor-header">
-                <div class="tutor-avatar">${tutor.name[0]}</div>
+                <div class="tutor-avatar">${escapeHtml(tutor.name[0])}</div>
                 <div class="tutor-info">
-                    <h3>${tutor.name}</h3>
+                    <h3>${escapeHtml(tutor.name)}</h3>
                     <p>${tutor.experience} experience</p>
                 </div>
             </div>
             <div class="tutor-details">
-                <span class="tutor-subject">${tutor.subject}</span>
-                <div class="rating">⭐ ${tutor.rating} (${tutor.sessions} sessions)</div>
-                <p style="color: var(--text-secondary-day); font-size: 0.9em; margin-top: 10px;">${tutor.description}</p>
+                ${(tutor.subjects && tutor.subjects.length ? tutor.subjects : [tutor.subject])
+            .map(sub => `<span class="tutor-subject">${escapeHtml(sub)}</span>`).join('')}
+                <div class="rating">${formatTutorRating(tutor)}</div>
+                <p style="color: var(--text-secondary-day); font-size: 0.9em; margin-top: 10px;">${escapeHtml(tutor.description)}</p>
                 <div style="display:flex; justify-content:space-between; align-items:center; margin-top: 10px;">
                     <p style="font-weight:600; color:${availColor};">${availIcon} ${tutor.availability}</p>
                     <span class="tutor-rate">💰 ${rate}</span>
                 </div>
             </div>
-            <button class="${btnClass}" onclick="bookSessionNow(${tutor.id}, '${tutor.name}')">${btnLabel}</button>
+            <button type="button" class="reviews-toggle" id="reviewsToggle-${tutor.id}" aria-expanded="false"
+                onclick="toggleTutorReviews(${tutor.id})">💬 Reviews${tutor.reviewCount ? ` (${tutor.reviewCount})` : ''}</button>
+            <div class="reviews-panel" id="tutorReviews-${tutor.id}" hidden></div>
+            <button class="${btnClass}" onclick="bookSessionNow(${tutor.id})">${btnLabel}</button>
         `;
         grid.appendChild(card);
+        // Keep a panel that was open before the list was redrawn
+        if (tutorReviews[tutor.id]?.open) showTutorReviews(tutor.id);
     });
 }
 
-function filterTutors() {
-    // Guard: if tutors haven't been loaded yet, load them first and let loadTutors call filterTutors
-    if (!window.allTutors || window.allTutors.length === 0) {
-        if (typeof loadTutors === 'function') loadTutors();
-        return;
-    }
-    const subject = document.getElementById('subjectFilter').value.toLowerCase();
-    const search = (document.getElementById('searchTutor')?.value || '').toLowerCase();
-    const minRating = parseFloat(document.getElementById('ratingFilter').value) || 0;
-    const availability = document.getElementById('availabilityFilter').value.toLowerCase();
-
-    const filtered = (window.allTutors || []).filter(tutor => {
-        const matchesSubject = !subject || tutor.subject.toLowerCase() === subject;
-        const matchesSearch = !search || tutor.name.toLowerCase().includes(search);
-        const matchesRating = tutor.rating >= minRating;
-        const matchesAvailability = !availability || tutor.availability.toLowerCase() === availability;
-        return matchesSubject && matchesSearch && matchesRating && matchesAvailability;
-    });
-
-    displayTutors(filtered);
-    updateFilterBadge(filtered.length, availability);
+// Filters are applied server-side; debounce so typing in the search box
+// does not fire a request per keystroke.
+const reloadTutorsDebounced = debounce(() => loadTutors(), 300);
 
-    // Show suggestions only when there is typed text
-    if (search.length > 0) {
-        renderSuggestions(filtered.slice(0, 6));
-    } else {
-        const box = document.getElementById('tutorSuggestions');
-        if (box) box.style.display = 'none';
-    }
+function filterTutors() {
+    reloadTutorsDebounced();
 }
 
-function updateFilterBadge(count, availability) {
+function updateFilterBadge(count, availability, total = count) {
     const el = document.getElementById('filterResults');
     if (!el) return;
     const label = availability === 'available' ? 'available' : '';
     const color = count > 0 ? 'var(--success-color)' : 'var(--error-color)';
+    const shown = total > count ? `Showing ${count} of ${total}` : `${total}`;
     el.innerHTML = `<span style="color:${color}; font-weight:600; font-size:0.9em;">
-        ${count === 0 ? '😕 No tutors found' : `✅ ${count} ${label} tutor${count !== 1 ? 's' : ''} found`}
+        ${count === 0 ? '😕 No tutors found' : `✅ ${shown} ${label} tutor${total !== 1 ? 's' : ''} found`}
     </span>`;
 }
 
@@ -686,11 +2163,11 @@ function renderSuggestions(tutors) {
     if (tutors.length === 0) { box.style.display = 'none'; return; }
 
     box.innerHTML = tutors.map(t => `
-        <div class="suggestion-item" onmousedown="selectSuggestion(${t.id}, '${t.name}')">
-            <div class="suggestion-avatar">${t.name[0]}</div>
+        <div class="suggestion-item" onmousedown="selectSuggestion(${t.id})">
+            <div class="suggestion-avatar">${escapeHtml(t.name[0])}</div>
             <div class="suggestion-details">
-                <strong>${t.name}</strong>
-                <span>${t.subject} &nbsp;·&nbsp; ⭐ ${t.rating}</span>
+                <strong>${escapeHtml(t.name)}</strong>
+                <span>${escapeHtml(t.subject)} &nbsp;·&nbsp; ${formatTutorRating(t)}</span>
             </div>
             <span class="suggestion-tag ${t.availability === 'Available' ? 'tag-available' : 'tag-busy'}">
                 ${t.availability === 'Available' ? '✅' : '⏰'} ${t.availability}
@@ -700,28 +2177,29 @@ function renderSuggestions(tutors) {
     box.style.display = 'block';
 }
 
-function selectSuggestion(id, name) {
+async function selectSuggestion(id) {
+    const tutor = (window.allTutors || []).find(t => t.id === id);
+    if (!tutor) return;
+    const name = tutor.name;
     const input = document.getElementById('searchTutor');
     if (input) input.value = name;
+    await loadTutors();
     const box = document.getElementById('tutorSuggestions');
     if (box) box.style.display = 'none';
-    filterTutors();
     // Scroll to the matching card
-    setTimeout(() => {
-        const cards = document.querySelectorAll('.tutor-card');
-        cards.forEach(card => {
-            if (card.querySelector('h3')?.textContent === name) {
-                card.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                card.classList.add('highlight-card');
-                setTimeout(() => card.classList.remove('highlight-card'), 2000);
-            }
-        });
-    }, 100);
+    const cards = document.querySelectorAll('.tutor-card');
+    cards.forEach(card => {
+        if (card.querySelector('h3')?.textContent === name) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            card.classList.add('highlight-card');
+            setTimeout(() => card.classList.remove('highlight-card'), 2000);
+        }
+    });
 }
 
 function showSuggestions() {
-    const search = (document.getElementById('searchTutor')?.value || '').toLowerCase();
-    if (search.length > 0) filterTutors();
+    const search = (document.getElementById('searchTutor')?.value || '').trim();
+    if (search.length > 0) renderSuggestions((window.allTutors || []).slice(0, 6));
 }
 
 function hideSuggestionsDelayed() {
@@ -731,8 +2209,411 @@ function hideSuggestionsDelayed() {
     }, 200);
 }
 
+// ── Tutor reviews ───────────────────────────────────────────────────
+// Ratings are averaged from students' reviews on the server. Each tutor
+// card can open its reviews (get_reviews.php): a histogram of star ratings,
+// then the reviews a page at a time, newest, highest or lowest first.
+const REVIEWS_PAGE_SIZE = 5;
+const REVIEW_SORT_LABELS = { newest: 'Newest first', highest: 'Highest rated', lowest: 'Lowest rated' };
+const tutorReviews = {};   // tutor id => { open, sort, page, reviews, histogram, rating, total, hasMore, loading, error }
+
+function formatTutorRating(tutor) {
+    if (!tutor.reviewCount) return '⭐ New · no reviews yet';
+    return `⭐ ${tutor.rating.toFixed(1)} (${tutor.reviewCount} review${tutor.reviewCount === 1 ? '' : 's'})`;
+}
+
+function toggleTutorReviews(tutorId) {
+    const panel = document.getElementById(`tutorReviews-${tutorId}`);
+    if (!panel) return;
+    if (panel.hidden) {
+        showTutorReviews(tutorId);
+    } else {
+        panel.hidden = true;
+        document.getElementById(`reviewsToggle-${tutorId}`)?.setAttribute('aria-expanded', 'false');
+        if (tutorReviews[tutorId]) tutorReviews[tutorId].open = false;
+    }
+}
+
+function showTutorReviews(tutorId) {
+    const panel = document.getElementById(`tutorReviews-${tutorId}`);
+    if (!panel) return;
+    panel.hidden = false;
+    document.getElementById(`reviewsToggle-${tutorId}`)?.setAttribute('aria-expanded', 'true');
+    if (tutorReviews[tutorId]) {
+        tutorReviews[tutorId].open = true;
+        renderTutorReviews(tutorId);
+    } else {
+        loadTutorReviews(tutorId);
+    }
+}
+
+// Start over (optionally in a new order), or append the next page
+async function loadTutorReviews(tutorId, { sort, append = false } = {}) {
+    const previous = tutorReviews[tutorId];
+    const state = append && previous
+        ? previous
+        : { open: true, sort: sort || previous?.sort || 'newest', page: 0, reviews: [], histogram: null, rating: 0, total: 0, hasMore: false };
+    state.loading = true;
+    state.error = null;
+    tutorReviews[tutorId] = state;
+    renderTutorReviews(tutorId);
+
+    try {
+        const response = await getReviews(tutorId, { sort: state.sort, page: state.page + 1, limit: REVIEWS_PAGE_SIZE });
+        // The order was changed while this page was loading
+        if (tutorReviews[tutorId] !== state) return;
+        const data = response.data;
+        state.reviews = state.reviews.concat(data.reviews);
+        state.page = data.page;
+        state.total = data.total;
+        state.hasMore = data.has_more;
+        state.histogram = data.histogram;
+        state.rating = data.rating;
+    } catch (error) {
+        if (tutorReviews[tutorId] !== state) return;
+        state.error = isOfflineError(error) ? 'You are offline. Reviews will load when you reconnect.' : error.message;
+    }
+    state.loading = false;
+    renderTutorReviews(tutorId);
+}
+
+function renderTutorReviews(tutorId) {
+    const panel = document.getElementById(`tutorReviews-${tutorId}`);
+    const state = tutorReviews[tutorId];
+    if (!panel || !state) return;
+
+    const errorHtml = state.error
+        ? `<p class="reviews-note">⚠️ ${escapeHtml(state.error)}
+            <button type="button" class="doubt-link-btn" onclick="loadTutorReviews(${tutorId}, { append: ${state.histogram ? 'true' : 'false'} })">Retry</button></p>`
+        : '';
+
+    if (!state.histogram) {
+        panel.innerHTML = errorHtml || '<p class="reviews-note">⏳ Loading reviews...</p>';
+        return;
+    }
+    if (state.total === 0) {
+        panel.innerHTML = '<p class="reviews-note">No reviews yet. Students can review a session once it is completed.</p>';
+        return;
+    }
+
+    const histogram = [5, 4, 3, 2, 1].map(stars => {
+        const count = state.histogram[stars] || 0;
+        const percent = Math.round((count / state.total) * 100);
+        return `
+            <div class="review-bar" title="${count} review${count === 1 ? '' : 's'}">
+                <span>${stars} ★</span>
+                <div class="review-bar-track"><div class="review-bar-fill" style="width:${percent}%;"></div></div>
+                <span>${count}</span>
+            </div>`;
+    }).join('');
+
+    const sortOptions = Object.entries(REVIEW_SORT_LABELS).map(([value, label]) =>
+        `<option value="${value}"${value === state.sort ? ' selected' : ''}>${label}</option>`).join('');
+
+    const reviews = state.reviews.map(review => `
+        <div class="review-item">
+            <div class="review-meta">
+                <span>${'⭐'.repeat(review.rating)}</span>
+                <strong>${escapeHtml(review.reviewer)}</strong>
+                <small>${escapeHtml(review.subject)} · ${timeAgo(review.created_at)}</small>
+            </div>
+            ${formatReviewCriteria(review.criteria) ? `<p class="review-criteria-summary">${formatReviewCriteria(review.criteria)}</p>` : ''}
+            ${review.comment ? `<div class="md-content">${renderMarkdown(review.comment)}</div>` : ''}
+        </div>`).join('');
+
+    const more = state.hasMore && !state.error
+        ? `<button type="button" class="btn-secondary reviews-more" ${state.loading ? 'disabled' : ''}
+            onclick="loadTutorReviews(${tutorId}, { append: true })">${state.loading ? '⏳ Loading...' : 'Show more reviews'}</button>`
+        : '';
+
+    panel.innerHTML = `
+        <div class="reviews-summary">
+            <div class="reviews-average">
+                <strong>${state.rating.toFixed(1)}</strong>
+                <span>${state.total} review${state.total === 1 ? '' : 's'}</span>
+            </div>
+            <div class="reviews-histogram">${histogram}</div>
+        </div>
+        <select class="setting-input reviews-sort" aria-label="Sort reviews"
+            onchange="loadTutorReviews(${tutorId}, { sort: this.value })">${sortOptions}</select>
+        <div class="reviews-list">${reviews}</div>
+        ${more}${errorHtml}`;
+}
+
+// ── Open slots ──────────────────────────────────────────────────────
+// Students pick from the tutor's open slots: weekly windows minus blackout
+// dates and times already taken. book_session.php enforces the same rules.
+// Slot dates and times are in the tutor's time zone (availability.timezone).
+const SLOT_STEP_MINUTES = 30;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+let bookingAvailability = null;
+
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function minutesToTime(total) {
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Convert the '2:30 PM' format used by cached bookings back to '14:30'
+function parseTime12(time12) {
+    const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)$/i.exec((time12 || '').trim());
+    if (!match) return time12;
+    let hour = parseInt(match[1], 10) % 12;
+    if (match[3].toUpperCase() === 'PM') hour += 12;
+    return `${String(hour).padStart(2, '0')}:${match[2]}`;
+}
+
+// Today's date as YYYY-MM-DD in the browser's time zone
+function localDateString(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * List the start times a tutor can be booked at on a given day
+ * @param {Object} availability - get_availability.php data (windows, blackouts, booked, timezone)
+ * @param {string} date - Day to check (YYYY-MM-DD, in the tutor's time zone)
+ * @param {number} minutes - Session length in minutes
+ * @param {Array} extraBusy - More taken intervals [{ start, end }], e.g. from getCachedBusyTimes()
+ * @returns {Array<string>} Open start times ('HH:MM', in the tutor's time zone)
+ */
+function getOpenSlots(availability, date, minutes, extraBusy = []) {
+    if (!minutes || availability.blackouts.some(b => b.date === date)) return [];
+
+    const timeZone = availability.timezone || getViewerTimezone();
+    const day = parseLocalDate(date).getDay();
+    // Sessions from the day before can run past midnight into this one
+    const previous = parseLocalDate(date);
+    previous.setDate(previous.getDate() - 1);
+    const busy = availability.booked
+        .filter(b => b.date === date || b.date === localDateString(previous))
+        .map(b => slotInterval({ ...b, timeZone }))
+        .concat(extraBusy);
+
+    const now = Date.now();
+    const slots = [];
+    availability.windows.filter(w => w.day === day).forEach(window => {
+        const windowEnd = timeToMinutes(window.end);
+        for (let start = timeToMinutes(window.start); start + minutes <= windowEnd; start += SLOT_STEP_MINUTES) {
+            const slot = slotInterval({ date, time: minutesToTime(start), minutes, timeZone });
+            if (slot.start <= now) continue;
+            if (busy.some(b => slot.start < b.end && slot.end > b.start)) continue;
+            slots.push(minutesToTime(start));
+        }
+    });
+    return slots;
+}
+
+// ── Booking conflicts ───────────────────────────────────────────────
+// Checked against the local cache (which includes bookings queued offline)
+// before submitting; book_session.php repeats the check against everyone's
+// sessions and suggests the next free slot in its 409 response.
+
+// Offline stand-in for a tutor's hours, also used when tutors schedule sessions
+const DAYTIME_AVAILABILITY = {
+    windows: DAY_NAMES.map((name, day) => ({ day, start: '08:00', end: '20:00' })),
+    blackouts: [],
+    booked: []
+};
+
+// Pending/confirmed cached bookings as { start, end } intervals
+function getCachedBusyTimes(involves) {
+    return getGlobalBookings()
+        .filter(b => (b.status === 'pending' || b.status === 'confirmed') && involves(b))
+        .map(bookingInterval);
+}
+
+// Start and end of a slot in milliseconds, so sessions in different zones or past midnight compare correctly
+function slotInterval(slot) {
+    const start = zonedTimeToUtc(slot.date, slot.time, slot.timeZone || getViewerTimezone()).getTime();
+    return { start, end: start + slot.minutes * 60000 };
+}
+
+// When a booking starts; bookings cached before starts_at existed are placed in the tutor's zone
+function bookingStart(booking) {
+    if (booking.startsAt) return parseServerDate(booking.startsAt);
+    return zonedTimeToUtc(booking.date, parseTime12(booking.time), booking.tutorTimezone || getViewerTimezone());
+}
+
+/**
+ * When a booking happens, in the viewer's time zone and the other participant's
+ * @param {Object} booking - Cached booking
+ * @returns {Object} { start: Date, date, time, other } where other is e.g.
+ *   "Tutor's time: 9:00 AM (GMT)", or '' when both clocks agree
+ */
+function describeBookingTime(booking) {
+    const start = bookingStart(booking);
+    const viewer = getViewerTimezone();
+    const isTutor = getCurrentUser()?.id === booking.tutorId;
+    const otherZone = isTutor ? booking.studentTimezone : booking.tutorTimezone;
+    let other = '';
+    if (otherZone && !sameClock(start, otherZone, viewer)) {
+        const parts = toZonedParts(start, otherZone);
+        const sameDay = parts.date === toZonedParts(start, viewer).date;
+        other = `${isTutor ? 'Student' : 'Tutor'}'s time: ${sameDay ? '' : `${formatDate(parts.date)}, `}${formatTime12(parts.time)} (${formatZoneLabel(otherZone, start)})`;
+    }
+    return { start, date: formatDate(start, viewer), time: formatTime(start, viewer), other };
+}
+
+function bookingInterval(booking) {
+    const start = bookingStart(booking).getTime();
+    return { start, end: start + Math.round(parseDurationHours(booking.duration) * 60) * 60000 };
+}
+
+/**
+ * Find a cached pending or confirmed booking that overlaps a proposed session
+ * @param {Object} slot - { date: 'YYYY-MM-DD', time: 'HH:MM', minutes, timeZone }
+ * @param {Function} involves - Which cached bookings count (same tutor or same student)
+ * @returns {Object|null} The overlapping booking
+ */
+function findBookingConflict(slot, involves) {
+    const proposed = slotInterval(slot);
+    return getGlobalBookings().find(b => {
+        if ((b.status !== 'pending' && b.status !== 'confirmed') || !involves(b)) return false;
+        const taken = bookingInterval(b);
+        return proposed.start < taken.end && proposed.end > taken.start;
+    }) || null;
+}
+
+/**
+ * Find the first open slot after a proposed one, up to two weeks ahead
+ * @param {Object} availability - Tutor availability (see getOpenSlots)
+ * @param {Object} slot - { date, time, minutes } that was taken
+ * @param {Array} busy - Extra taken times (see getCachedBusyTimes)
+ * @returns {Object|null} { date, time, timeZone }
+ */
+function findNextFreeSlot(availability, slot, busy) {
+    const day = parseLocalDate(slot.date);
+    for (let i = 0; i <= 14; i++) {
+        const date = localDateString(day);
+        const time = getOpenSlots(availability, date, slot.minutes, busy)
+            .find(t => date !== slot.date || t > slot.time);
+        if (time) return { date, time, timeZone: availability.timezone };
+        day.setDate(day.getDate() + 1);
+    }
+    return null;
+}
+
+// A slot in the tutor's zone, restated in the viewer's zone when their clocks differ
+function formatSlot(slot) {
+    const label = `${formatDate(slot.date)} at ${formatTime12(slot.time)}`;
+    if (!slot.timeZone) return label;
+    const moment = zonedTimeToUtc(slot.date, slot.time, slot.timeZone);
+    return sameClock(moment, slot.timeZone, getViewerTimezone()) ? label : `${formatMoment(moment)} your time`;
+}
+
+// Label for a slot <option>: the tutor's time, plus the viewer's when it differs
+function formatSlotOption(date, time, timeZone) {
+    const label = formatTime12(time);
+    if (!timeZone) return label;
+    const moment = zonedTimeToUtc(date, time, timeZone);
+    if (sameClock(moment, timeZone, getViewerTimezone())) return label;
+    const local = toZonedParts(moment, getViewerTimezone());
+    const dayNote = local.date === date ? '' : `${formatDate(local.date).split(',')[0]} `;
+    return `${label} (${dayNote}${formatTime12(local.time)} your time)`;
+}
+
+// "Times are in Jane's time zone (GMT)" hint when the tutor's clock differs from the viewer's
+function describeSlotZone(timeZone, whose) {
+    if (!timeZone || sameClock(Date.now(), timeZone, getViewerTimezone())) return '';
+    return ` Times are in ${whose} time zone (${formatZoneLabel(timeZone)}).`;
+}
+
+// Client-side counterpart of describeSessionConflict() in db.php
+function describeBookingConflict(who, suggestion) {
+    const clash = who === 'self' ? 'You already have' : `${who} already has`;
+    return `${clash} a session at this time. ${suggestion
+        ? `The next free slot is ${formatSlot(suggestion)}.`
+        : 'Please choose a different time.'}`;
+}
+
+// A student's request clashes with the tutor's sessions and with their own
+function studentBookingInvolves(tutorId) {
+    const user = getCurrentUser();
+    return b => b.tutorId === tutorId || (user && b.studentId === user.id);
+}
+
+async function loadBookingSlots(tutorId) {
+    bookingAvailability = null;
+    renderBookingSlots();
+    try {
+        const response = await getAvailability(tutorId);
+        bookingAvailability = response.data;
+    } catch (error) {
+        // Offline: allow any half hour in the tutor's daytime; the server checks on sync
+        const tutor = (window.allTutors || []).find(t => t.id === tutorId);
+        bookingAvailability = { ...DAYTIME_AVAILABILITY, timezone: tutor?.timezone, offline: true };
+    }
+
+    // Jump to the first day with an open slot if the chosen one has none
+    const dateEl = document.getElementById('modalDate');
+    const minutes = Math.round(parseDurationHours(document.getElementById('modalDuration').value) * 60);
+    const busy = getCachedBusyTimes(studentBookingInvolves(tutorId));
+    if (!getOpenSlots(bookingAvailability, dateEl.value, minutes, busy).length) {
+        const day = parseLocalDate(dateEl.value < dateEl.min ? dateEl.min : dateEl.value);
+        for (let i = 0; i < 60; i++) {
+            if (getOpenSlots(bookingAvailability, localDateString(day), minutes, busy).length) {
+                dateEl.value = localDateString(day);
+                break;
+            }
+            day.setDate(day.getDate() + 1);
+        }
+    }
+    renderBookingSlots();
+}
+
+// Move the student booking modal to a suggested free slot
+function applyBookingSuggestion(suggestion) {
+    if (!suggestion) return;
+    document.getElementById('modalDate').value = suggestion.date;
+    renderBookingSlots();
+    const select = document.getElementById('modalTime');
+    if ([...select.options].some(o => o.value === suggestion.time)) select.value = suggestion.time;
+}
+
+function renderBookingSlots() {
+    const select = document.getElementById('modalTime');
+    const hint = document.getElementById('modalSlotHint');
+    if (!select) return;
+
+    if (!bookingAvailability) {
+        select.innerHTML = '<option value="">Loading open slots...</option>';
+        if (hint) hint.textContent = '';
+        return;
+    }
+
+    const tutorId = parseInt(document.getElementById('bookingForm').dataset.tutorId);
+    const date = document.getElementById('modalDate').value;
+    const minutes = Math.round(parseDurationHours(document.getElementById('modalDuration').value) * 60);
+    const previous = select.value;
+    const slots = date ? getOpenSlots(bookingAvailability, date, minutes, getCachedBusyTimes(studentBookingInvolves(tutorId))) : [];
+
+    if (slots.length) {
+        select.innerHTML = slots.map(t => `<option value="${t}">${formatSlotOption(date, t, bookingAvailability.timezone)}</option>`).join('');
+        if (slots.includes(previous)) select.value = previous;
+    } else {
+        select.innerHTML = '<option value="">No open slots</option>';
+    }
+
+    if (!hint) return;
+    const blackout = bookingAvailability.blackouts.find(b => b.date === date);
+    const zoneNote = describeSlotZone(bookingAvailability.timezone, 'the tutor\'s');
+    if (bookingAvailability.offline) {
+        hint.textContent = '📴 You\'re offline, so open slots can\'t be checked. The tutor\'s availability is confirmed when your request is sent.';
+    } else if (blackout) {
+        hint.textContent = `🚫 The tutor is away on this date${blackout.reason ? ` (${blackout.reason})` : ''}. Please pick another day.`;
+    } else if (!slots.length) {
+        hint.textContent = 'No open slots on this day for the chosen duration. Try another date or a shorter session.';
+    } else {
+        hint.textContent = `${slots.length} open slot${slots.length === 1 ? '' : 's'} on ${DAY_NAMES[parseLocalDate(date).getDay()]}.${zoneNote}`;
+    }
+}
+
 function bookSessionNow(tutorId, tutorName) {
     const tutor = (window.allTutors || []).find(t => t.id === tutorId);
+    tutorName = tutorName || tutor?.name || 'Tutor';
     const subject = tutor?.subject || 'General';
     const rate = tutor?.rate ? `$${tutor.rate}/hr` : '$40/hr';
     const isBusy = tutor?.availability === 'Busy';
@@ -742,21 +2623,24 @@ function bookSessionNow(tutorId, tutorName) {
     document.getElementById('modalSubject').value = subject;
     document.getElementById('modalTopic').value = '';
     document.getElementById('modalMessage').value = '';
+    resetAttachmentPicker('modalAttachments');
     const rateEl = document.getElementById('modalRateDisplay');
     if (rateEl) rateEl.textContent = rate;
+    const policyEl = document.getElementById('modalCancellationPolicy');
+    if (policyEl) policyEl.textContent = `🚦 ${describeCancellationPolicy(tutor?.cancellationPolicy)}`;
     const levelEl = document.getElementById('modalLevel');
     if (levelEl) levelEl.value = 'Beginner';
     // Update modal header hint if tutor is busy
     const modalHint = document.getElementById('modalBusyHint');
     if (modalHint) modalHint.style.display = isBusy ? 'block' : 'none';
 
-    // Default date = 3 days from today, time = 10:00
+    // Default date = 3 days from today; the time list is filled from the tutor's open slots
     const defaultDate = new Date();
     defaultDate.setDate(defaultDate.getDate() + 3);
-    document.getElementById('modalDate').value = defaultDate.toISOString().split('T')[0];
-    document.getElementById('modalDate').min = new Date().toISOString().split('T')[0];
-    document.getElementById('modalTime').value = '10:00';
+    document.getElementById('modalDate').value = localDateString(defaultDate);
+    document.getElementById('modalDate').min = localDateString();
     document.getElementById('modalDuration').value = '2 hours';
+    resetRepeatOptions('modal');
 
     // Store tutorId for submit
     document.getElementById('bookingForm').dataset.tutorId = tutorId;
@@ -764,44 +2648,128 @@ function bookSessionNow(tutorId, tutorName) {
 
     // Show modal
     document.getElementById('bookingModal').style.display = 'flex';
+    loadBookingSlots(tutorId);
 }
 
 function closeBookingModal() {
     document.getElementById('bookingModal').style.display = 'none';
 }
 
-function submitStudentBooking(event) {
+async function submitStudentBooking(event) {
     event.preventDefault();
     const form = document.getElementById('bookingForm');
     const tutorName = form.dataset.tutorName;
+    const tutorId = parseInt(form.dataset.tutorId);
     const user = getCurrentUser();
+    if (!user) return;
 
-    const booking = {
-        id: Date.now(),
-        studentName: user ? (user.name || user.email) : 'Student',
-        studentEmail: user ? user.email : '',
-        tutorName: tutorName,
+    const tutor = (window.allTutors || []).find(x => x.id === tutorId);
+    const rawTime = document.getElementById('modalTime').value;
+    if (!rawTime) {
+        showToast('❌ Please pick one of the open time slots.', 'error');
+        return;
+    }
+
+    if (isAttachmentUploadPending('modalAttachments')) {
+        showToast('⏳ Please wait for your attachments to finish uploading.', 'warning');
+        return;
+    }
+
+    const firstDate = document.getElementById('modalDate').value;
+    const recurrence = getRecurrenceInput('modal');
+    const dates = expandRecurrence(firstDate, recurrence);
+    const recurrenceError = validateRecurrenceDates(dates, recurrence);
+    if (recurrenceError) {
+        showToast(`❌ ${recurrenceError}`, 'error');
+        return;
+    }
+
+    // Every session of a series must be open; the first one was picked from the open slots
+    const involves = studentBookingInvolves(tutorId);
+    const busy = getCachedBusyTimes(involves);
+    const minutes = Math.round(parseDurationHours(document.getElementById('modalDuration').value) * 60);
+    for (const date of dates) {
+        const slot = { date, time: rawTime, minutes, timeZone: bookingAvailability?.timezone };
+        const prefix = seriesDatePrefix(dates, date);
+        if (date !== firstDate && bookingAvailability && !bookingAvailability.offline
+            && !getOpenSlots(bookingAvailability, date, minutes, busy).includes(rawTime)) {
+            showToast(`❌ ${prefix}The tutor isn't available at this time. Try another time or fewer sessions.`, 'error');
+            return;
+        }
+        const clash = findBookingConflict(slot, involves);
+        if (clash) {
+            const suggestion = findNextFreeSlot(bookingAvailability || DAYTIME_AVAILABILITY, slot, busy);
+            showToast(`❌ ${prefix}${describeBookingConflict(clash.studentId === user.id ? 'self' : tutorName, suggestion)}`, 'error');
+            if (date === firstDate) applyBookingSuggestion(suggestion);
+            return;
+        }
+    }
+
+    const payload = {
+        tutor_id: tutorId,
         subject: document.getElementById('modalSubject').value,
         topic: document.getElementById('modalTopic').value,
         date: document.getElementById('modalDate').value,
-        time: formatTime12(document.getElementById('modalTime').value),
+        time: rawTime,
         duration: document.getElementById('modalDuration').value,
         message: document.getElementById('modalMessage').value,
-        rate: (() => { const t = (window.allTutors || []).find(x => x.id === parseInt(form.dataset.tutorId)); return t?.rate ? `$${t.rate}` : '$40'; })(),
         level: document.getElementById('modalLevel')?.value || 'Beginner',
+        recurrence,
+        attachment_ids: getPickedAttachmentIds('modalAttachments'),
+        client_ref: `local-${Date.now()}`
+    };
+
+    const booking = {
+        studentId: user.id,
+        studentName: user.name || user.email,
+        studentEmail: user.email,
+        tutorId: tutorId,
+        tutorName: tutorName,
+        tutorTimezone: bookingAvailability?.timezone || tutor?.timezone,
+        studentTimezone: user.timezone,
+        subject: payload.subject,
+        topic: payload.topic,
+        date: payload.date,
+        time: formatTime12(rawTime),
+        duration: payload.duration,
+        message: payload.message,
+        attachments: attachmentPickers.modalAttachments?.files || [],
+        rate: tutor?.rate ? `$${tutor.rate}` : '$40',
+        level: payload.level,
         status: 'pending',   // tutor must accept
         bookedBy: 'student',
         rating: 0,
         createdAt: new Date().toISOString()
     };
 
-    const all = getGlobalBookings();
-    all.push(booking);
-    saveGlobalBookings(all);
-
-    closeBookingModal();
-    loadDashboardData();
-    showToast(`📩 Request sent to ${tutorName}! Waiting for confirmation.`, 'info');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+        const result = await submitBooking(payload, booking);
+        closeBookingModal();
+        loadDashboardData();
+        const what = dates.length > 1 ? `request for ${dates.length} sessions` : 'request';
+        if (result === 'queued') {
+            showToast(`📴 You're offline. Your ${what} to ${tutorName} will be sent when you reconnect.`, 'warning');
+        } else {
+            showToast(`📩 ${what[0].toUpperCase()}${what.slice(1)} sent to ${tutorName}! Waiting for confirmation.`, 'info');
+            // Offer to pay for the first session now; it can also be paid later from the bookings list
+            const first = getGlobalBookings().find(b => b.clientRef === payload.client_ref);
+            if (first && isPayable(first)) openCheckout(first.id);
+        }
+    } catch (error) {
+        // Server rejected it (e.g. the slot is taken) — keep the modal open to pick another time
+        showToast(`❌ ${error.message}`, 'error');
+        if (error.status === 409) {
+            await loadBookingSlots(tutorId);
+            // Only move the form when the first session was the one that clashed
+            if (!error.data?.conflict_date || error.data.conflict_date === firstDate) {
+                applyBookingSuggestion(error.data?.suggestion);
+            }
+        }
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
 }
 
 function showSection(section) {
@@ -822,6 +2790,8 @@ function showSection(section) {
         } else {
             loadBookings(); // student default = pending tab
         }
+        // Render from the cache straight away, then pick up server changes
+        syncBookings();
     } else if (section === 'settings') {
         document.getElementById('settings-section').style.display = 'block';
         loadSettings();
@@ -831,12 +2801,8 @@ function showSection(section) {
         // Always clear any autofilled/stale search value before re-rendering
         const searchEl = document.getElementById('searchTutor');
         if (searchEl) searchEl.value = '';
-        // Always re-render tutors when returning to dashboard so Book buttons are never missing
-        if (window.allTutors && window.allTutors.length > 0) {
-            filterTutors();
-        } else {
-            loadTutors();
-        }
+        // Always reload tutors when returning to dashboard so Book buttons are never missing
+        loadTutors();
     }
     return false;
 }
@@ -845,6 +2811,7 @@ function showSection(section) {
 function showBookingTab(tab, btnEl) {
     document.querySelectorAll('#bookings-section .tab-btn').forEach(t => t.classList.remove('active'));
     if (btnEl) btnEl.classList.add('active');
+    activeBookingTab = tab;
     if (tab === 'doubts') {
         loadStudentDoubts();
     } else {
@@ -852,259 +2819,833 @@ function showBookingTab(tab, btnEl) {
     }
 }
 
-function loadBookings() {
-    loadBookingsByTab('pending');
+function loadBookings() {
+    loadBookingsByTab('pending');
+}
+
+function loadBookingsByTab(tab) {
+    const bookingsList = document.getElementById('bookings-list');
+    if (!bookingsList) return;
+    const user = getCurrentUser();
+    if (!user) return;
+    activeBookingTab = tab;
+
+    const filtered = getStudentBookings(user.email).filter(b => bookingTab(b) === tab);
+    bookingsList.innerHTML = '';
+
+    if (filtered.length === 0) {
+        const labels = { pending: 'pending', confirmed: 'confirmed', completed: 'completed', cancelled: 'cancelled' };
+        bookingsList.innerHTML = `
+            <div class="empty-state">
+                <div style="font-size:2.5em; margin-bottom:10px;">📭</div>
+                <p style="color:var(--text-secondary-day);">No ${labels[tab] || tab} bookings found.</p>
+            </div>`;
+        return;
+    }
+
+    filtered.forEach(booking => {
+        const isConfirmed = booking.status === 'confirmed';
+        const isPending = booking.status === 'pending';
+        const isCompleted = booking.status === 'completed';
+        const isCancelled = booking.status === 'cancelled';
+
+        const statusMap = {
+            pending: { label: '⏳ Awaiting Tutor', cls: 'status-pending' },
+            confirmed: { label: '✅ Confirmed', cls: 'status-confirmed' },
+            completed: { label: '📚 Completed', cls: 'status-completed' },
+            cancelled: { label: '❌ Cancelled', cls: 'status-cancelled' },
+            rejected: { label: '🚫 Declined', cls: 'status-cancelled' },
+            no_show: { label: '🚫 No-show', cls: 'status-cancelled' }
+        };
+        const s = statusMap[booking.status] || { label: booking.status, cls: '' };
+
+        // Tutor feedback display for completed bookings
+        const tfb = booking.tutorFeedback;
+        const tfbHtml = isCompleted
+            ? (tfb
+                ? '<div style="margin-top:12px; padding:14px; background:rgba(91,124,250,0.07); border-left:4px solid var(--primary-color); border-radius:8px;">'
+                + '<p style="font-weight:700; color:var(--primary-color); margin-bottom:8px;">📝 Tutor Feedback:</p>'
+                + (tfb.strengths ? '<div class="md-content md-labelled" style="margin-bottom:4px;"><strong>💪 Strengths:</strong> ' + renderMarkdown(tfb.strengths) + '</div>' : '')
+                + (tfb.improvements ? '<div class="md-content md-labelled" style="margin-bottom:4px;"><strong>📈 Improve:</strong> ' + renderMarkdown(tfb.improvements) + '</div>' : '')
+                + '<div class="md-content md-labelled" style="margin-bottom:4px;"><strong>📋 Notes:</strong> ' + renderMarkdown(tfb.notes) + '</div>'
+                + '<p><strong>🎯 Performance:</strong> ' + '⭐'.repeat(tfb.rating) + '</p>'
+                + '</div>'
+                : '<p style="font-size:0.85em; color:var(--text-secondary-day); margin-top:8px; padding:4px 2px;">⏳ Awaiting tutor feedback...</p>')
+            : '';
+        const reviewBtn = booking.rating
+            ? '<span style="color:var(--warning-color); font-weight:600;">⭐ ' + booking.rating + '/5 — Rating submitted</span>'
+            : '<button class="btn-primary" onclick="leaveReview(' + booking.id + ')">\u2b50 Leave Review</button>';
+        // Queued bookings have no server ID yet, so they can only be dropped.
+        // A pending request is still the student's own to move; confirmed
+        // sessions need the tutor to agree to a new time.
+        const rescheduleBtn = booking.syncState
+            ? ''
+            : `<button class="btn-secondary" onclick="openRescheduleModal(${booking.id})">🔄 Reschedule</button>`;
+        const proposeBtn = `<button class="btn-secondary" onclick="openRescheduleModal(${booking.id}, 'propose')">🕒 Propose New Time</button>`;
+        const actions = isPending ? `
+            <div class="booking-actions">
+                <button class="btn-danger" onclick="cancelStudentBooking('${booking.id}')">❌ Cancel Request</button>
+                ${rescheduleBtn}
+            </div>` :
+            isConfirmed ? `
+            <div class="booking-actions">
+                <button class="btn-danger" onclick="cancelStudentBooking(${booking.id})">❌ Cancel Session</button>
+                ${proposeBtn}
+                <button class="btn-secondary" onclick="downloadBookingIcs(${booking.id})">📅 Add to Calendar</button>
+            </div>` :
+                isCompleted ? '<div class="booking-actions">' + reviewBtn + '</div>' + tfbHtml : '';
+
+        const when = describeBookingTime(booking);
+        const div = document.createElement('div');
+        div.className = 'booking-card';
+        div.innerHTML = `
+            <div class="booking-card-header">
+                <div class="booking-info">
+                    <h4>📚 ${escapeHtml(booking.subject)}${booking.topic ? ' — ' + escapeHtml(booking.topic) : ''} ${renderSeriesBadge(booking)}</h4>
+                    <p><strong>👨‍🏫 Tutor:</strong> ${escapeHtml(booking.tutorName)}</p>
+                    <p><strong>📅 Date:</strong> ${when.date} at ${when.time}</p>
+                    ${when.other ? `<p class="booking-other-time">🌍 ${when.other}</p>` : ''}
+                    <p><strong>⏱️ Duration:</strong> ${escapeHtml(booking.duration)}&nbsp;|&nbsp;<strong>💰 Rate:</strong> ${escapeHtml(booking.rate)}/hr${booking.level ? `&nbsp;|&nbsp;<strong>🎯 Level:</strong> ${escapeHtml(booking.level)}` : ''}</p>
+                    ${booking.message ? `<div class="md-content md-labelled" style="margin-top:8px;"><strong>📝 Note:</strong> ${renderMarkdown(booking.message)}</div>` : ''}
+                    ${renderAttachments(booking.attachments)}
+                    ${booking.rejectionReason ? `<p style="margin-top:8px; color:var(--error-color);"><strong>🚫 Tutor's reason:</strong> ${escapeHtml(booking.rejectionReason)}</p>` : ''}
+                    ${renderLateCancelNote(booking)}
+                    ${renderPaymentLine(booking)}
+                </div>
+                <span class="status-badge ${s.cls}">${s.label}</span>
+            </div>
+            ${booking.syncState === 'conflict' ? '' : actions}
+            ${renderProposals(booking)}
+            ${renderSyncNotice(booking)}
+        `;
+        bookingsList.appendChild(div);
+        loadAttachmentThumbnails(div);
+    });
+}
+
+async function cancelStudentBooking(id) {
+    // Never reached the server — just drop it from the offline queue
+    if (String(id).startsWith('local-')) {
+        if (!confirm('Cancel this booking?')) return;
+        removeCachedBooking(id);
+        loadDashboardData();
+        loadBookingsByTab('pending');
+        showToast('✅ Booking cancelled.', 'info');
+        return;
+    }
+    const cached = getGlobalBookings().find(b => b.id === Number(id));
+    // A series can still be cancelled from here; the server leaves out the sessions that are too close
+    if (isLateCancellation(cached) && cached.cancellationPolicy?.late_cancellation === 'block' && !cached.seriesId) {
+        showToast(`❌ This session starts in less than ${formatNoticeHours(cached.cancellationPolicy.notice_hours)}, so your tutor's policy does not allow cancelling it any more. Message your tutor or propose a new time instead.`, 'error');
+        return;
+    }
+    const scope = await chooseSeriesScope(Number(id), `Cancel this booking?${describeRefundPolicy(cached)}`);
+    if (!scope) return;
+    const booking = await changeBookingStatus(Number(id), 'cancelled', '', scope);
+    if (!booking) return;
+    loadDashboardData();
+    loadBookingsByTab(activeBookingTab);
+    showToast((scope === 'series' ? '✅ All upcoming sessions in the series were cancelled.' : '✅ Booking cancelled.')
+        + describeRefunds(booking.refunds), 'info');
+}
+
+function loadSettings() {
+    const userData = getCurrentUser();
+    if (!userData) return;
+
+    // Student settings fields
+    const nameField = document.getElementById('settingsName');
+    const emailField = document.getElementById('settingsEmail');
+    const phoneField = document.getElementById('settingsPhone');
+
+    // Tutor settings fields
+    const tutorNameField = document.getElementById('settingName');
+    const specialtiesField = document.getElementById('settingSpecialties');
+    const bioField = document.getElementById('settingBio');
+    const rateField = document.getElementById('settingRate');
+
+    if (nameField) nameField.value = userData.name || '';
+    if (emailField) emailField.value = userData.email || '';
+    if (phoneField) phoneField.value = userData.phone || '';
+    if (tutorNameField) tutorNameField.value = userData.name || '';
+    if (specialtiesField) specialtiesField.value = userData.subjects || '';
+    if (bioField) bioField.value = userData.bio || '';
+    if (rateField) rateField.value = userData.hourly_rate || '';
+    fillTimezoneSelect(userData.timezone || getBrowserTimezone());
+
+    if (document.getElementById('availabilityEditor')) loadAvailabilitySettings();
+    loadCancellationPolicySettings();
+    loadCalendarFeed();
+    loadPreferences();
+}
+
+// Every IANA zone the browser knows, with the user's own zone selected
+function fillTimezoneSelect(selected) {
+    const select = document.getElementById('settingsTimezone');
+    if (!select) return;
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    if (!zones.includes(selected)) zones.unshift(selected);
+    select.innerHTML = zones.map(zone => `<option value="${zone}">${zone.replace(/_/g, ' ')}</option>`).join('');
+    select.value = selected;
+
+    const hint = document.getElementById('settingsTimezoneHint');
+    const browser = getBrowserTimezone();
+    if (hint) {
+        hint.textContent = selected === browser
+            ? 'Session times are shown in this time zone.'
+            : `Session times are shown in this time zone. This device is set to ${browser.replace(/_/g, ' ')}.`;
+    }
+}
+
+async function saveProfileSettings() {
+    // Support both student (settingsName) and tutor (settingName) field IDs
+    const nameInput = document.getElementById('settingsName') || document.getElementById('settingName');
+    const phoneInput = document.getElementById('settingsPhone');
+    const timezoneInput = document.getElementById('settingsTimezone');
+    const bioInput = document.getElementById('settingBio');
+    const rateInput = document.getElementById('settingRate');
+    const specialtiesInput = document.getElementById('settingSpecialties');
+
+    const name = nameInput ? nameInput.value : '';
+
+    if (!name.trim()) {
+        showToast('❌ Name cannot be empty!', 'error');
+        return;
+    }
+
+    const profile = { name: name.trim() };
+    if (phoneInput) profile.phone = phoneInput.value;
+    if (timezoneInput?.value) profile.timezone = timezoneInput.value;
+    if (bioInput) profile.bio = bioInput.value;
+    if (rateInput && rateInput.value !== '') profile.hourly_rate = rateInput.value;
+    if (specialtiesInput) profile.subjects = specialtiesInput.value;
+
+    const previousZone = getCurrentUser()?.timezone;
+    try {
+        const response = await updateProfile(profile);
+        const user = response.data.user;
+        setCurrentUser(user);
+        showToast('✅ Profile settings saved successfully!', 'success');
+
+        const userNameEl = document.getElementById('userName');
+        const userAvatarEl = document.getElementById('userAvatar');
+        if (userNameEl) userNameEl.textContent = user.name;
+        if (userAvatarEl) userAvatarEl.textContent = user.name[0].toUpperCase();
+        fillTimezoneSelect(user.timezone);
+
+        // Times on the cards (and, for tutors, the stored session times) change with the zone
+        if (user.timezone !== previousZone) syncBookings();
+    } catch (error) {
+        showToast(`❌ ${isOfflineError(error) ? 'You are offline. Try again when you reconnect.' : error.message}`, 'error');
+    }
+}
+
+async function changePassword() {
+    const fieldIds = ['currentPassword', 'newPassword', 'confirmPassword'];
+    fieldIds.forEach(clearFieldError);
+
+    const current = document.getElementById('currentPassword').value;
+    const newPass = document.getElementById('newPassword').value;
+    const confirmPass = document.getElementById('confirmPassword').value;
+
+    let isValid = true;
+    if (!current) {
+        showFieldError('currentPassword', 'Current password is required');
+        isValid = false;
+    }
+
+    // Same rule as change_password.php: weak passwords are rejected
+    const strength = validatePassword(newPass);
+    if (!newPass) {
+        showFieldError('newPassword', 'New password is required');
+        isValid = false;
+    } else if (strength.level === 'weak') {
+        showFieldError('newPassword', strength.message);
+        isValid = false;
+    } else if (newPass === current) {
+        showFieldError('newPassword', 'New password must be different from the current password');
+        isValid = false;
+    }
+
+    if (!confirmPass) {
+        showFieldError('confirmPassword', 'Please confirm your new password');
+        isValid = false;
+    } else if (newPass !== confirmPass) {
+        showFieldError('confirmPassword', 'Passwords do not match');
+        isValid = false;
+    }
+
+    if (!isValid) return;
+
+    try {
+        await changeUserPassword(current, newPass);
+        fieldIds.forEach(id => { document.getElementById(id).value = ''; });
+        showToast('✅ Password changed. Other devices have been logged out.', 'success');
+    } catch (error) {
+        if (error.field && fieldIds.includes(error.field)) {
+            showFieldError(error.field, error.message);
+        } else {
+            showToast(`❌ ${isOfflineError(error) ? 'You are offline. Try again when you reconnect.' : error.message}`, 'error');
+        }
+    }
+}
+
+// ── Notification preferences ────────────────────────────────────────
+// Settings checkbox id => preference key on the server
+const PREFERENCE_FIELDS = {
+    emailNotifications: 'email_notifications',
+    smsNotifications: 'sms_notifications',
+    reminderNotifications: 'reminder_notifications',
+    feedbackNotifications: 'feedback_notifications'
+};
+
+// Only the checkboxes on the current page are read or written
+function preferenceCheckboxes() {
+    return Object.entries(PREFERENCE_FIELDS)
+        .map(([id, key]) => [document.getElementById(id), key])
+        .filter(([checkbox]) => checkbox);
+}
+
+async function loadPreferences() {
+    const checkboxes = preferenceCheckboxes();
+    if (!checkboxes.length) return;
+
+    try {
+        const response = await getPreferences();
+        checkboxes.forEach(([checkbox, key]) => { checkbox.checked = response.data.preferences[key]; });
+    } catch (error) {
+        if (!isOfflineError(error)) console.error('Loading preferences failed:', error);
+    }
+}
+
+async function savePreferences() {
+    const checkboxes = preferenceCheckboxes();
+    if (!checkboxes.length) return;
+
+    const preferences = Object.fromEntries(checkboxes.map(([checkbox, key]) => [key, checkbox.checked]));
+
+    try {
+        await updatePreferences(preferences);
+        showToast('✅ Preferences saved', 'success');
+    } catch (error) {
+        showToast(`❌ ${isOfflineError(error) ? 'You are offline. Try again when you reconnect.' : error.message}`, 'error');
+    }
+}
+
+// ── Calendar feed settings ──────────────────────────────────────────
+async function loadCalendarFeed(reset = false) {
+    const input = document.getElementById('calendarFeedUrl');
+    if (!input) return;
+
+    if (reset && !confirm('Reset your calendar link? Calendars subscribed to the current link will stop updating.')) {
+        return;
+    }
+
+    try {
+        const response = reset ? await resetCalendarFeed() : await getCalendarFeed();
+        input.value = response.data.feed_url;
+        document.getElementById('calendarFeedSubscribe').href = response.data.webcal_url;
+        if (reset) showToast('🔄 Calendar link reset. Subscribe again with the new link.', 'success');
+    } catch (error) {
+        input.value = '';
+        input.placeholder = isOfflineError(error) ? 'You appear to be offline' : 'Could not load your calendar link';
+        if (reset) showToast(`❌ ${error.message}`, 'error');
+    }
+}
+
+async function copyCalendarFeed() {
+    const input = document.getElementById('calendarFeedUrl');
+    if (!input?.value) return;
+    try {
+        await navigator.clipboard.writeText(input.value);
+    } catch (e) {
+        // Clipboard API unavailable (e.g. plain http); fall back to selection
+        input.select();
+        document.execCommand('copy');
+    }
+    showToast('📋 Calendar link copied.', 'success');
+}
+
+// ── Tutor availability settings ─────────────────────────────────────
+// Edited locally and sent as a whole by saveAvailability()
+let availabilityDraft = null;
+
+async function loadAvailabilitySettings() {
+    showLoading('availabilityEditor');
+    try {
+        const response = await getAvailability();
+        availabilityDraft = {
+            windows: response.data.windows.map(w => ({ ...w })),
+            blackouts: response.data.blackouts.map(b => ({ ...b }))
+        };
+        const hint = document.getElementById('availabilityHint');
+        if (hint && response.data.is_default) {
+            hint.textContent = 'You haven\'t set your hours yet, so students see the standard hours below (Mon–Sat, 9 AM–6 PM). Adjust and save them.';
+        }
+        renderAvailabilityEditor();
+        renderBlackoutList();
+    } catch (error) {
+        document.getElementById('availabilityEditor').innerHTML = `
+            <div class="empty-state">
+                <p>⚠️ Could not load your availability. ${isOfflineError(error) ? 'You appear to be offline.' : escapeHtml(error.message)}</p>
+                <button class="update-btn" onclick="loadAvailabilitySettings()">🔄 Retry</button>
+            </div>`;
+    }
+}
+
+function renderAvailabilityEditor() {
+    const container = document.getElementById('availabilityEditor');
+    if (!container || !availabilityDraft) return;
+
+    // Monday first; day numbers follow Date.getDay() (0 = Sunday)
+    container.innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => {
+        const windows = availabilityDraft.windows
+            .map((w, index) => ({ ...w, index }))
+            .filter(w => w.day === day);
+        return `
+            <div class="availability-day">
+                <span class="availability-day-name">${DAY_NAMES[day]}</span>
+                <div class="availability-windows">
+                    ${windows.length ? windows.map(w => `
+                        <div class="availability-window">
+                            <input type="time" class="setting-input" value="${w.start}" step="1800"
+                                onchange="updateAvailabilityWindow(${w.index}, 'start', this.value)">
+                            <span>–</span>
+                            <input type="time" class="setting-input" value="${w.end}" step="1800"
+                                onchange="updateAvailabilityWindow(${w.index}, 'end', this.value)">
+                            <button type="button" class="btn-availability-remove" title="Remove"
+                                onclick="removeAvailabilityWindow(${w.index})">✕</button>
+                        </div>
+                    `).join('') : '<span class="availability-off">Unavailable</span>'}
+                </div>
+                <button type="button" class="btn-availability-add" onclick="addAvailabilityWindow(${day})">+ Add hours</button>
+            </div>
+        `;
+    }).join('');
+}
+
+function addAvailabilityWindow(day) {
+    if (!availabilityDraft) return;
+    // Start after the day's last window, or at 9 AM
+    const last = availabilityDraft.windows
+        .filter(w => w.day === day)
+        .reduce((latest, w) => Math.max(latest, timeToMinutes(w.end)), 0);
+    const start = last ? Math.min(last + 60, 22 * 60) : 9 * 60;
+    availabilityDraft.windows.push({
+        day,
+        start: minutesToTime(start),
+        end: minutesToTime(Math.min(start + 3 * 60, 23 * 60 + 30))
+    });
+    renderAvailabilityEditor();
+}
+
+function updateAvailabilityWindow(index, field, value) {
+    if (!availabilityDraft?.windows[index] || !value) return;
+    availabilityDraft.windows[index][field] = value;
+}
+
+function removeAvailabilityWindow(index) {
+    if (!availabilityDraft) return;
+    availabilityDraft.windows.splice(index, 1);
+    renderAvailabilityEditor();
+}
+
+function addBlackoutDate() {
+    if (!availabilityDraft) return;
+    const dateInput = document.getElementById('blackoutDate');
+    const reasonInput = document.getElementById('blackoutReason');
+    const date = dateInput.value;
+
+    if (!date) {
+        showToast('❌ Pick a date to block out.', 'error');
+        return;
+    }
+    if (availabilityDraft.blackouts.some(b => b.date === date)) {
+        showToast('ℹ️ That date is already blocked out.', 'info');
+        return;
+    }
+
+    availabilityDraft.blackouts.push({ date, reason: reasonInput.value.trim() });
+    availabilityDraft.blackouts.sort((a, b) => a.date.localeCompare(b.date));
+    dateInput.value = '';
+    reasonInput.value = '';
+    renderBlackoutList();
+}
+
+function removeBlackoutDate(index) {
+    if (!availabilityDraft) return;
+    availabilityDraft.blackouts.splice(index, 1);
+    renderBlackoutList();
+}
+
+function renderBlackoutList() {
+    const container = document.getElementById('blackoutList');
+    if (!container || !availabilityDraft) return;
+
+    if (!availabilityDraft.blackouts.length) {
+        container.innerHTML = '<p class="availability-off">No blackout dates.</p>';
+        return;
+    }
+
+    container.innerHTML = availabilityDraft.blackouts.map((b, index) => `
+        <div class="blackout-item">
+            <span>📅 ${formatDate(b.date)}${b.reason ? ` — ${escapeHtml(b.reason)}` : ''}</span>
+            <button type="button" class="btn-availability-remove" title="Remove"
+                onclick="removeBlackoutDate(${index})">✕</button>
+        </div>
+    `).join('');
+}
+
+async function saveAvailability() {
+    if (!availabilityDraft) return;
+
+    const invalid = availabilityDraft.windows.find(w => w.start >= w.end);
+    if (invalid) {
+        showToast(`❌ On ${DAY_NAMES[invalid.day]}, the end time must be after the start time.`, 'error');
+        return;
+    }
+
+    try {
+        const response = await updateAvailability(availabilityDraft);
+        availabilityDraft = {
+            windows: response.data.windows.map(w => ({ ...w })),
+            blackouts: response.data.blackouts.map(b => ({ ...b }))
+        };
+        const hint = document.getElementById('availabilityHint');
+        if (hint) hint.textContent = 'Students can only request sessions inside these hours.';
+        renderAvailabilityEditor();
+        renderBlackoutList();
+        showToast('✅ Availability saved!', 'success');
+    } catch (error) {
+        showToast(`❌ ${isOfflineError(error) ? 'You are offline. Try again when you reconnect.' : error.message}`, 'error');
+    }
+}
+
+// ── Cancellation policy ─────────────────────────────────────────────
+// Tutors choose how much notice students must give to cancel a confirmed
+// session and what happens when they give less; every session keeps the
+// policy from when it was booked. The options match
+// LATE_CANCELLATION_OPTIONS and MAX_CANCELLATION_NOTICE_HOURS in api/db.php.
+const DEFAULT_CANCELLATION_POLICY = { notice_hours: 24, late_cancellation: 'keep' };
+const CANCELLATION_NOTICE_OPTIONS = [0, 2, 6, 12, 24, 48, 72, 168];
+const LATE_CANCELLATION_LABELS = {
+    keep: 'Allow it, but keep any prepayment',
+    refund: 'Allow it and refund in full',
+    block: 'Do not allow it; only I can cancel'
+};
+
+function formatNoticeHours(hours) {
+    if (hours % 24 === 0 && hours >= 48) return `${hours / 24} days`;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
 }
 
-function loadBookingsByTab(tab) {
-    const bookingsList = document.getElementById('bookings-list');
-    if (!bookingsList) return;
-    const user = getCurrentUser();
-    if (!user) return;
-
-    const filtered = getStudentBookings(user.email).filter(b => b.status === tab);
-    bookingsList.innerHTML = '';
-
-    if (filtered.length === 0) {
-        const labels = { pending: 'pending', confirmed: 'confirmed', completed: 'completed', cancelled: 'cancelled' };
-        bookingsList.innerHTML = `
-            <div class="empty-state">
-                <div style="font-size:2.5em; margin-bottom:10px;">📭</div>
-                <p style="color:var(--text-secondary-day);">No ${labels[tab] || tab} bookings found.</p>
-            </div>`;
-        return;
+// One or two sentences describing a policy to a student
+function describeCancellationPolicy(policy = DEFAULT_CANCELLATION_POLICY) {
+    const { notice_hours: hours, late_cancellation: late } = policy || DEFAULT_CANCELLATION_POLICY;
+    if (hours === 0) {
+        return late === 'block'
+            ? 'You can cancel a confirmed session any time before it starts.'
+            : 'You can cancel a confirmed session any time before it starts; cancelling after that counts as a late cancellation.';
     }
+    const free = `Cancel a confirmed session at least ${formatNoticeHours(hours)} before it starts`;
+    if (late === 'block') return `${free}. After that only the tutor can cancel it.`;
+    if (late === 'refund') return `${free} to avoid a late cancellation; a prepayment is refunded either way.`;
+    return `${free} to get any prepayment back. Later cancellations keep the payment and count as late.`;
+}
 
-    filtered.forEach(booking => {
-        const isConfirmed = booking.status === 'confirmed';
-        const isPending = booking.status === 'pending';
-        const isCompleted = booking.status === 'completed';
-        const isCancelled = booking.status === 'cancelled';
+// Whether the student cancelling this booking now would be a late cancellation (see isLateCancellation() in api/db.php)
+function isLateCancellation(booking) {
+    if (booking?.status !== 'confirmed') return false;
+    const policy = booking.cancellationPolicy || DEFAULT_CANCELLATION_POLICY;
+    return (bookingStart(booking) - Date.now()) / 3600000 < policy.notice_hours;
+}
 
-        const statusMap = {
-            pending: { label: '⏳ Awaiting Tutor', cls: 'status-pending' },
-            confirmed: { label: '✅ Confirmed', cls: 'status-confirmed' },
-            completed: { label: '📚 Completed', cls: 'status-completed' },
-            cancelled: { label: '❌ Cancelled', cls: 'status-cancelled' }
-        };
-        const s = statusMap[booking.status] || { label: booking.status, cls: '' };
+function renderLateCancelNote(booking) {
+    if (!booking.cancelledLate) return '';
+    const hours = (booking.cancellationPolicy || DEFAULT_CANCELLATION_POLICY).notice_hours;
+    return `<p class="late-cancel-note">⚠️ Cancelled with less than ${formatNoticeHours(hours)}' notice</p>`;
+}
 
-        // Tutor feedback display for completed bookings
-        const tfb = booking.tutorFeedback;
-        const tfbHtml = isCompleted
-            ? (tfb
-                ? '<div style="margin-top:12px; padding:14px; background:rgba(91,124,250,0.07); border-left:4px solid var(--primary-color); border-radius:8px;">'
-                + '<p style="font-weight:700; color:var(--primary-color); margin-bottom:8px;">📝 Tutor Feedback:</p>'
-                + (tfb.strengths ? '<p style="margin-bottom:4px;"><strong>💪 Strengths:</strong> ' + tfb.strengths + '</p>' : '')
-                + (tfb.improvements ? '<p style="margin-bottom:4px;"><strong>📈 Improve:</strong> ' + tfb.improvements + '</p>' : '')
-                + '<p style="margin-bottom:4px;"><strong>📋 Notes:</strong> ' + tfb.notes + '</p>'
-                + '<p><strong>🎯 Performance:</strong> ' + '⭐'.repeat(tfb.rating) + '</p>'
-                + '</div>'
-                : '<p style="font-size:0.85em; color:var(--text-secondary-day); margin-top:8px; padding:4px 2px;">⏳ Awaiting tutor feedback...</p>')
-            : '';
-        const reviewBtn = booking.rating
-            ? '<span style="color:var(--warning-color); font-weight:600;">⭐ ' + booking.rating + '/5 — Rating submitted</span>'
-            : '<button class="btn-primary" onclick="leaveReview(' + booking.id + ', \'' + booking.tutorName + '\')">\u2b50 Leave Review</button>';
-        const actions = isPending ? `
-            <div class="booking-actions">
-                <button class="btn-danger" onclick="cancelStudentBooking(${booking.id})">❌ Cancel Request</button>
-            </div>` :
-            isConfirmed ? `
-            <div class="booking-actions">
-                <button class="btn-danger" onclick="cancelStudentBooking(${booking.id})">❌ Cancel Session</button>
-            </div>` :
-                isCompleted ? '<div class="booking-actions">' + reviewBtn + '</div>' + tfbHtml : '';
+// No-shows and late cancellations among some bookings
+function countMissedSessions(bookings) {
+    return {
+        noShows: bookings.filter(b => b.status === 'no_show').length,
+        lateCancels: bookings.filter(b => b.status === 'cancelled' && b.cancelledLate).length
+    };
+}
 
-        const div = document.createElement('div');
-        div.className = 'booking-card';
-        div.innerHTML = `
-            <div class="booking-card-header">
-                <div class="booking-info">
-                    <h4>📚 ${booking.subject}${booking.topic ? ' — ' + booking.topic : ''}</h4>
-                    <p><strong>👨‍🏫 Tutor:</strong> ${booking.tutorName}</p>
-                    <p><strong>📅 Date:</strong> ${booking.date} at ${booking.time}</p>
-                    <p><strong>⏱️ Duration:</strong> ${booking.duration}&nbsp;|&nbsp;<strong>💰 Rate:</strong> ${booking.rate}/hr${booking.level ? `&nbsp;|&nbsp;<strong>🎯 Level:</strong> ${booking.level}` : ''}</p>
-                    ${booking.message ? `<p style="margin-top:8px;"><strong>📝 Note:</strong> ${booking.message}</p>` : ''}
-                </div>
-                <span class="status-badge ${s.cls}">${s.label}</span>
-            </div>
-            ${actions}
-        `;
-        bookingsList.appendChild(div);
-    });
+function describeMissedSessions({ noShows, lateCancels }) {
+    return `${noShows} no-show${noShows === 1 ? '' : 's'} · ${lateCancels} late cancel${lateCancels === 1 ? '' : 's'}`;
 }
 
-function cancelStudentBooking(id) {
-    if (!confirm('Cancel this booking?')) return;
-    const all = getGlobalBookings();
-    const idx = all.findIndex(b => b.id === id);
-    if (idx !== -1) all[idx].status = 'cancelled';
-    saveGlobalBookings(all);
-    loadDashboardData();
-    loadBookingsByTab('pending');
-    showToast('✅ Booking cancelled.', 'info');
+// "Missed" stat card on either dashboard
+function renderMissedSessions(bookings) {
+    const total = document.getElementById('missedSessions');
+    if (!total) return;
+    const missed = countMissedSessions(bookings);
+    total.textContent = missed.noShows + missed.lateCancels;
+    document.getElementById('missedSessionsNote').textContent = describeMissedSessions(missed);
 }
 
-function leaveReview(id, tutorName) {
-    const stars = prompt(`Rate your session with ${tutorName} (1–5):`);
-    if (!stars || isNaN(stars) || stars < 1 || stars > 5) return;
-    const feedback = prompt('Share your experience (optional):') || '';
-    const all = getGlobalBookings();
-    const idx = all.findIndex(b => b.id === id);
-    if (idx !== -1) { all[idx].rating = parseInt(stars); all[idx].feedback = feedback; }
-    saveGlobalBookings(all);
-    loadDashboardData();
-    showToast('⭐ Thank you for your review!', 'success');
-    loadBookingsByTab('completed');
+// Warning on a tutor's request card when the student has missed sessions with them before
+function renderAttendanceNote(studentName, bookings) {
+    const missed = countMissedSessions(bookings);
+    if (!missed.noShows && !missed.lateCancels) return '';
+    return `<p class="attendance-note">⚠️ ${escapeHtml(studentName)} has missed sessions with you before: ${describeMissedSessions(missed)}</p>`;
 }
 
-function loadSettings() {
-    const userData = getCurrentUser();
-    if (!userData) return;
+function loadCancellationPolicySettings() {
+    const notice = document.getElementById('settingCancellationNotice');
+    const late = document.getElementById('settingLateCancellation');
+    if (!notice || !late) return;
+    const user = getCurrentUser();
+    const hours = user?.cancellation_notice_hours ?? DEFAULT_CANCELLATION_POLICY.notice_hours;
+    // Keep a value set elsewhere selectable even if it is not one of the presets
+    const options = [...new Set([...CANCELLATION_NOTICE_OPTIONS, hours])].sort((a, b) => a - b);
+    notice.innerHTML = options.map(h =>
+        `<option value="${h}">${h === 0 ? 'No notice needed' : `${formatNoticeHours(h)} before`}</option>`).join('');
+    notice.value = String(hours);
+    late.innerHTML = Object.entries(LATE_CANCELLATION_LABELS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    late.value = user?.late_cancellation || DEFAULT_CANCELLATION_POLICY.late_cancellation;
+    updateCancellationPolicyPreview();
+}
 
-    // Student settings fields
-    const nameField = document.getElementById('settingsName');
-    const emailField = document.getElementById('settingsEmail');
-    const phoneField = document.getElementById('settingsPhone');
+function readCancellationPolicyInput() {
+    return {
+        notice_hours: Number(document.getElementById('settingCancellationNotice').value),
+        late_cancellation: document.getElementById('settingLateCancellation').value
+    };
+}
 
-    // Tutor settings fields
-    const tutorNameField = document.getElementById('settingName');
-    const specialtiesField = document.getElementById('settingSpecialties');
-    const bioField = document.getElementById('settingBio');
-    const rateField = document.getElementById('settingRate');
+function updateCancellationPolicyPreview() {
+    const preview = document.getElementById('cancellationPolicyPreview');
+    if (preview) preview.textContent = `Students will see: “${describeCancellationPolicy(readCancellationPolicyInput())}”`;
+}
 
-    if (nameField) nameField.value = userData.name || '';
-    if (emailField) emailField.value = userData.email || '';
-    if (phoneField) phoneField.value = userData.phone || '';
-    if (tutorNameField) tutorNameField.value = userData.name || '';
-    if (specialtiesField) specialtiesField.value = userData.subjects || '';
-    if (bioField) bioField.value = userData.bio || '';
-    if (rateField) rateField.value = userData.hourly_rate || '';
+async function saveCancellationPolicy() {
+    const policy = readCancellationPolicyInput();
+    try {
+        const response = await updateProfile({
+            cancellation_notice_hours: policy.notice_hours,
+            late_cancellation: policy.late_cancellation
+        });
+        setCurrentUser(response.data.user);
+        showToast('✅ Cancellation policy saved! It applies to sessions booked from now on.', 'success');
+    } catch (error) {
+        showToast(`❌ ${isOfflineError(error) ? 'You are offline. Try again when you reconnect.' : error.message}`, 'error');
+    }
 }
 
-function saveProfileSettings() {
-    // Support both student (settingsName) and tutor (settingName) field IDs
-    const nameInput = document.getElementById('settingsName') || document.getElementById('settingName');
-    const phoneInput = document.getElementById('settingsPhone');
-    const bioInput = document.getElementById('settingBio');
-    const rateInput = document.getElementById('settingRate');
-    const specialtiesInput = document.getElementById('settingSpecialties');
+// ===== STUDENT PROGRESS FUNCTIONS =====
 
-    const name = nameInput ? nameInput.value : '';
+// Progress history from get_progress.php; bookings come from the booking cache
+let studentProgressHistory = [];
 
-    if (!name.trim()) {
-        alert('❌ Name cannot be empty!');
-        return;
+async function loadStudentProgress() {
+    const userData = await requireRole('student');
+    if (!userData) return;
+
+    ['subjectProgress', 'progressTimelineChart', 'sessionsPerMonthChart', 'ratingTrendChart', 'hoursBySubjectChart'].forEach(showLoading);
+
+    try {
+        const response = await getProgress();
+        studentProgressHistory = response.data.history;
+    } catch (error) {
+        if (!isOfflineError(error)) showToast(`❌ ${error.message}`, 'error');
     }
 
-    const userData = getCurrentUser();
-    userData.name = name;
-    if (phoneInput) userData.phone = phoneInput.value;
-    if (bioInput) userData.bio = bioInput.value;
-    if (rateInput) userData.hourly_rate = rateInput.value;
-    if (specialtiesInput) userData.subjects = specialtiesInput.value;
-    setCurrentUser(userData);
+    // Renders the page once the booking cache is fresh (see refreshBookingViews)
+    await syncBookings();
+}
 
-    alert('✅ Profile settings saved successfully!');
-    const userNameEl = document.getElementById('userName');
-    const userAvatarEl = document.getElementById('userAvatar');
-    if (userNameEl) userNameEl.textContent = name;
-    if (userAvatarEl) userAvatarEl.textContent = name[0].toUpperCase();
+/**
+ * Convert a duration string such as "1.5 hours", "1 hour 30 min" or "45 minutes" to hours
+ * @param {string} duration - Duration as entered at booking time
+ * @returns {number} Hours (0 if unparseable)
+ */
+function parseDurationHours(duration) {
+    if (!duration) return 0;
+    let hours = 0;
+    const pattern = /(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|m|mins?|minutes?)?\b/gi;
+    let match;
+    while ((match = pattern.exec(String(duration))) !== null) {
+        const value = parseFloat(match[1]);
+        const unit = (match[2] || 'h').toLowerCase();
+        hours += unit.startsWith('m') ? value / 60 : value;
+    }
+    return hours;
 }
 
-function changePassword() {
-    const current = document.getElementById('currentPassword').value;
-    const newPass = document.getElementById('newPassword').value;
-    const confirm = document.getElementById('confirmPassword').value;
+// 'YYYY-MM-DD' dates are calendar days; parse them as local midnight, not UTC
+function parseLocalDate(date) {
+    return new Date(`${date}T00:00:00`);
+}
 
-    if (!current || !newPass || !confirm) {
-        alert('❌ All fields are required!');
-        return;
-    }
+// Month key ('2026-03') and label ('Mar 2026') for grouping by month
+function monthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+function monthLabel(key) {
+    const [year, month] = key.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+}
 
-    if (newPass.length < 6) {
-        alert('❌ New password must be at least 6 characters!');
-        return;
-    }
+function renderStudentProgress() {
+    const user = getCurrentUser();
+    if (!user) return;
 
-    if (newPass !== confirm) {
-        alert('❌ Passwords do not match!');
-        return;
+    const bookings = getStudentBookings(user.email);
+    const completed = bookings
+        .filter(b => b.status === 'completed')
+        .sort((a, b) => a.date.localeCompare(b.date));
+    const active = bookings.filter(b => !['cancelled', 'rejected', 'no_show'].includes(b.status));
+
+    // Subjects keep the same colour in every chart
+    const subjects = [...new Set(studentProgressHistory.map(u => u.subject).concat(completed.map(b => b.subject)))];
+    const colorOf = subject => CHART_COLORS[subjects.indexOf(subject) % CHART_COLORS.length];
+
+    const hoursBySubject = {};
+    completed.forEach(b => {
+        hoursBySubject[b.subject] = (hoursBySubject[b.subject] || 0) + parseDurationHours(b.duration);
+    });
+    const totalHours = Object.values(hoursBySubject).reduce((sum, h) => sum + h, 0);
+
+    const setEl = (id, val) => { const el = document.getElementById(id); if (el) el.textContent = val; };
+    setEl('totalSessions', active.length);
+    setEl('completedSessions', completed.length);
+    setEl('learningHours', Math.round(totalHours * 10) / 10);
+    setEl('subjectsCount', subjects.length);
+
+    renderSubjectProgress(subjects, colorOf);
+
+    // Progress timeline: one line per subject, completed sessions as ticks
+    renderLineChart('progressTimelineChart', subjects.map(subject => ({
+        label: subject,
+        color: colorOf(subject),
+        points: studentProgressHistory
+            .filter(u => u.subject === subject)
+            .map(u => ({ x: new Date(u.created_at.replace(' ', 'T')), y: u.progress }))
+    })), {
+        title: 'Progress over time by subject',
+        yMin: 0, yMax: 100, yTicks: [0, 25, 50, 75, 100],
+        formatY: v => `${v}%`,
+        markers: completed.map(b => ({ x: parseLocalDate(b.date), color: colorOf(b.subject), label: `${b.subject} session with ${b.tutorName}` })),
+        emptyText: 'No progress recorded yet. Your tutors\' updates will appear here after your sessions.'
+    });
+
+    // Sessions per month, from the first completed session up to this month
+    const months = [];
+    if (completed.length) {
+        const cursor = parseLocalDate(completed[0].date);
+        cursor.setDate(1);
+        const now = new Date();
+        while (cursor <= now) {
+            months.push(monthKey(cursor));
+            cursor.setMonth(cursor.getMonth() + 1);
+        }
     }
+    const perMonth = months.slice(-12).map(key => ({
+        label: monthLabel(key),
+        value: completed.filter(b => monthKey(parseLocalDate(b.date)) === key).length
+    }));
+    renderBarChart('sessionsPerMonthChart', perMonth, {
+        title: 'Completed sessions per month',
+        emptyText: 'No completed sessions yet.'
+    });
 
-    alert('✅ Password changed successfully!');
-    document.getElementById('currentPassword').value = '';
-    document.getElementById('newPassword').value = '';
-    document.getElementById('confirmPassword').value = '';
-}
+    // Average tutor rating per month
+    const ratingsByMonth = {};
+    completed.filter(b => b.tutorFeedback && b.tutorFeedback.rating).forEach(b => {
+        const key = monthKey(parseLocalDate(b.date));
+        (ratingsByMonth[key] = ratingsByMonth[key] || []).push(b.tutorFeedback.rating);
+    });
+    renderLineChart('ratingTrendChart', [{
+        label: 'Average tutor rating',
+        color: CHART_COLORS[0],
+        points: Object.keys(ratingsByMonth).sort().map(key => {
+            const [year, month] = key.split('-').map(Number);
+            const ratings = ratingsByMonth[key];
+            return { x: new Date(year, month - 1, 1), y: ratings.reduce((sum, r) => sum + r, 0) / ratings.length };
+        })
+    }], {
+        title: 'Average tutor rating per month',
+        yMin: 1, yMax: 5, yTicks: [1, 2, 3, 4, 5],
+        formatY: v => `${Math.round(v * 10) / 10}★`,
+        xFormat: { month: 'short', year: '2-digit' },
+        emptyText: 'No ratings from your tutors yet.'
+    });
 
-function savePreferences() {
-    alert('✅ Preferences saved successfully!');
+    renderHoursBySubject(hoursBySubject, colorOf);
+    loadSessionHistory(bookings);
 }
 
-// ===== STUDENT PROGRESS FUNCTIONS =====
+// Latest progress per subject (several tutors for one subject are averaged)
+function renderSubjectProgress(subjects, colorOf) {
+    const container = document.getElementById('subjectProgress');
+    if (!container) return;
 
-function loadStudentProgress() {
-    const userData = JSON.parse(localStorage.getItem('user') || '{}');
-    if (!userData.email || userData.role !== 'student') {
-        window.location.href = '../login.html';
+    const rows = subjects.map(subject => {
+        const latestByTutor = {};
+        studentProgressHistory.filter(u => u.subject === subject).forEach(u => { latestByTutor[u.tutor_id] = u.progress; });
+        const values = Object.values(latestByTutor);
+        return { subject, progress: values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null };
+    }).filter(row => row.progress !== null);
+
+    if (!rows.length) {
+        container.innerHTML = '<div class="empty-state"><p>Your tutors haven\'t recorded any progress yet.</p></div>';
         return;
     }
 
-    loadSessionHistory();
+    container.innerHTML = rows.map(row => `
+        <div style="margin-bottom: 20px;">
+            <div style="display: flex; justify-content: space-between; margin-bottom: 5px;">
+                <strong>${escapeHtml(row.subject)}</strong>
+                <span>${row.progress}%</span>
+            </div>
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: ${row.progress}%; background: ${colorOf(row.subject)};">${row.progress}%</div>
+            </div>
+        </div>`).join('');
 }
 
-function loadSessionHistory() {
-    const sessions = [
-        {
-            id: 1,
-            tutor: 'Dr. Sarah Johnson',
-            subject: 'Mathematics',
-            topic: 'Advanced Calculus',
-            date: '2026-02-15',
-            duration: '2 hours',
-            status: 'completed',
-            rating: 5,
-            feedback: 'Excellent session! Very clear explanation.'
-        },
-        {
-            id: 2,
-            tutor: 'Prof. Michael Chen',
-            subject: 'Physics',
-            topic: 'Quantum Mechanics',
-            date: '2026-02-18',
-            duration: '1.5 hours',
-            status: 'completed',
-            rating: 4,
-            feedback: 'Good session, need more practice problems.'
-        },
-        {
-            id: 3,
-            tutor: 'Ms. Emily Davis',
-            subject: 'Chemistry',
-            topic: 'Organic Reactions',
-            date: '2026-02-22',
-            duration: '2 hours',
-            status: 'upcoming',
-            rating: null,
-            feedback: null
-        },
-        {
-            id: 4,
-            tutor: 'Mr. David Wilson',
-            subject: 'Computer Science',
-            topic: 'Data Structures',
-            date: '2026-02-12',
-            duration: '3 hours',
-            status: 'completed',
-            rating: 5,
-            feedback: 'Amazing tutor! Very knowledgeable and patient.'
-        }
-    ];
+function renderHoursBySubject(hoursBySubject, colorOf) {
+    const container = document.getElementById('hoursBySubjectChart');
+    if (!container) return;
+
+    const rows = Object.entries(hoursBySubject).sort((a, b) => b[1] - a[1]);
+    if (!rows.length) {
+        container.innerHTML = '<div class="empty-state"><p>No completed sessions yet.</p></div>';
+        return;
+    }
 
+    const max = rows[0][1] || 1;
+    container.innerHTML = rows.map(([subject, hours]) => `
+        <div class="chart-hbar">
+            <span class="chart-hbar-label">${escapeHtml(subject)}</span>
+            <div class="chart-hbar-track">
+                <div class="chart-hbar-fill" style="width: ${(hours / max) * 100}%; background: ${colorOf(subject)};"></div>
+            </div>
+            <span class="chart-hbar-value">${Math.round(hours * 10) / 10} h</span>
+        </div>`).join('');
+}
+
+function loadSessionHistory(bookings) {
     const sessionList = document.getElementById('sessionList');
     if (!sessionList) return;
 
+    const now = new Date();
+    const today = `${monthKey(now)}-${String(now.getDate()).padStart(2, '0')}`;
+    const sessions = bookings.slice().sort((a, b) => b.date.localeCompare(a.date));
+
+    if (!sessions.length) {
+        sessionList.innerHTML = `
+            <div class="empty-state">
+                <p>No sessions yet. <a href="dashboard.html" class="secondary-link">Find a tutor</a> to book your first one.</p>
+            </div>`;
+        return;
+    }
+
     sessionList.innerHTML = '';
 
     sessions.forEach(session => {
@@ -1113,31 +3654,33 @@ function loadSessionHistory() {
 
         let statusClass = 'status-completed';
         let statusText = 'Completed';
-        if (session.status === 'upcoming') {
-            statusClass = 'status-upcoming';
-            statusText = 'Upcoming';
-        } else if (session.status === 'cancelled') {
+        if (['cancelled', 'rejected', 'no_show'].includes(session.status)) {
             statusClass = 'status-cancelled';
-            statusText = 'Cancelled';
+            statusText = { rejected: 'Declined', no_show: 'No-show' }[session.status] || (session.cancelledLate ? 'Cancelled late' : 'Cancelled');
+        } else if (session.status !== 'completed') {
+            statusClass = 'status-upcoming';
+            statusText = session.status === 'pending' ? 'Awaiting Tutor' : (session.date >= today ? 'Upcoming' : 'Confirmed');
         }
 
         sessionDiv.innerHTML = `
             <div class="session-header">
-                <div class="session-title">${session.subject} - ${session.topic}</div>
+                <div class="session-title">${escapeHtml(session.subject)}${session.topic ? ` - ${escapeHtml(session.topic)}` : ''}</div>
                 <span class="session-status ${statusClass}">${statusText}</span>
             </div>
             <div class="session-details">
-                <p><strong>Tutor:</strong> ${session.tutor}</p>
-                <p><strong>Date:</strong> ${new Date(session.date).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</p>
-                <p><strong>Duration:</strong> ${session.duration}</p>
+                <p><strong>Tutor:</strong> ${escapeHtml(session.tutorName)}</p>
+                <p><strong>Date:</strong> ${bookingStart(session).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: getViewerTimezone() })} at ${formatTime(bookingStart(session))}</p>
+                <p><strong>Duration:</strong> ${escapeHtml(session.duration)}</p>
             </div>
             ${session.status === 'completed' ? `
                 <div class="feedback-section">
-                    ${session.feedback ? `
+                    ${session.tutorFeedback ? `<p><strong>Tutor's Rating:</strong> ${'⭐'.repeat(session.tutorFeedback.rating)}</p>` : ''}
+                    ${session.rating ? `
                         <p><strong>Your Rating:</strong> ${'⭐'.repeat(session.rating)}</p>
-                        <p><strong>Feedback:</strong> ${session.feedback}</p>
+                        ${formatReviewCriteria(session.reviewCriteria) ? `<p class="review-criteria-summary">${formatReviewCriteria(session.reviewCriteria)}</p>` : ''}
+                        ${session.feedback ? `<div class="md-content md-labelled"><strong>Feedback:</strong> ${renderMarkdown(session.feedback)}</div>` : ''}
                     ` : `
-                        <button class="add-feedback-btn" onclick="addFeedback(${session.id}, '${session.tutor}')">
+                        <button class="add-feedback-btn" onclick="leaveReview(${session.id})">
                             ⭐ Add Feedback
                         </button>
                     `}
@@ -1149,26 +3692,131 @@ function loadSessionHistory() {
     });
 }
 
-function addFeedback(sessionId, tutorName) {
-    const rating = prompt(`Rate your session with ${tutorName} (1-5 stars):`);
-    if (rating && rating >= 1 && rating <= 5) {
-        const feedback = prompt('Share your experience:');
-        if (feedback) {
-            alert('Thank you for your feedback! It helps us improve.');
-            loadSessionHistory();
-        }
+// ── SVG charts ─────────────────────────────────────────────────────────
+// Small dependency-free charts for the progress page.
+const CHART_COLORS = ['#5B7CFA', '#20C997', '#845EF7', '#F59E0B', '#EF4444', '#0EA5E9'];
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 240;
+const CHART_PAD = { top: 15, right: 20, bottom: 30, left: 45 };
+
+/**
+ * Render a time-series line chart as inline SVG
+ * @param {string} elementId - Container element ID
+ * @param {Array} series - [{ label, color, points: [{ x: Date, y: number }] }]
+ * @param {Object} options - title, yMin, yMax, yTicks, formatY, emptyText,
+ *   optional xFormat (toLocaleDateString options) and markers [{ x: Date, color, label }]
+ */
+function renderLineChart(elementId, series, options) {
+    const el = document.getElementById(elementId);
+    if (!el) return;
+
+    const drawn = series.filter(s => s.points.length);
+    if (!drawn.length) {
+        el.innerHTML = `<div class="empty-state"><p>${escapeHtml(options.emptyText)}</p></div>`;
+        return;
+    }
+
+    const markers = options.markers || [];
+    const times = drawn.flatMap(s => s.points.map(p => p.x.getTime())).concat(markers.map(m => m.x.getTime()));
+    let xMin = Math.min(...times);
+    let xMax = Math.max(...times);
+    if (xMin === xMax) {
+        // A single day: widen the axis so the point sits in the middle
+        xMin -= 86400000;
+        xMax += 86400000;
     }
+
+    const plotWidth = CHART_WIDTH - CHART_PAD.left - CHART_PAD.right;
+    const plotHeight = CHART_HEIGHT - CHART_PAD.top - CHART_PAD.bottom;
+    const xScale = t => CHART_PAD.left + ((t - xMin) / (xMax - xMin)) * plotWidth;
+    const yScale = v => CHART_PAD.top + plotHeight - ((v - options.yMin) / (options.yMax - options.yMin)) * plotHeight;
+    const xFormat = options.xFormat || { month: 'short', day: 'numeric' };
+
+    const grid = options.yTicks.map(v => `
+        <line class="chart-grid-line" x1="${CHART_PAD.left}" x2="${CHART_WIDTH - CHART_PAD.right}" y1="${yScale(v)}" y2="${yScale(v)}"></line>
+        <text class="chart-axis-label" x="${CHART_PAD.left - 8}" y="${yScale(v) + 4}" text-anchor="end">${options.formatY(v)}</text>`).join('');
+
+    const xLabels = [xMin, (xMin + xMax) / 2, xMax].map((t, i) => `
+        <text class="chart-axis-label" x="${xScale(t)}" y="${CHART_HEIGHT - 8}" text-anchor="${['start', 'middle', 'end'][i]}">${new Date(t).toLocaleDateString('en-US', xFormat)}</text>`).join('');
+
+    const ticks = markers.map(m => `
+        <line x1="${xScale(m.x.getTime())}" x2="${xScale(m.x.getTime())}" y1="${yScale(options.yMin)}" y2="${yScale(options.yMin) - 8}" stroke="${m.color}" stroke-width="2">
+            <title>${escapeHtml(m.label)} · ${m.x.toLocaleDateString()}</title>
+        </line>`).join('');
+
+    const lines = drawn.map(s => {
+        const points = s.points.slice().sort((a, b) => a.x - b.x);
+        const path = points.map(p => `${xScale(p.x.getTime()).toFixed(1)},${yScale(p.y).toFixed(1)}`).join(' ');
+        const dots = points.map(p => `
+            <circle cx="${xScale(p.x.getTime()).toFixed(1)}" cy="${yScale(p.y).toFixed(1)}" r="4" fill="${s.color}">
+                <title>${escapeHtml(s.label)}: ${options.formatY(p.y)} · ${p.x.toLocaleDateString()}</title>
+            </circle>`).join('');
+        return `<polyline fill="none" stroke="${s.color}" stroke-width="2.5" stroke-linejoin="round" points="${path}"></polyline>${dots}`;
+    }).join('');
+
+    const legend = drawn.map(s => `
+        <span class="chart-legend-item"><span class="chart-swatch" style="background: ${s.color};"></span>${escapeHtml(s.label)}</span>`).join('');
+
+    el.innerHTML = `
+        <svg class="chart-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeHtml(options.title)}">
+            ${grid}${xLabels}${ticks}${lines}
+        </svg>
+        <div class="chart-legend">${legend}</div>`;
 }
 
-// ===== TUTOR DASHBOARD FUNCTIONS =====
+/**
+ * Render a vertical bar chart as inline SVG
+ * @param {string} elementId - Container element ID
+ * @param {Array} bars - [{ label, value }]
+ * @param {Object} options - title, emptyText
+ */
+function renderBarChart(elementId, bars, options) {
+    const el = document.getElementById(elementId);
+    if (!el) return;
 
-function loadTutorDashboard() {
-    const userData = JSON.parse(localStorage.getItem('user') || '{}');
-    if (!userData.email || userData.role !== 'tutor') {
-        window.location.href = '../login.html';
+    if (!bars.length || bars.every(b => b.value === 0)) {
+        el.innerHTML = `<div class="empty-state"><p>${escapeHtml(options.emptyText)}</p></div>`;
         return;
     }
 
+    const max = Math.max(...bars.map(b => b.value));
+    const plotWidth = CHART_WIDTH - CHART_PAD.left - CHART_PAD.right;
+    const plotHeight = CHART_HEIGHT - CHART_PAD.top - CHART_PAD.bottom;
+    const slot = plotWidth / bars.length;
+    const barWidth = Math.min(48, slot * 0.6);
+    const yScale = v => CHART_PAD.top + plotHeight - (v / max) * plotHeight;
+
+    // Whole-number gridlines: 0, max and up to two steps between
+    const step = Math.max(1, Math.ceil(max / 3));
+    const yTicks = [];
+    for (let v = 0; v < max; v += step) yTicks.push(v);
+    yTicks.push(max);
+
+    const grid = yTicks.map(v => `
+        <line class="chart-grid-line" x1="${CHART_PAD.left}" x2="${CHART_WIDTH - CHART_PAD.right}" y1="${yScale(v)}" y2="${yScale(v)}"></line>
+        <text class="chart-axis-label" x="${CHART_PAD.left - 8}" y="${yScale(v) + 4}" text-anchor="end">${v}</text>`).join('');
+
+    const rects = bars.map((b, i) => {
+        const x = CHART_PAD.left + slot * i + (slot - barWidth) / 2;
+        return `
+        <rect x="${x.toFixed(1)}" y="${yScale(b.value).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(yScale(0) - yScale(b.value)).toFixed(1)}" rx="4" fill="${CHART_COLORS[0]}">
+            <title>${escapeHtml(b.label)}: ${b.value}</title>
+        </rect>
+        <text class="chart-axis-label" x="${(x + barWidth / 2).toFixed(1)}" y="${CHART_HEIGHT - 8}" text-anchor="middle">${escapeHtml(b.label)}</text>`;
+    }).join('');
+
+    el.innerHTML = `
+        <svg class="chart-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeHtml(options.title)}">
+            ${grid}${rects}
+        </svg>`;
+}
+
+// ===== TUTOR DASHBOARD FUNCTIONS =====
+
+async function loadTutorDashboard() {
+    const userData = await requireRole('tutor');
+    if (!userData) return;
+
     document.getElementById('userName').textContent = userData.name || userData.email || 'Tutor';
     document.getElementById('userAvatar').textContent = (userData.name || userData.email || 'T')[0].toUpperCase();
     const roleEl = document.getElementById('userRole');
@@ -1178,87 +3826,74 @@ function loadTutorDashboard() {
 
     loadStudents();
     loadAvailableStudents();
+    loadTutorEarnings();
+    syncBookings();
+    initNotifications();
 }
 
-function loadStudents() {
-    const students = [
-        {
-            name: 'John Doe',
-            subject: 'Advanced Calculus',
-            progress: 85,
-            sessions: 12,
-            lastSession: '2026-02-15'
-        },
-        {
-            name: 'Emily Smith',
-            subject: 'Algebra',
-            progress: 72,
-            sessions: 8,
-            lastSession: '2026-02-18'
-        },
-        {
-            name: 'Michael Brown',
-            subject: 'Trigonometry',
-            progress: 90,
-            sessions: 15,
-            lastSession: '2026-02-19'
-        },
-        {
-            name: 'Sarah Wilson',
-            subject: 'Statistics',
-            progress: 68,
-            sessions: 6,
-            lastSession: '2026-02-17'
-        },
-        {
-            name: 'David Lee',
-            subject: 'Geometry',
-            progress: 78,
-            sessions: 10,
-            lastSession: '2026-02-20'
-        },
-        {
-            name: 'Lisa Anderson',
-            subject: 'Calculus II',
-            progress: 95,
-            sessions: 18,
-            lastSession: '2026-02-20'
-        }
-    ];
+// Students on the "My Students" list, indexed by the card buttons
+let tutorStudents = [];
 
+async function loadStudents() {
     const studentList = document.getElementById('studentList');
     if (!studentList) return;
 
+    showLoading('studentList');
+
+    try {
+        const response = await getProgress();
+        tutorStudents = response.data.students;
+    } catch (error) {
+        studentList.innerHTML = `
+            <div class="empty-state">
+                <p>⚠️ Could not load your students. ${isOfflineError(error) ? 'You appear to be offline.' : escapeHtml(error.message)}</p>
+                <button class="update-btn" onclick="loadStudents()">🔄 Retry</button>
+            </div>`;
+        return;
+    }
+
+    if (tutorStudents.length === 0) {
+        studentList.innerHTML = `
+            <div class="empty-state">
+                <p>No students yet. Students appear here once you have a confirmed session with them.</p>
+            </div>`;
+        return;
+    }
+
     studentList.innerHTML = '';
 
-    students.forEach(student => {
+    tutorStudents.forEach((student, index) => {
+        const progress = student.progress ?? 0;
+        const lastUpdate = student.last_update
+            ? `Last: ${new Date(student.last_update.replace(' ', 'T')).toLocaleDateString()}`
+            : 'No progress recorded yet';
         const card = document.createElement('div');
         card.className = 'student-card';
         card.innerHTML = `
             <div class="student-header">
-                <div class="student-avatar">${student.name[0]}</div>
+                <div class="student-avatar">${escapeHtml(student.student_name[0])}</div>
                 <div class="student-info">
-                    <h3>${student.name}</h3>
-                    <p style="color: var(--text-secondary-day); font-size: 0.9em;">${student.subject}</p>
+                    <h3>${escapeHtml(student.student_name)}</h3>
+                    <p style="color: var(--text-secondary-day); font-size: 0.9em;">${escapeHtml(student.subject)}</p>
                 </div>
             </div>
             <div class="progress-indicator">
                 <div style="display: flex; justify-content: space-between; margin-bottom: 5px;">
                     <span style="font-size: 0.9em;">Progress</span>
-                    <span style="font-weight: 600; color: var(--primary-color);">${student.progress}%</span>
+                    <span style="font-weight: 600; color: var(--primary-color);">${progress}%</span>
                 </div>
                 <div class="progress-bar">
-                    <div class="progress-fill" style="width: ${student.progress}%"></div>
+                    <div class="progress-fill" style="width: ${progress}%"></div>
                 </div>
             </div>
             <p style="font-size: 0.85em; color: var(--text-secondary-day); margin-top: 10px;">
-                📅 ${student.sessions} sessions | Last: ${new Date(student.lastSession).toLocaleDateString()}
+                📅 ${student.sessions} session${student.sessions === 1 ? '' : 's'} | ${lastUpdate}
             </p>
             <div style="display:flex; gap:8px; margin-top:10px;">
-                <button class="update-btn" style="flex:1;" onclick="updateProgress('${student.name}')">
+                <button class="update-btn" style="flex:1;" onclick="openProgressModal(${index})">
                     📝 Update Progress
                 </button>
-                <button class="connect-btn" style="flex:1;" onclick="openTutorBookingModal('${student.name}', '${student.subject}')">
+                <button class="connect-btn" style="flex:1;" onclick="openTutorBookingModal(tutorStudents[${index}].student_name, tutorStudents[${index}].subject, tutorStudents[${index}].student_id)">
                     📅 Book Session
                 </button>
             </div>
@@ -1267,37 +3902,52 @@ function loadStudents() {
     });
 }
 
-function loadAvailableStudents() {
+// Students on the "Students Looking for a Tutor" panel, indexed by the card buttons
+let availableStudents = [];
+
+async function loadAvailableStudents() {
     const container = document.getElementById('availableStudentsList');
     if (!container) return;
 
-    const students = [
-        { name: 'Ava Thompson', subject: 'Mathematics', level: 'Grade 11', goal: 'Improve Calculus for college entrance', avatar: 'A', joined: '2 days ago' },
-        { name: 'Liam Patel', subject: 'Physics', level: 'Grade 12', goal: 'Ace AP Physics exam', avatar: 'L', joined: '1 day ago' },
-        { name: 'Sofia Nguyen', subject: 'Chemistry', level: 'Grade 10', goal: 'Understand organic chemistry basics', avatar: 'S', joined: '3 hours ago' },
-        { name: 'Noah Garcia', subject: 'Computer Science', level: 'Grade 9', goal: 'Learn Python from scratch', avatar: 'N', joined: '5 hours ago' },
-        { name: 'Emma Wilson', subject: 'English', level: 'Grade 12', goal: 'Essay writing for college apps', avatar: 'E', joined: 'Just now' },
-        { name: 'Oliver Kim', subject: 'Biology', level: 'Grade 11', goal: 'Genetics and cell biology help', avatar: 'O', joined: '1 hour ago' }
-    ];
+    showLoading('availableStudentsList');
+
+    try {
+        const response = await getAvailableStudents();
+        availableStudents = response.data.students;
+    } catch (error) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <p>⚠️ Could not load students. ${isOfflineError(error) ? 'You appear to be offline.' : escapeHtml(error.message)}</p>
+                <button class="update-btn" onclick="loadAvailableStudents()">🔄 Retry</button>
+            </div>`;
+        return;
+    }
+
+    if (availableStudents.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <p>No new students right now. Check back later.</p>
+            </div>`;
+        return;
+    }
 
     container.innerHTML = '';
-    students.forEach(s => {
+    availableStudents.forEach((s, index) => {
         const card = document.createElement('div');
         card.className = 'available-student-card';
         card.innerHTML = `
             <div class="as-header">
-                <div class="as-avatar">${s.avatar}</div>
+                <div class="as-avatar">${escapeHtml((s.name || '?')[0].toUpperCase())}</div>
                 <div class="as-info">
-                    <h4>${s.name}</h4>
-                    <span class="as-level">${s.level}</span>
+                    <h4>${escapeHtml(s.name)}</h4>
+                    ${s.level ? `<span class="as-level">${escapeHtml(s.level)}</span>` : ''}
                 </div>
-                <span class="as-time">${s.joined}</span>
+                <span class="as-time">Joined ${timeAgo(s.joined_at)}</span>
             </div>
             <div class="as-body">
-                <span class="as-subject">${s.subject}</span>
-                <p class="as-goal">🎯 ${s.goal}</p>
+                ${s.subject ? `<span class="as-subject">${escapeHtml(s.subject)}</span>` : '<p class="as-goal">No sessions booked yet</p>'}
             </div>
-            <button class="connect-btn" onclick="connectStudent('${s.name}', '${s.subject}')">
+            <button class="connect-btn" onclick="connectStudent(${index})">
                 📅 Book Session
             </button>
         `;
@@ -1305,17 +3955,19 @@ function loadAvailableStudents() {
     });
 }
 
-function connectStudent(name, subject) {
-    openTutorBookingModal(name, subject);
+function connectStudent(index) {
+    const s = availableStudents[index];
+    if (s) openTutorBookingModal(s.name, s.subject, s.id);
 }
 
-function openTutorBookingModal(studentName, prefillSubject) {
+function openTutorBookingModal(studentName, prefillSubject, studentId) {
     const modal = document.getElementById('tutorBookingModal');
     if (!modal) return;
 
     document.getElementById('tModalStudentName').value = studentName;
     document.getElementById('tModalTopic').value = '';
     document.getElementById('tModalNotes').value = '';
+    updateMarkdownPreview(document.getElementById('tModalNotes'));
 
     // Pre-select subject if provided
     const subjectSel = document.getElementById('tModalSubject');
@@ -1333,12 +3985,14 @@ function openTutorBookingModal(studentName, prefillSubject) {
     // Default date = tomorrow, time = 10:00
     const tomorrow = new Date();
     tomorrow.setDate(tomorrow.getDate() + 1);
-    document.getElementById('tModalDate').value = tomorrow.toISOString().split('T')[0];
-    document.getElementById('tModalDate').min = new Date().toISOString().split('T')[0];
+    document.getElementById('tModalDate').value = localDateString(tomorrow);
+    document.getElementById('tModalDate').min = localDateString();
     document.getElementById('tModalTime').value = '10:00';
     document.getElementById('tModalDuration').value = '2 hours';
+    resetRepeatOptions('tModal');
 
     document.getElementById('tutorBookingForm').dataset.studentName = studentName;
+    document.getElementById('tutorBookingForm').dataset.studentId = studentId || '';
     modal.style.display = 'flex';
 }
 
@@ -1347,49 +4001,184 @@ function closeTutorBookingModal() {
     if (modal) modal.style.display = 'none';
 }
 
-function submitTutorBooking(event) {
+async function submitTutorBooking(event) {
     event.preventDefault();
     const form = document.getElementById('tutorBookingForm');
     const studentName = form.dataset.studentName;
+    const studentId = parseInt(form.dataset.studentId) || null;
     const user = getCurrentUser();
+    if (!user) return;
     const subject = document.getElementById('tModalSubject').value;
     const topic = document.getElementById('tModalTopic').value;
     const date = document.getElementById('tModalDate').value;
-    const time = formatTime12(document.getElementById('tModalTime').value);
+    const rawTime = document.getElementById('tModalTime').value;
+    const time = formatTime12(rawTime);
     const duration = document.getElementById('tModalDuration').value;
     const notes = document.getElementById('tModalNotes').value;
 
+    const recurrence = getRecurrenceInput('tModal');
+    const dates = expandRecurrence(date, recurrence);
+    const recurrenceError = validateRecurrenceDates(dates, recurrence);
+    if (recurrenceError) {
+        showToast(`❌ ${recurrenceError}`, 'error');
+        return;
+    }
+
+    // Tutors may schedule outside their own hours, so suggestions use the whole day
+    const involves = b => b.tutorId === user.id || (studentId !== null && b.studentId === studentId);
+    const busy = getCachedBusyTimes(involves);
+    for (const sessionDate of dates) {
+        const slot = { date: sessionDate, time: rawTime, minutes: Math.round(parseDurationHours(duration) * 60) };
+        const clash = findBookingConflict(slot, involves);
+        if (clash) {
+            const suggestion = findNextFreeSlot(DAYTIME_AVAILABILITY, slot, busy);
+            showToast(`❌ ${seriesDatePrefix(dates, sessionDate)}${describeBookingConflict(clash.tutorId === user.id ? 'self' : studentName, suggestion)}`, 'error');
+            if (sessionDate === date) applyTutorBookingSuggestion(suggestion);
+            return;
+        }
+    }
+
+    const payload = {
+        student_id: studentId,
+        subject, topic, date,
+        time: rawTime,
+        duration,
+        message: notes,
+        recurrence,
+        client_ref: `local-${Date.now()}`
+    };
+
     const booking = {
-        id: Date.now(),
+        studentId: studentId,
         studentName: studentName,
-        studentEmail: '',          // tutor-initiated; student email not known here
-        tutorName: user ? (user.name || user.email) : 'Tutor',
+        studentEmail: '',          // tutor-initiated; filled in by the server
+        tutorId: user.id,
+        tutorName: user.name || user.email,
+        tutorTimezone: getViewerTimezone(),
         subject, topic, date, time, duration,
         message: notes,
-        rate: '$40',
+        rate: user.hourly_rate ? `$${user.hourly_rate}` : '$40',
         status: 'confirmed',    // tutor-initiated = auto-confirmed
         bookedBy: 'tutor',
         rating: 0,
         createdAt: new Date().toISOString()
     };
 
-    const all = getGlobalBookings();
-    all.push(booking);
-    saveGlobalBookings(all);
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+        const result = await submitBooking(payload, booking);
+        closeTutorBookingModal();
+        refreshBookingViews();
+        const what = dates.length > 1 ? `${dates.length} sessions` : 'session';
+        if (result === 'queued') {
+            showToast(`📴 You're offline. The ${what} with ${studentName} will be saved when you reconnect.`, 'warning');
+        } else if (dates.length > 1) {
+            showToast(`✅ ${dates.length} sessions scheduled with ${studentName}, starting ${date} at ${time}!`, 'success');
+        } else {
+            showToast(`✅ Session scheduled with ${studentName} on ${date} at ${time}!`, 'success');
+        }
+    } catch (error) {
+        showToast(`❌ ${error.message}`, 'error');
+        if (error.status === 409 && (!error.data?.conflict_date || error.data.conflict_date === date)) {
+            applyTutorBookingSuggestion(error.data?.suggestion);
+        }
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
+
+// Move the tutor booking modal to a suggested free slot
+function applyTutorBookingSuggestion(suggestion) {
+    if (!suggestion) return;
+    document.getElementById('tModalDate').value = suggestion.date;
+    document.getElementById('tModalTime').value = suggestion.time;
+}
+
+// ── Tutor earnings ──────────────────────────────────────────────────
+// Each completed session is entered in the tutor's earnings ledger on the
+// server at the rate it was booked at (get_earnings.php), so changing the
+// hourly rate in Settings never changes what past sessions earned.
+function formatMoney(amount) {
+    return `$${Number(amount || 0).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+}
+
+function formatEarningsNote(totals) {
+    const hours = Math.round((totals.minutes / 60) * 10) / 10;
+    return `${totals.sessions} session${totals.sessions === 1 ? '' : 's'} · ${hours} h`;
+}
+
+async function loadTutorEarnings() {
+    if (!document.getElementById('weekEarnings')) return;
+    const from = document.getElementById('earningsFrom');
+    const to = document.getElementById('earningsTo');
+    const rangeTotal = document.getElementById('earningsRangeTotal');
+    const setEl = (id, val) => { const el = document.getElementById(id); if (el) el.textContent = val; };
+
+    // Blank dates let the server pick this month in the tutor's time zone
+    const params = {};
+    if (from?.value && to?.value) {
+        params.from = from.value;
+        params.to = to.value;
+    }
+    ['earningsFrom', 'earningsTo'].forEach(clearFieldError);
 
-    closeTutorBookingModal();
-    loadTutorBookingsSection();
-    showToast(`✅ Session scheduled with ${studentName} on ${date} at ${time}!`, 'success');
+    try {
+        const { summary, total, from: rangeFrom, to: rangeTo } = (await getEarnings(params)).data;
+        setEl('weekEarnings', formatMoney(summary.week.amount));
+        setEl('weekEarningsNote', formatEarningsNote(summary.week));
+        setEl('monthEarnings', formatMoney(summary.month.amount));
+        setEl('monthEarningsNote', formatEarningsNote(summary.month));
+        setEl('totalSessions', summary.all_time.sessions);
+        if (from) from.value = rangeFrom;
+        if (to) to.value = rangeTo;
+        setEl('earningsRangeTotal', `${formatEarningsNote(total)} · ${formatMoney(total.amount)} earned`);
+    } catch (error) {
+        if (error.field && document.getElementById(error.field)) {
+            showFieldError(error.field, error.message);
+        } else if (rangeTotal) {
+            rangeTotal.textContent = `⚠️ ${isOfflineError(error) ? 'You are offline. Earnings will load when you reconnect.' : error.message}`;
+        }
+    }
 }
 
-function updateProgress(studentName) {
-    const progress = prompt(`Update progress for ${studentName} (0-100):`);
-    if (progress !== null && progress >= 0 && progress <= 100) {
-        const notes = prompt('Add session notes:');
-        if (notes) {
-            alert(`Progress updated for ${studentName}! Student will be notified.`);
-            loadStudents();
+async function downloadEarningsStatement() {
+    const from = document.getElementById('earningsFrom').value;
+    const to = document.getElementById('earningsTo').value;
+    ['earningsFrom', 'earningsTo'].forEach(clearFieldError);
+    if (!from) {
+        showFieldError('earningsFrom', 'Choose the first day of the statement');
+        return;
+    }
+    if (!to) {
+        showFieldError('earningsTo', 'Choose the last day of the statement');
+        return;
+    }
+    if (to < from) {
+        showFieldError('earningsTo', 'The end date must be on or after the start date');
+        return;
+    }
+
+    const btn = document.getElementById('earningsDownloadBtn');
+    if (btn) btn.disabled = true;
+    try {
+        const blob = await fetchEarningsCsv({ from, to });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `tutify-earnings-${from}-to-${to}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        if (error.field && document.getElementById(error.field)) {
+            showFieldError(error.field, error.message);
+        } else {
+            showToast(`❌ ${isOfflineError(error) ? 'You are offline. Try again when you reconnect.' : error.message}`, 'error');
         }
+    } finally {
+        if (btn) btn.disabled = false;
     }
 }
 
@@ -1413,6 +4202,7 @@ function loadTutorBookingsSection() {
 function showTutorBookingTab(tab, btnEl) {
     document.querySelectorAll('#bookings-section .tab-btn').forEach(b => b.classList.remove('active'));
     if (btnEl) btnEl.classList.add('active');
+    activeBookingTab = tab;
     if (tab === 'doubts') {
         loadTutorDoubts();
     } else {
@@ -1425,10 +4215,11 @@ function loadTutorBookingsByTab(tab) {
     if (!list) return;
     const user = getCurrentUser();
     if (!user) return;
+    activeBookingTab = tab;
 
     const tutorName = user.name || user.email;
     const all = getTutorBookings(tutorName);
-    const items = all.filter(b => b.status === tab);
+    const items = all.filter(b => bookingTab(b) === tab);
 
     list.innerHTML = '';
 
@@ -1455,7 +4246,9 @@ function loadTutorBookingsByTab(tab) {
             pending: '<span class="booking-status status-pending">⏳ Awaiting Response</span>',
             confirmed: '<span class="booking-status status-confirmed">✅ Confirmed</span>',
             completed: '<span class="booking-status status-completed">📚 Completed</span>',
-            cancelled: '<span class="booking-status status-rejected">❌ Cancelled</span>'
+            cancelled: '<span class="booking-status status-rejected">❌ Cancelled</span>',
+            rejected: '<span class="booking-status status-rejected">🚫 Rejected</span>',
+            no_show: '<span class="booking-status status-rejected">🚫 No-show</span>'
         };
         const badge = statusMap[booking.status] || '';
 
@@ -1463,209 +4256,1096 @@ function loadTutorBookingsByTab(tab) {
         if (tab === 'pending') {
             actions = `
                 <div class="booking-actions">
-                    <button class="accept-btn" onclick="acceptBooking(${booking.id}, '${booking.studentName}')">
+                    <button class="accept-btn" onclick="acceptBooking(${booking.id})">
                         ✅ Accept
                     </button>
-                    <button class="reject-btn" onclick="rejectBooking(${booking.id}, '${booking.studentName}')">
+                    <button class="reject-btn" onclick="rejectBooking(${booking.id})">
                         ❌ Reject
                     </button>
+                    <button class="reschedule-btn" onclick="openRescheduleModal(${booking.id}, 'propose')">
+                        🕒 Propose New Time
+                    </button>
                 </div>`;
         } else if (tab === 'confirmed') {
+            // Only once the session has started can the student have missed it
+            const noShowBtn = bookingStart(booking) <= new Date() ? `
+                    <button class="reject-btn" onclick="markNoShow(${booking.id})">
+                        🚫 Mark No-Show
+                    </button>` : '';
             actions = `
                 <div class="booking-actions">
-                    <button class="complete-btn" onclick="completeBooking(${booking.id}, '${booking.studentName}')">
+                    <button class="complete-btn" onclick="completeBooking(${booking.id})">
                         ✔️ Mark Complete
+                    </button>${noShowBtn}
+                    <button class="reschedule-btn" onclick="openRescheduleModal(${booking.id}, 'propose')">
+                        🕒 Propose New Time
+                    </button>
+                    <button class="reschedule-btn" onclick="downloadBookingIcs(${booking.id})">
+                        📅 Add to Calendar
+                    </button>
+                    <button class="reject-btn" onclick="cancelTutorBooking(${booking.id})">
+                        ❌ Cancel
+                    </button>
+                </div>`;
+        } else if (tab === 'completed' && !booking.tutorFeedback && document.getElementById('tutorFeedbackModal')) {
+            actions = `
+                <div class="booking-actions">
+                    <button class="accept-btn" onclick="openTutorFeedbackModal(${booking.id})">
+                        📝 Give Feedback
                     </button>
                 </div>`;
         }
 
-        const displayDate = (() => {
-            try { return new Date(booking.date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }); }
-            catch { return booking.date; }
-        })();
+        const when = describeBookingTime(booking);
+        const displayDate = when.start.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: getViewerTimezone() });
+
+        div.innerHTML = `
+            <div class="booking-header">
+                <div class="student-details">
+                    <div class="student-avatar">${booking.studentName ? escapeHtml(booking.studentName[0]) : '?'}</div>
+                    <div>
+                        <div class="booking-title">${escapeHtml(booking.studentName)} ${renderSeriesBadge(booking)}</div>
+                        <p style="color:var(--text-secondary-day); margin:5px 0;">
+                            ${escapeHtml(booking.subject)}${booking.topic ? ' — ' + escapeHtml(booking.topic) : ''}
+                        </p>
+                    </div>
+                </div>
+                ${badge}
+            </div>
+            <div class="booking-details">
+                <div class="detail-item"><span>📅</span><span>${displayDate}</span></div>
+                <div class="detail-item"><span>🕒</span><span>${when.time}</span></div>
+                <div class="detail-item"><span>⏱️</span><span>${escapeHtml(booking.duration)}</span></div>
+                <div class="detail-item"><span>💰</span><span>${escapeHtml(booking.rate)}/hr</span></div>
+            </div>
+            ${when.other ? `<p class="booking-other-time">🌍 ${when.other}</p>` : ''}
+            ${tab === 'pending' ? renderAttendanceNote(booking.studentName, all.filter(b => b.studentId === booking.studentId)) : ''}
+            ${renderLateCancelNote(booking)}
+            ${renderPaymentLine(booking, 'tutor')}
+            ${booking.message ? `<div class="md-content md-labelled" style="padding:12px; background:rgba(91,124,250,0.05); border-radius:8px; margin-top:10px;">
+                <strong>📝 Student Note:</strong> ${renderMarkdown(booking.message)}</div>` : ''}
+            ${renderAttachments(booking.attachments)}
+            ${booking.rating ? `<div class="md-content md-labelled" style="padding:12px; background:rgba(16,185,129,0.1); border-radius:8px; margin-top:10px;">
+                <p><strong>Rating:</strong> ${'\u2b50'.repeat(booking.rating)}</p>
+                ${booking.feedback ? `<strong>Feedback:</strong> ${renderMarkdown(booking.feedback)}` : ''}</div>` : ''}
+            ${booking.rejectionReason ? `<p style="padding:12px; background:rgba(239,68,68,0.1); border-radius:8px; margin-top:10px;">
+                <strong>Rejection Reason:</strong> ${escapeHtml(booking.rejectionReason)}</p>` : ''}
+            ${booking.syncState ? '' : actions}
+            ${renderProposals(booking)}
+            ${renderSyncNotice(booking)}
+        `;
+        list.appendChild(div);
+        loadAttachmentThumbnails(div);
+    });
+}
+
+// Names never go into inline handlers; they are looked up from the cached booking instead
+function bookingStudentName(id) {
+    return getGlobalBookings().find(b => b.id === id)?.studentName || 'the student';
+}
+
+async function acceptBooking(id) {
+    const studentName = bookingStudentName(id);
+    const scope = await chooseSeriesScope(id, `Accept booking request from ${studentName}?`);
+    if (!scope) return;
+    const booking = await changeBookingStatus(id, 'confirmed', '', scope);
+    loadTutorBookingsByTab('pending');
+    if (!booking) return;
+    showToast(scope === 'series'
+        ? `✅ Series accepted! ${studentName} will see the sessions as Confirmed.`
+        : `✅ Booking accepted! ${studentName} will see it as Confirmed.`, 'success');
+}
+
+async function rejectBooking(id) {
+    const studentName = bookingStudentName(id);
+    const reason = prompt(`Reason for rejecting ${studentName}'s request (required):`);
+    if (!reason || !reason.trim()) return;
+    const scope = await chooseSeriesScope(id, `Reject ${studentName}'s request?`, false);
+    if (!scope) return;
+    const booking = await changeBookingStatus(id, 'rejected', reason.trim(), scope);
+    loadTutorBookingsByTab('pending');
+    if (booking) showToast(`🗭 Booking rejected. ${studentName} has been notified.${describeRefunds(booking.refunds, `${studentName}'s`)}`, 'info');
+}
+
+async function cancelTutorBooking(id) {
+    const studentName = bookingStudentName(id);
+    const scope = await chooseSeriesScope(id, `Cancel the session with ${studentName}?`);
+    if (!scope) return;
+    const booking = await changeBookingStatus(id, 'cancelled', '', scope);
+    loadTutorBookingsByTab('confirmed');
+    if (!booking) return;
+    showToast((scope === 'series'
+        ? `✅ All upcoming sessions with ${studentName} in this series were cancelled.`
+        : `✅ Session with ${studentName} cancelled.`) + describeRefunds(booking.refunds, `${studentName}'s`), 'info');
+}
+
+async function completeBooking(id) {
+    const studentName = bookingStudentName(id);
+    if (!confirm(`Mark session with ${studentName} as complete? You will be able to leave feedback for the student.`)) return;
+    // Mark completed first, then open feedback modal
+    const booking = await changeBookingStatus(id, 'completed');
+    loadTutorBookingsByTab('confirmed');
+    if (!booking) return;
+    loadTutorEarnings();
+    showToast(`📚 Session with ${studentName} marked as completed!`, 'success');
+    // Open feedback modal
+    openTutorFeedbackModal(id, studentName);
+}
+
+async function markNoShow(id) {
+    const studentName = bookingStudentName(id);
+    if (!confirm(`Mark ${studentName} as a no-show for this session? They will be notified, and any prepayment is kept.`)) return;
+    const booking = await changeBookingStatus(id, 'no_show');
+    loadTutorBookingsByTab('confirmed');
+    if (!booking) return;
+    const user = getCurrentUser();
+    renderMissedSessions(getTutorBookings(user.name || user.email));
+    showToast(`🚫 ${studentName} was marked as a no-show.`, 'info');
+}
+
+// ── TUTOR FEEDBACK (after session complete) ────────────────────────────
+function openTutorFeedbackModal(bookingId, studentName = bookingStudentName(bookingId)) {
+    const modal = document.getElementById('tutorFeedbackModal');
+    if (!modal) return;
+    const nameEl = document.getElementById('tfStudentName');
+    if (nameEl) nameEl.textContent = studentName;
+    document.getElementById('tfFeedbackForm').dataset.bookingId = bookingId;
+    document.getElementById('tfRating').value = '5';
+    ['tfStrengths', 'tfImprovements', 'tfNotes'].forEach(id => {
+        const input = document.getElementById(id);
+        input.value = '';
+        updateMarkdownPreview(input);
+    });
+    modal.style.display = 'flex';
+}
+
+function closeTutorFeedbackModal() {
+    const modal = document.getElementById('tutorFeedbackModal');
+    if (modal) modal.style.display = 'none';
+}
+
+function skipTutorFeedback() {
+    closeTutorFeedbackModal();
+    showToast('ℹ️ Feedback skipped. You can still add it later from Completed tab.', 'info');
+}
+
+async function submitTutorFeedback(event) {
+    event.preventDefault();
+    const form = document.getElementById('tfFeedbackForm');
+    const id = parseInt(form.dataset.bookingId);
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+        const response = await addTutorFeedback({
+            session_id: id,
+            rating: parseInt(document.getElementById('tfRating').value),
+            strengths: document.getElementById('tfStrengths').value.trim(),
+            improvements: document.getElementById('tfImprovements').value.trim(),
+            notes: document.getElementById('tfNotes').value.trim()
+        });
+        const booking = normalizeBooking(response.data.session);
+        upsertCachedBooking(booking);
+        closeTutorFeedbackModal();
+        refreshBookingViews();
+        showToast(`📤 Feedback sent to ${booking.studentName}!`, 'success');
+    } catch (error) {
+        showToast(`❌ ${isOfflineError(error) ? 'You are offline. Try again when you reconnect.' : error.message}`, 'error');
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
+
+// ── REVIEW AND PROGRESS MODALS ─────────────────────────────────────────
+// Students review a completed session, and tutors record a student's
+// progress, in modals that are built the first time they are opened, so
+// every page with the buttons gets them without repeating the markup.
+// Star ratings are radio groups (renderStarPicker), which also work from
+// the keyboard. The limits match REVIEW_CRITERIA and REVIEW_COMMENT_MIN /
+// REVIEW_COMMENT_MAX in api/db.php.
+const REVIEW_CRITERIA = { clarity: 'Clarity', patience: 'Patience', punctuality: 'Punctuality' };
+const REVIEW_COMMENT_MIN = 10;
+const REVIEW_COMMENT_MAX = 1000;
+const STAR_LABELS = ['', 'Poor', 'Fair', 'Good', 'Very good', 'Excellent'];
+
+// Star row ID for a criterion, which is also the field add_feedback.php names in errors
+function reviewCriterionField(criterion) {
+    return `review${criterion[0].toUpperCase()}${criterion.slice(1)}`;
+}
+
+/**
+ * Build a modal with a form the first time it is needed
+ * @param {string} id - Modal element ID; the form gets `${id}Form`
+ * @param {Object} options - title, body (HTML), submitLabel, onSubmit (global
+ *   function name) and optionally cancelLabel
+ * @returns {HTMLElement} The modal overlay
+ */
+function ensureFormModal(id, { title, body, submitLabel, onSubmit, cancelLabel = 'Cancel' }) {
+    let modal = document.getElementById(id);
+    if (modal) return modal;
+    document.body.insertAdjacentHTML('beforeend', `
+        <div id="${id}" class="modal-overlay form-modal" style="display:none;"
+            onclick="if(event.target===this)closeFormModal('${id}')">
+            <div class="modal-box">
+                <div class="modal-header">
+                    <h3>${title}</h3>
+                    <button type="button" class="modal-close" onclick="closeFormModal('${id}')">✕</button>
+                </div>
+                <form id="${id}Form" onsubmit="${onSubmit}(event)" novalidate>
+                    <div class="modal-body">${body}</div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn-modal-cancel" onclick="closeFormModal('${id}')">${cancelLabel}</button>
+                        <button type="submit" class="btn-modal-confirm">${submitLabel}</button>
+                    </div>
+                </form>
+            </div>
+        </div>`);
+    return document.getElementById(id);
+}
+
+function closeFormModal(id) {
+    const modal = document.getElementById(id);
+    if (modal) modal.style.display = 'none';
+}
+
+/**
+ * Render a row of five selectable stars. The row itself carries fieldId, so
+ * showFieldError() puts its message underneath.
+ * @param {string} fieldId - ID of the star row; the radios are named after it
+ * @param {string} label - Visible label
+ * @returns {string} HTML
+ */
+function renderStarPicker(fieldId, label) {
+    const stars = [1, 2, 3, 4, 5].map(value => `
+        <input type="radio" id="${fieldId}-${value}" name="${fieldId}" value="${value}">
+        <label for="${fieldId}-${value}" title="${STAR_LABELS[value]}" aria-label="${value} star${value === 1 ? '' : 's'}, ${STAR_LABELS[value]}">★</label>`).join('');
+    return `
+        <div class="modal-field">
+            <label id="${fieldId}Label">${label}</label>
+            <div id="${fieldId}" class="star-picker" role="radiogroup" aria-labelledby="${fieldId}Label">
+                ${stars}
+                <span class="star-picker-text"></span>
+            </div>
+        </div>`;
+}
+
+// Select a number of stars, or clear the row with null
+function setStarPicker(fieldId, value) {
+    const picker = document.getElementById(fieldId);
+    if (!picker) return;
+    picker.querySelectorAll('input').forEach(input => {
+        input.checked = Number(input.value) === value;
+        input.nextElementSibling.classList.toggle('filled', value !== null && Number(input.value) <= value);
+    });
+    picker.querySelector('.star-picker-text').textContent = value ? STAR_LABELS[value] : '';
+}
+
+// "Clarity 4★ · Patience 5★" for the criteria a review rated, or ''
+function formatReviewCriteria(criteria) {
+    if (!criteria) return '';
+    return Object.entries(REVIEW_CRITERIA)
+        .filter(([key]) => criteria[key])
+        .map(([key, label]) => `${label} ${criteria[key]}★`)
+        .join(' · ');
+}
+
+function getStarPicker(fieldId) {
+    const checked = document.querySelector(`#${fieldId} input:checked`);
+    return checked ? Number(checked.value) : null;
+}
+
+document.addEventListener('change', event => {
+    const picker = event.target.closest?.('.star-picker');
+    if (!picker) return;
+    setStarPicker(picker.id, Number(event.target.value));
+    clearFieldError(picker.id);
+});
+
+// Reviews go to add_feedback.php, which allows one per completed session
+function leaveReview(id) {
+    const booking = getGlobalBookings().find(b => b.id === id);
+    if (!booking) return;
+
+    const criteria = Object.entries(REVIEW_CRITERIA).map(([key, label]) =>
+        renderStarPicker(reviewCriterionField(key), `${label} <small>(optional)</small>`)).join('');
+    const modal = ensureFormModal('reviewModal', {
+        title: '⭐ Review Your Session',
+        submitLabel: '⭐ Submit Review',
+        onSubmit: 'submitReview',
+        body: `
+            <p class="review-modal-intro" id="reviewSessionInfo"></p>
+            ${renderStarPicker('reviewRating', 'Overall rating *')}
+            <div class="review-criteria">${criteria}</div>
+            <div class="modal-field">
+                <label for="reviewComment">Comment <small>(optional)</small>
+                    <small class="char-count" id="reviewCommentCount"></small></label>
+                <textarea id="reviewComment" class="setting-input" rows="4" maxlength="${REVIEW_COMMENT_MAX}" data-markdown
+                    placeholder="What went well? What could be better?" oninput="updateReviewCommentCount()"
+                    style="padding:10px; resize:vertical;"></textarea>
+            </div>`
+    });
+
+    const form = document.getElementById('reviewModalForm');
+    form.dataset.bookingId = id;
+    document.getElementById('reviewSessionInfo').textContent =
+        `${booking.subject} with ${booking.tutorName || 'your tutor'} · ${formatMoment(bookingStart(booking))}`;
+    ['reviewRating', ...Object.keys(REVIEW_CRITERIA).map(reviewCriterionField)].forEach(fieldId => {
+        setStarPicker(fieldId, null);
+        clearFieldError(fieldId);
+    });
+    const comment = document.getElementById('reviewComment');
+    comment.value = '';
+    clearFieldError('reviewComment');
+    updateMarkdownPreview(comment);
+    updateReviewCommentCount();
+    modal.style.display = 'flex';
+    document.getElementById('reviewRating-5')?.focus();
+}
+
+function updateReviewCommentCount() {
+    const length = document.getElementById('reviewComment').value.trim().length;
+    const counter = document.getElementById('reviewCommentCount');
+    counter.textContent = `${length} / ${REVIEW_COMMENT_MAX}`;
+    counter.classList.toggle('char-count-warning', length > 0 && length < REVIEW_COMMENT_MIN);
+    if (length === 0 || length >= REVIEW_COMMENT_MIN) clearFieldError('reviewComment');
+}
+
+async function submitReview(event) {
+    event.preventDefault();
+    const form = document.getElementById('reviewModalForm');
+    const id = Number(form.dataset.bookingId);
+    const booking = getGlobalBookings().find(b => b.id === id);
+    const rating = getStarPicker('reviewRating');
+    const comment = document.getElementById('reviewComment').value.trim();
+
+    let valid = true;
+    if (!rating) {
+        showFieldError('reviewRating', 'Please choose an overall rating');
+        valid = false;
+    }
+    if (comment.length > 0 && comment.length < REVIEW_COMMENT_MIN) {
+        showFieldError('reviewComment', `Your comment must be at least ${REVIEW_COMMENT_MIN} characters, or leave it empty`);
+        valid = false;
+    } else if (comment.length > REVIEW_COMMENT_MAX) {
+        showFieldError('reviewComment', `Your comment must be at most ${REVIEW_COMMENT_MAX} characters`);
+        valid = false;
+    }
+    if (!valid) return;
+
+    const criteria = {};
+    Object.keys(REVIEW_CRITERIA).forEach(key => {
+        criteria[key] = getStarPicker(reviewCriterionField(key));
+    });
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+        const response = await addFeedback({ session_id: id, rating, criteria, comment });
+        upsertCachedBooking(normalizeBooking(response.data.session));
+        if (booking) delete tutorReviews[booking.tutorId];
+        closeFormModal('reviewModal');
+        showToast('⭐ Thank you for your review!', 'success');
+        refreshBookingViews();
+    } catch (error) {
+        if (error.field && document.getElementById(error.field)) {
+            showFieldError(error.field, error.message);
+        } else {
+            showToast(`❌ ${isOfflineError(error) ? 'You are offline. Try again when you reconnect.' : error.message}`, 'error');
+        }
+        // Already reviewed, perhaps from another device: show the review we have
+        if (error.status === 409) {
+            closeFormModal('reviewModal');
+            syncBookings();
+        }
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
+
+// Tutors record a student's progress in a subject (update_progress.php)
+function openProgressModal(index) {
+    const student = tutorStudents[index];
+    if (!student) return;
+
+    const modal = ensureFormModal('progressModal', {
+        title: '📝 Update Progress',
+        submitLabel: '💾 Save Progress',
+        onSubmit: 'submitProgressUpdate',
+        body: `
+            <p class="review-modal-intro" id="progressStudentInfo"></p>
+            <div class="modal-field">
+                <label for="progressValue">Progress (0–100%) *</label>
+                <div class="progress-input-row">
+                    <input type="range" id="progressRange" min="0" max="100" step="1"
+                        oninput="document.getElementById('progressValue').value = this.value; clearFieldError('progressValue')">
+                    <input type="number" id="progressValue" class="setting-input" min="0" max="100" step="1" required
+                        oninput="syncProgressRange()">
+                </div>
+            </div>
+            <div class="modal-field">
+                <label for="progressNotes">Session notes <small>(optional)</small></label>
+                <textarea id="progressNotes" class="setting-input" rows="3"
+                    placeholder="What did you cover? What should the student practise?"
+                    style="padding:10px; resize:vertical;"></textarea>
+            </div>`
+    });
+
+    document.getElementById('progressModalForm').dataset.index = index;
+    document.getElementById('progressStudentInfo').textContent = `${student.student_name} · ${student.subject}`;
+    const progress = student.progress ?? 0;
+    document.getElementById('progressRange').value = progress;
+    document.getElementById('progressValue').value = progress;
+    document.getElementById('progressNotes').value = '';
+    clearFieldError('progressValue');
+    modal.style.display = 'flex';
+    document.getElementById('progressValue').focus();
+}
+
+// Keep the slider in step with a typed value, when it is a valid one
+function syncProgressRange() {
+    const value = Number(document.getElementById('progressValue').value);
+    if (Number.isInteger(value) && value >= 0 && value <= 100) {
+        document.getElementById('progressRange').value = value;
+        clearFieldError('progressValue');
+    }
+}
+
+async function submitProgressUpdate(event) {
+    event.preventDefault();
+    const form = document.getElementById('progressModalForm');
+    const student = tutorStudents[Number(form.dataset.index)];
+    if (!student) return;
+
+    const input = document.getElementById('progressValue').value.trim();
+    const progress = Number(input);
+    if (input === '' || !Number.isInteger(progress) || progress < 0 || progress > 100) {
+        showFieldError('progressValue', 'Progress must be a whole number between 0 and 100');
+        return;
+    }
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+        await updateProgress({
+            student_id: student.student_id,
+            subject: student.subject,
+            progress,
+            notes: document.getElementById('progressNotes').value.trim()
+        });
+        closeFormModal('progressModal');
+        showToast(`✅ Progress updated for ${student.student_name}!`, 'success');
+        loadStudents();
+    } catch (error) {
+        if (error.field && document.getElementById(error.field)) {
+            showFieldError(error.field, error.message);
+        } else {
+            showToast(`❌ ${isOfflineError(error) ? 'You are offline. Progress was not saved.' : error.message}`, 'error');
+        }
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
+
+// ── PAYMENTS ───────────────────────────────────────────────────────────
+// Students may pay for an upcoming session in advance from the checkout
+// modal, which opens after a booking request and from "Pay now" on unpaid
+// bookings. Payments go through pay_session.php; when the bank wants the
+// cardholder to confirm, a second modal stands in for the bank's page
+// (confirm_payment.php). Declined or cancelled sessions are refunded by the
+// server under the session's cancellation policy.
+const PAYMENT_STATUS_LABELS = {
+    succeeded: { label: '💳 Paid', cls: 'payment-paid' },
+    requires_action: { label: '🔐 Waiting for your bank', cls: 'payment-pending' },
+    refunded: { label: '↩️ Refunded', cls: 'payment-refunded' }
+};
+
+// Whether a booking can still be paid for: upcoming, on the server, priced and not paid
+function isPayable(booking) {
+    return !booking.syncState && booking.price > 0
+        && ['pending', 'confirmed'].includes(booking.status)
+        && (!booking.payment || booking.payment.status === 'requires_action')
+        && bookingStart(booking) > new Date();
+}
+
+// Payment line for a booking card: status badge, and for students the buttons to pay or see the receipt
+function renderPaymentLine(booking, role = 'student') {
+    const payment = booking.payment;
+    if (!payment && !(role === 'student' && isPayable(booking))) return '';
+
+    const status = payment?.refund_pending
+        ? { label: '⏳ Refund pending', cls: 'payment-pending' }
+        : payment ? PAYMENT_STATUS_LABELS[payment.status] : null;
+    const badge = status
+        ? `<span class="payment-badge ${status.cls}">${role === 'tutor' && payment.status === 'requires_action' ? '🔐 Payment in progress' : status.label} ${formatMoney(payment.amount)}</span>`
+        : `<span class="payment-badge payment-unpaid">💳 Not paid yet · ${formatMoney(booking.price)}</span>`;
+    let buttons = '';
+    if (role === 'student' && payment?.status === 'requires_action' && isPayable(booking)) {
+        buttons = `<button class="btn-secondary" onclick="openPaymentChallenge(${booking.id}, ${payment.id})">🔐 Finish Payment</button>`;
+    } else if (role === 'student' && isPayable(booking)) {
+        buttons = `<button class="btn-primary" onclick="openCheckout(${booking.id})">💳 Pay Now</button>`;
+    } else if (role === 'student' && payment?.receipt_number) {
+        buttons = `<button class="btn-secondary" onclick="openReceipt(${booking.id})">🧾 Receipt</button>`;
+    }
+    return `<div class="booking-payment">${badge}${buttons}</div>`;
+}
+
+// Confirm-dialog sentences on what cancelling does now: whether it is late, and to a payment
+function describeRefundPolicy(booking) {
+    const late = isLateCancellation(booking);
+    const policy = booking?.cancellationPolicy || DEFAULT_CANCELLATION_POLICY;
+    const lateNote = late ? ` It starts in less than ${formatNoticeHours(policy.notice_hours)}, so this is a late cancellation.` : '';
+    if (booking?.payment?.status !== 'succeeded') return lateNote;
+    const amount = formatMoney(booking.payment.amount);
+    return late && policy.late_cancellation === 'keep'
+        ? `${lateNote} Your payment of ${amount} will not be refunded.`
+        : `${lateNote} Your payment of ${amount} will be refunded.`;
+}
+
+/**
+ * Sentence for a toast on the refunds a cancellation made
+ * @param {Array} refunds - update_session_status.php refunds ({ status, amount })
+ * @param {string} whose - Whose card, e.g. 'your' or "Sam's"
+ * @returns {string} Text with a leading space, or ''
+ */
+function describeRefunds(refunds = [], whose = 'your') {
+    const refunded = refunds.filter(r => r.status === 'refunded').reduce((sum, r) => sum + r.amount, 0);
+    const notes = [];
+    if (refunded > 0) notes.push(`${formatMoney(refunded)} was refunded to ${whose} card.`);
+    if (refunds.some(r => r.status === 'kept')) notes.push('The payment is kept for a late cancellation, as the cancellation policy says.');
+    if (refunds.some(r => r.status === 'failed')) notes.push('A refund could not be made right now. It will be retried automatically.');
+    return notes.length ? ` ${notes.join(' ')}` : '';
+}
+
+function openCheckout(id) {
+    const booking = getGlobalBookings().find(b => b.id === id);
+    if (!booking || !isPayable(booking)) return;
+
+    const modal = ensureFormModal('checkoutModal', {
+        title: '💳 Pay for Your Session',
+        submitLabel: '💳 Pay',
+        cancelLabel: 'Pay later',
+        onSubmit: 'submitCheckout',
+        body: `
+            <p class="review-modal-intro" id="checkoutSessionInfo"></p>
+            <p class="checkout-amount" id="checkoutAmount"></p>
+            <div class="modal-field">
+                <label for="cardNumber">Card number</label>
+                <input type="text" id="cardNumber" class="setting-input" inputmode="numeric" autocomplete="cc-number"
+                    maxlength="23" placeholder="1234 5678 9012 3456" oninput="clearFieldError('cardNumber')">
+            </div>
+            <div class="checkout-row">
+                <div class="modal-field">
+                    <label for="cardExpiry">Expiry</label>
+                    <input type="text" id="cardExpiry" class="setting-input" inputmode="numeric" autocomplete="cc-exp"
+                        maxlength="5" placeholder="MM/YY" oninput="clearFieldError('cardExpiry')">
+                </div>
+                <div class="modal-field">
+                    <label for="cardCvc">Security code</label>
+                    <input type="text" id="cardCvc" class="setting-input" inputmode="numeric" autocomplete="cc-csc"
+                        maxlength="4" placeholder="CVC" oninput="clearFieldError('cardCvc')">
+                </div>
+            </div>
+            <p class="checkout-hint">🧪 Test mode, no money is taken. Use 4242 4242 4242 4242 to pay,
+                4000 0000 0000 0002 for a declined card or 4000 0000 0000 3220 for a bank check,
+                with any future expiry and any CVC.</p>`
+    });
+
+    const form = document.getElementById('checkoutModalForm');
+    form.dataset.bookingId = id;
+    document.getElementById('checkoutSessionInfo').textContent =
+        `${booking.subject} with ${booking.tutorName || 'your tutor'} · ${formatMoment(bookingStart(booking))} · ${booking.duration}`;
+    document.getElementById('checkoutAmount').textContent = formatMoney(booking.price);
+    ['cardNumber', 'cardExpiry', 'cardCvc'].forEach(fieldId => {
+        document.getElementById(fieldId).value = '';
+        clearFieldError(fieldId);
+    });
+    modal.style.display = 'flex';
+    document.getElementById('cardNumber').focus();
+}
+
+/**
+ * Check card details before sending them, the way pay_session.php does
+ * @param {Object} card - { number, expiry, cvc } as typed
+ * @returns {Object|null} { field, message } for the first problem, or null
+ */
+function validateCardInput(card) {
+    const digits = card.number.replace(/[\s-]/g, '');
+    let sum = 0;
+    [...digits].reverse().forEach((d, i) => {
+        const n = Number(d) * (i % 2 ? 2 : 1);
+        sum += n > 9 ? n - 9 : n;
+    });
+    if (!/^\d{12,19}$/.test(digits) || sum % 10 !== 0) {
+        return { field: 'cardNumber', message: 'Please enter a valid card number' };
+    }
+
+    const expiry = card.expiry.match(/^(\d{2})\s*\/\s*(\d{2})$/);
+    if (!expiry || Number(expiry[1]) < 1 || Number(expiry[1]) > 12) {
+        return { field: 'cardExpiry', message: 'Enter the expiry date as MM/YY' };
+    }
+    // Cards are valid to the end of their expiry month
+    if (Date.UTC(2000 + Number(expiry[2]), Number(expiry[1]), 1) <= Date.now()) {
+        return { field: 'cardExpiry', message: 'This card has expired' };
+    }
+
+    if (!/^\d{3,4}$/.test(card.cvc)) {
+        return { field: 'cardCvc', message: 'Enter the 3 or 4 digit security code' };
+    }
+    return null;
+}
+
+// After a payment call: cache the session and tell the student how it went
+function applyPaymentResponse(response) {
+    const booking = normalizeBooking(response.data.session);
+    upsertCachedBooking(booking);
+    refreshBookingViews();
+    if (booking.payment?.status === 'succeeded') {
+        showToast(`💳 Payment of ${formatMoney(booking.payment.amount)} received. Receipt ${booking.payment.receipt_number} is in your bookings.`, 'success');
+    }
+    return booking;
+}
+
+function showPaymentError(error) {
+    if (error.field && document.getElementById(error.field)) {
+        showFieldError(error.field, error.message);
+    } else {
+        showToast(`❌ ${isOfflineError(error) ? 'You are offline. Try again when you reconnect.' : error.message}`, 'error');
+    }
+}
+
+async function submitCheckout(event) {
+    event.preventDefault();
+    const form = document.getElementById('checkoutModalForm');
+    const id = Number(form.dataset.bookingId);
+    const card = {
+        number: document.getElementById('cardNumber').value.trim(),
+        expiry: document.getElementById('cardExpiry').value.trim(),
+        cvc: document.getElementById('cardCvc').value.trim()
+    };
+    ['cardNumber', 'cardExpiry', 'cardCvc'].forEach(clearFieldError);
+    const problem = validateCardInput(card);
+    if (problem) {
+        showFieldError(problem.field, problem.message);
+        return;
+    }
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+        const booking = applyPaymentResponse(await paySession(id, card));
+        closeFormModal('checkoutModal');
+        if (booking.payment?.status === 'requires_action') {
+            openPaymentChallenge(id, booking.payment.id);
+        }
+    } catch (error) {
+        showPaymentError(error);
+        // Already paid, cancelled or started meanwhile: show what the server has
+        if (error.status === 409) {
+            closeFormModal('checkoutModal');
+            syncBookings();
+        }
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
+
+// Stand-in for the bank's own confirmation page (3-D Secure)
+function openPaymentChallenge(id, paymentId) {
+    const booking = getGlobalBookings().find(b => b.id === id);
+    if (!booking) return;
+
+    const modal = ensureFormModal('paymentChallengeModal', {
+        title: '🔐 Confirm With Your Bank',
+        submitLabel: '✅ Approve',
+        cancelLabel: 'Not now',
+        onSubmit: 'submitPaymentChallenge',
+        body: `
+            <p class="review-modal-intro">Your bank wants you to confirm this payment.</p>
+            <p class="checkout-amount" id="paymentChallengeAmount"></p>
+            <p class="checkout-hint">🧪 Test bank: approve to complete the payment, or fail the check to see a declined payment.
+                <button type="button" class="btn-secondary" onclick="submitPaymentChallenge(event, 'fail')">❌ Fail Check</button></p>`
+    });
+
+    const form = document.getElementById('paymentChallengeModalForm');
+    form.dataset.bookingId = id;
+    form.dataset.paymentId = paymentId;
+    document.getElementById('paymentChallengeAmount').textContent =
+        `${formatMoney(booking.payment?.amount ?? booking.price)} to Tutify for ${booking.subject} with ${booking.tutorName || 'your tutor'}`;
+    modal.style.display = 'flex';
+}
+
+async function submitPaymentChallenge(event, result = 'approve') {
+    event.preventDefault();
+    const form = document.getElementById('paymentChallengeModalForm');
+    const buttons = form.querySelectorAll('button');
+    buttons.forEach(btn => { btn.disabled = true; });
+    try {
+        applyPaymentResponse(await confirmPayment(Number(form.dataset.paymentId), result));
+        closeFormModal('paymentChallengeModal');
+    } catch (error) {
+        showPaymentError(error);
+        // Declined by the bank, or no longer waiting: the student can try again with Pay Now
+        if (error.status === 402 || error.status === 409) {
+            closeFormModal('paymentChallengeModal');
+            syncBookings();
+        }
+    } finally {
+        buttons.forEach(btn => { btn.disabled = false; });
+    }
+}
+
+function openReceipt(id) {
+    const booking = getGlobalBookings().find(b => b.id === id);
+    const payment = booking?.payment;
+    if (!payment?.receipt_number) return;
+
+    const modal = ensureFormModal('receiptModal', {
+        title: '🧾 Receipt',
+        submitLabel: '🖨️ Print',
+        cancelLabel: 'Close',
+        onSubmit: 'printReceipt',
+        body: '<dl class="receipt" id="receiptDetails"></dl>'
+    });
+
+    const rows = [
+        ['Receipt', payment.receipt_number],
+        ['Paid', formatMoment(payment.paid_at)],
+        ['Session', `${booking.subject}${booking.topic ? ` — ${booking.topic}` : ''}`],
+        ['Tutor', booking.tutorName],
+        ['When', `${formatMoment(bookingStart(booking))} · ${booking.duration}`],
+        ['Rate', `${booking.rate}/hr`],
+        ['Card', `${payment.card_brand} ending ${payment.card_last4}`],
+        ['Amount', formatMoney(payment.amount)]
+    ];
+    if (payment.status === 'refunded') {
+        rows.push(['Refunded', `${formatMoney(payment.refunded_amount)} on ${formatMoment(payment.refunded_at)}`]);
+    }
+    document.getElementById('receiptDetails').innerHTML = rows
+        .map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join('');
+    modal.style.display = 'flex';
+}
+
+// Print just the receipt (see .printing-receipt in style.css)
+function printReceipt(event) {
+    event.preventDefault();
+    document.body.classList.add('printing-receipt');
+    window.print();
+    document.body.classList.remove('printing-receipt');
+}
+
+// ── FORMATTED TEXT ─────────────────────────────────────────────────────
+// Doubts, booking notes and tutor feedback are written in Markdown with TeX
+// math and rendered by renderMarkdown() from js/markdown.js. Inputs marked
+// data-markdown get a live preview underneath while the user types.
+function updateMarkdownPreview(input) {
+    // The preview goes below any error showFieldError() put under the input
+    const errorDiv = input.nextElementSibling;
+    const anchor = errorDiv && errorDiv.classList.contains('error-message') ? errorDiv : input;
+    let preview = anchor.nextElementSibling;
+    if (!preview || !preview.classList.contains('md-preview')) {
+        anchor.insertAdjacentHTML('afterend', '<div class="md-preview md-content" hidden></div>');
+        preview = anchor.nextElementSibling;
+    }
+    const text = input.value.trim();
+    preview.innerHTML = text ? renderMarkdown(text) : '';
+    preview.hidden = !text;
+}
+
+document.addEventListener('input', event => {
+    if (event.target.matches?.('[data-markdown]')) updateMarkdownPreview(event.target);
+});
+
+// ── ATTACHMENTS ────────────────────────────────────────────────────────
+// Files are uploaded as soon as they are picked (upload_attachment.php);
+// the booking request or doubt message then sends their ids. Attachments are
+// only served with the login token, so thumbnails and previews are fetched
+// as blobs and shown through object URLs.
+const ATTACHMENT_ACCEPT = 'image/jpeg,image/png,image/gif,image/webp,application/pdf';
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+const MAX_ATTACHMENTS = 5;
+const attachmentPickers = {};          // picker element id => { files, uploading }
+const knownAttachments = new Map();    // attachment id => attachment, from the last render
+const attachmentBlobs = new Map();     // attachment id => Promise of { url, type }
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// A file input plus the files picked so far; state survives re-rendering
+function renderAttachmentPicker(pickerId) {
+    return '<div class="attachment-picker" id="' + pickerId + '">' + renderAttachmentPickerContents(pickerId) + '</div>';
+}
+
+function renderAttachmentPickerContents(pickerId) {
+    const picker = attachmentPickers[pickerId] || { files: [], uploading: 0 };
+    const chips = picker.files.map(file =>
+        '<span class="attachment-chip">' + (file.is_image ? '🖼️' : '📄') + ' ' + escapeHtml(file.name)
+        + ' <small>' + formatFileSize(file.size) + '</small>'
+        + '<button type="button" title="Remove" onclick="removePickedAttachment(\'' + pickerId + '\', ' + file.id + ')">✕</button></span>'
+    ).join('');
+    return '<label class="attachment-add">📎 Attach image or PDF'
+        + '<input type="file" accept="' + ATTACHMENT_ACCEPT + '" multiple onchange="pickAttachments(\'' + pickerId + '\', this)">'
+        + '</label>'
+        + (picker.uploading ? '<span class="attachment-uploading">⏳ Uploading...</span>' : '')
+        + chips;
+}
+
+function refreshAttachmentPicker(pickerId) {
+    const element = document.getElementById(pickerId);
+    if (element) element.innerHTML = renderAttachmentPickerContents(pickerId);
+}
 
-        div.innerHTML = `
-            <div class="booking-header">
-                <div class="student-details">
-                    <div class="student-avatar">${booking.studentName ? booking.studentName[0] : '?'}</div>
-                    <div>
-                        <div class="booking-title">${booking.studentName}</div>
-                        <p style="color:var(--text-secondary-day); margin:5px 0;">
-                            ${booking.subject}${booking.topic ? ' — ' + booking.topic : ''}
-                        </p>
-                    </div>
-                </div>
-                ${badge}
-            </div>
-            <div class="booking-details">
-                <div class="detail-item"><span>📅</span><span>${displayDate}</span></div>
-                <div class="detail-item"><span>🕒</span><span>${booking.time}</span></div>
-                <div class="detail-item"><span>⏱️</span><span>${booking.duration}</span></div>
-                <div class="detail-item"><span>💰</span><span>${booking.rate}/hr</span></div>
-            </div>
-            ${booking.message ? `<p style="padding:12px; background:rgba(91,124,250,0.05); border-radius:8px; margin-top:10px;">
-                <strong>📝 Student Note:</strong> ${booking.message}</p>` : ''}
-            ${booking.feedback ? `<p style="padding:12px; background:rgba(16,185,129,0.1); border-radius:8px; margin-top:10px;">
-                <strong>Rating:</strong> ${'\u2b50'.repeat(booking.rating)}<br>
-                <strong>Feedback:</strong> ${booking.feedback}</p>` : ''}
-            ${booking.rejectionReason ? `<p style="padding:12px; background:rgba(239,68,68,0.1); border-radius:8px; margin-top:10px;">
-                <strong>Rejection Reason:</strong> ${booking.rejectionReason}</p>` : ''}
-            ${actions}
-        `;
-        list.appendChild(div);
-    });
+function resetAttachmentPicker(pickerId) {
+    attachmentPickers[pickerId] = { files: [], uploading: 0 };
+    refreshAttachmentPicker(pickerId);
 }
 
-function acceptBooking(id, studentName) {
-    if (!confirm(`Accept booking request from ${studentName}?`)) return;
-    const all = getGlobalBookings();
-    const idx = all.findIndex(b => b.id === id);
-    if (idx !== -1) all[idx].status = 'confirmed';
-    saveGlobalBookings(all);
-    loadTutorBookingsByTab('pending');
-    showToast(`✅ Booking accepted! ${studentName} will see it as Confirmed.`, 'success');
+function getPickedAttachmentIds(pickerId) {
+    return (attachmentPickers[pickerId]?.files || []).map(file => file.id);
 }
 
-function rejectBooking(id, studentName) {
-    const reason = prompt(`Reason for rejecting ${studentName}'s request (required):`);
-    if (!reason) return;
-    const all = getGlobalBookings();
-    const idx = all.findIndex(b => b.id === id);
-    if (idx !== -1) {
-        all[idx].status = 'cancelled';
-        all[idx].rejectionReason = reason;
+function isAttachmentUploadPending(pickerId) {
+    return (attachmentPickers[pickerId]?.uploading || 0) > 0;
+}
+
+async function pickAttachments(pickerId, input) {
+    const picker = attachmentPickers[pickerId] || (attachmentPickers[pickerId] = { files: [], uploading: 0 });
+    const files = [...input.files];
+    input.value = '';
+
+    for (const file of files) {
+        if (picker.files.length + picker.uploading >= MAX_ATTACHMENTS) {
+            showToast(`❌ You can attach up to ${MAX_ATTACHMENTS} files.`, 'error');
+            break;
+        }
+        // The server checks too; this just saves uploading something it will refuse
+        if (file.size > MAX_ATTACHMENT_BYTES) {
+            showToast(`❌ ${file.name} is larger than ${formatFileSize(MAX_ATTACHMENT_BYTES)}.`, 'error');
+            continue;
+        }
+
+        picker.uploading++;
+        refreshAttachmentPicker(pickerId);
+        try {
+            const response = await uploadAttachment(file);
+            picker.files.push(response.data.attachment);
+        } catch (error) {
+            showToast(`❌ ${file.name}: ${isOfflineError(error) ? 'You are offline. Attachments need a connection.' : error.message}`, 'error');
+        } finally {
+            picker.uploading--;
+            refreshAttachmentPicker(pickerId);
+        }
     }
-    saveGlobalBookings(all);
-    loadTutorBookingsByTab('pending');
-    showToast(`🗭 Booking rejected. ${studentName} has been notified.`, 'info');
 }
 
-function completeBooking(id, studentName) {
-    if (!confirm(`Mark session with ${studentName} as complete? You will be able to leave feedback for the student.`)) return;
-    // Mark completed first, then open feedback modal
-    const all = getGlobalBookings();
-    const idx = all.findIndex(b => b.id === id);
-    if (idx !== -1) all[idx].status = 'completed';
-    saveGlobalBookings(all);
-    loadTutorBookingsByTab('confirmed');
-    showToast(`📚 Session with ${studentName} marked as completed!`, 'success');
-    // Open feedback modal
-    openTutorFeedbackModal(id, studentName);
+function removePickedAttachment(pickerId, attachmentId) {
+    const picker = attachmentPickers[pickerId];
+    if (!picker) return;
+    picker.files = picker.files.filter(file => file.id !== attachmentId);
+    refreshAttachmentPicker(pickerId);
 }
 
-// ── TUTOR FEEDBACK (after session complete) ────────────────────────────
-function openTutorFeedbackModal(bookingId, studentName) {
-    const modal = document.getElementById('tutorFeedbackModal');
-    if (!modal) return;
-    const nameEl = document.getElementById('tfStudentName');
-    if (nameEl) nameEl.textContent = studentName;
-    document.getElementById('tfFeedbackForm').dataset.bookingId = bookingId;
-    document.getElementById('tfRating').value = '5';
-    document.getElementById('tfStrengths').value = '';
-    document.getElementById('tfImprovements').value = '';
-    document.getElementById('tfNotes').value = '';
-    modal.style.display = 'flex';
+// Thumbnails for images and a button for PDFs; call loadAttachmentThumbnails() once in the page
+function renderAttachments(attachments) {
+    if (!attachments?.length) return '';
+    return '<div class="attachment-list">' + attachments.map(file => {
+        knownAttachments.set(file.id, file);
+        return file.is_image
+            ? '<button type="button" class="attachment-thumb" title="' + escapeHtml(file.name) + '" onclick="openAttachment(' + file.id + ')">'
+            + '<img data-attachment-id="' + file.id + '" alt="' + escapeHtml(file.name) + '"></button>'
+            : '<button type="button" class="attachment-file" onclick="openAttachment(' + file.id + ')">📄 ' + escapeHtml(file.name)
+            + ' <small>' + formatFileSize(file.size) + '</small></button>';
+    }).join('') + '</div>';
 }
 
-function closeTutorFeedbackModal() {
-    const modal = document.getElementById('tutorFeedbackModal');
-    if (modal) modal.style.display = 'none';
+function getAttachmentBlob(attachmentId) {
+    if (!attachmentBlobs.has(attachmentId)) {
+        const loading = fetchAttachment(attachmentId).then(blob => ({ url: URL.createObjectURL(blob), type: blob.type }));
+        // Let a failed download be tried again next time
+        loading.catch(() => attachmentBlobs.delete(attachmentId));
+        attachmentBlobs.set(attachmentId, loading);
+    }
+    return attachmentBlobs.get(attachmentId);
 }
 
-function skipTutorFeedback() {
-    closeTutorFeedbackModal();
-    showToast('ℹ️ Feedback skipped. You can still add it later from Completed tab.', 'info');
+function loadAttachmentThumbnails(container) {
+    if (!container) return;
+    container.querySelectorAll('img[data-attachment-id]:not([src])').forEach(async img => {
+        try {
+            img.src = (await getAttachmentBlob(Number(img.dataset.attachmentId))).url;
+        } catch (error) {
+            img.closest('.attachment-thumb')?.classList.add('attachment-missing');
+        }
+    });
 }
 
-function submitTutorFeedback(event) {
-    event.preventDefault();
-    const form = document.getElementById('tfFeedbackForm');
-    const id = parseInt(form.dataset.bookingId);
-    const rating = parseInt(document.getElementById('tfRating').value);
-    const strengths = document.getElementById('tfStrengths').value.trim();
-    const improvements = document.getElementById('tfImprovements').value.trim();
-    const notes = document.getElementById('tfNotes').value.trim();
+async function openAttachment(attachmentId) {
+    const file = knownAttachments.get(attachmentId);
+    let blob;
+    try {
+        blob = await getAttachmentBlob(attachmentId);
+    } catch (error) {
+        showToast(`❌ ${isOfflineError(error) ? 'You are offline. Attachments need a connection.' : error.message}`, 'error');
+        return;
+    }
 
-    const all = getGlobalBookings();
-    const idx = all.findIndex(b => b.id === id);
-    if (idx !== -1) {
-        all[idx].tutorFeedback = { rating, strengths, improvements, notes, sentAt: new Date().toISOString() };
+    let overlay = document.getElementById('attachmentPreview');
+    if (!overlay) {
+        document.body.insertAdjacentHTML('beforeend',
+            '<div id="attachmentPreview" class="modal-overlay" style="display:none;" onclick="if(event.target===this)closeAttachmentPreview()"></div>');
+        overlay = document.getElementById('attachmentPreview');
+    }
+
+    const name = escapeHtml(file?.name || 'attachment');
+    overlay.innerHTML = '<div class="modal-box attachment-preview">'
+        + '<div class="modal-header"><h3>' + name + '</h3>'
+        + '<button class="modal-close" onclick="closeAttachmentPreview()">✕</button></div>'
+        + (blob.type === 'application/pdf'
+            ? '<iframe src="' + blob.url + '" title="' + name + '"></iframe>'
+            : '<img src="' + blob.url + '" alt="' + name + '">')
+        + '<div class="modal-footer"><a class="btn-secondary" href="' + blob.url + '" download="' + name + '">⬇️ Download</a></div>'
+        + '</div>';
+    overlay.style.display = 'flex';
+}
+
+function closeAttachmentPreview() {
+    const overlay = document.getElementById('attachmentPreview');
+    if (overlay) {
+        overlay.style.display = 'none';
+        overlay.innerHTML = '';
     }
-    saveGlobalBookings(all);
-    closeTutorFeedbackModal();
-    const studentName = all[idx]?.studentName || 'student';
-    showToast(`📤 Feedback sent to ${studentName}!`, 'success');
 }
 
 // ── DOUBT / QnA SYSTEM ─────────────────────────────────────────────────
-const DOUBTS_KEY = 'tutify_doubts';
-function getDoubts() { return JSON.parse(localStorage.getItem(DOUBTS_KEY) || '[]'); }
-function saveDoubts(d) { localStorage.setItem(DOUBTS_KEY, JSON.stringify(d)); }
-function getStudentDoubts(email) { return getDoubts().filter(d => d.studentEmail === email); }
-function getTutorDoubts(tutorName) { return getDoubts().filter(d => d.tutorName === tutorName); }
+// Each doubt is a thread on the server (get_doubts.php): the student's
+// question, then replies and follow-ups from both sides. A tutor's reply
+// marks it answered; a follow-up from the student opens it again, and the
+// student marks it resolved once it is settled. Authors can edit a message
+// for a few minutes after sending it (the server sets editable_until).
+const DOUBT_URGENCY_ICONS = { Normal: '🟢', High: '🟡', Urgent: '🔴' };
+const DOUBT_STATUS_BADGES = {
+    open: '<span class="status-badge status-pending" style="white-space:nowrap;">⏳ Open</span>',
+    answered: '<span class="status-badge status-confirmed" style="white-space:nowrap;">✅ Answered</span>',
+    resolved: '<span class="status-badge status-completed" style="white-space:nowrap;">🎯 Resolved</span>'
+};
+let loadedDoubts = [];
+
+function reloadDoubts() {
+    getCurrentUser()?.role === 'tutor' ? loadTutorDoubts() : loadStudentDoubts();
+}
 
-function submitDoubt(event) {
+function isDoubtDraftInProgress() {
+    const pickerBusy = Object.keys(attachmentPickers).some(pickerId =>
+        pickerId.startsWith('doubt') && (attachmentPickers[pickerId].files.length || attachmentPickers[pickerId].uploading));
+    return pickerBusy || [...document.querySelectorAll('#doubtQuestion, .doubt-reply-input, .doubt-edit-input')]
+        .some(input => input.value.trim());
+}
+
+async function submitDoubt(event) {
     event.preventDefault();
-    const user = getCurrentUser();
-    const tutorName = document.getElementById('doubtTutor').value;
+    const tutorId = parseInt(document.getElementById('doubtTutor').value);
     const subject = document.getElementById('doubtSubject').value;
     const question = document.getElementById('doubtQuestion').value.trim();
     const urgency = document.getElementById('doubtUrgency').value;
-    if (!tutorName || !subject || !question) return;
-    const doubt = {
-        id: Date.now(),
-        studentName: user ? (user.name || user.email) : 'Student',
-        studentEmail: user ? user.email : '',
-        tutorName,
-        subject,
-        question,
-        urgency,
-        status: 'open',
-        createdAt: new Date().toISOString(),
-        reply: null,
-        repliedAt: null
-    };
-    const all = getDoubts();
-    all.push(doubt);
-    saveDoubts(all);
-    document.getElementById('doubtQuestion').value = '';
-    loadStudentDoubts();
-    showToast('❓ Doubt submitted! Your tutor will respond soon.', 'info');
+    if (!tutorId || !subject || !question) return;
+    if (isAttachmentUploadPending('doubtAttachments')) {
+        showToast('⏳ Please wait for your attachments to finish uploading.', 'warning');
+        return;
+    }
+
+    const submitBtn = event.target.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+        await askDoubt({ tutor_id: tutorId, subject, question, urgency, attachment_ids: getPickedAttachmentIds('doubtAttachments') });
+        document.getElementById('doubtQuestion').value = '';
+        resetAttachmentPicker('doubtAttachments');
+        showToast('❓ Doubt submitted! Your tutor has been notified.', 'info');
+        loadStudentDoubts();
+    } catch (error) {
+        showToast(`❌ ${isOfflineError(error) ? 'You are offline. Try again when you reconnect.' : error.message}`, 'error');
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
+
+function renderDoubtMessage(message, user) {
+    const mine = message.author_id === user.id;
+    // Only the text can be corrected, so a message of just attachments has nothing to edit
+    const canEdit = mine && message.body !== '' && Date.now() < Date.parse(message.editable_until);
+    return '<div class="doubt-message doubt-message-' + message.author_role + (mine ? ' mine' : '') + '" id="doubt-message-' + message.id + '">'
+        + '<div class="doubt-message-meta">'
+        + '<strong>' + (mine ? 'You' : escapeHtml(message.author_name)) + '</strong>'
+        + '<span>' + formatMoment(message.created_at) + (message.edited_at ? ' · edited' : '') + '</span>'
+        + (canEdit ? '<button class="doubt-link-btn" onclick="startDoubtMessageEdit(' + message.id + ')">✏️ Edit</button>' : '')
+        + '</div>'
+        + (message.body !== '' ? '<div class="doubt-message-body md-content">' + renderMarkdown(message.body) + '</div>' : '')
+        + renderAttachments(message.attachments)
+        + '</div>';
+}
+
+// The conversation, a box to continue it, and the student's resolve/reopen buttons
+function renderDoubtThread(doubt, user) {
+    const isStudent = user.role === 'student';
+    const messages = doubt.messages.map(message => renderDoubtMessage(message, user)).join('');
+
+    let reply;
+    if (!isStudent && doubt.status === 'resolved') {
+        reply = '<p class="doubt-thread-note">🎯 ' + escapeHtml(doubt.student_name) + ' marked this doubt as resolved.</p>';
+    } else {
+        const placeholder = isStudent
+            ? (doubt.status === 'open' ? 'Add more detail...' : 'Ask a follow-up (this reopens the doubt)...')
+            : (doubt.status === 'open' ? 'Write your answer...' : 'Add to your answer...');
+        reply = '<form class="doubt-reply-form" onsubmit="sendDoubtReply(event, ' + doubt.id + ')">'
+            + '<textarea class="setting-input doubt-reply-input" rows="2" placeholder="' + placeholder + '" data-markdown></textarea>'
+            + renderAttachmentPicker('doubtReplyAttachments-' + doubt.id)
+            + '<button type="submit" class="btn-primary">' + (isStudent ? '📤 Send' : '💬 Reply') + '</button>'
+            + '</form>';
+    }
+
+    const actions = isStudent
+        ? '<div class="doubt-actions">'
+        + (doubt.status !== 'resolved' ? '<button class="btn-secondary" onclick="changeDoubtStatus(' + doubt.id + ', \'resolve\')">🎯 Mark Resolved</button>' : '')
+        + (doubt.status !== 'open' ? '<button class="btn-secondary" onclick="changeDoubtStatus(' + doubt.id + ', \'reopen\')">🔄 Reopen</button>' : '')
+        + '</div>'
+        : '';
+
+    return '<div class="doubt-thread">' + messages + '</div>' + reply + actions;
 }
 
-function loadStudentDoubts() {
+async function loadStudentDoubts() {
     const user = getCurrentUser();
     if (!user) return;
     const container = document.getElementById('bookings-list');
     if (!container) return;
-    const doubts = [...getStudentDoubts(user.email)].reverse();
+
+    let doubts = [];
+    let loadError = null;
+    try {
+        const response = await getDoubts();
+        doubts = response.data.doubts;
+    } catch (error) {
+        loadError = isOfflineError(error) ? 'You are offline. Doubts will load when you reconnect.' : error.message;
+    }
+    if (activeBookingTab !== 'doubts') return;
+    loadedDoubts = doubts;
+
     const tutorOptions = (window.allTutors || []).map(t =>
-        '<option value="' + t.name + '">' + t.name + ' (' + t.subject + ')</option>'
+        '<option value="' + t.id + '">' + escapeHtml(t.name) + ' (' + escapeHtml(t.subject) + ')</option>'
     ).join('');
-    const urgIcon = { Normal: '🟢', High: '🟡', Urgent: '🔴' };
 
     const doubtCards = doubts.map(d => {
-        const replyHtml = d.reply
-            ? '<div style="margin-top:12px; padding:12px; background:rgba(16,185,129,0.08); border-left:4px solid var(--success-color); border-radius:8px;">'
-            + '<p style="font-weight:700; color:var(--success-color); margin-bottom:4px;">💬 Tutor Reply:</p>'
-            + '<p>' + d.reply + '</p>'
-            + '<p style="font-size:0.78em; color:var(--text-secondary-day); margin-top:4px;">' + new Date(d.repliedAt).toLocaleString() + '</p>'
-            + '</div>'
-            : '<p style="font-size:0.83em; color:var(--text-secondary-day); margin-top:6px;">⏳ Waiting for tutor reply...</p>';
         const urgHtml = d.urgency !== 'Normal'
-            ? '<p style="font-size:0.83em; font-weight:600; margin-top:4px;">' + (urgIcon[d.urgency] || '') + ' Priority: ' + d.urgency + '</p>'
+            ? '<p style="font-size:0.83em; font-weight:600; margin-top:4px;">' + (DOUBT_URGENCY_ICONS[d.urgency] || '') + ' Priority: ' + d.urgency + '</p>'
             : '';
-        const badge = d.status === 'answered'
-            ? '<span class="status-badge status-confirmed" style="white-space:nowrap;">✅ Answered</span>'
-            : '<span class="status-badge status-pending" style="white-space:nowrap;">⏳ Open</span>';
-        return '<div class="booking-card" style="margin-bottom:12px;">'
+        return '<div class="booking-card" id="doubt-' + d.id + '" style="margin-bottom:12px;">'
             + '<div class="booking-card-header">'
             + '<div class="booking-info">'
-            + '<h4>❓ ' + d.question + '</h4>'
-            + '<p><strong>👨‍🏫 Tutor:</strong> ' + d.tutorName + ' &nbsp;|&nbsp; <strong>📚 Subject:</strong> ' + d.subject + '</p>'
-            + '<p style="font-size:0.82em; color:var(--text-secondary-day);">' + new Date(d.createdAt).toLocaleString() + '</p>'
-            + '</div>' + badge + '</div>'
-            + urgHtml + replyHtml + '</div>';
+            + '<h4>❓ ' + escapeHtml(d.subject) + ' doubt</h4>'
+            + '<p><strong>👨‍🏫 Tutor:</strong> ' + escapeHtml(d.tutor_name) + '</p>'
+            + '<p style="font-size:0.82em; color:var(--text-secondary-day);">Asked ' + formatMoment(d.created_at) + '</p>'
+            + '</div>' + DOUBT_STATUS_BADGES[d.status] + '</div>'
+            + urgHtml + renderDoubtThread(d, user) + '</div>';
     }).join('');
 
     container.innerHTML =
@@ -1689,22 +5369,36 @@ function loadStudentDoubts() {
         + '<option value="High">🟡 High Priority</option>'
         + '<option value="Urgent">🔴 Urgent</option>'
         + '</select>'
-        + '<textarea id="doubtQuestion" class="setting-input" rows="3" placeholder="Describe your doubt clearly... (e.g. I don&#39;t understand integration by parts)" required style="padding:10px; resize:vertical;"></textarea>'
+        + '<textarea id="doubtQuestion" class="setting-input" rows="3" placeholder="Describe your doubt clearly... (e.g. I don&#39;t understand integration by parts). Write maths as $x^2$ and code between ``` lines." required data-markdown style="padding:10px; resize:vertical;"></textarea>'
+        + renderAttachmentPicker('doubtAttachments')
         + '<button type="submit" class="btn-primary" style="align-self:flex-end; padding:10px 24px;">📤 Submit Doubt</button>'
         + '</form></div>'
-        + (doubts.length === 0
-            ? '<div class="empty-state"><div style="font-size:2.5em; margin-bottom:10px;">💬</div><p style="color:var(--text-secondary-day);">No doubts yet. Ask your first question above!</p></div>'
-            : '<h4 style="font-weight:700; margin-bottom:12px;">📋 My Doubts (' + doubts.length + ')</h4>' + doubtCards);
+        + (loadError
+            ? '<div class="empty-state"><p style="color:var(--text-secondary-day);">' + escapeHtml(loadError) + '</p></div>'
+            : doubts.length === 0
+                ? '<div class="empty-state"><div style="font-size:2.5em; margin-bottom:10px;">💬</div><p style="color:var(--text-secondary-day);">No doubts yet. Ask your first question above!</p></div>'
+                : '<h4 style="font-weight:700; margin-bottom:12px;">📋 My Doubts (' + doubts.length + ')</h4>' + doubtCards);
+    loadAttachmentThumbnails(container);
 }
 
-function loadTutorDoubts() {
+async function loadTutorDoubts() {
     const user = getCurrentUser();
     if (!user) return;
     const container = document.getElementById('bookings-list');
     if (!container) return;
-    const tutorName = user.name || user.email;
-    const doubts = [...getTutorDoubts(tutorName)].reverse();
-    const urgIcon = { Normal: '🟢', High: '🟡', Urgent: '🔴' };
+
+    let doubts;
+    try {
+        const response = await getDoubts();
+        doubts = response.data.doubts;
+    } catch (error) {
+        if (activeBookingTab !== 'doubts') return;
+        container.innerHTML = '<div class="empty-state"><p style="color:var(--text-secondary-day);">'
+            + escapeHtml(isOfflineError(error) ? 'You are offline. Doubts will load when you reconnect.' : error.message) + '</p></div>';
+        return;
+    }
+    if (activeBookingTab !== 'doubts') return;
+    loadedDoubts = doubts;
 
     if (doubts.length === 0) {
         container.innerHTML = '<div class="empty-state"><div style="font-size:2.5em; margin-bottom:10px;">💬</div>'
@@ -1713,56 +5407,312 @@ function loadTutorDoubts() {
     }
 
     const cards = doubts.map(d => {
-        const replyHtml = d.reply
-            ? '<div style="margin-top:10px; padding:10px; background:rgba(16,185,129,0.08); border-left:4px solid var(--success-color); border-radius:8px;">'
-            + '<strong style="color:var(--success-color);">Your reply:</strong> ' + d.reply
-            + '<p style="font-size:0.78em; color:var(--text-secondary-day); margin-top:4px;">' + new Date(d.repliedAt).toLocaleString() + '</p></div>'
-            : '<div class="booking-actions" style="margin-top:10px;">'
-            + '<button class="accept-btn" onclick="replyToDoubt(' + d.id + ')">💬 Reply to Student</button></div>';
         const urgHtml = d.urgency !== 'Normal'
-            ? '<p style="font-size:0.83em; font-weight:600; margin-top:4px;">' + (urgIcon[d.urgency] || '') + ' ' + d.urgency + ' Priority</p>'
+            ? '<p style="font-size:0.83em; font-weight:600; margin-top:4px;">' + (DOUBT_URGENCY_ICONS[d.urgency] || '') + ' ' + d.urgency + ' Priority</p>'
             : '';
-        const badge = d.status === 'answered'
-            ? '<span class="status-badge status-confirmed">✅ Answered</span>'
-            : '<span class="status-badge status-pending">⏳ Open</span>';
-        return '<div class="booking-item" style="margin-bottom:12px;">'
+        return '<div class="booking-item" id="doubt-' + d.id + '" style="margin-bottom:12px;">'
             + '<div class="booking-header">'
             + '<div class="student-details">'
-            + '<div class="student-avatar">' + (d.studentName[0] || '?') + '</div>'
-            + '<div><div class="booking-title">' + d.studentName + '</div>'
-            + '<p style="color:var(--text-secondary-day); margin:4px 0;">❓ ' + d.question + '</p>'
+            + '<div class="student-avatar">' + escapeHtml(d.student_name[0] || '?') + '</div>'
+            + '<div><div class="booking-title">' + escapeHtml(d.student_name) + '</div>'
             + '<p style="font-size:0.82em; color:var(--text-secondary-day);">'
-            + '📚 ' + d.subject + ' &nbsp;|&nbsp; ' + new Date(d.createdAt).toLocaleString() + '</p></div></div>'
-            + badge + '</div>'
-            + urgHtml + replyHtml + '</div>';
+            + '📚 ' + escapeHtml(d.subject) + ' &nbsp;|&nbsp; Asked ' + formatMoment(d.created_at) + '</p></div></div>'
+            + DOUBT_STATUS_BADGES[d.status] + '</div>'
+            + urgHtml + renderDoubtThread(d, user) + '</div>';
     }).join('');
 
-    container.innerHTML = '<h4 style="font-weight:700; margin-bottom:14px;">📩 Student Doubts (' + doubts.length + ')</h4>' + cards;
+    const waiting = doubts.filter(d => d.status === 'open').length;
+    container.innerHTML = '<h4 style="font-weight:700; margin-bottom:14px;">📩 Student Doubts (' + doubts.length + ')'
+        + (waiting ? ' · ' + waiting + ' waiting for you' : '') + '</h4>' + cards;
+    loadAttachmentThumbnails(container);
 }
 
-function replyToDoubt(id) {
-    const reply = prompt('Enter your reply for the student:');
-    if (!reply || !reply.trim()) return;
-    const all = getDoubts();
-    const idx = all.findIndex(d => d.id === id);
-    if (idx !== -1) {
-        all[idx].reply = reply.trim();
-        all[idx].status = 'answered';
-        all[idx].repliedAt = new Date().toISOString();
+async function sendDoubtReply(event, doubtId) {
+    event.preventDefault();
+    const input = event.target.querySelector('.doubt-reply-input');
+    const message = input.value.trim();
+    const pickerId = 'doubtReplyAttachments-' + doubtId;
+    if (isAttachmentUploadPending(pickerId)) {
+        showToast('⏳ Please wait for your attachments to finish uploading.', 'warning');
+        return;
+    }
+    const attachmentIds = getPickedAttachmentIds(pickerId);
+    if (!message && attachmentIds.length === 0) {
+        input.focus();
+        return;
+    }
+
+    const submitBtn = event.target.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+        const response = await sendDoubtMessage(doubtId, message, attachmentIds);
+        const doubt = response.data.doubt;
+        input.value = '';
+        resetAttachmentPicker(pickerId);
+        showToast(getCurrentUser()?.role === 'tutor'
+            ? `✅ Reply sent! ${doubt.student_name} has been notified.`
+            : `📤 Sent! ${doubt.tutor_name} has been notified.`, 'success');
+        reloadDoubts();
+    } catch (error) {
+        showToast(`❌ ${isOfflineError(error) ? 'You are offline. Try again when you reconnect.' : error.message}`, 'error');
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
     }
-    saveDoubts(all);
-    loadTutorDoubts();
-    showToast('✅ Reply sent to student!', 'success');
 }
 
-// Legacy shim — tutor/bookings.html still calls loadTutorBookings on load
-function loadTutorBookings() {
-    const userData = JSON.parse(localStorage.getItem('user') || '{}');
-    if (!userData.email || userData.role !== 'tutor') {
-        window.location.href = '../login.html';
+function findLoadedDoubtMessage(messageId) {
+    return loadedDoubts.flatMap(d => d.messages).find(m => m.id === messageId) || null;
+}
+
+function startDoubtMessageEdit(messageId) {
+    const message = findLoadedDoubtMessage(messageId);
+    const body = document.querySelector('#doubt-message-' + messageId + ' .doubt-message-body');
+    if (!message || !body) return;
+
+    body.outerHTML = '<form class="doubt-edit-form" onsubmit="saveDoubtMessageEdit(event, ' + messageId + ')">'
+        + '<textarea class="setting-input doubt-edit-input" rows="3" required data-markdown>' + escapeHtml(message.body) + '</textarea>'
+        + '<div class="doubt-actions">'
+        + '<button type="submit" class="btn-primary">💾 Save</button>'
+        + '<button type="button" class="btn-secondary" onclick="cancelDoubtMessageEdit(' + messageId + ')">Cancel</button>'
+        + '</div></form>';
+    updateMarkdownPreview(document.querySelector('#doubt-message-' + messageId + ' .doubt-edit-input'));
+}
+
+function cancelDoubtMessageEdit(messageId) {
+    const message = findLoadedDoubtMessage(messageId);
+    const element = document.getElementById('doubt-message-' + messageId);
+    if (!message || !element) return;
+    element.outerHTML = renderDoubtMessage(message, getCurrentUser());
+    loadAttachmentThumbnails(document.getElementById('doubt-message-' + messageId));
+}
+
+async function saveDoubtMessageEdit(event, messageId) {
+    event.preventDefault();
+    const input = event.target.querySelector('.doubt-edit-input');
+    const body = input.value.trim();
+    if (!body) return;
+
+    const submitBtn = event.target.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+        await editDoubtMessage(messageId, body);
+        input.value = '';
+        showToast('✏️ Message updated', 'success');
+        reloadDoubts();
+    } catch (error) {
+        showToast(`❌ ${isOfflineError(error) ? 'You are offline. Try again when you reconnect.' : error.message}`, 'error');
+        // The edit window may have closed; redraw without the Edit button
+        if (error.status === 409) reloadDoubts();
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
+
+async function changeDoubtStatus(doubtId, action) {
+    try {
+        const response = await updateDoubtStatus(doubtId, action);
+        showToast(action === 'resolve'
+            ? '🎯 Marked as resolved. Glad it helped!'
+            : `🔄 Doubt reopened. ${response.data.doubt.tutor_name} has been notified.`, 'success');
+        reloadDoubts();
+    } catch (error) {
+        showToast(`❌ ${isOfflineError(error) ? 'You are offline. Try again when you reconnect.' : error.message}`, 'error');
+    }
+}
+
+// ── NOTIFICATIONS ──────────────────────────────────────────────────────
+// The bell next to the avatar lists notifications from get_notifications.php.
+// The server creates them when the other side books, answers, moves or
+// cancels a session, asks or answers a doubt, or sends feedback. The list is
+// polled while the page is visible; anything new also re-syncs the bookings.
+const NOTIFICATION_POLL_MS = 60 * 1000;
+const NOTIFICATIONS_PAGE_SIZE = 20;
+const NOTIFICATION_ICONS = {
+    session_booked: '📩',
+    session_confirmed: '✅',
+    session_rejected: '🚫',
+    session_cancelled: '❌',
+    session_completed: '📚',
+    session_no_show: '🚫',
+    session_moved: '🔄',
+    session_proposed: '🕒',
+    session_proposal_accepted: '✅',
+    session_proposal_declined: '🚫',
+    session_proposal_withdrawn: '↩️',
+    session_feedback: '📝',
+    session_reviewed: '⭐',
+    session_reminder: '⏰',
+    payment_received: '💳',
+    payment_refunded: '↩️',
+    payment_refund_delayed: '⏳',
+    doubt_asked: '❓',
+    doubt_followup: '❓',
+    doubt_replied: '💬',
+    doubt_reopened: '🔄',
+    doubt_resolved: '🎯'
+};
+let notificationState = { items: [], unread: 0, hasMore: false, loaded: false, timer: null };
+
+function initNotifications() {
+    if (!document.getElementById('notificationBell')) return;
+    loadNotifications();
+    clearInterval(notificationState.timer);
+    notificationState.timer = setInterval(() => {
+        if (document.visibilityState !== 'hidden') loadNotifications();
+    }, NOTIFICATION_POLL_MS);
+}
+
+async function loadNotifications() {
+    let response;
+    try {
+        response = await getNotifications({ limit: NOTIFICATIONS_PAGE_SIZE });
+    } catch (error) {
+        if (!isOfflineError(error)) console.error('Loading notifications failed:', error);
+        return;
+    }
+
+    const known = new Set(notificationState.items.map(n => n.id));
+    const arrived = notificationState.loaded && response.data.notifications.some(n => !known.has(n.id));
+    notificationState = {
+        ...notificationState,
+        items: response.data.notifications,
+        unread: response.data.unread_count,
+        hasMore: response.data.has_more,
+        loaded: true
+    };
+    renderNotifications();
+
+    if (arrived) {
+        syncBookings();
+        // Don't wipe a question or reply that is still being typed
+        if (activeBookingTab === 'doubts' && !isDoubtDraftInProgress()) reloadDoubts();
+    }
+}
+
+async function loadOlderNotifications() {
+    const last = notificationState.items[notificationState.items.length - 1];
+    if (!last) return;
+    try {
+        const response = await getNotifications({ limit: NOTIFICATIONS_PAGE_SIZE, before: last.id });
+        notificationState.items = notificationState.items.concat(response.data.notifications);
+        notificationState.unread = response.data.unread_count;
+        notificationState.hasMore = response.data.has_more;
+        renderNotifications();
+    } catch (error) {
+        showToast(`❌ ${isOfflineError(error) ? 'You are offline. Try again when you reconnect.' : error.message}`, 'error');
+    }
+}
+
+function renderNotifications() {
+    const badge = document.getElementById('notificationBadge');
+    const bell = document.getElementById('notificationBell');
+    const list = document.getElementById('notificationList');
+    const { items, unread, hasMore } = notificationState;
+
+    if (badge) {
+        badge.textContent = unread > 99 ? '99+' : String(unread);
+        badge.style.display = unread ? '' : 'none';
+    }
+    if (bell) bell.setAttribute('aria-label', unread ? `Notifications (${unread} unread)` : 'Notifications');
+    if (!list) return;
+
+    if (!items.length) {
+        list.innerHTML = '<p class="notification-empty">🎉 You\'re all caught up.</p>';
         return;
     }
+
+    list.innerHTML = items.map(n => `
+        <div class="notification-item ${n.read ? '' : 'unread'}" onclick="openNotification(${n.id})">
+            <span class="notification-icon">${NOTIFICATION_ICONS[n.type] || '🔔'}</span>
+            <div class="notification-text">
+                <strong>${escapeHtml(n.title)}</strong>
+                ${n.body ? `<span>${escapeHtml(n.body)}</span>` : ''}
+                <small>${timeAgo(n.created_at)}</small>
+            </div>
+            ${n.read ? '' : `<button class="notification-mark-read" title="Mark as read" onclick="markNotificationRead(${n.id}, event)">✓</button>`}
+        </div>`).join('')
+        + (hasMore ? '<button class="notification-more" onclick="loadOlderNotifications()">Show older</button>' : '');
+}
+
+function toggleNotifications(force) {
+    const panel = document.getElementById('notificationPanel');
+    if (!panel) return;
+    const open = force !== undefined ? force : panel.style.display === 'none';
+    panel.style.display = open ? 'block' : 'none';
+    document.getElementById('notificationBell')?.setAttribute('aria-expanded', String(open));
+    if (open) loadNotifications();
+}
+
+async function markNotificationRead(id, event) {
+    if (event) event.stopPropagation();
+    const item = notificationState.items.find(n => n.id === id);
+    if (!item || item.read) return;
+
+    // Update straight away; the server's count wins when it answers
+    item.read = true;
+    notificationState.unread = Math.max(0, notificationState.unread - 1);
+    renderNotifications();
+    try {
+        const response = await markNotificationsRead([id]);
+        notificationState.unread = response.data.unread_count;
+        renderNotifications();
+    } catch (error) {
+        item.read = false;
+        notificationState.unread++;
+        renderNotifications();
+        if (!isOfflineError(error)) showToast(`❌ ${error.message}`, 'error');
+    }
+}
+
+async function markAllNotificationsRead() {
+    if (!notificationState.unread) return;
+    try {
+        const response = await markNotificationsRead();
+        notificationState.items.forEach(n => { n.read = true; });
+        notificationState.unread = response.data.unread_count;
+        renderNotifications();
+    } catch (error) {
+        showToast(`❌ ${isOfflineError(error) ? 'You are offline. Try again when you reconnect.' : error.message}`, 'error');
+    }
+}
+
+// Mark a notification read and show what it is about
+async function openNotification(id) {
+    const item = notificationState.items.find(n => n.id === id);
+    if (!item) return;
+    markNotificationRead(id);
+    toggleNotifications(false);
+    if (!document.getElementById('bookings-section')) return;
+
+    showSection('bookings');
+    let tab = 'doubts';
+    if (item.session_id) {
+        await syncBookings();
+        const booking = getGlobalBookings().find(b => b.id === item.session_id);
+        tab = booking ? bookingTab(booking) : 'cancelled';
+    }
+    const button = document.querySelector(`#bookings-section .tab-btn[onclick*="'${tab}'"]`);
+    if (getCurrentUser()?.role === 'tutor') {
+        showTutorBookingTab(tab, button);
+    } else {
+        showBookingTab(tab, button);
+    }
+}
+
+// Close the panel when clicking anywhere else
+document.addEventListener('click', event => {
+    const panel = document.getElementById('notificationPanel');
+    if (panel && panel.style.display !== 'none' && !event.target.closest?.('.notification-center')) {
+        toggleNotifications(false);
+    }
+});
+
+// Legacy shim — tutor/bookings.html still calls loadTutorBookings on load
+async function loadTutorBookings() {
+    const userData = await requireRole('tutor');
+    if (!userData) return;
     loadTutorBookingsByTab('pending');
+    syncBookings();
 }
 
 
@@ -1867,8 +5817,8 @@ function initLoginPage() {
                         // Show success alert
                         alert(`✅ Login Successful!\n\nWelcome back, ${data.data.user.name}!\nRedirecting to your dashboard...`);
 
-                        // Store user data in localStorage
-                        localStorage.setItem('user', JSON.stringify(data.data.user));
+                        // Store the login token and user data in localStorage
+                        setAuthSession(data.data.user, data.data.token);
 
                         // Redirect to appropriate dashboard
                         const dashboard = data.data.user.role === 'tutor'
@@ -1939,7 +5889,7 @@ function initRegisterPage() {
 
     password.addEventListener('input', function () {
         const strength = getPasswordStrengthLocal(this.value);
-        updatePasswordStrengthLocal(strength);
+        updatePasswordStrengthLocal(strength, strengthBar, strengthText);
 
         if (this.value) {
             clearErrorField(this);
@@ -2005,7 +5955,8 @@ function initRegisterPage() {
                 name: name.value.trim(),
                 email: email.value.trim(),
                 password: password.value,
-                role: role.value
+                role: role.value,
+                timezone: getBrowserTimezone()
             };
 
             // Submit via AJAX to handle JSON response and redirect
@@ -2022,14 +5973,14 @@ function initRegisterPage() {
                         // Show success alert
                         alert(`✅ Registration Successful!\n\nWelcome ${data.data.user.name}!\nYour account has been created successfully.\n\nRedirecting to dashboard...`);
 
-                        // Store user data in localStorage
+                        // Store the login token and user data in localStorage
                         const userData = {
                             id: data.data.user.id,
                             name: data.data.user.name,
                             email: data.data.user.email,
                             role: data.data.user.role
                         };
-                        localStorage.setItem('user', JSON.stringify(userData));
+                        setAuthSession(userData, data.data.token);
 
                         // Redirect to appropriate dashboard
                         const dashboard = data.data.user.role === 'tutor'
@@ -2052,51 +6003,166 @@ function initRegisterPage() {
         }
     });
 
-    function getPasswordStrengthLocal(pwd) {
-        let strength = 'Weak';
-        let score = 0;
+    function checkPasswordMatch() {
+        if (password.value && confirmPassword.value) {
+            if (password.value !== confirmPassword.value) {
+                showErrorField(confirmPassword, 'Passwords do not match');
+            } else {
+                clearErrorField(confirmPassword);
+            }
+        }
+    }
+
+    applyInputFocusEffects();
+}
+
+// ── Password strength meter (register and reset-password pages) ──
+
+function getPasswordStrengthLocal(pwd) {
+    let strength = 'Weak';
+    let score = 0;
+
+    if (pwd.length >= 6) score++;
+    if (pwd.length >= 8) score++;
+    if (pwd.length >= 12) score++;
+    if (/[a-z]/.test(pwd) && /[A-Z]/.test(pwd)) score++;
+    if (/[0-9]/.test(pwd)) score++;
+    if (/[^a-zA-Z0-9]/.test(pwd)) score++;
 
-        if (pwd.length >= 6) score++;
-        if (pwd.length >= 8) score++;
-        if (pwd.length >= 12) score++;
-        if (/[a-z]/.test(pwd) && /[A-Z]/.test(pwd)) score++;
-        if (/[0-9]/.test(pwd)) score++;
-        if (/[^a-zA-Z0-9]/.test(pwd)) score++;
+    if (score >= 4) strength = 'Strong';
+    else if (score >= 2) strength = 'Medium';
 
-        if (score >= 4) strength = 'Strong';
-        else if (score >= 2) strength = 'Medium';
+    return strength;
+}
 
-        return strength;
+function updatePasswordStrengthLocal(strength, strengthBar, strengthText) {
+    strengthBar.className = 'password-strength-bar';
+    strengthText.style.color = '#666';
+
+    if (strength === 'Weak') {
+        strengthBar.classList.add('strength-weak');
+        strengthText.textContent = '⚠️ Weak password';
+        strengthText.style.color = '#ef4444';
+    } else if (strength === 'Medium') {
+        strengthBar.classList.add('strength-medium');
+        strengthText.textContent = '📊 Medium password';
+        strengthText.style.color = '#f59e0b';
+    } else if (strength === 'Strong') {
+        strengthBar.classList.add('strength-strong');
+        strengthText.textContent = '✅ Strong password';
+        strengthText.style.color = '#10b981';
     }
+}
+
+function initForgotPassword() {
+    const link = document.getElementById('forgotPasswordLink');
+    const form = document.getElementById('forgotPasswordForm');
+    if (!link || !form) return;
+
+    const resetEmail = document.getElementById('resetEmail');
+
+    link.addEventListener('click', function (e) {
+        e.preventDefault();
+        const opening = form.style.display === 'none';
+        form.style.display = opening ? 'block' : 'none';
+        if (opening) {
+            // Carry over whatever was typed in the login form
+            resetEmail.value = resetEmail.value || document.getElementById('email').value.trim();
+            resetEmail.focus();
+        }
+    });
 
-    function updatePasswordStrengthLocal(strength) {
-        strengthBar.className = 'password-strength-bar';
-        strengthText.style.color = '#666';
+    form.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        clearErrorField(resetEmail);
+        form.querySelectorAll('.success-message').forEach(el => el.remove());
+
+        if (!isValidEmail(resetEmail.value.trim())) {
+            showErrorField(resetEmail, 'Please enter a valid email address');
+            return;
+        }
 
-        if (strength === 'Weak') {
-            strengthBar.classList.add('strength-weak');
-            strengthText.textContent = '⚠️ Weak password';
-            strengthText.style.color = '#ef4444';
-        } else if (strength === 'Medium') {
-            strengthBar.classList.add('strength-medium');
-            strengthText.textContent = '📊 Medium password';
-            strengthText.style.color = '#f59e0b';
-        } else if (strength === 'Strong') {
-            strengthBar.classList.add('strength-strong');
-            strengthText.textContent = '✅ Strong password';
-            strengthText.style.color = '#10b981';
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        try {
+            const response = await requestPasswordReset(resetEmail.value.trim());
+            showSuccessMessage(form, `📨 ${escapeHtml(response.data.message)}`);
+        } catch (error) {
+            showErrorField(resetEmail, error.message);
+        } finally {
+            submitBtn.disabled = false;
         }
+    });
+}
+
+function initResetPasswordPage() {
+    const form = document.getElementById('resetPasswordForm');
+    if (!form) return;
+
+    const password = document.getElementById('password');
+    const confirmPassword = document.getElementById('confirmPassword');
+    const alertContainer = document.getElementById('alertContainer');
+    const strengthBar = document.getElementById('strengthBar');
+    const strengthText = document.getElementById('strengthText');
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    if (!token) {
+        form.style.display = 'none';
+        alertContainer.innerHTML = '<div class="error-text">❌ This reset link is invalid. Please request a new one from the login page.</div>';
+        return;
     }
 
-    function checkPasswordMatch() {
-        if (password.value && confirmPassword.value) {
-            if (password.value !== confirmPassword.value) {
-                showErrorField(confirmPassword, 'Passwords do not match');
+    password.addEventListener('input', function () {
+        updatePasswordStrengthLocal(getPasswordStrengthLocal(this.value), strengthBar, strengthText);
+        if (this.value) {
+            clearErrorField(this);
+        }
+    });
+
+    confirmPassword.addEventListener('input', function () {
+        if (password.value === this.value) {
+            clearErrorField(this);
+        }
+    });
+
+    form.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        alertContainer.innerHTML = '';
+
+        let isValid = true;
+
+        // Same rule as reset_password.php: weak passwords are rejected
+        const strength = validatePassword(password.value);
+        if (!password.value) {
+            showErrorField(password, 'Password is required');
+            isValid = false;
+        } else if (strength.level === 'weak') {
+            showErrorField(password, strength.message);
+            isValid = false;
+        }
+
+        if (password.value !== confirmPassword.value) {
+            showErrorField(confirmPassword, 'Passwords do not match');
+            isValid = false;
+        }
+
+        if (!isValid) return;
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        try {
+            await resetPassword(token, password.value);
+            form.style.display = 'none';
+            showSuccessMessage(alertContainer, '✅ Your password has been reset. <a href="login.html" class="secondary-link">Log in</a> with your new password.');
+        } catch (error) {
+            if (error.field === 'password') {
+                showErrorField(password, error.message);
             } else {
-                clearErrorField(confirmPassword);
+                alertContainer.innerHTML = `<div class="error-text">❌ ${escapeHtml(error.message)}</div>`;
             }
+            submitBtn.disabled = false;
         }
-    }
+    });
 
     applyInputFocusEffects();
 }
@@ -2142,15 +6208,18 @@ function applyInputFocusEffects() {
 document.addEventListener('DOMContentLoaded', () => {
     initLandingPage();
     initLoginPage();
+    initForgotPassword();
     initRegisterPage();
+    initResetPasswordPage();
 });
 
-// Close any open booking modal when Escape is pressed
+// Close any open booking, review, progress or payment modal when Escape is pressed
 document.addEventListener('keydown', function (e) {
     if (e.key === 'Escape') {
         const studentModal = document.getElementById('bookingModal');
         const tutorModal = document.getElementById('tutorBookingModal');
         if (studentModal && studentModal.style.display !== 'none') closeBookingModal();
         if (tutorModal && tutorModal.style.display !== 'none') closeTutorBookingModal();
+        document.querySelectorAll('.form-modal').forEach(modal => closeFormModal(modal.id));
     }
 });
@@ -0,0 +1,559 @@
+// Tutify - Markdown and Math Rendering
+// Author: Tutify Team
+// Description: Turns what people type into doubts, booking notes and tutor
+// feedback into HTML. Supports a small Markdown subset and TeX-style math,
+// which is converted to MathML so the browser draws formulas itself without
+// any external library.
+//
+// Everything the user typed is escaped. The only markup in the output is the
+// markup written here, and links are limited to http(s) and mailto.
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function mdEscape(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ===== Markdown =====
+
+const MD_FENCE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const MD_LIST_ITEM = /^\s*([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MD_HEADING = /^\s*(#{1,3})\s+(.*?)\s*#*\s*$/;
+const MD_QUOTE = /^\s*>\s?(.*)$/;
+const MD_MAX_NESTING = 5;
+
+/**
+ * Render Markdown with math as HTML
+ *
+ * Supported: paragraphs and line breaks, # headings, **bold**, *italic*,
+ * ~~strikethrough~~, `code`, fenced ``` code blocks, - and 1. lists,
+ * > quotes, [links](https://…), $inline math$ and $$display math$$.
+ * A backslash escapes a character, so \$5 is a dollar sign rather than the
+ * start of a formula.
+ *
+ * @param {string} text - Text as typed
+ * @returns {string} HTML
+ */
+function renderMarkdown(text) {
+    const lines = String(text ?? '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '').split('\n');
+    return renderMarkdownBlocks(lines, 0);
+}
+
+function isMarkdownBlockStart(line, depth) {
+    return MD_FENCE.test(line) || MD_LIST_ITEM.test(line) || MD_HEADING.test(line)
+        || line.trim().startsWith('$$') || (depth < MD_MAX_NESTING && MD_QUOTE.test(line));
+}
+
+function renderMarkdownBlocks(lines, depth) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === '') {
+            i++;
+            continue;
+        }
+
+        // ``` fenced code, closed by a fence of the same kind (or the end of the text)
+        const fence = line.match(MD_FENCE);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !(lines[i].trim().startsWith(fence[1]) && lines[i].trim().replace(/^[`~]+/, '') === '')) {
+                code.push(lines[i++]);
+            }
+            i++;
+            const language = fence[2] ? ' class="language-' + mdEscape(fence[2]) + '"' : '';
+            blocks.push('<pre class="md-code"><code' + language + '>' + mdEscape(code.join('\n')) + '</code></pre>');
+            continue;
+        }
+
+        // $$ display math $$, on one line or spread over several
+        if (line.trim().startsWith('$$')) {
+            let end = i;
+            while (end < lines.length) {
+                const candidate = end === i ? line.trim().slice(2) : lines[end].trim();
+                if (candidate.endsWith('$$')) break;
+                end++;
+            }
+            if (end < lines.length) {
+                const tex = lines.slice(i, end + 1).join('\n').trim().slice(2, -2);
+                blocks.push('<div class="md-math-block">' + renderMath(tex, true) + '</div>');
+                i = end + 1;
+                continue;
+            }
+        }
+
+        const heading = line.match(MD_HEADING);
+        if (heading) {
+            // Headings sit under the card's own title, so # starts at h4
+            const level = heading[1].length + 3;
+            blocks.push('<h' + level + ' class="md-heading">' + renderMarkdownInline(heading[2]) + '</h' + level + '>');
+            i++;
+            continue;
+        }
+
+        if (depth < MD_MAX_NESTING && MD_QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && MD_QUOTE.test(lines[i])) quoted.push(lines[i++].match(MD_QUOTE)[1]);
+            blocks.push('<blockquote>' + renderMarkdownBlocks(quoted, depth + 1) + '</blockquote>');
+            continue;
+        }
+
+        const item = line.match(MD_LIST_ITEM);
+        if (item) {
+            const ordered = /\d/.test(item[1]);
+            const items = [];
+            while (i < lines.length) {
+                const next = lines[i].match(MD_LIST_ITEM);
+                if (!next || /\d/.test(next[1]) !== ordered) break;
+                items.push(next[2]);
+                i++;
+                // Indented lines continue the item above
+                while (i < lines.length && /^\s{2,}\S/.test(lines[i]) && !MD_LIST_ITEM.test(lines[i])) {
+                    items[items.length - 1] += '\n' + lines[i++].trim();
+                }
+            }
+            const tag = ordered ? 'ol' : 'ul';
+            const start = ordered && parseInt(item[1]) !== 1 ? ' start="' + parseInt(item[1]) + '"' : '';
+            blocks.push('<' + tag + start + '>'
+                + items.map(text => '<li>' + renderMarkdownInline(text).replace(/\n/g, '<br>') + '</li>').join('')
+                + '</' + tag + '>');
+            continue;
+        }
+
+        // Anything else is a paragraph running to the next blank line or block
+        const paragraph = [line];
+        i++;
+        while (i < lines.length && lines[i].trim() !== '' && !isMarkdownBlockStart(lines[i], depth)) paragraph.push(lines[i++]);
+        blocks.push('<p>' + renderMarkdownInline(paragraph.join('\n')).replace(/\n/g, '<br>') + '</p>');
+    }
+
+    return blocks.join('');
+}
+
+// Code spans, $$display$$ and $inline$ math, and backslash escapes, in one
+// left-to-right pass so that whichever starts first wins. Inline math follows
+// the usual rule that keeps prices readable: no space just inside the dollar
+// signs, and no digit right after the closing one.
+const MD_INLINE_TOKENS = /(`+)([\s\S]*?[^`])\1(?!`)|\$\$([\s\S]+?)\$\$|\$(?=[^\s$])((?:\\[\s\S]|[^$\\])*?(?:\\[\s\S]|[^\s$\\]))\$(?!\d)|\\([\\`*_$~[\]()#>!|{}.+-])/g;
+const MD_LINK = /\[([^\]\n]+)\]\(((?:https?:\/\/|mailto:)[^\s()]+)\)/g;
+
+/**
+ * Render one paragraph's worth of inline Markdown
+ * @param {string} text - Text as typed
+ * @returns {string} HTML
+ */
+function renderMarkdownInline(text) {
+    // Finished HTML is parked behind \u0000n\u0000 markers so that escaping
+    // and the emphasis rules below leave it alone
+    const saved = [];
+    const park = html => '\u0000' + (saved.push(html) - 1) + '\u0000';
+
+    let out = text.replace(MD_INLINE_TOKENS, (match, ticks, code, displayTex, inlineTex, escaped) => {
+        if (ticks) return park('<code>' + mdEscape(code.replace(/^ (.*) $/s, '$1')) + '</code>');
+        if (displayTex !== undefined) return park(renderMath(displayTex, true));
+        if (inlineTex !== undefined) return park(renderMath(inlineTex, false));
+        return park(mdEscape(escaped));
+    });
+
+    out = out.replace(MD_LINK, (match, label, url) =>
+        park('<a href="' + mdEscape(url) + '" target="_blank" rel="noopener noreferrer">') + label + park('</a>'));
+
+    out = mdEscape(out)
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|\W)__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|\W)_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    return out.replace(/\u0000(\d+)\u0000/g, (match, index) => saved[index]);
+}
+
+// ===== Math (TeX to MathML) =====
+
+const TEX_MAX_DEPTH = 40;
+
+const TEX_IDENTIFIERS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ',
+    pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ',
+    phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅', varnothing: '∅', hbar: 'ℏ', ell: 'ℓ',
+    aleph: 'ℵ', Re: 'ℜ', Im: 'ℑ', wp: '℘'
+};
+
+// Capital Greek letters are upright in TeX
+const TEX_UPRIGHT_IDENTIFIERS = {
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+    Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+const TEX_OPERATORS = {
+    times: '×', cdot: '⋅', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+    oplus: '⊕', otimes: '⊗', cup: '∪', cap: '∩', setminus: '∖', wedge: '∧', land: '∧', vee: '∨', lor: '∨',
+    neg: '¬', lnot: '¬', le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', ll: '≪', gg: '≫',
+    approx: '≈', equiv: '≡', cong: '≅', sim: '∼', simeq: '≃', propto: '∝', in: '∈', notin: '∉', ni: '∋',
+    subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇', forall: '∀', exists: '∃', mid: '∣',
+    parallel: '∥', perp: '⊥', to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔',
+    Rightarrow: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', impliedby: '⟸', iff: '⟺',
+    mapsto: '↦', uparrow: '↑', downarrow: '↓', angle: '∠', triangle: '△', degree: '°', prime: '′',
+    ldots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱', dots: '…', therefore: '∴', because: '∵',
+    langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖',
+    '{': '{', '}': '}', '|': '‖', '%': '%', '$': '$', '#': '#', '&': '&', '_': '_'
+};
+
+// Sums and friends put their limits above and below in display math
+const TEX_LIMIT_OPERATORS = {
+    sum: '∑', prod: '∏', coprod: '∐', bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂',
+    lim: 'lim', max: 'max', min: 'min', sup: 'sup', inf: 'inf', det: 'det', gcd: 'gcd', Pr: 'Pr', argmax: 'arg max', argmin: 'arg min'
+};
+
+const TEX_INTEGRALS = { int: '∫', iint: '∬', iiint: '∭', oint: '∮' };
+
+const TEX_FUNCTIONS = [
+    'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+    'coth', 'log', 'ln', 'lg', 'exp', 'dim', 'ker', 'deg', 'arg', 'hom'
+];
+
+const TEX_ACCENTS = {
+    hat: '^', widehat: '^', bar: '¯', overline: '‾', vec: '→', overrightarrow: '→', dot: '˙', ddot: '¨',
+    tilde: '~', widetilde: '~', overbrace: '⏞'
+};
+
+const TEX_UNDER_ACCENTS = { underline: '_', underbrace: '⏟' };
+
+const TEX_SPACES = { ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', ' ': '0.25em', quad: '1em', qquad: '2em' };
+
+const TEX_FONTS = {
+    mathrm: 'normal', mathbf: 'bold', mathit: 'italic', mathsf: 'sans-serif', mathtt: 'monospace',
+    mathcal: 'script', mathbb: 'double-struck', boldsymbol: 'bold-italic'
+};
+
+const TEX_TEXT_COMMANDS = ['text', 'textrm', 'textbf', 'textit', 'mbox'];
+
+// Letters that have their own double-struck character outside the maths block
+const TEX_DOUBLE_STRUCK = { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' };
+
+// Matrix-like environments and the delimiters around them
+const TEX_ENVIRONMENTS = {
+    matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'],
+    vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''], aligned: ['', ''], align: ['', ''],
+    'align*': ['', ''], array: ['', ''], gathered: ['', '']
+};
+
+const TEX_TOKEN = /\s*(?:\\([a-zA-Z]+|[\s\S])|(\d+(?:\.\d+)?)|([\s\S]))/y;
+
+/**
+ * Render TeX math as MathML, or show the TeX as typed if it cannot be drawn
+ * @param {string} tex - TeX source, without the dollar signs
+ * @param {boolean} display - Display (block) math rather than inline
+ * @returns {string} HTML
+ */
+function renderMath(tex, display) {
+    try {
+        return '<span class="md-math' + (display ? ' md-math-display' : '') + '">' + texToMathML(tex, display) + '</span>';
+    } catch (error) {
+        return '<code class="md-math-error">' + mdEscape(tex) + '</code>';
+    }
+}
+
+/**
+ * Convert TeX to a MathML element, keeping the source as an annotation
+ * so copying the formula gives back the TeX
+ * @param {string} tex - TeX source
+ * @param {boolean} display - Display (block) math rather than inline
+ * @returns {string} MathML markup
+ * @throws {Error} If the formula nests too deeply
+ */
+function texToMathML(tex, display) {
+    const parser = { src: tex, pos: 0, depth: 0 };
+    const nodes = [];
+    while (readTexToken(parser, true)) {
+        nodes.push(...parseTexList(parser));
+        // A } or \right with nothing to close
+        const stray = readTexToken(parser);
+        if (stray) nodes.push('<merror><mtext>' + mdEscape(stray.cmd !== undefined ? '\\' + stray.cmd : stray.ch) + '</mtext></merror>');
+    }
+    return '<math' + (display ? ' display="block"' : '') + '><semantics>' + texRow(nodes)
+        + '<annotation encoding="application/x-tex">' + mdEscape(tex) + '</annotation></semantics></math>';
+}
+
+/**
+ * Read the next token: { cmd } for \commands, { num } or { ch }
+ * @param {Object} parser - { src, pos, depth }
+ * @param {boolean} [peek] - Leave the token to be read again
+ * @returns {Object|null} Token, or null at the end
+ */
+function readTexToken(parser, peek = false) {
+    TEX_TOKEN.lastIndex = parser.pos;
+    const match = TEX_TOKEN.exec(parser.src);
+    if (!match) return null;
+    if (!peek) parser.pos = TEX_TOKEN.lastIndex;
+    if (match[1] !== undefined) return { cmd: match[1] };
+    if (match[2] !== undefined) return { num: match[2] };
+    return { ch: match[3] };
+}
+
+// Own entries only, so \constructor is not mistaken for a symbol
+function texSymbol(table, name) {
+    return Object.prototype.hasOwnProperty.call(table, name) ? table[name] : undefined;
+}
+
+function texRow(nodes) {
+    return nodes.length === 1 ? nodes[0] : '<mrow>' + nodes.join('') + '</mrow>';
+}
+
+function texOperator(symbol, attributes = '') {
+    return '<mo' + attributes + '>' + mdEscape(symbol) + '</mo>';
+}
+
+// Terms up to the end of the current group: a }, \right, \end, the closer
+// given, or a cell or row break inside an environment
+function parseTexList(parser, closer = null, inTable = false) {
+    if (++parser.depth > TEX_MAX_DEPTH) throw new Error('Formula is nested too deeply');
+    const nodes = [];
+    for (let token = readTexToken(parser, true); token; token = readTexToken(parser, true)) {
+        if (token.ch === '}' || token.ch === closer || token.cmd === 'right' || token.cmd === 'end') break;
+        if (inTable && (token.ch === '&' || token.cmd === '\\')) break;
+        const node = parseTexScripts(parser);
+        if (node) nodes.push(node);
+    }
+    parser.depth--;
+    return nodes;
+}
+
+// A {group} or a single term, as taken by ^, _ and command arguments
+function parseTexArgument(parser) {
+    const token = readTexToken(parser, true);
+    // Leave the closer of the surrounding group where it is
+    if (!token || token.ch === '}' || token.cmd === 'right' || token.cmd === 'end') return '<mrow></mrow>';
+    if (token.ch === '{') return parseTexGroup(parser);
+    return parseTexAtom(parser).html || '<mrow></mrow>';
+}
+
+function parseTexGroup(parser) {
+    readTexToken(parser);
+    const nodes = parseTexList(parser);
+    if (readTexToken(parser, true)?.ch === '}') readTexToken(parser);
+    return '<mrow>' + nodes.join('') + '</mrow>';
+}
+
+// The raw text of a {group}, for \text and fonts
+function readTexRawGroup(parser) {
+    const token = readTexToken(parser, true);
+    if (token?.ch !== '{') {
+        const single = readTexToken(parser);
+        return single ? (single.num ?? single.ch ?? '') : '';
+    }
+    readTexToken(parser);
+    const start = parser.pos;
+    let depth = 1;
+    while (parser.pos < parser.src.length) {
+        const ch = parser.src[parser.pos++];
+        if (ch === '\\') parser.pos++;
+        else if (ch === '{') depth++;
+        else if (ch === '}' && --depth === 0) return parser.src.slice(start, parser.pos - 1);
+    }
+    return parser.src.slice(start);
+}
+
+// A term with any ^superscript and _subscript attached
+function parseTexScripts(parser) {
+    const base = parseTexAtom(parser);
+    let sub = null;
+    let sup = null;
+    for (;;) {
+        const token = readTexToken(parser, true);
+        if (token?.ch === '_' && sub === null) {
+            readTexToken(parser);
+            sub = parseTexArgument(parser);
+        } else if (token?.ch === '^' && sup === null) {
+            readTexToken(parser);
+            sup = parseTexArgument(parser);
+        } else {
+            break;
+        }
+    }
+
+    const html = base.html || '<mrow></mrow>';
+    if (sub === null && sup === null) return base.html;
+    const [under, over, both] = base.limits ? ['munder', 'mover', 'munderover'] : ['msub', 'msup', 'msubsup'];
+    if (sup === null) return '<' + under + '>' + html + sub + '</' + under + '>';
+    if (sub === null) return '<' + over + '>' + html + sup + '</' + over + '>';
+    return '<' + both + '>' + html + sub + sup + '</' + both + '>';
+}
+
+/**
+ * Parse one term
+ * @param {Object} parser - { src, pos, depth }
+ * @returns {Object} { html, limits } where limits means scripts go above and below
+ */
+function parseTexAtom(parser) {
+    const token = readTexToken(parser, true);
+    if (!token) return { html: '' };
+    if (token.ch === '{') return { html: parseTexGroup(parser) };
+    readTexToken(parser);
+
+    if (token.num !== undefined) return { html: '<mn>' + token.num + '</mn>' };
+    if (token.ch !== undefined) {
+        if (/\p{L}/u.test(token.ch)) return { html: '<mi>' + mdEscape(token.ch) + '</mi>' };
+        if (token.ch === '-') return { html: texOperator('−') };
+        if (token.ch === "'") return { html: texOperator('′') };
+        if (token.ch === '~') return { html: '<mspace width="0.25em"></mspace>' };
+        // ^ or _ with nothing before them
+        if (token.ch === '^' || token.ch === '_') return { html: '<mrow></mrow>' + parseTexArgument(parser) };
+        return { html: texOperator(token.ch) };
+    }
+
+    const name = token.cmd;
+    const identifier = texSymbol(TEX_IDENTIFIERS, name);
+    if (identifier) return { html: '<mi>' + identifier + '</mi>' };
+    const upright = texSymbol(TEX_UPRIGHT_IDENTIFIERS, name);
+    if (upright) return { html: '<mi mathvariant="normal">' + upright + '</mi>' };
+    const operator = texSymbol(TEX_OPERATORS, name);
+    if (operator) return { html: texOperator(operator) };
+    const limitOperator = texSymbol(TEX_LIMIT_OPERATORS, name);
+    if (limitOperator) return { html: texOperator(limitOperator, ' movablelimits="true"'), limits: true };
+    const integral = texSymbol(TEX_INTEGRALS, name);
+    if (integral) return { html: texOperator(integral) };
+    if (TEX_FUNCTIONS.includes(name)) return { html: '<mi>' + name + '</mi><mo>&#x2061;</mo>' };
+    const space = texSymbol(TEX_SPACES, name);
+    if (space) return { html: '<mspace width="' + space + '"></mspace>' };
+
+    switch (name) {
+        case 'frac':
+        case 'dfrac':
+        case 'tfrac':
+        case 'cfrac':
+            return { html: '<mfrac>' + parseTexArgument(parser) + parseTexArgument(parser) + '</mfrac>' };
+        case 'binom':
+            return {
+                html: '<mrow>' + texOperator('(') + '<mfrac linethickness="0">' + parseTexArgument(parser)
+                    + parseTexArgument(parser) + '</mfrac>' + texOperator(')') + '</mrow>'
+            };
+        case 'sqrt': {
+            if (readTexToken(parser, true)?.ch === '[') {
+                readTexToken(parser);
+                const index = parseTexList(parser, ']');
+                if (readTexToken(parser, true)?.ch === ']') readTexToken(parser);
+                return { html: '<mroot>' + parseTexArgument(parser) + texRow(index) + '</mroot>' };
+            }
+            return { html: '<msqrt>' + parseTexArgument(parser) + '</msqrt>' };
+        }
+        case 'left': {
+            const open = readTexDelimiter(parser);
+            const nodes = parseTexList(parser);
+            let close = '';
+            if (readTexToken(parser, true)?.cmd === 'right') {
+                readTexToken(parser);
+                close = readTexDelimiter(parser);
+            }
+            return {
+                html: '<mrow>' + (open ? texOperator(open, ' fence="true" stretchy="true"') : '') + nodes.join('')
+                    + (close ? texOperator(close, ' fence="true" stretchy="true"') : '') + '</mrow>'
+            };
+        }
+        case 'begin':
+            return { html: parseTexEnvironment(parser, readTexRawGroup(parser).trim()) };
+        case 'operatorname':
+            return { html: '<mi mathvariant="normal">' + mdEscape(readTexRawGroup(parser)) + '</mi><mo>&#x2061;</mo>' };
+        case 'not': {
+            const negated = parseTexAtom(parser).html || '';
+            const symbol = negated.match(/^<mo[^>]*>([^<]*)<\/mo>$/);
+            return { html: symbol ? '<mo>' + symbol[1] + '&#x338;</mo>' : negated };
+        }
+        case '\\':
+        case '!':
+        case 'displaystyle':
+        case 'textstyle':
+        case 'limits':
+        case 'nolimits':
+            return { html: '' };
+    }
+
+    if (TEX_TEXT_COMMANDS.includes(name)) return { html: '<mtext>' + mdEscape(readTexRawGroup(parser)) + '</mtext>' };
+    const font = texSymbol(TEX_FONTS, name);
+    if (font) return { html: renderTexFont(parser, font) };
+    const accent = texSymbol(TEX_ACCENTS, name);
+    if (accent) {
+        return { html: '<mover accent="true">' + parseTexArgument(parser) + texOperator(accent, ' stretchy="true"') + '</mover>' };
+    }
+    const underAccent = texSymbol(TEX_UNDER_ACCENTS, name);
+    if (underAccent) {
+        return { html: '<munder accentunder="true">' + parseTexArgument(parser) + texOperator(underAccent, ' stretchy="true"') + '</munder>' };
+    }
+
+    return { html: '<merror><mtext>\\' + mdEscape(name) + '</mtext></merror>' };
+}
+
+// The delimiter after \left or \right; "." means none
+function readTexDelimiter(parser) {
+    const token = readTexToken(parser);
+    if (!token || token.ch === '.') return '';
+    if (token.cmd !== undefined) return texSymbol(TEX_OPERATORS, token.cmd) || '';
+    return token.ch ?? '';
+}
+
+// \mathbb{R} and friends. Letters and digits become styled identifiers;
+// anything else is parsed as math inside a styled row.
+function renderTexFont(parser, variant) {
+    const raw = readTexRawGroup(parser);
+    if (/^[A-Za-z0-9]+$/.test(raw)) {
+        if (variant === 'double-struck') {
+            const letters = [...raw].map(ch => TEX_DOUBLE_STRUCK[ch]
+                || (/[A-Z]/.test(ch) ? String.fromCodePoint(0x1D538 + ch.charCodeAt(0) - 65) : ch));
+            return '<mi mathvariant="normal">' + letters.join('') + '</mi>';
+        }
+        return '<mi mathvariant="' + variant + '">' + raw + '</mi>';
+    }
+    const inner = { src: raw, pos: 0, depth: parser.depth };
+    return '<mstyle mathvariant="' + variant + '">' + texRow(parseTexList(inner)) + '</mstyle>';
+}
+
+// \begin{pmatrix} a & b \\ c & d \end{pmatrix} and the like, as a table
+function parseTexEnvironment(parser, name) {
+    const fences = texSymbol(TEX_ENVIRONMENTS, name);
+    if (!fences) return '<merror><mtext>' + mdEscape('\\begin{' + name + '}') + '</mtext></merror>';
+    // array takes a column spec such as {cc}; cells are centred regardless
+    if (name === 'array') readTexRawGroup(parser);
+
+    const rows = [];
+    let cells = [];
+    for (;;) {
+        cells.push('<mtd>' + parseTexList(parser, null, true).join('') + '</mtd>');
+        const token = readTexToken(parser);
+        if (token?.ch === '&') continue;
+        rows.push('<mtr>' + cells.join('') + '</mtr>');
+        cells = [];
+        if (token?.cmd === '\\') continue;
+        // \end{name}, or a stray } or the end of the formula
+        if (token?.cmd === 'end') readTexRawGroup(parser);
+        break;
+    }
+
+    const align = name === 'cases' ? ' columnalign="left"' : name.startsWith('align') ? ' columnalign="right left"' : '';
+    const table = '<mtable' + align + '>' + rows.join('') + '</mtable>';
+    return '<mrow>' + (fences[0] ? texOperator(fences[0], ' fence="true" stretchy="true"') : '') + table
+        + (fences[1] ? texOperator(fences[1], ' fence="true" stretchy="true"') : '') + '</mrow>';
+}
+
+// ===== Export for module usage =====
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        renderMarkdown,
+        renderMarkdownInline,
+        renderMath,
+        texToMathML
+    };
+}
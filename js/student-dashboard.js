@@ -24,73 +24,19 @@ function loadDashboardData() {
     }, 500);
 }
 
-function loadTutors() {
-    // Sample tutor data - In production, this would come from API
-    const tutors = [
-        {
-            id: 1,
-            name: 'Dr. Sarah Johnson',
-            subject: 'Mathematics',
-            experience: '10 years',
-            rating: 4.8,
-            sessions: 150,
-            availability: 'Available',
-            description: 'Expert in Advanced Mathematics and Calculus'
-        },
-        {
-            id: 2,
-            name: 'Prof. Michael Chen',
-            subject: 'Physics',
-            experience: '8 years',
-            rating: 4.9,
-            sessions: 120,
-            availability: 'Available',
-            description: 'Specialized in Quantum Physics and Mechanics'
-        },
-        {
-            id: 3,
-            name: 'Ms. Emily Davis',
-            subject: 'Chemistry',
-            experience: '5 years',
-            rating: 4.7,
-            sessions: 90,
-            availability: 'Busy',
-            description: 'Organic Chemistry and Lab Techniques'
-        },
-        {
-            id: 4,
-            name: 'Dr. Robert Brown',
-            subject: 'Biology',
-            experience: '12 years',
-            rating: 4.9,
-            sessions: 200,
-            availability: 'Available',
-            description: 'Molecular Biology and Genetics Expert'
-        },
-        {
-            id: 5,
-            name: 'Ms. Lisa Anderson',
-            subject: 'English',
-            experience: '6 years',
-            rating: 4.6,
-            sessions: 85,
-            availability: 'Available',
-            description: 'Literature and Advanced Writing Skills'
-        },
-        {
-            id: 6,
-            name: 'Mr. David Wilson',
-            subject: 'Computer Science',
-            experience: '7 years',
-            rating: 4.8,
-            sessions: 110,
-            availability: 'Available',
-            description: 'Programming and Data Structures'
-        }
-    ];
+async function loadTutors() {
+    // Tutors come from api/get_tutors.php through the shared getTutors() wrapper in app.js
+    const grid = document.getElementById('tutorGrid');
+    grid.innerHTML = '<div class="loading-spinner">⏳ Loading tutors...</div>';
 
-    displayTutors(tutors);
-    window.allTutors = tutors; // Store for filtering
+    try {
+        const response = await getTutors({ limit: 50 });
+        const tutors = response.data.tutors.map(normalizeTutor);
+        displayTutors(tutors);
+        window.allTutors = tutors; // Store for filtering
+    } catch (error) {
+        grid.innerHTML = '<p style="text-align: center; color: var(--error-color); grid-column: 1/-1;">Could not load tutors. Please try again later.</p>';
+    }
 }
 
 function displayTutors(tutors) {